@@ -0,0 +1,102 @@
+const express = require('express')
+const cors = require('cors')
+const path = require('path')
+const process = require('process')
+const mongoose = require('mongoose')
+require('dotenv').config()
+
+// Routes imports
+const authRoutes = require('./routes/authRoutes')
+const profileRoutes = require('./routes/profileRoutes')
+const symptomRoutes = require('./routes/symptomRoutes')
+const appointmentRoutes = require('./routes/appointmentRoutes')
+const appointmentRequestRoutes = require('./routes/appointmentRequestRoutes')
+const activityLogRoutes = require('./routes/activityLogRoutes')
+const analyticsRoutes = require('./routes/analyticsRoutes')
+const doctorRoutes = require('./routes/doctorRoutes')
+const adminRoutes = require('./routes/adminRoutes')
+const feedbackRoutes = require('./routes/feedbackRoutes')
+const conversationRoutes = require('./routes/conversationRoutes')
+const jobRoutes = require('./routes/jobRoutes')
+const notificationRoutes = require('./routes/notificationRoutes')
+const sessionRoutes = require('./routes/sessionRoutes')
+const twoFactorRoutes = require('./routes/twoFactorRoutes')
+const waitlistRoutes = require('./routes/waitlistRoutes')
+const calendarRoutes = require('./routes/calendarRoutes')
+
+// Express app
+const app = express()
+
+// Behind a load balancer req.ip is the proxy's address unless Express is told
+// to trust it, which would put every client in the same rate limit bucket.
+// TRUST_PROXY is a hop count (e.g. 1) or a list of proxy addresses.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY)
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY)
+}
+
+// Middleware
+const allowedOrigins = process.env.ALLOWED_ORIGINS
+  ? process.env.ALLOWED_ORIGINS.split(',')
+  : [process.env.FRONTEND_URL]
+
+app.use(
+  cors({
+    origin: (origin, callback) => {
+      // Allow requests with no origin (like mobile apps, curl requests)
+      if (!origin) return callback(null, true)
+      
+      if (allowedOrigins.includes(origin)) {
+        return callback(null, true)
+      } else {
+        return callback(new Error('Not allowed by CORS'))
+      }
+    },
+    credentials: true, // Allow cookies to be sent with requests
+  }),
+)
+
+app.use(express.json())
+app.use(express.urlencoded({ extended: true }))
+app.use(express.static(path.join(__dirname, 'public'))) //eslint-disable-line
+
+// Health check route
+app.get('/', (req, res) => {
+  res.json({ 
+    message: 'CareConnect Backend API is running!', 
+    status: 'healthy',
+    timestamp: new Date().toISOString()
+  })
+})
+
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'healthy',
+    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+    timestamp: new Date().toISOString()
+  })
+})
+
+// Routes
+authRoutes(app)
+profileRoutes(app)
+symptomRoutes(app)
+app.use('/api', appointmentRoutes) // Updated to use router
+appointmentRequestRoutes(app)
+doctorRoutes(app)
+adminRoutes(app)
+activityLogRoutes(app)
+analyticsRoutes(app)
+feedbackRoutes(app)
+conversationRoutes(app)
+jobRoutes(app)
+notificationRoutes(app)
+sessionRoutes(app)
+twoFactorRoutes(app)
+waitlistRoutes(app)
+calendarRoutes(app)
+
+// Static file serving
+app.use('/uploads', express.static(path.join(__dirname, 'uploads'))) //eslint-disable-line
+
+module.exports = app
@@ -1,11 +1,14 @@
-const ActivityLog = require('../models/activityLogModel')
+const { findActivityLogs } = require('../services/activityLogService')
 
+// Filters: actor, action, entityType, entityId, outcome, from, to; paged
+// with page and limit
 exports.getActivityLogs = async (req, res) => {
   try {
-    const logs = await ActivityLog.find()
-      .populate('userId', 'username email')
-      .sort({ date: -1 })
-    res.status(200).json(logs)
+    const result = await findActivityLogs(req.query)
+    if (result.error) {
+      return res.status(400).json({ message: result.error })
+    }
+    res.status(200).json(result)
   } catch (error) {
     res.status(500).json({ message: 'Internal server error', error })
   }
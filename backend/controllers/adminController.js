@@ -1,10 +1,31 @@
 const User = require('../models/userModel')
-const Appointment = require('../models/appointmentModel')
+const AppointmentRequest = require('../models/appointmentRequestModel')
+const { reserveSlot, releaseSlots, bookingOf } = require('../services/availabilityService')
+const { syncReminders, cancelReminders } = require('../services/reminderService')
+const { reissueMedicalId } = require('../services/medicalIdReissueService')
+const { emitAppointmentUpdate } = require('../socket')
+const { clearFailedLogins } = require('../services/loginLockoutService')
+const { rateLimits } = require('../middleware/rateLimitMiddleware')
+const { auditDetails } = require('../middleware/activityLogMiddleware')
+const { diffChanges } = require('../services/activityLogService')
+const {
+  findUsers,
+  applyAdminEdits,
+  suspendUser,
+  reactivateUser,
+  changeUserRole,
+} = require('../services/userAdminService')
+const { requestDeletion, restoreAccount } = require('../services/accountDeletionService')
 
+// Filters: search, role, online, status; sort by name, email, role, created,
+// online or lastSeen ("-" for descending); paged with page and limit
 exports.getAllUsers = async (req, res) => {
   try {
-    const users = await User.find()
-    res.status(200).json(users)
+    const result = await findUsers(req.query)
+    if (result.error) {
+      return res.status(400).json({ message: result.error })
+    }
+    res.status(200).json(result)
   } catch (error) {
     res.status(500).json({ message: 'Internal server error', error })
   }
@@ -21,49 +42,348 @@ exports.getAllDoctors = async (req, res) => {
 
 exports.getAllAppointments = async (req, res) => {
   try {
-    const appointments = await Appointment.find()
-      .populate('doctorId')
-      .populate('patientId')
+    const appointments = await AppointmentRequest.find().sort({ createdAt: -1 })
     res.status(200).json(appointments)
   } catch (error) {
     res.status(500).json({ message: 'Internal server error', error })
   }
 }
 
+// PUT /api/admin/users/:userId takes the fields as the body; the older
+// PUT /api/user takes { userId, updates }
 exports.updateUser = async (req, res) => {
-  const { userId, updates } = req.body
+  const userId = req.params.userId || req.body.userId
+  const updates = (req.params.userId ? req.body : req.body.updates) || {}
   try {
-    const user = await User.findByIdAndUpdate(userId, updates, { new: true })
+    // Roles, medical IDs, two-factor settings, lockouts, suspensions,
+    // deletions and credentials have their own audited endpoints
+    const fields = Object.keys(updates).map((key) => key.split('.')[0])
+    if (fields.includes('role')) {
+      return res.status(400).json({
+        message: 'Use PUT /api/admin/users/:userId/role to change a role',
+      })
+    }
+    if (fields.includes('medicalId')) {
+      return res.status(400).json({
+        message: 'Use POST /api/admin/users/:userId/medical-id to re-issue a medical ID',
+      })
+    }
+    if (fields.includes('twoFactor')) {
+      return res.status(400).json({
+        message: 'Use DELETE /api/admin/users/:userId/two-factor to reset two-factor authentication',
+      })
+    }
+    if (fields.includes('lockout')) {
+      return res.status(400).json({
+        message: 'Use POST /api/admin/users/:userId/unlock to unlock an account',
+      })
+    }
+    if (fields.includes('suspension')) {
+      return res.status(400).json({
+        message: 'Use POST /api/admin/users/:userId/suspend or /reactivate to change a suspension',
+      })
+    }
+    if (fields.includes('credentials')) {
+      return res.status(400).json({
+        message: 'Use POST /api/admin/doctors/:userId/credentials/review to verify credentials',
+      })
+    }
+    if (fields.includes('deletion')) {
+      return res.status(400).json({
+        message: 'Use DELETE /api/user/:userId or POST /api/admin/users/:userId/restore to change a deletion',
+      })
+    }
+
+    const user = await User.findById(userId)
     if (!user) {
       return res.status(404).json({ message: 'User not found' })
     }
+    const before = user.toObject()
+    const { error } = applyAdminEdits(user, updates)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+    await user.save()
+
+    auditDetails(res, {
+      entityId: user._id,
+      summary: `Updated ${user.username}`,
+      changes: diffChanges(before, user, Object.keys(updates)),
+    })
     res.status(200).json(user)
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'That username or email is already in use' })
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message })
+    }
     res.status(500).json({ message: 'Internal server error', error })
   }
 }
 
-exports.deleteUser = async (req, res) => {
+// Keep a user out until an admin reactivates them. Signs them out everywhere.
+exports.suspendUser = async (req, res) => {
+  const { userId } = req.params
+  const reason = String(req.body.reason || '').trim()
+  try {
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required to suspend an account' })
+    }
+    if (String(userId) === String(req.userId)) {
+      return res.status(400).json({ message: 'You cannot suspend your own account' })
+    }
+
+    const user = await User.findById(userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    if (user.isSuspended()) {
+      return res.status(400).json({ message: 'This account is already suspended' })
+    }
+
+    await suspendUser(user, { reason, suspendedBy: req.userId })
+    auditDetails(res, {
+      summary: `Suspended ${user.username}: ${reason}`,
+      changes: { before: { suspended: false }, after: { suspended: true, reason } },
+    })
+    res.status(200).json(user)
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+exports.reactivateUser = async (req, res) => {
   const { userId } = req.params
   try {
-    await User.findByIdAndDelete(userId)
-    res.status(200).json({ message: 'User deleted successfully' })
+    const user = await User.findById(userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    if (!user.isSuspended()) {
+      return res.status(400).json({ message: 'This account is not suspended' })
+    }
+
+    const previousReason = user.suspension.reason
+    await reactivateUser(user)
+    auditDetails(res, {
+      summary: `Reactivated ${user.username}`,
+      changes: {
+        before: { suspended: true, reason: previousReason },
+        after: { suspended: false },
+      },
+    })
+    res.status(200).json(user)
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// Promote or demote a user
+exports.changeUserRole = async (req, res) => {
+  const { userId } = req.params
+  const { role } = req.body
+  try {
+    if (!User.schema.path('role').enumValues.includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' })
+    }
+    // Admins can't demote themselves and leave the panel without an admin
+    if (String(userId) === String(req.userId) && role !== 'admin') {
+      return res.status(400).json({ message: 'You cannot change your own role' })
+    }
+
+    const user = await User.findById(userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    if (user.role === role) {
+      return res.status(200).json(user)
+    }
+
+    const previousRole = user.role
+    await changeUserRole(user, role)
+
+    auditDetails(res, {
+      summary: `Changed role of ${user.username} from ${previousRole} to ${role}`,
+      changes: { before: { role: previousRole }, after: { role } },
+    })
+    res.status(200).json(user)
   } catch (error) {
     res.status(500).json({ message: 'Internal server error', error })
   }
 }
 
+// Replace a user's medical ID and update every record that references it
+exports.reissueMedicalId = async (req, res) => {
+  const { userId } = req.params
+  try {
+    const user = await User.findById(userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+
+    const result = await reissueMedicalId(user)
+    auditDetails(res, {
+      summary: `Re-issued medical ID of ${user.username} from ${result.oldId} to ${result.newId}`,
+      changes: { before: { medicalId: result.oldId }, after: { medicalId: result.newId } },
+    })
+    res.status(200).json(result)
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// Let a user locked out by failed sign-ins try again straight away
+exports.unlockUser = async (req, res) => {
+  const { userId } = req.params
+  try {
+    const user = await User.findById(userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+
+    await clearFailedLogins(user._id)
+    await rateLimits.resetAccount(user.username)
+    auditDetails(res, { summary: `Unlocked the account of ${user.username}` })
+    res.status(200).json(await User.findById(userId))
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// Soft delete: the account is signed out and its upcoming appointments
+// cancelled now, and it is purged once the grace period is over
+exports.deleteUser = async (req, res) => {
+  const { userId } = req.params
+  const reason = String(req.body?.reason || '').trim() || undefined
+  try {
+    if (String(userId) === String(req.userId)) {
+      return res.status(400).json({ message: 'You cannot delete your own account' })
+    }
+
+    const user = await User.findById(userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    if (user.isPendingDeletion()) {
+      return res.status(400).json({ message: 'This account is already scheduled for deletion' })
+    }
+
+    const { purgeAfter, cancelledAppointments } = await requestDeletion(user, {
+      requestedBy: req.userId,
+      reason,
+    })
+    auditDetails(res, {
+      summary: `Deleted ${user.username}${reason ? `: ${reason}` : ''}`,
+      changes: {
+        before: { username: user.username, email: user.email, role: user.role },
+        after: { purgeAfter, cancelledAppointments },
+      },
+    })
+    res.status(200).json({
+      message: 'User deleted. The account can be restored until it is purged.',
+      user,
+      purgeAfter,
+      cancelledAppointments,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// Undo a deletion before the account is purged
+exports.restoreUser = async (req, res) => {
+  const { userId } = req.params
+  try {
+    const user = await User.findById(userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    if (!user.isPendingDeletion()) {
+      return res.status(400).json({ message: 'This account is not scheduled for deletion' })
+    }
+
+    const { purgeAfter } = user.deletion
+    await restoreAccount(user)
+    auditDetails(res, {
+      summary: `Restored ${user.username}`,
+      changes: { before: { purgeAfter }, after: { purgeAfter: null } },
+    })
+    res.status(200).json(user)
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
 exports.updateAppointment = async (req, res) => {
-  const { appointmentId, updates } = req.body
+  const { appointmentId, updates = {} } = req.body
   try {
-    const appointment = await Appointment.findByIdAndUpdate(
-      appointmentId,
-      updates,
-      { new: true },
-    )
+    const appointment = await AppointmentRequest.findById(appointmentId)
     if (!appointment) {
       return res.status(404).json({ message: 'Appointment not found' })
     }
+
+    const rejected = Object.keys(updates).find(
+      (field) => !AppointmentRequest.ADMIN_EDITABLE_FIELDS.includes(field),
+    )
+    if (rejected) {
+      return res.status(400).json({
+        message: `${rejected} can't be edited here. Editable fields: ${AppointmentRequest.ADMIN_EDITABLE_FIELDS.join(', ')}`,
+      })
+    }
+
+    const before = appointment.toObject()
+    const { status, scheduledDate, scheduledTime, ...fields } = updates
+    const moving = scheduledDate !== undefined || scheduledTime !== undefined
+
+    if (moving) {
+      // A new time is a reschedule and needs the slot, like an accepted
+      // proposal
+      if (status && status !== 'rescheduled') {
+        return res.status(400).json({ message: 'Change the status and the time separately' })
+      }
+      if (!appointment.canTransitionTo('rescheduled')) {
+        return res.status(400).json({ message: `A ${appointment.status} appointment cannot be rescheduled` })
+      }
+      const date = scheduledDate ?? appointment.scheduledDate ?? appointment.preferredDate
+      const time = scheduledTime ?? appointment.scheduledTime ?? appointment.preferredTime
+      if (isNaN(new Date(date))) {
+        return res.status(400).json({ message: 'scheduledDate is not a valid date' })
+      }
+
+      const reservation = await reserveSlot({
+        doctorMedicalId: appointment.doctorMedicalId,
+        date,
+        time,
+        appointmentRequestId: appointment._id,
+        booking: bookingOf(appointment),
+      })
+      if (!reservation.success) {
+        return res.status(reservation.status).json({ message: reservation.message })
+      }
+      await releaseSlots(appointment._id, reservation.reservation)
+
+      appointment.transitionTo('rescheduled', { changedBy: 'admin' })
+      appointment.scheduledDate = date
+      appointment.scheduledTime = time
+    } else if (status && status !== appointment.status) {
+      // Status changes go through the lifecycle so admins can't skip states
+      if (!appointment.canTransitionTo(status)) {
+        return res.status(400).json({
+          message: `Cannot change appointment status from ${appointment.status} to ${status}`,
+        })
+      }
+      appointment.transitionTo(status, { changedBy: 'admin' })
+      if (status === 'cancelled') await releaseSlots(appointment._id)
+    }
+
+    appointment.set(fields)
+    await appointment.save()
+    auditDetails(res, {
+      changes: diffChanges(before, appointment, [...Object.keys(updates), 'status']),
+    })
+    await syncReminders(appointment).catch((error) => console.error('Error scheduling reminders:', error))
+    await emitAppointmentUpdate(appointment).catch((error) => console.error('Error pushing appointment update:', error))
     res.status(200).json(appointment)
   } catch (error) {
     res.status(500).json({ message: 'Internal server error', error })
@@ -73,7 +393,14 @@ exports.updateAppointment = async (req, res) => {
 exports.deleteAppointment = async (req, res) => {
   const { appointmentId } = req.params
   try {
-    await Appointment.findByIdAndDelete(appointmentId)
+    const appointment = await AppointmentRequest.findByIdAndDelete(appointmentId)
+    if (appointment) {
+      auditDetails(res, {
+        summary: `Deleted the ${appointment.status} appointment of ${appointment.patientName} with ${appointment.doctorName}`,
+      })
+    }
+    await releaseSlots(appointmentId)
+    await cancelReminders(appointmentId)
     res.status(200).json({ message: 'Appointment deleted successfully' })
   } catch (error) {
     res.status(500).json({ message: 'Internal server error', error })
@@ -1,18 +1,18 @@
 const User = require('../models/userModel')
-const Appointment = require('../models/appointmentModel')
+const AppointmentRequest = require('../models/appointmentRequestModel')
 const Feedback = require('../models/feedbackModel')
 
 exports.getAnalyticsData = async (req, res) => {
   try {
     const totalUsers = await User.countDocuments()
-    const totalAppointments = await Appointment.countDocuments()
+    const totalAppointments = await AppointmentRequest.countDocuments()
     const totalFeedbacks = await Feedback.countDocuments()
 
     const usersByRole = await User.aggregate([
       { $group: { _id: '$role', count: { $sum: 1 } } },
     ])
 
-    const appointmentsByStatus = await Appointment.aggregate([
+    const appointmentsByStatus = await AppointmentRequest.aggregate([
       { $group: { _id: '$status', count: { $sum: 1 } } },
     ])
 
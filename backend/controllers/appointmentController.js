@@ -1,130 +1,77 @@
 const mongoose = require('mongoose')
-const { broadcastAvailabilityUpdate } = require('../websocket')
-const Doctor = require('../models/doctorModel')
-const Appointment = require('../models/appointmentModel')
 const AppointmentRequest = require('../models/appointmentRequestModel')
 const User = require('../models/userModel')
-const { sendNotification } = require('../services/notificationService')
-
-exports.bookAppointment = async (req, res) => {
+const Doctor = require('../models/doctorModel')
+const {
+  getFreeSlots,
+  resolveBooking,
+  bookingOf,
+  toDateKey,
+  slotInstant,
+} = require('../services/availabilityService')
+const { DEFAULT_TIME_ZONE } = require('../services/timeZoneService')
+
+// Get a doctor's free slots for a date. Doctors with appointment types or
+// practice locations need one of each, or the appointment being moved
+// (appointmentRequestId) to take them from. Slots are "HH:mm" times in the
+// clinic's time zone; startsAt gives the instant each one starts.
+exports.getDoctorAvailability = async (req, res) => {
   const {
     doctorMedicalId,
-    patientMedicalId,
     date,
-    time,
-    symptoms,
-    contactInfo,
-    notificationType,
-    urgencyScore = 3, // Default urgency score if not provided
-  } = req.body
-
-  try {
-    // Find doctor by medical ID
-    const doctor = await User.findOne({ 
-      medicalId: doctorMedicalId, 
-      role: 'doctor' 
-    })
-
-    if (!doctor) {
-      return res.status(404).json({ message: 'Doctor not found with this medical ID' })
-    }
-
-    // Find patient by medical ID
-    const patient = await User.findOne({ 
-      medicalId: patientMedicalId, 
-      role: 'patient' 
-    })
-
-    if (!patient) {
-      return res.status(404).json({ message: 'Patient not found with this medical ID' })
-    }
-
-    const appointment = new Appointment({
-      doctorMedicalId,
-      patientMedicalId,
-      doctorName: doctor.username,
-      patientName: patient.username,
-      date,
-      time,
-      symptoms,
-      urgencyScore,
-      status: 'pending'
-    })
-
-    await appointment.save()
-
-    // Send notification
-    const notificationText = `New appointment request from ${patient.username} for ${date} at ${time}`
-    await sendNotification(doctor.medicalId, notificationText, 'appointment', {
-      appointmentId: appointment._id,
-      urgencyScore
-    })
-
-    res.status(201).json({
-      message: 'Appointment request sent successfully',
-      appointment
-    })
-
-  } catch (error) {
-    console.error('Error booking appointment:', error)
-    res.status(500).json({ message: 'Error booking appointment' })
+    appointmentTypeId,
+    locationId,
+    appointmentRequestId,
+  } = req.query
+
+  if (!doctorMedicalId || !date || isNaN(new Date(date))) {
+    return res
+      .status(400)
+      .json({ message: 'doctorMedicalId and a valid date are required' })
   }
-}
-
-// Get doctor's appointments sorted by urgency
-exports.getDoctorAppointments = async (req, res) => {
-  try {
-    const { medicalId } = req.params
-    const appointments = await Appointment.find({
-      doctorMedicalId: medicalId,
-      status: { $in: ['pending', 'confirmed'] }
-    }).sort({ urgencyScore: -1, date: 1, time: 1 }) // Sort by urgency (high to low), then date and time
 
-    res.json(appointments)
-  } catch (error) {
-    console.error('Error fetching appointments:', error)
-    res.status(500).json({ message: 'Error fetching appointments' })
+  if (appointmentRequestId && !mongoose.isValidObjectId(appointmentRequestId)) {
+    return res.status(400).json({ message: 'Invalid appointment request' })
   }
-}
-
-exports.updateAvailability = async (req, res) => {
-  const { doctorId, availability } = req.body
 
   try {
-    const doctor = await Doctor.findById(doctorId)
+    // Only verified doctors who aren't suspended or deleted can be booked
+    const doctor = await User.findOne({
+      medicalId: doctorMedicalId,
+      ...User.BOOKABLE_DOCTOR,
+    })
     if (!doctor) {
       return res.status(404).json({ message: 'Doctor not found' })
     }
 
-    doctor.availability = availability
-    await doctor.save()
-
-    broadcastAvailabilityUpdate({ doctorId, availability })
-
-    res.status(200).json({ message: 'Availability updated successfully' })
-  } catch (error) {
-    res.status(500).json({ message: 'Internal server error', error })
-  }
-}
-
-exports.getDoctorAvailability = async (req, res) => {
-  const { doctorId, date } = req.query
-
-  try {
-    const doctor = await Doctor.findById(doctorId)
-
-    if (!doctor) {
-      return res.status(404).json({ message: 'Doctor not found' })
+    const schedule = await Doctor.findOne({ medicalId: doctorMedicalId })
+    let booking
+    if (appointmentRequestId) {
+      const request = await AppointmentRequest.findOne({
+        _id: appointmentRequestId,
+        doctorMedicalId,
+      })
+      if (!request) {
+        return res.status(404).json({ message: 'Appointment request not found' })
+      }
+      booking = bookingOf(request)
+    } else {
+      const resolved = resolveBooking(schedule, { appointmentTypeId, locationId })
+      if (!resolved.booking) {
+        return res.status(resolved.status).json({ message: resolved.message })
+      }
+      booking = resolved.booking
     }
 
-    const availability = doctor.availability.find(
-      (a) => a.date.toISOString().split('T')[0] === date,
-    )
-    if (!availability) {
-      return res.status(404).json({ message: 'No availability on this date' })
-    }
+    const dateKey = toDateKey(date)
+    const slots = await getFreeSlots(doctorMedicalId, dateKey, booking)
 
-    res.status(200).json({ availability })
+    res.status(200).json({
+      date: dateKey,
+      slots,
+      timeZone: schedule?.timeZone || DEFAULT_TIME_ZONE,
+      startsAt: Object.fromEntries(slots.map((time) => [time, slotInstant(schedule, dateKey, time)])),
+    })
   } catch (error) {
     res.status(500).json({ message: 'Internal server error', error })
   }
@@ -161,7 +108,7 @@ exports.getAppointmentHistory = async (req, res) => {
 // Get all doctors with their medical IDs
 exports.getAllDoctors = async (req, res) => {
   try {
-    const doctors = await User.find({ role: 'doctor' })
+    const doctors = await User.find(User.BOOKABLE_DOCTOR)
       .select('medicalId username email specialty location')
 
     res.status(200).json({ doctors })
@@ -174,7 +121,7 @@ exports.getAllDoctors = async (req, res) => {
 // Get all patients with their medical IDs  
 exports.getAllPatients = async (req, res) => {
   try {
-    const patients = await User.find({ role: 'patient' })
+    const patients = await User.find({ role: 'patient', ...User.ACTIVE })
       .select('medicalId username email phoneNumber')
 
     res.status(200).json({ patients })
@@ -199,13 +146,13 @@ exports.getPendingAppointments = async (req, res) => {
     if (user.role === 'doctor') {
       appointments = await AppointmentRequest.find({ 
         doctorMedicalId: userId,
-        status: 'pending'
-      }).sort({ date: 1 })
+        status: 'requested'
+      }).sort({ preferredAt: 1 })
     } else {
       appointments = await AppointmentRequest.find({ 
         patientMedicalId: userId,
-        status: 'pending'
-      }).sort({ date: 1 })
+        status: 'requested'
+      }).sort({ preferredAt: 1 })
     }
 
     res.status(200).json({ appointments })
@@ -230,17 +177,17 @@ exports.getUpcomingAppointments = async (req, res) => {
     let appointments
 
     if (user.role === 'doctor') {
-      appointments = await Appointment.find({
+      appointments = await AppointmentRequest.find({
         doctorMedicalId: userId,
-        date: { $gte: currentDate },
-        status: 'confirmed'
-      }).sort({ date: 1, time: 1 })
+        scheduledAt: { $gte: currentDate },
+        status: { $in: AppointmentRequest.ACTIVE_STATUSES }
+      }).sort({ scheduledAt: 1 })
     } else {
-      appointments = await Appointment.find({
+      appointments = await AppointmentRequest.find({
         patientMedicalId: userId,
-        date: { $gte: currentDate },
-        status: 'confirmed'
-      }).sort({ date: 1, time: 1 })
+        scheduledAt: { $gte: currentDate },
+        status: { $in: AppointmentRequest.ACTIVE_STATUSES }
+      }).sort({ scheduledAt: 1 })
     }
 
     res.status(200).json({ appointments })
@@ -1,11 +1,39 @@
 const AppointmentRequest = require('../models/appointmentRequestModel')
 const User = require('../models/userModel')
+const Doctor = require('../models/doctorModel')
+const {
+  getFreeSlots,
+  reserveSlot,
+  releaseSlots,
+  resolveBooking,
+  bookingOf
+} = require('../services/availabilityService')
+const { syncReminders } = require('../services/reminderService')
+const {
+  readAssessment,
+  findTriageQueue,
+  scheduleEscalation,
+  cancelEscalation
+} = require('../services/triageService')
+const { notifyMedicalId } = require('../services/notificationService')
+const { appointmentInvite } = require('../services/calendarService')
+const { DEFAULT_TIME_ZONE, formatInstant, startOfDay, toDateKeyIn } = require('../services/timeZoneService')
+const { emitAppointmentUpdate } = require('../socket')
+const { auditDetails } = require('../middleware/activityLogMiddleware')
+const { diffChanges } = require('../services/activityLogService')
 const { 
   sendAppointmentApprovalEmail, 
   sendDoctorConfirmationEmail, 
-  sendAppointmentRejectionEmail 
+  sendAppointmentRejectionEmail,
+  sendRescheduleProposalEmail,
+  sendRescheduleResponseEmail,
+  sendRescheduleConfirmationEmail,
+  sendAppointmentCancellationEmail
 } = require('../services/emailService')
 
+// Patients can't cancel or move an appointment this close to its start
+const CANCELLATION_WINDOW_HOURS = Number(process.env.CANCELLATION_WINDOW_HOURS) || 24
+
 // Generate Jitsi video call link
 const generateJitsiLink = (patientName, doctorName, appointmentDate, appointmentTime) => {
   // Create a unique room name using patient name, doctor name, and appointment details
@@ -15,6 +43,41 @@ const generateJitsiLink = (patientName, doctorName, appointmentDate, appointment
   return `https://meet.jit.si/${sanitizedRoomName}`
 }
 
+// Which side of the appointment the caller is on: 'patient', 'doctor' or null
+const partyOf = (request, user) => {
+  if (user?.medicalId === request.patientMedicalId) return 'patient'
+  if (user?.medicalId === request.doctorMedicalId) return 'doctor'
+  return null
+}
+
+// Name and email of one side of the appointment, as used in notifications
+const contactFor = (request, party) => party === 'doctor'
+  ? { name: `Dr. ${request.doctorName}`, email: request.doctorEmail }
+  : { name: request.patientName, email: request.patientEmail }
+
+const otherParty = (party) => party === 'doctor' ? 'patient' : 'doctor'
+
+const medicalIdOf = (request, party) =>
+  party === 'doctor' ? request.doctorMedicalId : request.patientMedicalId
+
+// Time zone one side of the appointment reads times in
+const timeZoneOf = (request, party) => User.findTimeZone(medicalIdOf(request, party))
+
+// Page in the frontend where this side of the appointment can act on it
+const appointmentLink = (request, party) =>
+  `/${party}/${request.status === 'requested' ? 'pending-requests' : 'upcoming-appointments'}`
+
+const formatSlot = (instant, timeZone) => formatInstant(instant, timeZone)
+
+// Push the new state to both sides so open pages refresh without polling
+const publishUpdate = (request) =>
+  emitAppointmentUpdate(request).catch((error) => console.error('Error pushing appointment update:', error))
+
+const isInsideCancellationWindow = (request) => {
+  const start = request.startsAt()
+  return !!start && start - Date.now() < CANCELLATION_WINDOW_HOURS * 60 * 60 * 1000
+}
+
 // Create a new appointment request
 exports.createAppointmentRequest = async (req, res) => {
   try {
@@ -26,11 +89,15 @@ exports.createAppointmentRequest = async (req, res) => {
       symptoms, 
       contactInfo, 
       notificationType,
-      meetingType 
+      meetingType = 'offline',
+      appointmentTypeId,
+      locationId,
+      assessment: assessmentInput
     } = req.body
 
-    // Get doctor and patient details
-    const doctor = await User.findOne({ medicalId: doctorMedicalId, role: 'doctor' })
+    // Get doctor and patient details. Only verified doctors who aren't
+    // suspended or deleted can be booked.
+    const doctor = await User.findOne({ medicalId: doctorMedicalId, ...User.BOOKABLE_DOCTOR })
     const patient = await User.findOne({ medicalId: patientMedicalId, role: 'patient' })
 
     if (!doctor) {
@@ -41,6 +108,25 @@ exports.createAppointmentRequest = async (req, res) => {
       return res.status(404).json({ message: 'Patient not found' })
     }
 
+    if (!preferredDate || isNaN(new Date(preferredDate)) || !preferredTime) {
+      return res.status(400).json({ message: 'A valid preferred date and time slot are required' })
+    }
+
+    // Urgency comes from the symptom checker; without an assessment the
+    // request is routine
+    const { assessment, error: assessmentError } = readAssessment(assessmentInput)
+    if (assessmentError) {
+      return res.status(400).json({ message: assessmentError })
+    }
+
+    // The appointment type sets the length of the slot and the location
+    // whose hours it has to fall in
+    const schedule = await Doctor.findOne({ medicalId: doctorMedicalId })
+    const { booking, status, message } = resolveBooking(schedule, { appointmentTypeId, locationId, meetingType })
+    if (!booking) {
+      return res.status(status).json({ message })
+    }
+
     const appointmentRequest = new AppointmentRequest({
       doctorMedicalId,
       patientMedicalId,
@@ -53,11 +139,39 @@ exports.createAppointmentRequest = async (req, res) => {
       symptoms,
       contactInfo,
       notificationType,
-      meetingType: meetingType || 'offline', // Default to offline if not provided
-      status: 'pending'
+      meetingType,
+      ...booking,
+      duration: booking.appointmentType?.duration || schedule?.slotDuration,
+      timeZone: schedule?.timeZone || DEFAULT_TIME_ZONE,
+      ...(assessment && {
+        assessment,
+        urgencyLevel: assessment.urgency,
+        urgencyScore: assessment.severityScore
+      }),
+      status: 'requested'
     })
 
-    await appointmentRequest.save()
+    // Hold the requested slot before saving so two patients can't claim it
+    const reservation = await reserveSlot({
+      doctorMedicalId,
+      date: preferredDate,
+      time: preferredTime,
+      appointmentRequestId: appointmentRequest._id,
+      booking,
+    })
+    if (!reservation.success) {
+      return res.status(reservation.status).json({ message: reservation.message })
+    }
+
+    try {
+      await appointmentRequest.save()
+    } catch (saveError) {
+      await releaseSlots(appointmentRequest._id)
+      throw saveError
+    }
+    auditDetails(res, { entityId: appointmentRequest._id })
+    await scheduleEscalation(appointmentRequest).catch((error) => console.error('Error scheduling escalation:', error))
+    await publishUpdate(appointmentRequest)
 
     res.status(201).json({
       message: 'Appointment request created successfully',
@@ -78,7 +192,7 @@ exports.getDoctorAppointmentRequests = async (req, res) => {
 
     const requests = await AppointmentRequest.find({ 
       doctorMedicalId,
-      status: { $in: ['pending', 'approved'] }
+      status: { $in: ['requested', ...AppointmentRequest.ACTIVE_STATUSES] }
     }).sort({ createdAt: -1 })
 
     res.status(200).json({ requests })
@@ -90,21 +204,38 @@ exports.getDoctorAppointmentRequests = async (req, res) => {
   }
 }
 
+// A doctor's unanswered requests, most urgent first, with SLA timers
+exports.getDoctorTriageQueue = async (req, res) => {
+  try {
+    const queue = await findTriageQueue(req.params.doctorMedicalId)
+    res.status(200).json(queue)
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error fetching appointment requests',
+      error: error.message
+    })
+  }
+}
+
 // Get all appointment requests for a patient
 exports.getPatientAppointmentRequests = async (req, res) => {
   try {
     const { patientMedicalId } = req.params
     console.log("Fetching appointments for patient:", patientMedicalId);
 
-    // Get current date at start of day
-    const currentDate = new Date();
-    currentDate.setHours(0, 0, 0, 0);
+    // Appointments from the start of today, in the patient's time zone
+    const timeZone = await User.findTimeZone(patientMedicalId)
+    const since = startOfDay(toDateKeyIn(new Date(), timeZone), timeZone)
 
     const requests = await AppointmentRequest.find({ 
       patientMedicalId,
-      status: { $in: ['pending', 'approved'] },
-      preferredDate: { $gte: currentDate }
-    }).sort({ preferredDate: 1 })
+      status: { $in: ['requested', ...AppointmentRequest.ACTIVE_STATUSES] },
+      // Rescheduled appointments are kept until their new date
+      $or: [
+        { scheduledAt: { $gte: since } },
+        { scheduledAt: null, preferredAt: { $gte: since } }
+      ]
+    }).sort({ preferredAt: 1 })
 
     console.log(`Found ${requests.length} appointments for patient`);
     res.status(200).json({ requests })
@@ -117,18 +248,63 @@ exports.getPatientAppointmentRequests = async (req, res) => {
   }
 }
 
-// Update appointment request status (approve/reject)
+// Update appointment request status, following the lifecycle in the model
 exports.updateAppointmentRequestStatus = async (req, res) => {
   try {
     const { requestId } = req.params
     const { status, doctorResponse, scheduledDate, scheduledTime } = req.body
 
+    if (!AppointmentRequest.STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Invalid status: ${status}` })
+    }
+
+    // Cancelling and rescheduling have their own endpoints so a reason and
+    // the other side's agreement can be captured
+    if (status === 'cancelled' || status === 'rescheduled') {
+      return res.status(400).json({
+        message: `Use the ${status === 'cancelled' ? 'cancel' : 'reschedule'} endpoint to change an appointment to ${status}`
+      })
+    }
+
+    // Everything else is the doctor's call
+    if (req.userRole === 'patient') {
+      return res.status(403).json({ message: 'Only the doctor can update the status of an appointment request' })
+    }
+
     const request = await AppointmentRequest.findById(requestId)
     if (!request) {
       return res.status(404).json({ message: 'Appointment request not found' })
     }
 
-    request.status = status
+    if (!request.canTransitionTo(status)) {
+      return res.status(400).json({
+        message: `Cannot change appointment status from ${request.status} to ${status}`
+      })
+    }
+
+    if (status === 'approved') {
+      // Reserve the scheduled slot (the preferred one unless the doctor
+      // picked another) and free any other slot the request held
+      const reservation = await reserveSlot({
+        doctorMedicalId: request.doctorMedicalId,
+        date: scheduledDate || request.preferredDate,
+        time: scheduledTime || request.preferredTime,
+        appointmentRequestId: request._id,
+        booking: bookingOf(request),
+      })
+      if (!reservation.success) {
+        return res.status(reservation.status).json({ message: reservation.message })
+      }
+      await releaseSlots(request._id, reservation.reservation)
+    } else if (status === 'rejected') {
+      await releaseSlots(request._id)
+    }
+
+    const before = request.toObject()
+    request.transitionTo(status, {
+      changedBy: req.user?.medicalId,
+      reason: doctorResponse
+    })
     if (doctorResponse) {
       request.doctorResponse = {
         message: doctorResponse,
@@ -136,22 +312,38 @@ exports.updateAppointmentRequestStatus = async (req, res) => {
       }
     }
     
-    if (status === 'approved' && scheduledDate && scheduledTime) {
-      request.scheduledDate = new Date(scheduledDate)
-      request.scheduledTime = scheduledTime
+    if (status === 'approved') {
+      request.scheduledDate = new Date(scheduledDate || request.preferredDate)
+      request.scheduledTime = scheduledTime || request.preferredTime
       
       // Generate video call link for online meetings
       if (request.meetingType === 'online') {
         request.videoCallLink = generateJitsiLink(
           request.patientName,
           request.doctorName,
-          scheduledDate,
-          scheduledTime
+          request.scheduledDate,
+          request.scheduledTime
         )
       }
     }
 
     await request.save()
+    auditDetails(res, { changes: diffChanges(before, request, ['status', 'scheduledDate', 'scheduledTime']) })
+    await syncReminders(request).catch((error) => console.error('Error scheduling reminders:', error))
+    await cancelEscalation(request._id).catch((error) => console.error('Error cancelling escalation:', error))
+    await publishUpdate(request)
+
+    if (status === 'approved' || status === 'rejected') {
+      await notifyMedicalId(request.patientMedicalId, {
+        type: `appointment_${status}`,
+        title: status === 'approved' ? 'Appointment approved' : 'Appointment request declined',
+        message: status === 'approved'
+          ? `Dr. ${request.doctorName} approved your appointment on ${formatSlot(request.startsAt(), await timeZoneOf(request, 'patient'))}`
+          : `Dr. ${request.doctorName} could not approve your appointment request`,
+        link: status === 'approved' ? '/patient/upcoming-appointments' : '/patient/appointment-history',
+        data: { appointmentRequestId: request._id }
+      })
+    }
 
     // Send email notifications
     try {
@@ -174,14 +366,17 @@ exports.updateAppointmentRequestStatus = async (req, res) => {
 
         // Send approval email to patient
         if (patientEmail) {
+          const timeZone = await timeZoneOf(request, 'patient')
           await sendAppointmentApprovalEmail(
             patientEmail,
             request.patientName,
             request.doctorName,
-            request.scheduledDate,
-            request.scheduledTime,
+            request.startsAt(),
+            timeZone,
             doctorResponse,
-            request.meetingType
+            request.meetingType,
+            request.videoCallLink,
+            appointmentInvite(request, { party: 'patient', timeZone })
           )
           console.log('Approval email sent to patient:', patientEmail)
         }
@@ -193,9 +388,11 @@ exports.updateAppointmentRequestStatus = async (req, res) => {
             doctor.email,
             request.doctorName,
             request.patientName,
-            request.scheduledDate,
-            request.scheduledTime,
-            request.meetingType
+            request.startsAt(),
+            doctor.getTimeZone(),
+            request.meetingType,
+            request.videoCallLink,
+            appointmentInvite(request, { party: 'doctor', timeZone: doctor.getTimeZone() })
           )
           console.log('Confirmation email sent to doctor:', doctor.email)
         }
@@ -242,33 +439,303 @@ exports.updateAppointmentRequestStatus = async (req, res) => {
   }
 }
 
-// Add a message to an appointment request
-exports.addMessageToRequest = async (req, res) => {
+// Propose a new date and time for an appointment. Either side can propose;
+// proposing while the other side's proposal is pending counters it.
+exports.proposeReschedule = async (req, res) => {
   try {
-    const { requestId } = req.params
-    const { message, senderMedicalId, senderName } = req.body
+    const request = req.appointmentRequest
+    const { date, time, reason } = req.body
 
-    const request = await AppointmentRequest.findById(requestId)
-    if (!request) {
-      return res.status(404).json({ message: 'Appointment request not found' })
+    const party = partyOf(request, req.user)
+    if (!party) {
+      return res.status(403).json({ message: 'Only the patient or doctor can reschedule this appointment' })
+    }
+
+    if (!AppointmentRequest.ACTIVE_STATUSES.includes(request.status)) {
+      return res.status(400).json({ message: `A ${request.status} appointment cannot be rescheduled` })
     }
 
-    request.messages.push({
-      sender: senderMedicalId,
-      senderName,
-      message,
-      timestamp: new Date()
+    if (!date || isNaN(new Date(date)) || !time) {
+      return res.status(400).json({ message: 'A valid date and time are required' })
+    }
+
+    if (party === 'patient' && isInsideCancellationWindow(request)) {
+      return res.status(400).json({
+        message: `Appointments can't be rescheduled less than ${CANCELLATION_WINDOW_HOURS} hours before they start`
+      })
+    }
+
+    const freeSlots = await getFreeSlots(request.doctorMedicalId, date, bookingOf(request))
+    if (!freeSlots.includes(time)) {
+      return res.status(409).json({ message: 'The proposed time slot is not available' })
+    }
+
+    const proposal = request.proposeReschedule({
+      proposedBy: req.user.medicalId,
+      proposedByRole: party,
+      date: new Date(date),
+      time,
+      reason
+    })
+    await request.save()
+    auditDetails(res, {
+      summary: `Proposed moving the appointment to ${time} on ${new Date(date).toDateString()}`
+    })
+    await publishUpdate(request)
+
+    await notifyMedicalId(medicalIdOf(request, otherParty(party)), {
+      type: 'reschedule_proposed',
+      title: 'New time proposed',
+      message: `${contactFor(request, party).name} asked to move your appointment to ${formatSlot(proposal.startsAt, await timeZoneOf(request, otherParty(party)))}`,
+      link: appointmentLink(request, otherParty(party)),
+      data: { appointmentRequestId: request._id, proposalId: proposal._id }
     })
 
+    try {
+      const proposer = contactFor(request, party)
+      const recipient = contactFor(request, otherParty(party))
+      await sendRescheduleProposalEmail(
+        recipient.email,
+        recipient.name,
+        proposer.name,
+        request.startsAt(),
+        proposal.startsAt,
+        await timeZoneOf(request, otherParty(party)),
+        reason
+      )
+    } catch (emailError) {
+      console.error('Error sending reschedule proposal email:', emailError)
+    }
+
+    res.status(201).json({
+      message: 'Reschedule proposal sent successfully',
+      proposal,
+      request
+    })
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error proposing new appointment time',
+      error: error.message
+    })
+  }
+}
+
+// Accept or decline the pending reschedule proposal from the other side
+exports.respondToReschedule = async (req, res) => {
+  try {
+    const request = req.appointmentRequest
+    const { proposalId } = req.params
+    const { accept } = req.body
+
+    if (typeof accept !== 'boolean') {
+      return res.status(400).json({ message: 'accept must be true or false' })
+    }
+
+    const proposal = request.rescheduleProposals.id(proposalId)
+    if (!proposal) {
+      return res.status(404).json({ message: 'Reschedule proposal not found' })
+    }
+
+    if (proposal.status !== 'pending') {
+      return res.status(400).json({ message: `This proposal has already been ${proposal.status}` })
+    }
+
+    const party = partyOf(request, req.user)
+    if (!party || party === proposal.proposedByRole) {
+      return res.status(403).json({ message: 'Only the other side of the appointment can respond to this proposal' })
+    }
+
+    const before = request.toObject()
+    if (accept) {
+      if (!request.canTransitionTo('rescheduled')) {
+        return res.status(400).json({ message: `A ${request.status} appointment cannot be rescheduled` })
+      }
+
+      const reservation = await reserveSlot({
+        doctorMedicalId: request.doctorMedicalId,
+        date: proposal.date,
+        time: proposal.time,
+        appointmentRequestId: request._id,
+        booking: bookingOf(request),
+      })
+      if (!reservation.success) {
+        return res.status(reservation.status).json({ message: reservation.message })
+      }
+      await releaseSlots(request._id, reservation.reservation)
+
+      request.transitionTo('rescheduled', {
+        changedBy: req.user.medicalId,
+        reason: proposal.reason
+      })
+      request.scheduledDate = proposal.date
+      request.scheduledTime = proposal.time
+      if (request.meetingType === 'online') {
+        request.videoCallLink = generateJitsiLink(
+          request.patientName,
+          request.doctorName,
+          request.scheduledDate,
+          request.scheduledTime
+        )
+      }
+    }
+
+    proposal.status = accept ? 'accepted' : 'declined'
+    proposal.respondedAt = new Date()
+    await request.save()
+    auditDetails(res, {
+      summary: `${accept ? 'Accepted' : 'Declined'} a reschedule proposal`,
+      changes: diffChanges(before, request, ['status', 'scheduledDate', 'scheduledTime'])
+    })
+    if (accept) {
+      await syncReminders(request).catch((error) => console.error('Error scheduling reminders:', error))
+    }
+    await publishUpdate(request)
+
+    const proposerTimeZone = await timeZoneOf(request, proposal.proposedByRole)
+    await notifyMedicalId(medicalIdOf(request, proposal.proposedByRole), {
+      type: accept ? 'appointment_rescheduled' : 'reschedule_declined',
+      title: accept ? 'Appointment rescheduled' : 'New time declined',
+      message: accept
+        ? `${contactFor(request, party).name} accepted the new time: ${formatSlot(request.startsAt(), proposerTimeZone)}`
+        : `${contactFor(request, party).name} declined your proposed time. The appointment stays on ${formatSlot(request.startsAt(), proposerTimeZone)}`,
+      link: appointmentLink(request, proposal.proposedByRole),
+      data: { appointmentRequestId: request._id, proposalId: proposal._id }
+    })
+
+    try {
+      const responder = contactFor(request, party)
+      const recipient = contactFor(request, proposal.proposedByRole)
+      await sendRescheduleResponseEmail(
+        recipient.email,
+        recipient.name,
+        responder.name,
+        accept,
+        request.startsAt(),
+        proposerTimeZone,
+        // The new time replaces the event in the proposer's calendar
+        accept ? appointmentInvite(request, { party: proposal.proposedByRole, timeZone: proposerTimeZone }) : undefined
+      )
+      // The responder's calendar gets the same updated event
+      if (accept) {
+        const responderTimeZone = await timeZoneOf(request, party)
+        await sendRescheduleConfirmationEmail(
+          responder.email,
+          responder.name,
+          recipient.name,
+          request.startsAt(),
+          responderTimeZone,
+          appointmentInvite(request, { party, timeZone: responderTimeZone })
+        )
+      }
+    } catch (emailError) {
+      console.error('Error sending reschedule response email:', emailError)
+    }
+
+    res.status(200).json({
+      message: `Reschedule proposal ${proposal.status} successfully`,
+      request
+    })
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error responding to reschedule proposal',
+      error: error.message
+    })
+  }
+}
+
+// Cancel an appointment with a reason. Patients must cancel before the
+// cancellation window; doctors and admins can cancel at any time.
+exports.cancelAppointmentRequest = async (req, res) => {
+  try {
+    const request = req.appointmentRequest
+    const reason = req.body.reason?.trim()
+
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required to cancel an appointment' })
+    }
+
+    if (!request.canTransitionTo('cancelled')) {
+      return res.status(400).json({ message: `A ${request.status} appointment cannot be cancelled` })
+    }
+
+    const party = req.userRole === 'admin' ? 'admin' : partyOf(request, req.user)
+    if (!party) {
+      return res.status(403).json({ message: 'Only the patient or doctor can cancel this appointment' })
+    }
+
+    if (party === 'patient' && isInsideCancellationWindow(request)) {
+      return res.status(400).json({
+        message: `Appointments can't be cancelled less than ${CANCELLATION_WINDOW_HOURS} hours before they start`
+      })
+    }
+
+    const cancelledBy = party === 'admin' ? 'admin' : req.user.medicalId
+    const previousStatus = request.status
+    request.transitionTo('cancelled', { changedBy: cancelledBy, reason })
+    request.cancellation = {
+      reason,
+      cancelledBy,
+      cancelledByRole: party,
+      cancelledAt: new Date()
+    }
+    const pending = request.pendingProposal()
+    if (pending) {
+      pending.status = 'withdrawn'
+      pending.respondedAt = new Date()
+    }
+    await releaseSlots(request._id)
     await request.save()
+    auditDetails(res, {
+      summary: `Cancelled: ${reason}`,
+      changes: { before: { status: previousStatus }, after: { status: 'cancelled' } }
+    })
+    await syncReminders(request).catch((error) => console.error('Error cancelling reminders:', error))
+    await cancelEscalation(request._id).catch((error) => console.error('Error cancelling escalation:', error))
+    await publishUpdate(request)
+
+    // Admin cancellations go to both sides
+    const recipients = party === 'admin' ? ['patient', 'doctor'] : [otherParty(party)]
+    const cancelledByName = party === 'admin' ? 'CareConnect' : contactFor(request, party).name
+
+    const timeZones = {}
+    for (const recipientParty of recipients) {
+      timeZones[recipientParty] = await timeZoneOf(request, recipientParty)
+      await notifyMedicalId(medicalIdOf(request, recipientParty), {
+        type: 'appointment_cancelled',
+        title: 'Appointment cancelled',
+        message: `${cancelledByName} cancelled the appointment on ${formatSlot(request.startsAt(), timeZones[recipientParty])}: ${reason}`,
+        link: `/${recipientParty}/appointment-history`,
+        data: { appointmentRequestId: request._id }
+      })
+    }
+
+    try {
+      for (const recipientParty of recipients) {
+        const recipient = contactFor(request, recipientParty)
+        await sendAppointmentCancellationEmail(
+          recipient.email,
+          recipient.name,
+          cancelledByName,
+          request.startsAt(),
+          timeZones[recipientParty],
+          reason,
+          // Only approved appointments were sent to calendars
+          previousStatus === 'requested'
+            ? undefined
+            : appointmentInvite(request, { method: 'CANCEL', party: recipientParty, timeZone: timeZones[recipientParty] })
+        )
+      }
+    } catch (emailError) {
+      console.error('Error sending cancellation email:', emailError)
+    }
 
     res.status(200).json({
-      message: 'Message added successfully',
+      message: 'Appointment cancelled successfully',
       request
     })
   } catch (error) {
     res.status(500).json({
-      message: 'Error adding message',
+      message: 'Error cancelling appointment',
       error: error.message
     })
   }
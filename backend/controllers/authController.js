@@ -1,34 +1,144 @@
 const process = require('process')
 const User = require('../models/userModel')
-const jwt = require('jsonwebtoken')
+const Invitation = require('../models/invitationModel')
+const AccountToken = require('../models/accountTokenModel')
+const {
+  SessionError,
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeAllSessions,
+} = require('../services/sessionService')
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} = require('../services/emailService')
+const twoFactor = require('../services/twoFactorService')
+const { isValidTimeZone } = require('../services/timeZoneService')
+const {
+  recordFailedLogin,
+  clearFailedLogins,
+  secondsUntilUnlock,
+} = require('../services/loginLockoutService')
 
+// Minimum gap between two verification emails to the same account
+const RESEND_INTERVAL_MS = 60 * 1000
+
+const frontendLink = (path, token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}${path}?token=${token}`
+
+// Signing in successfully wipes the record of earlier failures
+const startSession = async (user, req) => {
+  await clearFailedLogins(user._id)
+  return createSession(user, req)
+}
+
+const lockedOut = (res, user) => {
+  const retryAfter = secondsUntilUnlock(user)
+  res.set('Retry-After', String(retryAfter))
+  return res.status(429).json({
+    message: `Too many failed sign-ins. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    code: 'account_locked',
+    retryAfter,
+  })
+}
+
+const suspended = (res) =>
+  res.status(403).json({
+    message: 'This account has been suspended. Please contact the health center.',
+    code: 'account_suspended',
+  })
+
+const deleted = (res) =>
+  res.status(403).json({
+    message: 'This account has been deleted. Please contact the health center to restore it.',
+    code: 'account_deleted',
+  })
+
+const findByEmail = (email) =>
+  User.findOne({ email: String(email || '').trim() }).collation({
+    locale: 'en',
+    strength: 2,
+  })
+
+const sendVerification = async (user) => {
+  const token = await AccountToken.issue(user._id, 'email_verification')
+  return sendVerificationEmail(
+    user.email,
+    user.username,
+    frontendLink('/verify-email', token)
+  )
+}
+
+// The user fields sent to the client alongside tokens
+const authUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  medicalId: user.medicalId,
+  timeZone: user.timeZone,
+})
+
+// Anyone can sign up as a patient; doctors and admins need an invitation
 exports.signup = async (req, res) => {
-  const { username, email, password, medicalId, role, phoneNumber } = req.body
+  // Medical IDs are issued by the server, so one in the body is ignored
+  const { username, email, password, phoneNumber, inviteToken, timeZone } = req.body
+  let invitation = null
   try {
+    let role = 'patient'
+    if (inviteToken) {
+      invitation = await Invitation.claim(inviteToken, email)
+      if (!invitation) {
+        return res.status(400).json({
+          message: 'This invitation is invalid, has expired or was issued for a different email',
+        })
+      }
+      role = invitation.role
+    } else if (req.body.role && req.body.role !== 'patient') {
+      return res.status(403).json({
+        message: 'Doctor and admin accounts can only be created by invitation',
+      })
+    }
+
+    // The invitation link was emailed, so an invitee has already shown they
+    // own the address; everyone else confirms it before signing in
     const user = new User({
       username,
       email,
       password,
-      medicalId,
       role,
       phoneNumber,
+      // Sent by the browser; an unknown zone falls back to the clinic's
+      timeZone: isValidTimeZone(timeZone) ? timeZone : undefined,
+      emailVerified: Boolean(invitation),
+      emailVerifiedAt: invitation ? new Date() : undefined,
     })
     await user.save()
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' },    ) // Extended to 24 hours for better user experience
+
+    if (invitation) {
+      invitation.usedBy = user._id
+      await invitation.save()
+
+      const { token, refreshToken } = await createSession(user, req)
+      return res.status(201).json({ token, refreshToken, user: authUser(user) })
+    }
+
+    const result = await sendVerification(user)
     res.status(201).json({
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        medicalId: user.medicalId,
-      },
+      message: 'Account created. Check your email to confirm your address.',
+      verificationRequired: true,
+      emailSent: result.success,
+      user: authUser(user),
     })
   } catch (err) {
+    // Give the invitation back if the account couldn't be created
+    if (invitation) {
+      await Invitation.updateOne(
+        { _id: invitation._id, usedBy: null },
+        { $set: { usedAt: null } }
+      ).catch(() => {})
+    }
     res.status(400).json({ message: err.message })
   }
 }
@@ -37,66 +147,262 @@ exports.login = async (req, res) => {
   const { username, password } = req.body
   try {
     const user = await User.findOne({ username })
+    // Checked before the password so a locked account can't keep guessing
+    if (user?.isLockedOut()) {
+      return lockedOut(res, user)
+    }
     if (!user || !(await user.comparePassword(password))) {
+      if (user) await recordFailedLogin(user)
       return res.status(401).json({ message: 'Invalid credentials' })
     }
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' },
-    ) // Extended to 24 hours for better user experience   
-     res.status(200).json({
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
+    // Only said to someone who knows the password
+    if (user.isSuspended()) {
+      return suspended(res)
+    }
+    if (user.isPendingDeletion()) {
+      return deleted(res)
+    }
+    if (!user.isEmailVerified()) {
+      return res.status(403).json({
+        message: 'Please confirm your email address before signing in',
+        code: 'email_unverified',
         email: user.email,
-        role: user.role,
-        medicalId: user.medicalId,
-      },
-    })
+      })
+    }
+
+    // A right password alone isn't enough for accounts with a second factor;
+    // the client trades the challenge token for a session at /login/2fa
+    if (user.twoFactor?.enabled) {
+      await twoFactor.resetFailures(user)
+      return res.status(200).json({
+        twoFactorRequired: true,
+        challengeToken: twoFactor.issueChallenge(user, 'verify'),
+      })
+    }
+    if (await twoFactor.isRequiredFor(user.role)) {
+      return res.status(200).json({
+        twoFactorSetupRequired: true,
+        challengeToken: twoFactor.issueChallenge(user, 'setup'),
+      })
+    }
+
+    const { token, refreshToken } = await startSession(user, req)
+    res.status(200).json({ token, refreshToken, user: authUser(user) })
   } catch (err) {
     res.status(400).json({ message: err.message })
   }
 }
 
+// The client has to start again from the password step
+const challengeExpired = (res, message = 'Your sign-in has expired. Please log in again.') =>
+  res.status(401).json({ message, code: 'challenge_expired' })
+
+// Second login step: a code from the authenticator app or a recovery code
+exports.verifyLoginTwoFactor = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body
+  try {
+    const challenge = twoFactor.readChallenge(challengeToken, 'verify')
+    const user = challenge && (await twoFactor.loadUser(challenge.id))
+    if (!user) {
+      return challengeExpired(res)
+    }
+    if (user.isSuspended()) {
+      return suspended(res)
+    }
+    if (user.isPendingDeletion()) {
+      return deleted(res)
+    }
+    if (user.isLockedOut()) {
+      return lockedOut(res, user)
+    }
+    if (twoFactor.tooManyFailures(user)) {
+      return challengeExpired(res, 'Too many incorrect codes. Please log in again.')
+    }
+    if (!(await twoFactor.verifySecondFactor(user, { code, recoveryCode }))) {
+      // Wrong codes count towards the lockout like wrong passwords
+      await recordFailedLogin(user)
+      return res.status(401).json({ message: 'Invalid authentication code' })
+    }
+
+    const { token, refreshToken } = await startSession(user, req)
+    res.status(200).json({ token, refreshToken, user: authUser(user) })
+  } catch (err) {
+    res.status(500).json({ message: 'Internal server error', error: err.message })
+  }
+}
+
+// Enrollment during login, for roles where an admin has made 2FA mandatory
+exports.setupLoginTwoFactor = async (req, res) => {
+  try {
+    const challenge = twoFactor.readChallenge(req.body.challengeToken, 'setup')
+    const user = challenge && (await User.findById(challenge.id))
+    // Once 2FA is on, signing in needs the existing second factor
+    if (!user || user.twoFactor?.enabled) {
+      return challengeExpired(res)
+    }
+    res.status(200).json(await twoFactor.startEnrollment(user))
+  } catch (err) {
+    res.status(500).json({ message: 'Internal server error', error: err.message })
+  }
+}
+
+exports.enableLoginTwoFactor = async (req, res) => {
+  const { challengeToken, code } = req.body
+  try {
+    const challenge = twoFactor.readChallenge(challengeToken, 'setup')
+    const user = challenge && (await twoFactor.loadUser(challenge.id))
+    if (!user || user.twoFactor?.enabled) {
+      return challengeExpired(res)
+    }
+    if (user.isSuspended()) {
+      return suspended(res)
+    }
+    if (user.isPendingDeletion()) {
+      return deleted(res)
+    }
+    const recoveryCodes = await twoFactor.completeEnrollment(user, code)
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code' })
+    }
+
+    const { token, refreshToken } = await startSession(user, req)
+    res.status(200).json({ token, refreshToken, user: authUser(user), recoveryCodes })
+  } catch (err) {
+    res.status(500).json({ message: 'Internal server error', error: err.message })
+  }
+}
+
+// Trade a refresh token for a new pair. The old refresh token stops working;
+// presenting it again later signs the session out everywhere it is used.
 exports.refreshToken = async (req, res) => {
-  const authHeader = req.headers['authorization']
-  const token = authHeader && authHeader.startsWith('Bearer ')
-    ? authHeader.substring(7)
-    : authHeader
+  const { refreshToken } = req.body
+  if (!refreshToken) {
+    return res.status(401).json({ message: 'No refresh token provided' })
+  }
 
-  if (!token) {
-    return res.status(401).json({ message: 'No token provided' })
+  try {
+    const result = await rotateSession(refreshToken, req)
+    res.status(200).json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+      user: authUser(result.user),
+    })
+  } catch (err) {
+    if (err instanceof SessionError) {
+      return res.status(401).json({ message: err.message, code: err.code })
+    }
+    res.status(500).json({ message: 'Internal server error', error: err.message })
   }
+}
 
+// Sign out this device by revoking its refresh token
+exports.logout = async (req, res) => {
   try {
-    // Verify the current token (even if expired)
-    const decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true })
+    await revokeByRefreshToken(req.body.refreshToken, 'logout')
+    res.status(200).json({ message: 'Logged out' })
+  } catch (err) {
+    res.status(500).json({ message: 'Internal server error', error: err.message })
+  }
+}
 
-    // Check if user still exists
-    const user = await User.findById(decoded.id)
+exports.verifyEmail = async (req, res) => {
+  const { token } = req.body
+  try {
+    const accountToken = token && (await AccountToken.consume(token, 'email_verification'))
+    if (!accountToken) {
+      return res.status(400).json({ message: 'This link is invalid or has expired' })
+    }
+
+    const user = await User.findById(accountToken.user)
     if (!user) {
-      return res.status(401).json({ message: 'User not found' })
+      return res.status(400).json({ message: 'This link is invalid or has expired' })
+    }
+    if (user.emailVerified !== true) {
+      user.markEmailVerified()
+      await user.save()
+    }
+    res.status(200).json({ message: 'Email confirmed. You can now sign in.' })
+  } catch (err) {
+    res.status(500).json({ message: 'Internal server error', error: err.message })
+  }
+}
+
+// The response is the same whether or not the address is registered, so the
+// endpoint can't be used to find out who has an account
+exports.resendVerification = async (req, res) => {
+  const response = {
+    message: 'If that address needs confirming, a new link is on its way.',
+  }
+  try {
+    const user = await findByEmail(req.body.email)
+    if (!user || user.isEmailVerified()) {
+      return res.status(200).json(response)
     }
 
-    // Generate new token
-    const newToken = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,      { expiresIn: '24h' }
+    const last = await AccountToken.lastIssuedAt(user._id, 'email_verification')
+    if (last && Date.now() - last.getTime() < RESEND_INTERVAL_MS) {
+      return res.status(429).json({
+        message: 'Please wait a minute before asking for another email',
+      })
+    }
+
+    await sendVerification(user)
+    res.status(200).json(response)
+  } catch (err) {
+    res.status(500).json({ message: 'Internal server error', error: err.message })
+  }
+}
+
+exports.forgotPassword = async (req, res) => {
+  const response = {
+    message: 'If an account uses that address, a reset link is on its way.',
+  }
+  try {
+    const user = await findByEmail(req.body.email)
+    if (!user) {
+      return res.status(200).json(response)
+    }
+
+    const token = await AccountToken.issue(user._id, 'password_reset')
+    await sendPasswordResetEmail(
+      user.email,
+      user.username,
+      frontendLink('/reset-password', token),
+      AccountToken.PURPOSES.password_reset.ttlMinutes
     )
+    res.status(200).json(response)
+  } catch (err) {
+    res.status(500).json({ message: 'Internal server error', error: err.message })
+  }
+}
 
-    res.status(200).json({
-      token: newToken,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        medicalId: user.medicalId,
-      },
-    })
+// Set a new password from an emailed link and sign out every device
+exports.resetPassword = async (req, res) => {
+  const { token, password } = req.body
+  try {
+    if (!password || password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters' })
+    }
+    const accountToken = token && (await AccountToken.consume(token, 'password_reset'))
+    if (!accountToken) {
+      return res.status(400).json({ message: 'This link is invalid or has expired' })
+    }
+
+    const user = await User.findById(accountToken.user)
+    if (!user) {
+      return res.status(400).json({ message: 'This link is invalid or has expired' })
+    }
+    user.password = password
+    // The reset link reached this inbox, which proves the address too
+    if (user.emailVerified !== true) {
+      user.markEmailVerified()
+    }
+    await user.save()
+    await revokeAllSessions(user._id, 'password_reset')
+    await clearFailedLogins(user._id)
+
+    res.status(200).json({ message: 'Password updated. Please sign in.' })
   } catch (err) {
-    res.status(401).json({ message: 'Invalid token' })
+    res.status(500).json({ message: 'Internal server error', error: err.message })
   }
 }
@@ -0,0 +1,69 @@
+const User = require('../models/userModel')
+const { issueFeedToken, revokeFeedToken, findFeedUser, buildFeed } = require('../services/calendarService')
+
+// Public address of the feed. API_URL overrides the address the request came
+// in on, e.g. behind a proxy that rewrites the host.
+const feedUrl = (req, token) =>
+  `${process.env.API_URL || `${req.protocol}://${req.get('host')}`}/api/calendar/${token}.ics`
+
+// Whether the signed-in user has a feed link. The link itself is only shown
+// when it is created.
+exports.getCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    res.status(200).json({
+      enabled: Boolean(user.calendarFeed?.createdAt),
+      createdAt: user.calendarFeed?.createdAt || null,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// Create a feed link, replacing any earlier one so it stops working
+exports.createCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    const token = await issueFeedToken(user)
+    res.status(201).json({ url: feedUrl(req, token), createdAt: user.calendarFeed.createdAt })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+exports.deleteCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    await revokeFeedToken(user)
+    res.status(200).json({ message: 'Calendar link turned off' })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// The feed calendar apps poll. The token in the URL is the only credential.
+exports.getCalendarFeedFile = async (req, res) => {
+  try {
+    const user = await findFeedUser(req.params.token)
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar not found' })
+    }
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="careconnect.ics"',
+      'Cache-Control': 'private, max-age=300',
+    })
+    res.status(200).send(await buildFeed(user))
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
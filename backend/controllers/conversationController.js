@@ -0,0 +1,240 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const multer = require('multer')
+const mongoose = require('mongoose')
+const Conversation = require('../models/conversationModel')
+const Message = require('../models/messageModel')
+const User = require('../models/userModel')
+const AppointmentRequest = require('../models/appointmentRequestModel')
+const { loadCurrentUser } = require('../middleware/authMiddleware')
+const {
+  findOrCreateConversation,
+  conversationForRequest,
+  postMessage,
+  markConversationRead,
+  ATTACHMENT_DIR,
+} = require('../services/conversationService')
+
+const MAX_ATTACHMENTS = 5
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024
+const ALLOWED_ATTACHMENT_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+]
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(ATTACHMENT_DIR, { recursive: true }, (err) => cb(err, ATTACHMENT_DIR))
+    },
+    // Random names so a file can't be found by guessing
+    filename: (req, file, cb) => {
+      cb(null, `${crypto.randomBytes(16).toString('hex')}${path.extname(file.originalname)}`)
+    },
+  }),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_ATTACHMENT_TYPES.includes(file.mimetype)) {
+      return cb(new Error('Only images, PDFs and text files can be attached'))
+    }
+    cb(null, true)
+  },
+})
+
+const removeFiles = (files = []) =>
+  Promise.all(files.map((file) => fs.promises.unlink(file.path).catch(() => {})))
+
+const CONVERSATION_PARTICIPANT_FIELDS = 'username profilePicture specialty medicalId role'
+
+const populateConversation = (query) =>
+  query
+    .populate('patient', CONVERSATION_PARTICIPANT_FIELDS)
+    .populate('doctor', CONVERSATION_PARTICIPANT_FIELDS)
+    .populate('appointmentRequest', 'status scheduledDate scheduledTime preferredDate preferredTime')
+
+// A conversation as seen by one participant
+const forUser = (conversation, userId) => ({
+  ...conversation.toObject(),
+  unreadCount: conversation.unread[conversation.partyOf(userId)] || 0,
+})
+
+// List the caller's conversations, most recently active first
+exports.getConversations = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100)
+    const filter = { $or: [{ patient: req.userId }, { doctor: req.userId }] }
+
+    const [conversations, total] = await Promise.all([
+      populateConversation(
+        Conversation.find(filter)
+          .sort({ updatedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+      ),
+      Conversation.countDocuments(filter)
+    ])
+
+    res.status(200).json({
+      conversations: conversations.map((c) => forUser(c, req.userId)),
+      total,
+      page,
+      limit
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching conversations', error: error.message })
+  }
+}
+
+// Open the thread for an appointment request, or the general thread with
+// another user. Returns the existing thread if there already is one.
+exports.startConversation = async (req, res) => {
+  try {
+    const { appointmentRequestId, participantId } = req.body
+    const user = await loadCurrentUser(req)
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' })
+    }
+    if (!['patient', 'doctor'].includes(user.role)) {
+      return res.status(403).json({ message: 'Only patients and doctors can start conversations' })
+    }
+
+    let conversation
+    if (appointmentRequestId) {
+      const request = mongoose.isValidObjectId(appointmentRequestId)
+        ? await AppointmentRequest.findById(appointmentRequestId)
+        : null
+      if (!request) {
+        return res.status(404).json({ message: 'Appointment request not found' })
+      }
+      if (![request.patientMedicalId, request.doctorMedicalId].includes(user.medicalId)) {
+        return res.status(403).json({ message: 'You can only message about your own appointments' })
+      }
+      conversation = await conversationForRequest(request)
+      if (!conversation) {
+        return res.status(404).json({ message: 'The other participant no longer has an account' })
+      }
+    } else {
+      // Only active accounts, and only doctors patients could also book
+      const reachable = { $or: [{ role: { $ne: 'doctor' }, ...User.ACTIVE }, User.BOOKABLE_DOCTOR] }
+      const other = mongoose.isValidObjectId(participantId)
+        ? await User.findOne({ _id: participantId, ...reachable })
+        : null
+      if (!other) {
+        return res.status(404).json({ message: 'User not found' })
+      }
+      const roles = [user.role, other.role].sort().join(',')
+      if (roles !== 'doctor,patient') {
+        return res.status(400).json({ message: 'Conversations are between a patient and a doctor' })
+      }
+      const [patient, doctor] = user.role === 'patient' ? [user, other] : [other, user]
+      conversation = await findOrCreateConversation({ patient: patient._id, doctor: doctor._id })
+    }
+
+    const populated = await populateConversation(Conversation.findById(conversation._id))
+    res.status(200).json({ conversation: forUser(populated, req.userId) })
+  } catch (error) {
+    res.status(500).json({ message: 'Error starting conversation', error: error.message })
+  }
+}
+
+// Page back through a thread. Returns up to `limit` messages older than the
+// `before` message ID, oldest first.
+exports.getMessages = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 30, 1), 100)
+    const filter = { conversation: req.conversation._id }
+    if (req.query.before) {
+      if (!mongoose.isValidObjectId(req.query.before)) {
+        return res.status(400).json({ message: 'Invalid message cursor' })
+      }
+      filter._id = { $lt: req.query.before }
+    }
+
+    const page = await Message.find(filter).sort({ _id: -1 }).limit(limit + 1)
+    const hasMore = page.length > limit
+    const messages = page.slice(0, limit).reverse()
+
+    res.status(200).json({ messages, hasMore })
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching messages', error: error.message })
+  }
+}
+
+// Accepts JSON or multipart form data with up to five `attachments`
+exports.sendMessage = [
+  (req, res, next) => {
+    upload.array('attachments', MAX_ATTACHMENTS)(req, res, (err) => {
+      if (err) {
+        const message = err.code === 'LIMIT_FILE_SIZE'
+          ? 'Attachments can be at most 10 MB'
+          : err.message
+        return res.status(400).json({ message })
+      }
+      next()
+    })
+  },
+  async (req, res) => {
+    try {
+      const sender = await loadCurrentUser(req)
+      if (!sender) {
+        await removeFiles(req.files)
+        return res.status(401).json({ message: 'User not found' })
+      }
+
+      const attachments = (req.files || []).map((file) => ({
+        filename: file.filename,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+      }))
+
+      const message = await postMessage({
+        conversation: req.conversation,
+        sender,
+        body: typeof req.body.body === 'string' ? req.body.body : '',
+        attachments,
+      })
+
+      res.status(201).json({ message })
+    } catch (error) {
+      await removeFiles(req.files)
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: error.message })
+      }
+      res.status(500).json({ message: 'Error sending message', error: error.message })
+    }
+  },
+]
+
+exports.markAsRead = async (req, res) => {
+  try {
+    const result = await markConversationRead(req.conversation, req.userId)
+    res.status(200).json(result)
+  } catch (error) {
+    res.status(500).json({ message: 'Error marking conversation read', error: error.message })
+  }
+}
+
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const { messageId, attachmentId } = req.params
+    const message = mongoose.isValidObjectId(messageId)
+      ? await Message.findOne({ _id: messageId, conversation: req.conversation._id })
+      : null
+    const attachment = message?.attachments.id(attachmentId)
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' })
+    }
+
+    res.type(attachment.mimeType)
+    res.download(path.join(ATTACHMENT_DIR, attachment.filename), attachment.originalName)
+  } catch (error) {
+    res.status(500).json({ message: 'Error downloading attachment', error: error.message })
+  }
+}
@@ -0,0 +1,178 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const multer = require('multer')
+const mongoose = require('mongoose')
+const User = require('../models/userModel')
+const { auditDetails } = require('../middleware/activityLogMiddleware')
+const {
+  CREDENTIAL_DIR,
+  readSubmission,
+  submitCredentials,
+  removeDocument,
+  reviewCredentials,
+  findCredentialQueue,
+} = require('../services/doctorCredentialService')
+
+const MAX_DOCUMENTS = 5
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024
+const ALLOWED_DOCUMENT_TYPES = ['image/jpeg', 'image/png', 'application/pdf']
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(CREDENTIAL_DIR, { recursive: true }, (err) => cb(err, CREDENTIAL_DIR))
+    },
+    // Random names so a file can't be found by guessing
+    filename: (req, file, cb) => {
+      cb(null, `${crypto.randomBytes(16).toString('hex')}${path.extname(file.originalname)}`)
+    },
+  }),
+  limits: { fileSize: MAX_DOCUMENT_BYTES, files: MAX_DOCUMENTS },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_DOCUMENT_TYPES.includes(file.mimetype)) {
+      return cb(new Error('Documents must be PDFs or JPEG or PNG images'))
+    }
+    cb(null, true)
+  },
+})
+
+const removeFiles = (files = []) =>
+  Promise.all(files.map((file) => fs.promises.unlink(file.path).catch(() => {})))
+
+const findDoctor = (userId) =>
+  mongoose.isValidObjectId(userId) ? User.findOne({ _id: userId, role: 'doctor' }) : null
+
+// The signed-in doctor's credentials and where their review stands
+exports.getMyCredentials = async (req, res) => {
+  try {
+    const user = await findDoctor(req.userId)
+    if (!user) {
+      return res.status(404).json({ message: 'Doctor not found' })
+    }
+    res.status(200).json(user.credentials)
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// Multipart form with licenseNumber, issuingAuthority, qualifications and up
+// to five `documents`. Replaces the details, adds the documents and sends
+// the submission for review.
+exports.submitCredentials = [
+  (req, res, next) => {
+    upload.array('documents', MAX_DOCUMENTS)(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({ message: err.message })
+      }
+      next()
+    })
+  },
+  async (req, res) => {
+    try {
+      const { fields, error } = readSubmission(req.body)
+      if (error) {
+        await removeFiles(req.files)
+        return res.status(400).json({ message: error })
+      }
+
+      const user = await findDoctor(req.userId)
+      if (!user) {
+        await removeFiles(req.files)
+        return res.status(404).json({ message: 'Doctor not found' })
+      }
+
+      const previousStatus = user.credentials.status
+      const result = await submitCredentials(user, fields, req.files)
+      if (result.error) {
+        await removeFiles(req.files)
+        return res.status(400).json({ message: result.error })
+      }
+      auditDetails(res, {
+        summary: `Submitted credentials (license ${fields.licenseNumber})`,
+        changes: {
+          before: { status: previousStatus },
+          after: { status: 'pending', documents: user.credentials.documents.length },
+        },
+      })
+      res.status(200).json(user.credentials)
+    } catch (error) {
+      await removeFiles(req.files)
+      res.status(500).json({ message: 'Internal server error', error: error.message })
+    }
+  },
+]
+
+exports.deleteCredentialDocument = async (req, res) => {
+  try {
+    const user = await findDoctor(req.userId)
+    if (!user) {
+      return res.status(404).json({ message: 'Doctor not found' })
+    }
+
+    const document = user.credentials.documents.id(req.params.documentId)
+    const result = await removeDocument(user, req.params.documentId)
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error })
+    }
+    auditDetails(res, { summary: `Removed credential document ${document.originalName}` })
+    res.status(200).json(user.credentials)
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// Serves a document to its doctor, or to an admin via the :userId route
+exports.downloadCredentialDocument = async (req, res) => {
+  try {
+    const user = await findDoctor(req.params.userId || req.userId)
+    const document = user?.credentials.documents.id(req.params.documentId)
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' })
+    }
+    res.type(document.mimeType)
+    res.download(path.join(CREDENTIAL_DIR, document.filename), document.originalName)
+  } catch (error) {
+    res.status(500).json({ message: 'Error downloading document', error: error.message })
+  }
+}
+
+// Admin review queue. Filters: status, search; paged with page and limit.
+exports.getCredentialQueue = async (req, res) => {
+  try {
+    const result = await findCredentialQueue(req.query)
+    if (result.error) {
+      return res.status(400).json({ message: result.error })
+    }
+    res.status(200).json(result)
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// Approve or reject a doctor's credentials: { status, notes }
+exports.reviewCredentials = async (req, res) => {
+  const { userId } = req.params
+  const { status, notes } = req.body
+  try {
+    const user = await findDoctor(userId)
+    if (!user) {
+      return res.status(404).json({ message: 'Doctor not found' })
+    }
+
+    const result = await reviewCredentials(user, { status, notes, reviewedBy: req.userId })
+    if (result.error) {
+      return res.status(400).json({ message: result.error })
+    }
+    auditDetails(res, {
+      summary: `${status === 'verified' ? 'Verified' : 'Rejected'} credentials of Dr. ${user.username}`,
+      changes: {
+        before: { status: result.previousStatus },
+        after: { status, notes: user.credentials.reviewNotes },
+      },
+    })
+    res.status(200).json(user)
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
@@ -1,40 +1,102 @@
+const mongoose = require('mongoose')
 const Doctor = require('../models/doctorModel')
 const User = require('../models/userModel')
+const { queueSlotsFreed } = require('../services/availabilityService')
+const { DEFAULT_TIME_ZONE } = require('../services/timeZoneService')
+const { broadcastAvailabilityUpdate } = require('../socket')
 
+// Replace the doctor's clinic time zone, weekly template, date overrides,
+// appointment types and/or practice locations. Appointments already booked
+// keep the zone they were booked in.
 exports.updateAvailability = async (req, res) => {
-  const { doctorId, date, slots } = req.body
+  const {
+    doctorMedicalId,
+    slotDuration,
+    timeZone,
+    weeklyAvailability,
+    dateOverrides,
+    appointmentTypes,
+    locations,
+  } = req.body
 
   try {
-    const doctor = await Doctor.findById(doctorId)
-    if (!doctor) {
+    const user = await User.findOne({ medicalId: doctorMedicalId, role: 'doctor' })
+    if (!user) {
       return res.status(404).json({ message: 'Doctor not found' })
     }
 
-    let availability = doctor.availability.find(
-      (a) => a.date.toISOString().split('T')[0] === date,
-    )
-    if (availability) {
-      // Update existing availability
-      availability.slots = slots
-    } else {
-      // Add new availability
-      doctor.availability.push({ date, slots })
+    let schedule = await Doctor.findOne({ medicalId: doctorMedicalId })
+    if (!schedule) {
+      schedule = new Doctor({ medicalId: doctorMedicalId, user: user._id })
     }
 
-    await doctor.save()
+    if (slotDuration !== undefined) schedule.slotDuration = slotDuration
+    if (timeZone) schedule.timeZone = timeZone
+    if (weeklyAvailability) schedule.weeklyAvailability = weeklyAvailability
+    if (dateOverrides) schedule.dateOverrides = dateOverrides
+    if (appointmentTypes) schedule.appointmentTypes = appointmentTypes
+    if (locations) schedule.locations = locations
+
+    await schedule.save()
+
+    broadcastAvailabilityUpdate({ doctorMedicalId })
+    // New hours may suit someone on the doctor's waitlist
+    await queueSlotsFreed(doctorMedicalId)
+
     res
       .status(200)
-      .json({ message: 'Availability updated successfully', doctor })
+      .json({ message: 'Availability updated successfully', schedule })
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Internal server error', error })
+  }
+}
+
+// Get a doctor's weekly template and date overrides
+exports.getAvailability = async (req, res) => {
+  const { doctorMedicalId } = req.params
+
+  try {
+    const schedule = await Doctor.findOne({ medicalId: doctorMedicalId })
+
+    res.status(200).json({
+      schedule: schedule || {
+        medicalId: doctorMedicalId,
+        slotDuration: 30,
+        timeZone: DEFAULT_TIME_ZONE,
+        weeklyAvailability: [],
+        dateOverrides: [],
+        appointmentTypes: [],
+        locations: [],
+      },
+    })
   } catch (error) {
     res.status(500).json({ message: 'Internal server error', error })
   }
 }
 
+// Active practice locations of each doctor, keyed by medicalId
+const practiceLocations = async (medicalIds) => {
+  const schedules = await Doctor.find({ medicalId: { $in: medicalIds } }).select('medicalId locations')
+  return new Map(
+    schedules.map((schedule) => [
+      schedule.medicalId,
+      schedule.activeLocations().map(({ _id, name, address, city }) => ({ _id, name, address, city })),
+    ])
+  )
+}
+
 exports.searchDoctors = async (req, res) => {
-  const { name, specialty, location } = req.query
+  const { name, specialty, city, locationId } = req.query
+
+  if (locationId && !mongoose.isValidObjectId(locationId)) {
+    return res.status(400).json({ message: 'Invalid location' })
+  }
 
   try {
-    let query = { role: 'doctor' }
+    let query = { ...User.BOOKABLE_DOCTOR }
 
     // Case-insensitive name search across username, firstName, and lastName
     if (name) {
@@ -50,18 +112,54 @@ exports.searchDoctors = async (req, res) => {
       query.specialty = { $regex: specialty, $options: 'i' };
     }
 
-    // Case-insensitive location search
-    if (location) {
-      query.location = { $regex: location, $options: 'i' };
+    // Doctors practising at a location, or anywhere in a city
+    if (city || locationId) {
+      const schedules = await Doctor.find({
+        locations: {
+          $elemMatch: {
+            active: true,
+            ...(city && { city }),
+            ...(locationId && { _id: locationId }),
+          },
+        },
+      })
+        .collation({ locale: 'en', strength: 2 })
+        .select('medicalId')
+      query.medicalId = { $in: schedules.map((schedule) => schedule.medicalId) }
     }
 
     const doctors = await User.find(query)
       .select('username firstName lastName email specialty location medicalId profilePicture') // Include all necessary fields
       .sort({ firstName: 1, lastName: 1 }); // Sort by name
 
-    res.status(200).json(doctors)
+    const locations = await practiceLocations(doctors.map((doctor) => doctor.medicalId))
+    res.status(200).json(
+      doctors.map((doctor) => ({
+        ...doctor.toObject(),
+        locations: locations.get(doctor.medicalId) || [],
+      }))
+    )
   } catch (error) {
     console.error('Error searching doctors:', error);
     res.status(500).json({ message: 'Internal server error', error })
   }
 }
+
+// Cities with at least one practice location of a bookable doctor, for the
+// search filter
+exports.getPracticeCities = async (req, res) => {
+  try {
+    const doctors = await User.find(User.BOOKABLE_DOCTOR).select('medicalId')
+    const cities = await Doctor.aggregate([
+      { $match: { medicalId: { $in: doctors.map((doctor) => doctor.medicalId) } } },
+      { $unwind: '$locations' },
+      { $match: { 'locations.active': true } },
+      { $group: { _id: { $toLower: '$locations.city' }, city: { $first: '$locations.city' } } },
+      { $sort: { _id: 1 } },
+    ])
+
+    res.status(200).json({ cities: cities.map((entry) => entry.city) })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error })
+  }
+}
@@ -1,6 +1,8 @@
 const Feedback = require('../models/feedbackModel')
 const User = require('../models/userModel')
 const AppointmentRequest = require('../models/appointmentRequestModel')
+const { createNotification } = require('../services/notificationService')
+const { auditDetails } = require('../middleware/activityLogMiddleware')
 
 // Create new feedback
 exports.createFeedback = async (req, res) => {
@@ -60,6 +62,20 @@ exports.createFeedback = async (req, res) => {
     })
 
     await feedback.save()
+    auditDetails(res, { entityId: feedback._id })
+
+    try {
+      await createNotification({
+        userId: doctor._id,
+        type: 'feedback_received',
+        title: 'New feedback received',
+        message: `${feedback.isAnonymous ? 'A patient' : feedback.patientName} rated you ${feedback.rating}/5`,
+        link: '/doctor/feedback',
+        data: { feedbackId: feedback._id }
+      })
+    } catch (notificationError) {
+      console.error('Error creating notification:', notificationError)
+    }
 
     res.status(201).json({
       message: 'Feedback submitted successfully',
@@ -194,6 +210,13 @@ exports.deleteFeedback = async (req, res) => {
     }
 
     await Feedback.findByIdAndDelete(feedbackId)
+    auditDetails(res, {
+      summary: `Deleted feedback for doctor ${feedback.doctorMedicalId}`,
+      changes: {
+        before: { rating: feedback.rating, comment: feedback.comment },
+        after: null,
+      },
+    })
 
     res.status(200).json({ message: 'Feedback deleted successfully' })
   } catch (error) {
@@ -0,0 +1,113 @@
+const process = require('process')
+const Invitation = require('../models/invitationModel')
+const User = require('../models/userModel')
+const { auditDetails } = require('../middleware/activityLogMiddleware')
+const { sendInvitationEmail } = require('../services/emailService')
+
+const MAX_TTL_HOURS = 14 * 24
+
+const inviteLink = (token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}/signup?invite=${token}`
+
+exports.createInvitation = async (req, res) => {
+  const { email, role, ttlHours } = req.body
+  try {
+    if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
+      return res.status(400).json({ message: 'A valid email is required' })
+    }
+    if (!Invitation.INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        message: `Role must be one of: ${Invitation.INVITABLE_ROLES.join(', ')}`,
+      })
+    }
+    const hours = ttlHours === undefined ? undefined : Number(ttlHours)
+    if (hours !== undefined && !(hours > 0 && hours <= MAX_TTL_HOURS)) {
+      return res.status(400).json({
+        message: `ttlHours must be between 1 and ${MAX_TTL_HOURS}`,
+      })
+    }
+
+    const existing = await User.exists({ email: email.trim() }).collation({
+      locale: 'en',
+      strength: 2,
+    })
+    if (existing) {
+      return res.status(409).json({ message: 'A user with this email already exists' })
+    }
+
+    const { invitation, token } = await Invitation.issue({
+      email,
+      role,
+      invitedBy: req.userId,
+      ttlHours: hours,
+    })
+
+    const admin = await User.findById(req.userId)
+    const result = await sendInvitationEmail(
+      invitation.email,
+      role,
+      inviteLink(token),
+      invitation.expiresAt,
+      admin?.username
+    )
+
+    auditDetails(res, {
+      entityId: invitation._id,
+      summary: `Invited ${invitation.email} as ${role}`,
+    })
+
+    res.status(201).json({ invitation, emailSent: result.success })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error })
+  }
+}
+
+exports.getInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find()
+      .populate('invitedBy', 'username')
+      .populate('usedBy', 'username')
+      .sort({ createdAt: -1 })
+    res.status(200).json(invitations)
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error })
+  }
+}
+
+exports.revokeInvitation = async (req, res) => {
+  const { invitationId } = req.params
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: invitationId, usedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    )
+    if (!invitation) {
+      return res.status(404).json({ message: 'No pending invitation found' })
+    }
+
+    auditDetails(res, {
+      summary: `Revoked the ${invitation.role} invitation for ${invitation.email}`,
+    })
+    res.status(200).json(invitation)
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error })
+  }
+}
+
+// Public: lets the signup page pre-fill the invited email and role
+exports.getInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findUsable(req.params.token)
+    if (!invitation) {
+      return res.status(404).json({ message: 'This invitation is invalid or has expired' })
+    }
+    res.status(200).json({
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error })
+  }
+}
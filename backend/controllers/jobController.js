@@ -0,0 +1,79 @@
+const mongoose = require('mongoose')
+const Job = require('../models/jobModel')
+const { scheduler } = require('../services/jobScheduler')
+
+// List queued jobs, newest run time first, optionally filtered by status and type
+exports.getJobs = async (req, res) => {
+  try {
+    const { status, type } = req.query
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100)
+
+    if (status && !Job.STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Invalid status: ${status}` })
+    }
+
+    const filter = {}
+    if (status) filter.status = status
+    if (type) filter.type = type
+
+    const [jobs, total, counts] = await Promise.all([
+      Job.find(filter)
+        .sort({ runAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Job.countDocuments(filter),
+      Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ])
+
+    res.status(200).json({
+      jobs,
+      total,
+      page,
+      limit,
+      counts: Object.fromEntries(counts.map(({ _id, count }) => [_id, count]))
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching jobs', error: error.message })
+  }
+}
+
+exports.getJob = async (req, res) => {
+  try {
+    const { jobId } = req.params
+    const job = mongoose.isValidObjectId(jobId) ? await Job.findById(jobId) : null
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' })
+    }
+    res.status(200).json({ job })
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching job', error: error.message })
+  }
+}
+
+// Requeue a failed or cancelled job to run now
+exports.retryJob = async (req, res) => {
+  try {
+    const { jobId } = req.params
+    const job = mongoose.isValidObjectId(jobId) ? await scheduler.retryJob(jobId) : null
+    if (!job) {
+      return res.status(404).json({ message: 'No failed or cancelled job with this ID' })
+    }
+    res.status(200).json({ message: 'Job queued for retry', job })
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrying job', error: error.message })
+  }
+}
+
+exports.cancelJob = async (req, res) => {
+  try {
+    const { jobId } = req.params
+    const job = mongoose.isValidObjectId(jobId) ? await scheduler.cancelJob(jobId) : null
+    if (!job) {
+      return res.status(404).json({ message: 'No pending job with this ID' })
+    }
+    res.status(200).json({ message: 'Job cancelled', job })
+  } catch (error) {
+    res.status(500).json({ message: 'Error cancelling job', error: error.message })
+  }
+}
@@ -1,3 +1,70 @@
+const Notification = require('../models/notificationModel')
 
-const Appointment = require('../models/appointmentModel')
-const { sendNotification } = require('../services/notificationService')
+// List the caller's notifications, newest first, with their unread count
+exports.getNotifications = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100)
+    const filter = { user: req.userId }
+    if (req.query.unread === 'true') filter.read = false
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.userId, read: false })
+    ])
+
+    res.status(200).json({ notifications, total, unreadCount, page, limit })
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching notifications', error: error.message })
+  }
+}
+
+exports.markAsRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, user: req.userId },
+      { read: true, readAt: new Date() },
+      { new: true }
+    )
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' })
+    }
+    res.status(200).json({ notification })
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating notification', error: error.message })
+  }
+}
+
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.userId, read: false },
+      { read: true, readAt: new Date() }
+    )
+    res.status(200).json({
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating notifications', error: error.message })
+  }
+}
+
+exports.deleteNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.notificationId,
+      user: req.userId
+    })
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' })
+    }
+    res.status(200).json({ message: 'Notification deleted successfully' })
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting notification', error: error.message })
+  }
+}
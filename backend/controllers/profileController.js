@@ -1,6 +1,10 @@
 const User = require('../models/userModel')
 const multer = require('multer')
 const path = require('path')
+const { auditDetails } = require('../middleware/activityLogMiddleware')
+const { diffChanges } = require('../services/activityLogService')
+const { requestDeletion } = require('../services/accountDeletionService')
+const { isValidTimeZone } = require('../services/timeZoneService')
 
 // Set up multer for file uploads
 const storage = multer.diskStorage({
@@ -31,8 +35,12 @@ exports.uploadProfilePicture = [
           .json({ message: 'Profile picture file is required' })
       }
 
+      const before = user.profilePicture
       user.profilePicture = `${req.protocol}://${req.get('host')}/uploads/${req.file.filename}`
       await user.save()
+      auditDetails(res, {
+        changes: diffChanges({ profilePicture: before }, user, ['profilePicture']),
+      })
 
       res
         .status(200)
@@ -47,7 +55,7 @@ exports.uploadProfilePicture = [
 
 // Controller to update user profile
 exports.updateProfile = async (req, res) => {
-  const { userId, username, email, phoneNumber, medicalId, specialty, location } = req.body
+  const { userId, username, email, phoneNumber, medicalId, specialty, location, timeZone } = req.body
 
   try {
     const user = await User.findById(userId)
@@ -56,10 +64,19 @@ exports.updateProfile = async (req, res) => {
       return res.status(404).json({ message: 'User not found' })
     }
 
+    if (medicalId && medicalId !== user.medicalId) {
+      return res.status(400).json({ message: 'Medical IDs cannot be changed' })
+    }
+
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({ message: 'Unknown time zone' })
+    }
+
+    const before = user.toObject()
     user.username = username || user.username
     user.email = email || user.email
     user.phoneNumber = phoneNumber || user.phoneNumber
-    user.medicalId = medicalId || user.medicalId
+    user.timeZone = timeZone || user.timeZone
 
     // Update doctor-specific fields if user is a doctor
     if (user.role === 'doctor') {
@@ -68,6 +85,16 @@ exports.updateProfile = async (req, res) => {
     }
 
     await user.save()
+    auditDetails(res, {
+      changes: diffChanges(before, user, [
+        'username',
+        'email',
+        'phoneNumber',
+        'timeZone',
+        'specialty',
+        'location',
+      ]),
+    })
 
     res.status(200).json({ message: 'Profile updated successfully', user })
   } catch (error) {
@@ -95,3 +122,41 @@ exports.getProfile = async (req, res) => {
       .json({ message: 'Internal server error', error: error.message })
   }
 }
+
+// Patients can close their own account after confirming their password.
+// It can be restored by an admin until the grace period runs out.
+exports.deleteOwnAccount = async (req, res) => {
+  const { password, reason } = req.body
+
+  try {
+    const user = await User.findById(req.userId)
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(400).json({ message: 'Incorrect password' })
+    }
+
+    const { purgeAfter, cancelledAppointments } = await requestDeletion(user, {
+      requestedBy: user._id,
+      reason: String(reason || '').trim() || 'Requested by the account holder',
+    })
+    auditDetails(res, {
+      entityId: String(user._id),
+      summary: 'Requested deletion of own account',
+      changes: { before: null, after: { purgeAfter, cancelledAppointments } },
+    })
+
+    res.status(200).json({
+      message: 'Your account has been deleted',
+      purgeAfter,
+      cancelledAppointments,
+    })
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: 'Internal server error', error: error.message })
+  }
+}
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose')
+const Session = require('../models/sessionModel')
+const { getActiveSessions, revokeSession } = require('../services/sessionService')
+
+// The caller's signed-in devices, flagging the one making the request
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.userId)
+    res.status(200).json(
+      sessions.map((session) => ({
+        ...session.toJSON(),
+        current: String(session._id) === String(req.sessionId),
+      })),
+    )
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+exports.revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params
+    const session = mongoose.isValidObjectId(sessionId)
+      ? await Session.findOne({ _id: sessionId, user: req.userId, revokedAt: null })
+      : null
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' })
+    }
+
+    await revokeSession(session, 'revoked')
+    res.status(200).json({ message: 'Session revoked' })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// Sign out every device except the one making the request
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.userId)
+    const others = sessions.filter(
+      (session) => String(session._id) !== String(req.sessionId),
+    )
+    await Promise.all(others.map((session) => revokeSession(session, 'revoked')))
+    res.status(200).json({ message: 'Other sessions revoked', count: others.length })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
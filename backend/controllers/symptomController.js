@@ -2,21 +2,25 @@ const { queryNLPService } = require('../services/nlpService')
 
 exports.checkSymptoms = async (req, res) => {
   const { symptoms } = req.body
+  if (typeof symptoms !== 'string' || !symptoms.trim()) {
+    return res.status(400).json({ error: 'Please describe your symptoms' })
+  }
+
   try {
     const result = await queryNLPService(symptoms)
-    console.log('NLP Service result:', result);
-    
-    const response = { 
-      message: result.formattedMessage || result.message || result,
-      severityScore: result.severityScore || 0,
-      urgency: result.urgency || 'Routine',
-      recommendedAction: result.recommendedAction || ''
-    };
-    
-    console.log('Sending response:', response);
-    res.status(200).json(response);
+
+    res.status(200).json({
+      message: result.formattedMessage,
+      severityScore: result.severityScore,
+      urgency: result.urgency,
+      recommendedAction: result.recommendedAction,
+      summary: result.summary,
+      // Which analyzer produced this, and whether it was the rule-engine fallback
+      provider: result.provider,
+      fallback: result.fallback
+    })
   } catch (error) {
-    console.error('Error in symptom check:', error);
+    console.error('Error in symptom check:', error)
     res.status(500).json({ error: error.message })
   }
 }
@@ -0,0 +1,155 @@
+const User = require('../models/userModel')
+const { auditDetails } = require('../middleware/activityLogMiddleware')
+const twoFactor = require('../services/twoFactorService')
+
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await twoFactor.loadUser(req.userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    res.status(200).json(await twoFactor.getStatus(user))
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// Returns the secret and otpauth:// URI to show as a QR code
+exports.startTwoFactorSetup = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    if (!twoFactor.TWO_FACTOR_ROLES.includes(user.role)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is available to doctors and admins',
+      })
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already on' })
+    }
+    res.status(200).json(await twoFactor.startEnrollment(user))
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = await twoFactor.loadUser(req.userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already on' })
+    }
+    const recoveryCodes = await twoFactor.completeEnrollment(user, req.body.code)
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code' })
+    }
+    res.status(200).json({ recoveryCodes })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// Replaces every recovery code; needs a current code from the app
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await twoFactor.loadUser(req.userId)
+    if (!user?.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is off' })
+    }
+    if (!(await twoFactor.verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({ message: 'Invalid authentication code' })
+    }
+    res.status(200).json({ recoveryCodes: await twoFactor.regenerateRecoveryCodes(user) })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// Turning 2FA off takes the password and a code, and isn't allowed when an
+// admin has made it mandatory for the user's role
+exports.disableTwoFactor = async (req, res) => {
+  const { password, code, recoveryCode } = req.body
+  try {
+    const user = await twoFactor.loadUser(req.userId)
+    if (!user?.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is off' })
+    }
+    if (await twoFactor.isRequiredFor(user.role)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required for your role',
+      })
+    }
+    if (!(await user.comparePassword(password || ''))) {
+      return res.status(401).json({ message: 'Incorrect password' })
+    }
+    if (!(await twoFactor.verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ message: 'Invalid authentication code' })
+    }
+
+    await twoFactor.disable(user._id)
+    res.status(200).json({ message: 'Two-factor authentication turned off' })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+exports.getTwoFactorPolicy = async (req, res) => {
+  try {
+    res.status(200).json({
+      requiredRoles: await twoFactor.getRequiredRoles(),
+      availableRoles: twoFactor.TWO_FACTOR_ROLES,
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error })
+  }
+}
+
+// Users in a required role who haven't enrolled are asked to at next login
+exports.updateTwoFactorPolicy = async (req, res) => {
+  const { requiredRoles } = req.body
+  try {
+    if (
+      !Array.isArray(requiredRoles) ||
+      requiredRoles.some((role) => !twoFactor.TWO_FACTOR_ROLES.includes(role))
+    ) {
+      return res.status(400).json({
+        message: `requiredRoles must be a list of: ${twoFactor.TWO_FACTOR_ROLES.join(', ')}`,
+      })
+    }
+    const roles = [...new Set(requiredRoles)]
+    const previousRoles = await twoFactor.getRequiredRoles()
+    await twoFactor.setRequiredRoles(roles, req.userId)
+
+    auditDetails(res, {
+      summary: roles.length
+        ? `Required two-factor authentication for ${roles.join(', ')}`
+        : 'Made two-factor authentication optional for all roles',
+      changes: { before: { requiredRoles: previousRoles }, after: { requiredRoles: roles } },
+    })
+    res.status(200).json({ requiredRoles: roles, availableRoles: twoFactor.TWO_FACTOR_ROLES })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error })
+  }
+}
+
+// For a user who lost both their device and recovery codes
+exports.resetUserTwoFactor = async (req, res) => {
+  const { userId } = req.params
+  try {
+    const user = await User.findById(userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    await twoFactor.disable(user._id)
+
+    auditDetails(res, { summary: `Reset two-factor authentication for ${user.username}` })
+    res.status(200).json({ message: 'Two-factor authentication reset' })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error })
+  }
+}
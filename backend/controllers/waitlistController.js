@@ -0,0 +1,71 @@
+const WaitlistEntry = require('../models/waitlistEntryModel')
+const User = require('../models/userModel')
+const { loadCurrentUser } = require('../middleware/authMiddleware')
+const { auditDetails } = require('../middleware/activityLogMiddleware')
+const {
+  readWaitlistRequest,
+  joinWaitlist,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist,
+} = require('../services/waitlistService')
+
+// Join a doctor's waitlist with a date range and times of day
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const { fields, error } = readWaitlistRequest(req.body)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const patient = await loadCurrentUser(req)
+    const doctor = await User.findOne({ medicalId: req.body.doctorMedicalId, ...User.BOOKABLE_DOCTOR })
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' })
+    }
+
+    const result = await joinWaitlist(patient, doctor, fields)
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error })
+    }
+
+    auditDetails(res, { entityId: result.entry._id })
+    res.status(201).json({ message: "You're on the waitlist", entry: result.entry })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// The caller's waitlist entries, newest first
+exports.getMyWaitlist = async (req, res) => {
+  try {
+    const patient = await loadCurrentUser(req)
+    const entries = await WaitlistEntry.find({ patientMedicalId: patient.medicalId })
+      .sort({ createdAt: -1 })
+      .limit(50)
+
+    res.status(200).json({ entries })
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+const respond = (action) => async (req, res) => {
+  try {
+    const result = await action(req.waitlistEntry)
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error })
+    }
+
+    res.status(200).json(result)
+  } catch (error) {
+    res.status(500).json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// Accepting sends the held slot to the doctor as an appointment request
+exports.acceptOffer = respond(acceptOffer)
+
+exports.declineOffer = respond(declineOffer)
+
+exports.leaveWaitlist = respond(leaveWaitlist)
@@ -1,17 +1,43 @@
-const ActivityLog = require('../models/activityLogModel')
+const { recordActivity } = require('../services/activityLogService')
 
-exports.logActivity = (activity) => {
-  return async (req, res, next) => {
-    try {
-      const log = new ActivityLog({
+// Look a field up in the route params, then the body
+const readField = (req, field) => req.params?.[field] ?? req.body?.[field]
+
+// Audit the request once the response has been sent, e.g.
+//   logActivity('user.delete', { entityType: 'user', entityId: 'userId' })
+// `entityId` names a route param or body field, or is a function of req.
+// Controllers add the record's id, a summary and a before/after diff with
+// auditDetails(res, ...). Responses of 400 and above are recorded as failures.
+exports.logActivity = (action, { entityType, entityId } = {}) => {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      if (!req.userId) return
+      const details = res.locals?.audit || {}
+      const id =
+        details.entityId ??
+        (typeof entityId === 'function' ? entityId(req) : entityId && readField(req, entityId))
+
+      recordActivity({
         userId: req.userId,
-        activity,
+        actorRole: req.userRole,
+        action,
+        entityType: details.entityType || entityType,
+        entityId: id === undefined || id === null ? undefined : String(id),
+        activity: details.summary || action,
+        changes: details.changes || undefined,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        outcome: res.statusCode >= 400 ? 'failure' : 'success',
+        ip: req.ip,
+        userAgent: req.get?.('user-agent'),
       })
-      await log.save()
-    } catch (error) {
-      console.error('Error logging activity:', error)
-    }
+    })
     next()
   }
 }
 
+// Describe what the request did for its audit entry
+exports.auditDetails = (res, details) => {
+  res.locals.audit = { ...res.locals.audit, ...details }
+}
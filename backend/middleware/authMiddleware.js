@@ -1,6 +1,13 @@
 require('dotenv').config()
 const process = require('process')
 const jwt = require('jsonwebtoken')
+const User = require('../models/userModel')
+const AppointmentRequest = require('../models/appointmentRequestModel')
+const Conversation = require('../models/conversationModel')
+const WaitlistEntry = require('../models/waitlistEntryModel')
+const Session = require('../models/sessionModel')
+const mongoose = require('mongoose')
+const { isValidMedicalId } = require('../services/medicalIdService')
 
 exports.verifyToken = (req, res, next) => {
   const authHeader = req.headers['authorization']
@@ -10,10 +17,24 @@ exports.verifyToken = (req, res, next) => {
   
   if (!token) return res.status(403).send('No token provided.')
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(500).send('Failed to authenticate token.')
+  jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
+    // 401 lets the frontend interceptor attempt a token refresh
+    if (err) return res.status(401).send('Failed to authenticate token.')
+
+    // Tokens from a signed-out or revoked session stop working straight away
+    try {
+      if (decoded.sid && !(await Session.isActiveId(decoded.sid))) {
+        return res.status(401).send('Session has ended.')
+      }
+    } catch (error) {
+      return res
+        .status(500)
+        .json({ message: 'Internal server error', error: error.message })
+    }
+
     req.userId = decoded.id
     req.userRole = decoded.role
+    req.sessionId = decoded.sid || null
     next()
   })
 }
@@ -36,3 +57,202 @@ exports.isPatient = (req, res, next) => {
   next()
 }
 
+// Allow any of the given roles, e.g. hasRole('doctor', 'admin')
+exports.hasRole = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.userRole))
+      return res.status(403).send(`${roles.join(' or ')} role required.`)
+    next()
+  }
+}
+
+// Load the authenticated user once per request (JWT only carries id and role)
+const loadCurrentUser = async (req) => {
+  if (!req.user) {
+    req.user = await User.findById(req.userId)
+  }
+  return req.user
+}
+
+exports.loadCurrentUser = loadCurrentUser
+
+// Every value given for a field in the route params, query string and body.
+// Handlers read different sources, so checks must cover all of them.
+const readFields = (req, field) =>
+  [req.params?.[field], req.query?.[field], req.body?.[field]].filter(
+    (value) => value !== undefined
+  )
+
+// Reject malformed medical IDs (bad format or check digit) before they
+// reach a query. Fields that aren't present are left to the handler.
+exports.validMedicalId = (...fields) => {
+  return (req, res, next) => {
+    for (const field of fields) {
+      if (readFields(req, field).some((medicalId) => !isValidMedicalId(medicalId))) {
+        return res.status(400).json({ message: `${field} is not a valid medical ID` })
+      }
+    }
+    next()
+  }
+}
+
+// The caller must own the medical ID named by `field`; admins may access any
+exports.ownsMedicalId = (field) => {
+  return async (req, res, next) => {
+    if (req.userRole === 'admin') return next()
+
+    try {
+      const user = await loadCurrentUser(req)
+      if (!user) {
+        return res.status(401).json({ message: 'User not found' })
+      }
+
+      const medicalIds = readFields(req, field)
+      if (!medicalIds.some(Boolean)) {
+        return res.status(400).json({ message: `${field} is required` })
+      }
+
+      if (medicalIds.some((medicalId) => medicalId !== user.medicalId)) {
+        return res
+          .status(403)
+          .json({ message: 'You can only access your own records' })
+      }
+
+      next()
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: 'Internal server error', error: error.message })
+    }
+  }
+}
+
+// The caller must be the user named by `field` (a User ObjectId); admins may access any
+exports.ownsUserId = (field) => {
+  return (req, res, next) => {
+    if (req.userRole === 'admin') return next()
+
+    const userIds = readFields(req, field)
+    if (!userIds.some(Boolean)) {
+      return res.status(400).json({ message: `${field} is required` })
+    }
+
+    if (userIds.some((userId) => String(userId) !== String(req.userId))) {
+      return res
+        .status(403)
+        .json({ message: 'You can only access your own records' })
+    }
+
+    next()
+  }
+}
+
+// The caller must be the patient or doctor on the appointment request in
+// req.params.requestId; the loaded request is attached as req.appointmentRequest
+exports.ownsAppointmentRequest = async (req, res, next) => {
+  try {
+    const request = await AppointmentRequest.findById(req.params.requestId)
+    if (!request) {
+      return res.status(404).json({ message: 'Appointment request not found' })
+    }
+    req.appointmentRequest = request
+
+    if (req.userRole === 'admin') return next()
+
+    const user = await loadCurrentUser(req)
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' })
+    }
+
+    if (
+      user.medicalId !== request.patientMedicalId &&
+      user.medicalId !== request.doctorMedicalId
+    ) {
+      return res
+        .status(403)
+        .json({ message: 'You can only access your own appointment requests' })
+    }
+
+    next()
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// The caller must be the patient on the waitlist entry in
+// req.params.entryId; the loaded entry is attached as req.waitlistEntry
+exports.ownsWaitlistEntry = async (req, res, next) => {
+  try {
+    const { entryId } = req.params
+    const entry = mongoose.isValidObjectId(entryId)
+      ? await WaitlistEntry.findById(entryId)
+      : null
+    if (!entry) {
+      return res.status(404).json({ message: 'Waitlist entry not found' })
+    }
+
+    const user = await loadCurrentUser(req)
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' })
+    }
+
+    if (user.medicalId !== entry.patientMedicalId) {
+      return res
+        .status(403)
+        .json({ message: 'You can only access your own waitlist entries' })
+    }
+
+    req.waitlistEntry = entry
+    next()
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+// The caller must be one of the two participants of the conversation in
+// req.params.conversationId; the loaded conversation is attached as
+// req.conversation. Messages are private, so admins are not let in either.
+exports.participatesInConversation = async (req, res, next) => {
+  try {
+    const { conversationId } = req.params
+    const conversation = mongoose.isValidObjectId(conversationId)
+      ? await Conversation.findById(conversationId)
+      : null
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' })
+    }
+
+    if (!conversation.partyOf(req.userId)) {
+      return res
+        .status(403)
+        .json({ message: 'You can only access your own conversations' })
+    }
+
+    req.conversation = conversation
+    next()
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: 'Internal server error', error: error.message })
+  }
+}
+
+exports.validateAppointmentId = (req, res, next) => {
+  const { appointmentId } = req.body
+  if (!appointmentId || typeof appointmentId !== 'string') {
+    return res.status(400).json({ message: 'Invalid appointment ID' })
+  }
+  next()
+}
+
+exports.validateUserId = (req, res, next) => {
+  const { userId } = req.query
+  if (!userId || typeof userId !== 'string') {
+    return res.status(400).json({ message: 'Invalid user ID' })
+  }
+  next()
+}
@@ -0,0 +1,139 @@
+const process = require('process')
+const { createMemoryStore } = require('../services/rateLimitStores/memoryStore')
+const { createMongoStore } = require('../services/rateLimitStores/mongoStore')
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }
+
+// Requests allowed per window for each route group and bucket. Each can be
+// overridden with RATE_LIMIT_<GROUP>_<BUCKET>, e.g. RATE_LIMIT_LOGIN_IP=50/15m,
+// or switched off with "off".
+const DEFAULT_LIMITS = {
+  login: { ip: '20/15m', account: '10/15m' },
+  signup: { ip: '5/1h' },
+  // Forgot password and resend verification, which both send email
+  accountEmail: { ip: '5/15m' },
+  // Every symptom check can spend AI provider quota
+  symptoms: { ip: '30/1h', user: '10/1h' },
+}
+
+// "20/15m" -> { max: 20, windowMs: 900000 }; "off" -> null
+const parseLimit = (value) => {
+  if (String(value).trim() === 'off') return null
+  const match = /^(\d+)\s*\/\s*(\d+)\s*([smhd])$/.exec(String(value).trim())
+  if (!match || Number(match[1]) < 1) return undefined
+  return { max: Number(match[1]), windowMs: Number(match[2]) * UNITS[match[3]] }
+}
+
+const envName = (group, bucket) =>
+  `RATE_LIMIT_${group.replace(/[A-Z]/g, (c) => `_${c}`)}_${bucket}`.toUpperCase()
+
+const readRateLimitConfig = (env = process.env) => {
+  const limits = {}
+  for (const [group, buckets] of Object.entries(DEFAULT_LIMITS)) {
+    limits[group] = {}
+    for (const [bucket, fallback] of Object.entries(buckets)) {
+      const configured = env[envName(group, bucket)]
+      const parsed = configured === undefined ? undefined : parseLimit(configured)
+      limits[group][bucket] = parsed === undefined ? parseLimit(fallback) : parsed
+    }
+  }
+  return {
+    store: env.RATE_LIMIT_STORE === 'mongo' ? 'mongo' : 'memory',
+    limits,
+  }
+}
+
+// Express middleware allowing `max` requests per window for each value of
+// `key(req)`. Requests whose key is empty aren't counted. Adds RateLimit-*
+// headers, and Retry-After once the limit is reached.
+const createRateLimiter = ({
+  name,
+  max,
+  windowMs,
+  key,
+  store,
+  clock = { now: () => new Date() },
+  message = 'Too many requests. Please try again later.',
+}) => {
+  const bucketKey = (value) => `${name}:${value}`
+
+  const limiter = async (req, res, next) => {
+    const value = key(req)
+    if (!value) return next()
+
+    let hit
+    try {
+      hit = await store.increment(bucketKey(value), windowMs)
+    } catch (error) {
+      // An unavailable store shouldn't take logins down with it
+      console.error(`Rate limiter ${name} failed:`, error.message)
+      return next()
+    }
+
+    const secondsLeft = Math.max(
+      1,
+      Math.ceil((hit.resetAt.getTime() - new Date(clock.now()).getTime()) / 1000),
+    )
+    res.set('RateLimit-Limit', String(max))
+    res.set('RateLimit-Remaining', String(Math.max(0, max - hit.count)))
+    res.set('RateLimit-Reset', String(secondsLeft))
+
+    if (hit.count > max) {
+      res.set('Retry-After', String(secondsLeft))
+      return res.status(429).json({ message, code: 'rate_limited', retryAfter: secondsLeft })
+    }
+    next()
+  }
+
+  // Clear the count for one key, e.g. when an admin unlocks an account
+  limiter.reset = (value) => store.reset(bucketKey(value))
+  return limiter
+}
+
+const byIp = (req) => req.ip
+const byUser = (req) => req.userId && String(req.userId)
+const byUsername = (req) => String(req.body?.username || '').trim().toLowerCase()
+
+const KEYS = { ip: byIp, user: byUser, account: byUsername }
+
+// One list of middlewares per route group, e.g. rateLimits.login
+const createRateLimits = (config = readRateLimitConfig(), store) => {
+  const sharedStore =
+    store || (config.store === 'mongo' ? createMongoStore() : createMemoryStore())
+  const groups = {}
+  const limiters = {}
+
+  for (const [group, buckets] of Object.entries(config.limits)) {
+    groups[group] = []
+    for (const [bucket, limit] of Object.entries(buckets)) {
+      if (!limit) continue
+      const limiter = createRateLimiter({
+        name: `${group}:${bucket}`,
+        ...limit,
+        key: KEYS[bucket],
+        store: sharedStore,
+      })
+      limiters[`${group}:${bucket}`] = limiter
+      groups[group].push(limiter)
+    }
+  }
+
+  // Let an unlocked user try again straight away
+  groups.resetAccount = async (username) => {
+    const limiter = limiters['login:account']
+    if (limiter) await limiter.reset(String(username).trim().toLowerCase())
+  }
+  return groups
+}
+
+// Shared limits used by the routes
+const rateLimits = createRateLimits()
+
+module.exports = {
+  DEFAULT_LIMITS,
+  parseLimit,
+  readRateLimitConfig,
+  createRateLimiter,
+  createRateLimits,
+  rateLimits,
+}
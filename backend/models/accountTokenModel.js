@@ -0,0 +1,75 @@
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+
+// How long each kind of emailed link stays valid
+const PURPOSES = {
+  email_verification: { ttlMinutes: 24 * 60 },
+  password_reset: { ttlMinutes: 60 },
+}
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex')
+
+// A single-use token sent by email to prove the recipient owns the address.
+// Only the hash is stored; the raw token is in the emailed link.
+const accountTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: Object.keys(PURPOSES), required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+})
+
+accountTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 })
+// Drop tokens a day after they expire
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 })
+
+// Issue a new token, retiring any earlier unused ones for the same purpose
+// so only the latest emailed link works. Returns the raw token.
+accountTokenSchema.statics.issue = async function (userId, purpose) {
+  const { ttlMinutes } = PURPOSES[purpose]
+  const now = new Date()
+  await this.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { $set: { usedAt: now } },
+  )
+
+  const token = crypto.randomBytes(32).toString('hex')
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000),
+  })
+  return token
+}
+
+// Atomically use up a token. Returns the token document, or null if it is
+// unknown, expired, already used or meant for something else.
+accountTokenSchema.statics.consume = function (token, purpose) {
+  const now = new Date()
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { $set: { usedAt: now } },
+    { new: true },
+  )
+}
+
+// When the latest token for a purpose was issued, to throttle resends
+accountTokenSchema.statics.lastIssuedAt = async function (userId, purpose) {
+  const latest = await this.findOne({ user: userId, purpose })
+    .sort({ createdAt: -1 })
+    .select('createdAt')
+  return latest ? latest.createdAt : null
+}
+
+accountTokenSchema.statics.PURPOSES = PURPOSES
+accountTokenSchema.statics.hashToken = hashToken
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema)
@@ -1,9 +1,39 @@
 const mongoose = require('mongoose')
 
+const OUTCOMES = ['success', 'failure']
+
+// One audited request: who did what to which record, and whether it worked.
+// Entries written before the audit trail only have userId, activity and date.
 const activityLogSchema = new mongoose.Schema({
+  // The actor
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  activity: { type: String, required: true },
+  actorRole: String,
+  // e.g. 'user.update' or 'appointment.status_change'
+  action: String,
+  entityType: String,
+  entityId: String,
+  // Human-readable summary
+  activity: String,
+  // Only the fields that changed, with secrets left out
+  changes: {
+    _id: false,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  outcome: { type: String, enum: OUTCOMES, default: 'success' },
+  ip: String,
+  userAgent: String,
   date: { type: Date, default: Date.now },
 })
 
+activityLogSchema.index({ date: -1 })
+activityLogSchema.index({ userId: 1, date: -1 })
+activityLogSchema.index({ action: 1, date: -1 })
+activityLogSchema.index({ entityType: 1, entityId: 1, date: -1 })
+
+activityLogSchema.statics.OUTCOMES = OUTCOMES
+
 module.exports = mongoose.model('ActivityLog', activityLogSchema)
@@ -1,4 +1,33 @@
 const mongoose = require('mongoose')
+const { DEFAULT_TIME_ZONE, toInstant } = require('../services/timeZoneService')
+
+// Appointment lifecycle. A request is approved or rejected by the doctor;
+// an approved (or rescheduled) appointment ends as completed, no-show or
+// cancelled. Anything not listed here is an invalid transition.
+const STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['completed', 'no-show', 'cancelled', 'rescheduled'],
+  rescheduled: ['completed', 'no-show', 'cancelled', 'rescheduled'],
+  rejected: [],
+  cancelled: [],
+  completed: [],
+  'no-show': [],
+}
+
+const STATUSES = Object.keys(STATUS_TRANSITIONS)
+
+// Statuses of appointments that are confirmed to take place
+const ACTIVE_STATUSES = ['approved', 'rescheduled']
+
+const PROPOSAL_STATUSES = ['pending', 'accepted', 'declined', 'superseded', 'withdrawn']
+
+// Fields an admin may edit directly. Status changes go through the
+// lifecycle and new times through the slot reservations; everything else is
+// fixed at booking.
+const ADMIN_EDITABLE_FIELDS = ['status', 'scheduledDate', 'scheduledTime', 'meetingType', 'videoCallLink', 'contactInfo']
+
+// Least to most urgent
+const URGENCY_LEVELS = ['Routine', 'Non-Urgent', 'Same Day', 'Urgent', 'Emergency']
 
 const appointmentRequestSchema = new mongoose.Schema({
   doctorMedicalId: {
@@ -13,8 +42,15 @@ const appointmentRequestSchema = new mongoose.Schema({
   patientName: { type: String, required: true },
   doctorEmail: { type: String, required: true },
   patientEmail: { type: String, required: true },
+  // The date (as UTC midnight) and "HH:mm" time of the slot, as wall-clock
+  // time in the clinic's zone below. preferredAt and scheduledAt hold the
+  // same slots as instants and are kept in step on validation.
   preferredDate: { type: Date, required: true },
   preferredTime: { type: String, required: true },
+  preferredAt: Date,
+  // The doctor's clinic zone when the appointment was booked; missing on
+  // appointments booked before zones were recorded
+  timeZone: String,
   symptoms: { type: String, required: true },
   contactInfo: { type: String, required: true },
   notificationType: { 
@@ -28,39 +64,92 @@ const appointmentRequestSchema = new mongoose.Schema({
     required: true,
     default: 'offline'
   },
+  // Copies of the doctor's appointment type and practice location at booking
+  // time, so later edits to either don't change this appointment
+  appointmentType: {
+    typeId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    duration: Number,
+    bufferBefore: Number,
+    bufferAfter: Number,
+    price: Number
+  },
+  location: {
+    locationId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    address: String,
+    city: String
+  },
+  // Minutes; missing on appointments booked before durations were recorded
+  duration: { type: Number, min: 5 },
   videoCallLink: {
     type: String,
     required: false // Only required for online meetings
   },
+  urgencyLevel: {
+    type: String,
+    enum: URGENCY_LEVELS,
+    default: 'Routine'
+  },
+  urgencyScore: {
+    type: Number,
+    min: 0,
+    max: 10,
+    default: 0
+  },
+  // The symptom checker result the patient booked from, if any. The urgency
+  // fields above are copied from it.
+  assessment: {
+    severityScore: { type: Number, min: 0, max: 10 },
+    urgency: { type: String, enum: URGENCY_LEVELS },
+    recommendedAction: String,
+    summary: String,
+    assessedAt: Date
+  },
+  // When the doctor was chased for leaving an urgent request past its SLA
+  escalatedAt: Date,
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'cancelled'],
-    default: 'pending'
+    enum: STATUSES,
+    default: 'requested'
   },
-  messages: [{
-    sender: {
-      type: String,
-      required: true // Will store medicalId of sender
-    },
-    senderName: {
-      type: String,
-      required: true
-    },
-    message: {
-      type: String,
-      required: true
-    },
-    timestamp: {
-      type: Date,
-      default: Date.now
-    }
+  // Set on documents copied from the old Appointment collection
+  legacyAppointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  statusHistory: [{
+    from: String,
+    to: { type: String, required: true },
+    changedBy: String, // medicalId of the user who made the change
+    reason: String,
+    changedAt: { type: Date, default: Date.now }
+  }],
+  // Reschedule proposals from either side; at most one is pending at a time
+  rescheduleProposals: [{
+    proposedBy: { type: String, required: true }, // medicalId of the proposer
+    proposedByRole: { type: String, enum: ['patient', 'doctor'], required: true },
+    date: { type: Date, required: true },
+    time: { type: String, required: true },
+    startsAt: Date,
+    reason: String,
+    status: { type: String, enum: PROPOSAL_STATUSES, default: 'pending' },
+    respondedAt: Date,
+    createdAt: { type: Date, default: Date.now }
   }],
+  cancellation: {
+    reason: String,
+    cancelledBy: String, // medicalId, or 'admin'
+    cancelledByRole: String,
+    cancelledAt: Date
+  },
   doctorResponse: {
     message: String,
     respondedAt: Date
   },
   scheduledDate: Date,
   scheduledTime: String,
+  scheduledAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -71,10 +160,84 @@ const appointmentRequestSchema = new mongoose.Schema({
   }
 })
 
+appointmentRequestSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status)
+}
+
+// Move to a new status, recording the change. Throws on an invalid transition.
+appointmentRequestSchema.methods.transitionTo = function(status, { changedBy, reason } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change appointment status from ${this.status} to ${status}`)
+  }
+  this.statusHistory.push({ from: this.status, to: status, changedBy, reason })
+  this.status = status
+  return this
+}
+
+appointmentRequestSchema.methods.getTimeZone = function() {
+  return this.timeZone || DEFAULT_TIME_ZONE
+}
+
+// The instant a slot on this appointment's calendar starts, e.g. for a
+// reschedule proposal
+appointmentRequestSchema.methods.instantOf = function(date, time) {
+  const day = new Date(date)
+  if (!date || isNaN(day) || !time) return null
+  return toInstant(day.toISOString().split('T')[0], time, this.getTimeZone())
+}
+
+// When the appointment starts, using the scheduled slot once set
+appointmentRequestSchema.methods.startsAt = function() {
+  return this.instantOf(this.scheduledDate || this.preferredDate, this.scheduledTime || this.preferredTime)
+}
+
+// When the appointment ends, or null if its length isn't known
+appointmentRequestSchema.methods.endsAt = function() {
+  const start = this.startsAt()
+  if (!start || !this.duration) return null
+  return new Date(start.getTime() + this.duration * 60 * 1000)
+}
+
+appointmentRequestSchema.methods.pendingProposal = function() {
+  return this.rescheduleProposals.find(proposal => proposal.status === 'pending') || null
+}
+
+// Record a new proposal. A pending proposal from the other side is
+// superseded (a counter-proposal); one from the same side is replaced.
+appointmentRequestSchema.methods.proposeReschedule = function({ proposedBy, proposedByRole, date, time, reason }) {
+  const pending = this.pendingProposal()
+  if (pending) {
+    pending.status = pending.proposedByRole === proposedByRole ? 'withdrawn' : 'superseded'
+    pending.respondedAt = new Date()
+  }
+  this.rescheduleProposals.push({
+    proposedBy,
+    proposedByRole,
+    date,
+    time,
+    startsAt: this.instantOf(date, time),
+    reason
+  })
+  return this.rescheduleProposals[this.rescheduleProposals.length - 1]
+}
+
+appointmentRequestSchema.pre('validate', function(next) {
+  this.preferredAt = this.instantOf(this.preferredDate, this.preferredTime) || undefined
+  this.scheduledAt = this.instantOf(this.scheduledDate, this.scheduledTime) || undefined
+  next()
+})
+
 // Update the updatedAt field before saving
 appointmentRequestSchema.pre('save', function(next) {
   this.updatedAt = Date.now()
   next()
 })
 
+appointmentRequestSchema.statics.STATUSES = STATUSES
+appointmentRequestSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES
+appointmentRequestSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS
+appointmentRequestSchema.statics.PROPOSAL_STATUSES = PROPOSAL_STATUSES
+appointmentRequestSchema.statics.URGENCY_LEVELS = URGENCY_LEVELS
+appointmentRequestSchema.statics.ADMIN_EDITABLE_FIELDS = ADMIN_EDITABLE_FIELDS
+
 module.exports = mongoose.model('AppointmentRequest', appointmentRequestSchema)
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose')
+
+// A populated reference or a bare ObjectId, as a string
+const idOf = (ref) => String(ref?._id ?? ref)
+
+// A message thread between one patient and one doctor. Each pair has one
+// general thread plus one per appointment they talk about.
+const conversationSchema = new mongoose.Schema({
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  doctor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  appointmentRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentRequest',
+    default: null,
+  },
+  subject: String,
+  lastMessage: {
+    body: String,
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    sentAt: Date,
+  },
+  // Messages each side has not read yet
+  unread: {
+    patient: { type: Number, default: 0 },
+    doctor: { type: Number, default: 0 },
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+})
+
+conversationSchema.index(
+  { patient: 1, doctor: 1, appointmentRequest: 1 },
+  { unique: true },
+)
+conversationSchema.index({ patient: 1, updatedAt: -1 })
+conversationSchema.index({ doctor: 1, updatedAt: -1 })
+
+// Which side of the thread the user is on: 'patient', 'doctor' or null
+conversationSchema.methods.partyOf = function (userId) {
+  if (idOf(this.patient) === String(userId)) return 'patient'
+  if (idOf(this.doctor) === String(userId)) return 'doctor'
+  return null
+}
+
+// User ID of the other participant
+conversationSchema.methods.otherParticipant = function (userId) {
+  return this.partyOf(userId) === 'patient' ? idOf(this.doctor) : idOf(this.patient)
+}
+
+conversationSchema.methods.participantIds = function () {
+  return [idOf(this.patient), idOf(this.doctor)]
+}
+
+module.exports = mongoose.model('Conversation', conversationSchema)
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose')
+
+// Named monotonic sequences, e.g. the running number inside medical IDs
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+})
+
+// Atomically increment and return the next value of a sequence
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true },
+  )
+  return counter.seq
+}
+
+module.exports = mongoose.model('Counter', counterSchema)
@@ -1,19 +1,185 @@
 const mongoose = require('mongoose')
+const { DEFAULT_TIME_ZONE, isValidTimeZone, isValidLocalTime } = require('../services/timeZoneService')
 
+// 24-hour "HH:mm" slot start times, e.g. "09:30"
+const SLOT_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+const MEETING_TYPES = ['online', 'offline']
+
+const slotTimesField = {
+  type: [String],
+  validate: {
+    validator: (slots) => slots.every((slot) => SLOT_TIME_PATTERN.test(slot)),
+    message: 'Slots must be in HH:mm format',
+  },
+}
+
+// Minutes since midnight of an "HH:mm" time
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+const toTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+
+// Sort [start, end] minute ranges and join the ones that touch or overlap
+const mergeRanges = (ranges) =>
+  [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, [start, end]) => {
+      const last = merged[merged.length - 1]
+      if (last && start <= last[1]) last[1] = Math.max(last[1], end)
+      else merged.push([start, end])
+      return merged
+    }, [])
+
+// What a doctor offers, e.g. a 30 minute new consultation or a 15 minute
+// follow-up. Buffers keep time free around the appointment itself.
+const appointmentTypeSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  duration: { type: Number, min: 5, max: 480, required: true }, // minutes
+  bufferBefore: { type: Number, min: 0, max: 120, default: 0 },
+  bufferAfter: { type: Number, min: 0, max: 120, default: 0 },
+  price: { type: Number, min: 0, default: 0 },
+  meetingTypes: {
+    type: [{ type: String, enum: MEETING_TYPES }],
+    default: MEETING_TYPES,
+    validate: {
+      validator: (types) => types.length > 0,
+      message: 'An appointment type needs at least one meeting type',
+    },
+  },
+  // Retired types stay on record for the appointments that used them
+  active: { type: Boolean, default: true },
+})
+
+// A practice the doctor works from, open on its own weekly hours. A day can
+// have several ranges, e.g. either side of lunch.
+const locationSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  address: { type: String, trim: true },
+  city: { type: String, required: true, trim: true },
+  weeklyHours: {
+    type: [
+      {
+        dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+        start: { type: String, required: true, match: SLOT_TIME_PATTERN },
+        end: { type: String, required: true, match: SLOT_TIME_PATTERN },
+      },
+    ],
+    validate: {
+      validator: (hours) => hours.every((range) => range.start < range.end),
+      message: 'Opening hours must end after they start',
+    },
+  },
+  active: { type: Boolean, default: true },
+})
+
+// Scheduling profile for a doctor User, keyed by the doctor's medicalId.
+// A doctor works either from a weekly template of slots or from the opening
+// hours of their practice locations. A date override replaces both for that
+// date; an override with no slots marks the doctor as unavailable for the day.
+// All dates and times are wall-clock times in the clinic's time zone.
 const doctorSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  specialty: { type: String, required: true },
-  availability: [
+  medicalId: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // IANA zone of the clinic, e.g. "Europe/London"
+  timeZone: {
+    type: String,
+    default: DEFAULT_TIME_ZONE,
+    validate: { validator: isValidTimeZone, message: 'Unknown time zone' },
+  },
+  // Length of a template slot, and the interval appointments can start on
+  slotDuration: { type: Number, min: 5, max: 240, default: 30 }, // minutes
+  weeklyAvailability: [
+    {
+      dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+      slots: slotTimesField,
+    },
+  ],
+  dateOverrides: [
     {
-      date: { type: Date, required: true },
-      slots: [
-        {
-          time: { type: String, required: true },
-          available: { type: Boolean, default: true },
-        },
-      ],
+      date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+      slots: slotTimesField,
     },
   ],
+  appointmentTypes: [appointmentTypeSchema],
+  locations: [locationSchema],
+  updatedAt: { type: Date, default: Date.now },
 })
 
+doctorSchema.pre('save', function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+// Slot start times offered on a "YYYY-MM-DD" date, before any bookings
+doctorSchema.methods.getSlotsForDate = function (dateKey) {
+  const override = this.dateOverrides.find((o) => o.date === dateKey)
+  if (override) return [...override.slots].sort()
+
+  const dayOfWeek = new Date(`${dateKey}T00:00:00Z`).getUTCDay()
+  const template = this.weeklyAvailability.find((d) => d.dayOfWeek === dayOfWeek)
+  return template ? [...template.slots].sort() : []
+}
+
+doctorSchema.methods.activeAppointmentTypes = function () {
+  return this.appointmentTypes.filter((type) => type.active)
+}
+
+doctorSchema.methods.activeLocations = function () {
+  return this.locations.filter((location) => location.active)
+}
+
+doctorSchema.methods.findAppointmentType = function (typeId) {
+  return this.activeAppointmentTypes().find((type) => type._id.equals(typeId)) || null
+}
+
+doctorSchema.methods.findLocation = function (locationId) {
+  return this.activeLocations().find((location) => location._id.equals(locationId)) || null
+}
+
+// Working hours on a "YYYY-MM-DD" date as merged [start, end] minute ranges.
+// Without a location, the hours of every location count.
+doctorSchema.methods.getOpeningHours = function (dateKey, locationId = null) {
+  const slotRanges = (slots) => slots.map((slot) => [toMinutes(slot), toMinutes(slot) + this.slotDuration])
+
+  const override = this.dateOverrides.find((o) => o.date === dateKey)
+  if (override) return mergeRanges(slotRanges(override.slots))
+
+  const dayOfWeek = new Date(`${dateKey}T00:00:00Z`).getUTCDay()
+  const locations = this.activeLocations()
+  if (!locations.length) {
+    const template = this.weeklyAvailability.find((d) => d.dayOfWeek === dayOfWeek)
+    return mergeRanges(slotRanges(template ? template.slots : []))
+  }
+
+  return mergeRanges(
+    locations
+      .filter((location) => !locationId || location._id.equals(locationId))
+      .flatMap((location) => location.weeklyHours)
+      .filter((range) => range.dayOfWeek === dayOfWeek)
+      .map((range) => [toMinutes(range.start), toMinutes(range.end)])
+  )
+}
+
+// Times an appointment of the given length can start on a date, every
+// slotDuration minutes from the start of each range of working hours,
+// before any bookings. Times skipped when the clocks go forward are left out.
+doctorSchema.methods.getStartTimes = function (dateKey, { duration = this.slotDuration, locationId = null } = {}) {
+  const timeZone = this.timeZone || DEFAULT_TIME_ZONE
+  const starts = []
+  for (const [start, end] of this.getOpeningHours(dateKey, locationId)) {
+    for (let time = start; time + duration <= end; time += this.slotDuration) {
+      if (isValidLocalTime(dateKey, toTime(time), timeZone)) starts.push(toTime(time))
+    }
+  }
+  return starts
+}
+
+doctorSchema.statics.MEETING_TYPES = MEETING_TYPES
+doctorSchema.statics.toMinutes = toMinutes
+doctorSchema.statics.toTime = toTime
+
 module.exports = mongoose.model('Doctor', doctorSchema)
@@ -0,0 +1,126 @@
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+
+// Roles that can only be granted by invitation
+const INVITABLE_ROLES = ['doctor', 'admin']
+
+const DEFAULT_TTL_HOURS = 72
+
+// Only a hash of the token is stored; the raw token lives in the invite link
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex')
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: INVITABLE_ROLES,
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+invitationSchema.index({ email: 1, createdAt: -1 })
+
+invitationSchema.virtual('status').get(function () {
+  if (this.usedAt) return 'used'
+  if (this.revokedAt) return 'revoked'
+  if (this.expiresAt <= new Date()) return 'expired'
+  return 'pending'
+})
+
+invitationSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash
+    return ret
+  },
+})
+
+invitationSchema.methods.isUsable = function (now = new Date()) {
+  return !this.usedAt && !this.revokedAt && this.expiresAt > now
+}
+
+// Create an invitation and return it with the raw token, which is never stored
+invitationSchema.statics.issue = async function ({
+  email,
+  role,
+  invitedBy,
+  ttlHours = DEFAULT_TTL_HOURS,
+}) {
+  const token = crypto.randomBytes(32).toString('hex')
+  const invitation = await this.create({
+    email,
+    role,
+    invitedBy,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+  })
+  return { invitation, token }
+}
+
+// Pending invitation for a raw token, or null
+invitationSchema.statics.findUsable = function (token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    usedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+}
+
+// Atomically mark the invitation as used so a token can't be redeemed twice
+invitationSchema.statics.claim = function (token, email) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      email: String(email || '').trim().toLowerCase(),
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  )
+}
+
+invitationSchema.statics.INVITABLE_ROLES = INVITABLE_ROLES
+invitationSchema.statics.hashToken = hashToken
+
+const Invitation = mongoose.model('Invitation', invitationSchema)
+module.exports = Invitation
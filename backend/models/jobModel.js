@@ -0,0 +1,32 @@
+const mongoose = require('mongoose')
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled']
+
+// A unit of background work run by the job scheduler at or after runAt
+const jobSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Groups related jobs (e.g. all reminders for one appointment) so they
+  // can be cancelled together
+  key: { type: String, index: true },
+  runAt: { type: Date, required: true },
+  status: { type: String, enum: JOB_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5, min: 1 },
+  lastError: String,
+  lockedAt: Date,
+  completedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+})
+
+jobSchema.index({ status: 1, runAt: 1 })
+
+jobSchema.pre('save', function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+jobSchema.statics.STATUSES = JOB_STATUSES
+
+module.exports = mongoose.model('Job', jobSchema)
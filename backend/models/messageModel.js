@@ -0,0 +1,36 @@
+const mongoose = require('mongoose')
+
+// A file sent with a message. Files are kept outside the public uploads
+// folder and only served to the conversation's participants.
+const attachmentSchema = new mongoose.Schema({
+  filename: { type: String, required: true }, // name on disk
+  originalName: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+})
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true,
+  },
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  body: { type: String, trim: true, maxlength: 5000, default: '' },
+  attachments: [attachmentSchema],
+  // When the recipient read the message
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+})
+
+// History is paged newest first by _id
+messageSchema.index({ conversation: 1, _id: -1 })
+
+messageSchema.pre('validate', function (next) {
+  if (!this.body && this.attachments.length === 0) {
+    this.invalidate('body', 'A message needs text or an attachment')
+  }
+  next()
+})
+
+module.exports = mongoose.model('Message', messageSchema)
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose')
+
+const NOTIFICATION_TYPES = [
+  'appointment_approved',
+  'appointment_rejected',
+  'appointment_cancelled',
+  'appointment_rescheduled',
+  'appointment_escalated',
+  'reschedule_proposed',
+  'reschedule_declined',
+  'message_received',
+  'feedback_received',
+  'security_alert',
+  'credentials_reviewed',
+  'waitlist_offer',
+]
+
+// An in-app notification shown in the recipient's notification drawer
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  title: { type: String, required: true },
+  message: { type: String, required: true },
+  // Frontend route to open when the notification is clicked
+  link: String,
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  read: { type: Boolean, default: false },
+  readAt: Date,
+  createdAt: { type: Date, default: Date.now },
+})
+
+notificationSchema.index({ user: 1, createdAt: -1 })
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES
+
+module.exports = mongoose.model('Notification', notificationSchema)
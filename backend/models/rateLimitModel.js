@@ -0,0 +1,24 @@
+const mongoose = require('mongoose')
+
+// One fixed-window request counter, used by the Mongo rate limit store
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+// Mongo removes windows once they are over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 })
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema)
+module.exports = RateLimit
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose')
+
+// Rotated-out token hashes kept per session to recognise reuse
+const MAX_PREVIOUS_TOKENS = 10
+
+// A signed-in device. The client holds a refresh token `<sessionId>.<secret>`;
+// only a hash of the current secret is stored, and it changes on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true },
+  // Hashes of tokens already rotated out, with when they were replaced.
+  // Presenting one of these again means the token was copied.
+  previousTokens: [
+    {
+      _id: false,
+      hash: { type: String, required: true },
+      rotatedAt: { type: Date, required: true },
+    },
+  ],
+  userAgent: String,
+  ip: String,
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected', 'password_reset', 'suspended', 'deleted', 'role_changed', null],
+    default: null,
+  },
+})
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 })
+// Let Mongo clean up sessions a while after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 })
+
+sessionSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now
+}
+
+// Whether an access token's session (its `sid` claim) is still signed in
+sessionSchema.statics.isActiveId = async function (sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false
+  const session = await this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+  return Boolean(session)
+}
+
+sessionSchema.methods.revoke = function (reason, now = new Date()) {
+  this.revokedAt = now
+  this.revokedReason = reason
+}
+
+sessionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash
+    delete ret.previousTokens
+    return ret
+  },
+})
+
+sessionSchema.statics.MAX_PREVIOUS_TOKENS = MAX_PREVIOUS_TOKENS
+
+module.exports = mongoose.model('Session', sessionSchema)
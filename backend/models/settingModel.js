@@ -0,0 +1,38 @@
+const mongoose = require('mongoose')
+
+// Site-wide options that admins change at runtime, one document per key
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// The stored value for a key, or `fallback` if it has never been set
+settingSchema.statics.getValue = async function (key, fallback) {
+  const setting = await this.findOne({ key }).lean()
+  return setting ? setting.value : fallback
+}
+
+settingSchema.statics.setValue = function (key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy, updatedAt: new Date() } },
+    { upsert: true, new: true },
+  )
+}
+
+const Setting = mongoose.model('Setting', settingSchema)
+module.exports = Setting
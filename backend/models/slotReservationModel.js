@@ -0,0 +1,33 @@
+const mongoose = require('mongoose')
+
+// One document per reserved step of a doctor's day (see RESERVATION_STEP
+// in the availability service); a booking holds every step its appointment
+// and buffers cover. The unique index is what makes booking atomic: a second
+// insert for the same doctor, date and time fails with a duplicate key error
+// instead of double-booking. A slot is held either by an appointment request
+// or by a waitlist offer waiting for an answer.
+const slotReservationSchema = new mongoose.Schema({
+  doctorMedicalId: { type: String, required: true },
+  date: { type: String, required: true }, // YYYY-MM-DD
+  time: { type: String, required: true }, // HH:mm
+  // When the booking holding this step starts
+  startTime: String, // HH:mm
+  appointmentRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentRequest',
+    required: function () {
+      return !this.waitlistEntry
+    },
+  },
+  waitlistEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'WaitlistEntry' },
+  createdAt: { type: Date, default: Date.now },
+})
+
+slotReservationSchema.index(
+  { doctorMedicalId: 1, date: 1, time: 1 },
+  { unique: true },
+)
+slotReservationSchema.index({ appointmentRequest: 1 })
+slotReservationSchema.index({ waitlistEntry: 1 }, { sparse: true })
+
+module.exports = mongoose.model('SlotReservation', slotReservationSchema)
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose')
+
+// A real-time event sent to a user, kept for a while so a client that was
+// offline can catch up on what it missed when it reconnects
+const socketEventSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now, expires: 7 * 24 * 60 * 60 },
+})
+
+socketEventSchema.index({ user: 1, _id: 1 })
+
+module.exports = mongoose.model('SocketEvent', socketEventSchema)
@@ -1,5 +1,11 @@
 const mongoose = require('mongoose')
 const bcrypt = require('bcrypt')
+const { generateMedicalId } = require('../services/medicalIdService')
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../services/timeZoneService')
+
+// unsubmitted -> pending -> verified or rejected. Changing a submission sends
+// it back to pending.
+const CREDENTIAL_STATUSES = ['unsubmitted', 'pending', 'verified', 'rejected']
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -15,14 +21,29 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: true,
+    minlength: [8, 'Password must be at least 8 characters'],
+  },
+  // Set to false at signup until the emailed link is followed. Accounts
+  // created before verification existed have no value and count as verified.
+  emailVerified: {
+    type: Boolean,
+  },
+  emailVerifiedAt: {
+    type: Date,
   },
   phoneNumber: {
     type: String,
   },
+  // Issued by the server on creation; only changed by an admin re-issue
   medicalId: {
     type: String,
     unique: true,
     required: true,
+    immutable: true,
+  },
+  previousMedicalIds: {
+    type: [String],
+    default: [],
   },
   role: {
     type: String,
@@ -35,6 +56,44 @@ const userSchema = new mongoose.Schema({
   location: {
     type: String,
   }, //for doctors
+  // IANA zone appointment times are shown and emailed in, e.g.
+  // "Europe/London". Unset means the clinic's zone.
+  timeZone: {
+    type: String,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Unknown time zone',
+    },
+  },
+  // Secret link calendar apps subscribe to for the user's appointments. Only
+  // the token's hash is stored.
+  calendarFeed: {
+    tokenHash: { type: String, select: false, index: { sparse: true } },
+    createdAt: { type: Date },
+  },
+  // Doctors' professional credentials, reviewed by an admin. Only verified
+  // doctors can be found or booked.
+  credentials: {
+    status: { type: String, enum: CREDENTIAL_STATUSES, default: 'unsubmitted' },
+    licenseNumber: { type: String, trim: true },
+    issuingAuthority: { type: String, trim: true },
+    qualifications: { type: [String], default: [] },
+    // Stored outside the public uploads folder and only served to the doctor
+    // and admins
+    documents: [
+      {
+        filename: { type: String, required: true },
+        originalName: { type: String, required: true },
+        mimeType: { type: String, required: true },
+        size: { type: Number, required: true },
+        uploadedAt: { type: Date, default: Date.now },
+      },
+    ],
+    submittedAt: { type: Date },
+    reviewedAt: { type: Date },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewNotes: { type: String },
+  },
   profilePicture: {
     type: String,
     default: '',
@@ -43,10 +102,81 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // Kept up to date by the socket gateway
   isOnline: {
     type: Boolean,
     default: false,
   },
+  lastSeenAt: {
+    type: Date,
+  },
+  // Set by an admin. Suspended users can't sign in and doctors can't be booked.
+  suspension: {
+    suspendedAt: { type: Date, default: null },
+    suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String },
+  },
+  // Set when the account is deleted. The user is signed out and hidden
+  // straight away; their data is anonymized and the account removed once
+  // purgeAfter passes, unless an admin restores it first.
+  deletion: {
+    requestedAt: { type: Date, default: null },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String },
+    purgeAfter: { type: Date },
+  },
+  // TOTP second factor. Secrets and recovery code hashes are never selected
+  // unless asked for explicitly, so they can't leak through user listings.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    // Set during enrollment until the first code is confirmed
+    pendingSecret: { type: String, select: false },
+    // Last accepted time step, so a code can't be used twice
+    lastUsedStep: { type: Number, select: false },
+    recoveryCodes: {
+      type: [{ hash: String, usedAt: { type: Date, default: null }, _id: false }],
+      select: false,
+    },
+    // Wrong codes since the password was last entered
+    failedAttempts: { type: Number, default: 0 },
+  },
+  // Failed sign-ins. Enough of them in a row lock the account for a while,
+  // longer each time it happens again before a successful sign-in.
+  lockout: {
+    failedAttempts: { type: Number, default: 0 },
+    lastFailedAt: { type: Date },
+    lockedUntil: { type: Date },
+    lockouts: { type: Number, default: 0 },
+  },
+})
+
+// Profile fields an admin may edit directly. Everything else has its own
+// endpoint (roles, medical IDs, two-factor, lockouts, suspension,
+// credentials).
+const ADMIN_EDITABLE_FIELDS = ['username', 'email', 'phoneNumber', 'specialty', 'location']
+
+// Query condition matching users who aren't suspended or awaiting deletion
+const ACTIVE = Object.freeze({
+  'suspension.suspendedAt': null,
+  'deletion.requestedAt': null,
+})
+
+// Query condition matching doctors patients can find and book
+const BOOKABLE_DOCTOR = Object.freeze({
+  role: 'doctor',
+  ...ACTIVE,
+  'credentials.status': 'verified',
+})
+
+userSchema.index({ role: 1, timeStamp: -1 })
+userSchema.index({ role: 1, 'credentials.status': 1, 'credentials.submittedAt': 1 })
+
+userSchema.pre('validate', async function () {
+  if (this.isNew && !this.medicalId && this.role) {
+    this.medicalId = await generateMedicalId(this.role)
+  }
 })
 
 userSchema.pre('save', async function (next) {
@@ -55,9 +185,58 @@ userSchema.pre('save', async function (next) {
   next()
 })
 
+userSchema.methods.isEmailVerified = function () {
+  return this.emailVerified !== false
+}
+
+userSchema.methods.markEmailVerified = function (now = new Date()) {
+  this.emailVerified = true
+  this.emailVerifiedAt = now
+}
+
+userSchema.methods.isLockedOut = function (now = new Date()) {
+  return Boolean(this.lockout?.lockedUntil && this.lockout.lockedUntil > now)
+}
+
+userSchema.methods.isSuspended = function () {
+  return Boolean(this.suspension?.suspendedAt)
+}
+
+userSchema.methods.isPendingDeletion = function () {
+  return Boolean(this.deletion?.requestedAt)
+}
+
+userSchema.methods.isVerifiedDoctor = function () {
+  return this.role === 'doctor' && this.credentials?.status === 'verified'
+}
+
+// Zone to show this user times in
+userSchema.methods.getTimeZone = function () {
+  return this.timeZone || DEFAULT_TIME_ZONE
+}
+
 userSchema.methods.comparePassword = function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password)
 }
 
+// Password hashes never leave the server
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password
+    return ret
+  },
+})
+
+// Zone of the user with a medical ID, for notifying them
+userSchema.statics.findTimeZone = async function (medicalId) {
+  const user = await this.findOne({ medicalId }).select('timeZone')
+  return user?.timeZone || DEFAULT_TIME_ZONE
+}
+
+userSchema.statics.ADMIN_EDITABLE_FIELDS = ADMIN_EDITABLE_FIELDS
+userSchema.statics.ACTIVE = ACTIVE
+userSchema.statics.BOOKABLE_DOCTOR = BOOKABLE_DOCTOR
+userSchema.statics.CREDENTIAL_STATUSES = CREDENTIAL_STATUSES
+
 const User = mongoose.model('User', userSchema)
 module.exports = User
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose')
+
+// waiting: on the list; offered: holding a slot until the offer expires;
+// booked: accepted an offer, which became an appointment request;
+// cancelled: the patient left the list
+const WAITLIST_STATUSES = ['waiting', 'offered', 'booked', 'cancelled']
+
+const OFFER_STATUSES = ['pending', 'accepted', 'declined', 'expired', 'withdrawn']
+
+// Start hours (inclusive) of each part of the day a patient can ask for
+const TIMES_OF_DAY = {
+  morning: [0, 12],
+  afternoon: [12, 17],
+  evening: [17, 24],
+}
+
+// A patient waiting for a slot with a doctor who had nothing suitable.
+// Freed slots are offered to matching entries in the order they joined.
+const waitlistEntrySchema = new mongoose.Schema({
+  doctorMedicalId: { type: String, required: true },
+  patientMedicalId: { type: String, required: true },
+  doctorName: { type: String, required: true },
+  patientName: { type: String, required: true },
+  patientEmail: { type: String, required: true },
+  // Inclusive "YYYY-MM-DD" range the patient can make
+  fromDate: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+  toDate: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+  // Empty means any time of day
+  timesOfDay: [{ type: String, enum: Object.keys(TIMES_OF_DAY) }],
+  // Copied to the appointment request when an offer is accepted
+  symptoms: { type: String, required: true },
+  contactInfo: { type: String, required: true },
+  meetingType: { type: String, enum: ['online', 'offline'], default: 'offline' },
+  // Copies of the appointment type and location the patient is waiting for,
+  // as on an appointment request
+  appointmentType: {
+    typeId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    duration: Number,
+    bufferBefore: Number,
+    bufferAfter: Number,
+    price: Number,
+  },
+  location: {
+    locationId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    address: String,
+    city: String,
+  },
+  assessment: {
+    severityScore: Number,
+    urgency: String,
+    recommendedAction: String,
+    summary: String,
+    assessedAt: Date,
+  },
+  status: { type: String, enum: WAITLIST_STATUSES, default: 'waiting' },
+  // Every slot offered to this patient; at most one is pending at a time
+  offers: [
+    {
+      date: { type: String, required: true },
+      time: { type: String, required: true },
+      // The slot as an instant, in the clinic's time zone
+      startsAt: Date,
+      status: { type: String, enum: OFFER_STATUSES, default: 'pending' },
+      offeredAt: { type: Date, default: Date.now },
+      expiresAt: { type: Date, required: true },
+      respondedAt: Date,
+    },
+  ],
+  appointmentRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'AppointmentRequest' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+})
+
+waitlistEntrySchema.index({ doctorMedicalId: 1, status: 1, createdAt: 1 })
+waitlistEntrySchema.index({ patientMedicalId: 1, createdAt: -1 })
+
+waitlistEntrySchema.pre('save', function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+waitlistEntrySchema.methods.pendingOffer = function () {
+  return this.offers.find((offer) => offer.status === 'pending') || null
+}
+
+// Whether a free slot suits this patient. A slot they already turned down
+// or let expire isn't offered again.
+waitlistEntrySchema.methods.matchesSlot = function (date, time) {
+  if (date < this.fromDate || date > this.toDate) return false
+
+  const hour = Number(time.split(':')[0])
+  if (
+    this.timesOfDay.length &&
+    !this.timesOfDay.some((part) => hour >= TIMES_OF_DAY[part][0] && hour < TIMES_OF_DAY[part][1])
+  ) {
+    return false
+  }
+
+  return !this.offers.some((offer) => offer.date === date && offer.time === time)
+}
+
+waitlistEntrySchema.statics.WAITLIST_STATUSES = WAITLIST_STATUSES
+waitlistEntrySchema.statics.OFFER_STATUSES = OFFER_STATUSES
+waitlistEntrySchema.statics.TIMES_OF_DAY = TIMES_OF_DAY
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema)
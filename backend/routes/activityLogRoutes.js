@@ -1,8 +1,8 @@
 const { getActivityLogs } = require('../controllers/activityLogController')
-const { isAdmin } = require('../middleware/authMiddleware')
+const { verifyToken, isAdmin } = require('../middleware/authMiddleware')
 
 const activityLogRoutes = (app) => {
-  app.get('/api/activityLogs', isAdmin, getActivityLogs)
+  app.get('/api/activityLogs', verifyToken, isAdmin, getActivityLogs)
 }
 
 module.exports = activityLogRoutes
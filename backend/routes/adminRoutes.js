@@ -3,26 +3,129 @@ const {
   getAllDoctors,
   getAllAppointments,
   updateUser,
+  suspendUser,
+  reactivateUser,
+  changeUserRole,
+  reissueMedicalId,
+  unlockUser,
   deleteUser,
+  restoreUser,
   updateAppointment,
   deleteAppointment,
 } = require('../controllers/adminController')
-const { isAdmin } = require('../middleware/authMiddleware')
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+} = require('../controllers/invitationController')
+const {
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor,
+} = require('../controllers/twoFactorController')
+const {
+  getCredentialQueue,
+  reviewCredentials,
+  downloadCredentialDocument,
+} = require('../controllers/credentialController')
+const { verifyToken, isAdmin } = require('../middleware/authMiddleware')
 const { logActivity } = require('../middleware/activityLogMiddleware')
 
+// Audit entries for changes to one user
+const user = (action) => logActivity(action, { entityType: 'user', entityId: 'userId' })
+
 const adminRoutes = (app) => {
-  app.get('/api/users', isAdmin, logActivity, getAllUsers)
-  app.get('/api/doctors', isAdmin, logActivity, getAllDoctors)
-  app.get('/api/appointments', isAdmin, logActivity, getAllAppointments)
-  app.put('/api/user', isAdmin, logActivity, updateUser)
-  app.delete('/api/user/:userId', logActivity, isAdmin, deleteUser)
-  app.put('/api/appointment', isAdmin, logActivity, updateAppointment)
+  app.get('/api/users', verifyToken, isAdmin, getAllUsers)
+  app.get('/api/doctors', verifyToken, isAdmin, getAllDoctors)
+  app.get('/api/appointments', verifyToken, isAdmin, getAllAppointments)
+  app.put('/api/user', verifyToken, user('user.update'), isAdmin, updateUser)
+  app.put('/api/admin/users/:userId', verifyToken, user('user.update'), isAdmin, updateUser)
+  app.post('/api/admin/users/:userId/suspend', verifyToken, user('user.suspend'), isAdmin, suspendUser)
+  app.post(
+    '/api/admin/users/:userId/reactivate',
+    verifyToken,
+    user('user.reactivate'),
+    isAdmin,
+    reactivateUser,
+  )
+  app.put('/api/admin/users/:userId/role', verifyToken, user('user.role_change'), isAdmin, changeUserRole)
+  app.post(
+    '/api/admin/users/:userId/medical-id',
+    verifyToken,
+    user('user.medical_id_reissue'),
+    isAdmin,
+    reissueMedicalId,
+  )
+  app.post('/api/admin/users/:userId/unlock', verifyToken, user('user.unlock'), isAdmin, unlockUser)
+  app.delete('/api/user/:userId', verifyToken, user('user.delete'), isAdmin, deleteUser)
+  app.post('/api/admin/users/:userId/restore', verifyToken, user('user.restore'), isAdmin, restoreUser)
+  app.put(
+    '/api/appointment',
+    verifyToken,
+    logActivity('appointment.update', { entityType: 'appointment', entityId: 'appointmentId' }),
+    isAdmin,
+    updateAppointment,
+  )
   app.delete(
     '/api/appointment/:appointmentId',
+    verifyToken,
+    logActivity('appointment.delete', { entityType: 'appointment', entityId: 'appointmentId' }),
     isAdmin,
-    logActivity,
     deleteAppointment,
   )
+
+  // Doctors and admins join through single-use invitations
+  app.get('/api/admin/invitations', verifyToken, isAdmin, getInvitations)
+  app.post(
+    '/api/admin/invitations',
+    verifyToken,
+    logActivity('invitation.create', { entityType: 'invitation' }),
+    isAdmin,
+    createInvitation,
+  )
+  app.delete(
+    '/api/admin/invitations/:invitationId',
+    verifyToken,
+    logActivity('invitation.revoke', { entityType: 'invitation', entityId: 'invitationId' }),
+    isAdmin,
+    revokeInvitation,
+  )
+
+  // Review queue for doctors' credentials; only verified doctors can be booked
+  app.get('/api/admin/doctors', verifyToken, isAdmin, getCredentialQueue)
+  app.post(
+    '/api/admin/doctors/:userId/credentials/review',
+    verifyToken,
+    user('credentials.review'),
+    isAdmin,
+    reviewCredentials,
+  )
+  app.get(
+    '/api/admin/doctors/:userId/credentials/documents/:documentId',
+    verifyToken,
+    isAdmin,
+    downloadCredentialDocument,
+  )
+
+  // Which roles must use two-factor authentication
+  app.get('/api/admin/two-factor', verifyToken, isAdmin, getTwoFactorPolicy)
+  app.put(
+    '/api/admin/two-factor',
+    verifyToken,
+    logActivity('two_factor.policy_update', {
+      entityType: 'setting',
+      entityId: () => 'twoFactor.requiredRoles',
+    }),
+    isAdmin,
+    updateTwoFactorPolicy,
+  )
+  app.delete(
+    '/api/admin/users/:userId/two-factor',
+    verifyToken,
+    user('two_factor.reset'),
+    isAdmin,
+    resetUserTwoFactor,
+  )
 }
 
 module.exports = adminRoutes
@@ -1,8 +1,8 @@
 const { getAnalyticsData } = require('../controllers/analyticsController')
-const { isAdmin } = require('../middleware/authMiddleware')
+const { verifyToken, isAdmin } = require('../middleware/authMiddleware')
 
 const analyticsRoutes = (app) => {
-  app.get('/api/analytics/data', isAdmin, getAnalyticsData)
+  app.get('/api/analytics/data', verifyToken, isAdmin, getAnalyticsData)
 }
 
 module.exports = analyticsRoutes
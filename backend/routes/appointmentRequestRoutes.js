@@ -1,30 +1,53 @@
 const {
   createAppointmentRequest,
   getDoctorAppointmentRequests,
+  getDoctorTriageQueue,
   getPatientAppointmentRequests,
   updateAppointmentRequestStatus,
-  addMessageToRequest,
-  getAppointmentRequestById
+  getAppointmentRequestById,
+  proposeReschedule,
+  respondToReschedule,
+  cancelAppointmentRequest
 } = require('../controllers/appointmentRequestController')
+const {
+  verifyToken,
+  isPatient,
+  ownsMedicalId,
+  validMedicalId,
+  ownsAppointmentRequest,
+} = require('../middleware/authMiddleware')
+const { logActivity } = require('../middleware/activityLogMiddleware')
+
+// Audit entries for changes to one request
+const audited = { entityType: 'appointment', entityId: 'requestId' }
 
 const appointmentRequestRoutes = (app) => {
   // Create new appointment request
-  app.post('/api/appointment-requests', createAppointmentRequest)
+  app.post('/api/appointment-requests', verifyToken, logActivity('appointment.create', { entityType: 'appointment' }), isPatient, validMedicalId('patientMedicalId', 'doctorMedicalId'), ownsMedicalId('patientMedicalId'), createAppointmentRequest)
   
   // Get appointment requests for doctor
-  app.get('/api/appointment-requests/doctor/:doctorMedicalId', getDoctorAppointmentRequests)
+  app.get('/api/appointment-requests/doctor/:doctorMedicalId', verifyToken, validMedicalId('doctorMedicalId'), ownsMedicalId('doctorMedicalId'), getDoctorAppointmentRequests)
+  
+  // Unanswered requests for doctor, in triage order
+  app.get('/api/appointment-requests/doctor/:doctorMedicalId/triage', verifyToken, validMedicalId('doctorMedicalId'), ownsMedicalId('doctorMedicalId'), getDoctorTriageQueue)
   
   // Get appointment requests for patient
-  app.get('/api/appointment-requests/patient/:patientMedicalId', getPatientAppointmentRequests)
+  app.get('/api/appointment-requests/patient/:patientMedicalId', verifyToken, validMedicalId('patientMedicalId'), ownsMedicalId('patientMedicalId'), getPatientAppointmentRequests)
   
   // Update appointment request status
-  app.put('/api/appointment-requests/:requestId/status', updateAppointmentRequestStatus)
+  app.put('/api/appointment-requests/:requestId/status', verifyToken, logActivity('appointment.status_change', audited), ownsAppointmentRequest, updateAppointmentRequestStatus)
   
-  // Add message to appointment request
-  app.post('/api/appointment-requests/:requestId/messages', addMessageToRequest)
+  // Propose a new time, or counter the other side's proposal
+  app.post('/api/appointment-requests/:requestId/reschedule', verifyToken, logActivity('appointment.reschedule_propose', audited), ownsAppointmentRequest, proposeReschedule)
+
+  // Accept or decline a reschedule proposal
+  app.post('/api/appointment-requests/:requestId/reschedule/:proposalId/respond', verifyToken, logActivity('appointment.reschedule_respond', audited), ownsAppointmentRequest, respondToReschedule)
+
+  // Cancel with a reason
+  app.post('/api/appointment-requests/:requestId/cancel', verifyToken, logActivity('appointment.cancel', audited), ownsAppointmentRequest, cancelAppointmentRequest)
   
   // Get specific appointment request
-  app.get('/api/appointment-requests/:requestId', getAppointmentRequestById)
+  app.get('/api/appointment-requests/:requestId', verifyToken, ownsAppointmentRequest, getAppointmentRequestById)
 }
 
 module.exports = appointmentRequestRoutes
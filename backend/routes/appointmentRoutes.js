@@ -1,7 +1,6 @@
 const express = require('express')
 const router = express.Router()
 const {
-  bookAppointment,
   getDoctorAvailability,
   getAppointmentHistory,
   getAllDoctors,
@@ -9,26 +8,29 @@ const {
   getPendingAppointments,
   getUpcomingAppointments,
 } = require('../controllers/appointmentController')
-
-// Book a new appointment
-router.post('/book', bookAppointment)
+const {
+  verifyToken,
+  hasRole,
+  ownsMedicalId,
+  validMedicalId,
+} = require('../middleware/authMiddleware')
 
 // Get doctor's availability
-router.get('/availability', getDoctorAvailability)
+router.get('/availability', verifyToken, validMedicalId('doctorMedicalId'), getDoctorAvailability)
 
 // Get appointment history
-router.get('/history', getAppointmentHistory)
+router.get('/history', verifyToken, validMedicalId('userMedicalId'), ownsMedicalId('userMedicalId'), getAppointmentHistory)
 
 // Get all doctors
-router.get('/doctors', getAllDoctors)
+router.get('/doctors', verifyToken, getAllDoctors)
 
 // Get all patients
-router.get('/patients', getAllPatients)
+router.get('/patients', verifyToken, hasRole('doctor', 'admin'), getAllPatients)
 
 // Get pending appointments
-router.get('/appointments/pending/:userId', getPendingAppointments)
+router.get('/appointments/pending/:userId', verifyToken, validMedicalId('userId'), ownsMedicalId('userId'), getPendingAppointments)
 
 // Get upcoming appointments
-router.get('/appointments/upcoming/:userId', getUpcomingAppointments)
+router.get('/appointments/upcoming/:userId', verifyToken, validMedicalId('userId'), ownsMedicalId('userId'), getUpcomingAppointments)
 
 module.exports = router
@@ -1,9 +1,33 @@
-const { signup, login, refreshToken } = require('../controllers/authController')
+const {
+  signup,
+  login,
+  refreshToken,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyLoginTwoFactor,
+  setupLoginTwoFactor,
+  enableLoginTwoFactor,
+} = require('../controllers/authController')
+const { getInvitation } = require('../controllers/invitationController')
+const { rateLimits } = require('../middleware/rateLimitMiddleware')
 
 const authRoutes = (app) => {
-  app.post('/api/signup', signup)
-  app.post('/api/login', login)
+  app.post('/api/signup', rateLimits.signup, signup)
+  app.post('/api/login', rateLimits.login, login)
+  // Second step for accounts with two-factor authentication
+  app.post('/api/login/2fa', rateLimits.login, verifyLoginTwoFactor)
+  app.post('/api/login/2fa/setup', setupLoginTwoFactor)
+  app.post('/api/login/2fa/enable', rateLimits.login, enableLoginTwoFactor)
   app.post('/api/refresh-token', refreshToken)
+  app.post('/api/logout', logout)
+  app.post('/api/verify-email', verifyEmail)
+  app.post('/api/verify-email/resend', rateLimits.accountEmail, resendVerification)
+  app.post('/api/forgot-password', rateLimits.accountEmail, forgotPassword)
+  app.post('/api/reset-password', resetPassword)
+  app.get('/api/invitations/:token', getInvitation)
 }
 
 module.exports = authRoutes
@@ -0,0 +1,22 @@
+const {
+  getCalendarFeed,
+  createCalendarFeed,
+  deleteCalendarFeed,
+  getCalendarFeedFile,
+} = require('../controllers/calendarController')
+const { verifyToken } = require('../middleware/authMiddleware')
+const { logActivity } = require('../middleware/activityLogMiddleware')
+
+const own = { entityType: 'user', entityId: (req) => req.userId }
+
+const calendarRoutes = (app) => {
+  // The signed-in user's secret calendar feed link
+  app.get('/api/calendar/feed', verifyToken, getCalendarFeed)
+  app.post('/api/calendar/feed', verifyToken, logActivity('calendar.feed_create', own), createCalendarFeed)
+  app.delete('/api/calendar/feed', verifyToken, logActivity('calendar.feed_delete', own), deleteCalendarFeed)
+
+  // Subscribed to from calendar apps, which can't sign in
+  app.get('/api/calendar/:token.ics', getCalendarFeedFile)
+}
+
+module.exports = calendarRoutes
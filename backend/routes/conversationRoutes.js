@@ -0,0 +1,30 @@
+const {
+  getConversations,
+  startConversation,
+  getMessages,
+  sendMessage,
+  markAsRead,
+  downloadAttachment,
+} = require('../controllers/conversationController')
+const {
+  verifyToken,
+  participatesInConversation,
+} = require('../middleware/authMiddleware')
+
+// Patient-doctor messaging. Everything under a conversation ID is limited to
+// its two participants.
+const conversationRoutes = (app) => {
+  app.get('/api/conversations', verifyToken, getConversations)
+  app.post('/api/conversations', verifyToken, startConversation)
+  app.get('/api/conversations/:conversationId/messages', verifyToken, participatesInConversation, getMessages)
+  app.post('/api/conversations/:conversationId/messages', verifyToken, participatesInConversation, sendMessage)
+  app.put('/api/conversations/:conversationId/read', verifyToken, participatesInConversation, markAsRead)
+  app.get(
+    '/api/conversations/:conversationId/messages/:messageId/attachments/:attachmentId',
+    verifyToken,
+    participatesInConversation,
+    downloadAttachment
+  )
+}
+
+module.exports = conversationRoutes
@@ -1,11 +1,68 @@
 const {
   searchDoctors,
+  getPracticeCities,
   updateAvailability,
+  getAvailability,
 } = require('../controllers/doctorController')
+const {
+  getMyCredentials,
+  submitCredentials,
+  deleteCredentialDocument,
+  downloadCredentialDocument,
+} = require('../controllers/credentialController')
+const {
+  verifyToken,
+  isDoctor,
+  ownsMedicalId,
+  validMedicalId,
+} = require('../middleware/authMiddleware')
+const { logActivity } = require('../middleware/activityLogMiddleware')
+
+// Audit entries for a doctor's changes to their own credentials
+const ownCredentials = (action) =>
+  logActivity(action, { entityType: 'user', entityId: (req) => req.userId })
 
 const doctorRoutes = (app) => {
-  app.get('/api/doctors/search', searchDoctors)
-  app.post('/api/doctors/update-availability', updateAvailability)
+  app.get('/api/doctors/search', verifyToken, searchDoctors)
+  app.get('/api/doctors/cities', verifyToken, getPracticeCities)
+
+  // Doctors submit their license and qualifications for an admin to verify
+  app.get('/api/doctors/credentials', verifyToken, isDoctor, getMyCredentials)
+  app.put(
+    '/api/doctors/credentials',
+    verifyToken,
+    ownCredentials('credentials.submit'),
+    isDoctor,
+    submitCredentials,
+  )
+  app.get(
+    '/api/doctors/credentials/documents/:documentId',
+    verifyToken,
+    isDoctor,
+    downloadCredentialDocument,
+  )
+  app.delete(
+    '/api/doctors/credentials/documents/:documentId',
+    verifyToken,
+    ownCredentials('credentials.document_delete'),
+    isDoctor,
+    deleteCredentialDocument,
+  )
+  app.get(
+    '/api/doctors/:doctorMedicalId/availability',
+    verifyToken,
+    validMedicalId('doctorMedicalId'),
+    getAvailability,
+  )
+  app.post(
+    '/api/doctors/update-availability',
+    verifyToken,
+    logActivity('availability.update', { entityType: 'doctor', entityId: 'doctorMedicalId' }),
+    isDoctor,
+    validMedicalId('doctorMedicalId'),
+    ownsMedicalId('doctorMedicalId'),
+    updateAvailability,
+  )
 }
 
 module.exports = doctorRoutes
@@ -4,19 +4,26 @@ const {
   getPatientFeedback,
   deleteFeedback,
 } = require('../controllers/feedbackController')
+const {
+  verifyToken,
+  isPatient,
+  ownsMedicalId,
+  validMedicalId,
+} = require('../middleware/authMiddleware')
+const { logActivity } = require('../middleware/activityLogMiddleware')
 
 const feedbackRoutes = (app) => {
   // Create new feedback
-  app.post('/api/feedback', createFeedback)
+  app.post('/api/feedback', verifyToken, logActivity('feedback.create', { entityType: 'feedback' }), isPatient, validMedicalId('patientMedicalId', 'doctorMedicalId'), ownsMedicalId('patientMedicalId'), createFeedback)
   
-  // Get all feedback for a specific doctor
-  app.get('/api/feedback/doctor/:doctorMedicalId', getDoctorFeedback)
+  // Get all feedback for a specific doctor (visible to any signed-in user)
+  app.get('/api/feedback/doctor/:doctorMedicalId', verifyToken, validMedicalId('doctorMedicalId'), getDoctorFeedback)
   
   // Get all feedback submitted by a specific patient
-  app.get('/api/feedback/patient/:patientMedicalId', getPatientFeedback)
+  app.get('/api/feedback/patient/:patientMedicalId', verifyToken, validMedicalId('patientMedicalId'), ownsMedicalId('patientMedicalId'), getPatientFeedback)
   
   // Delete feedback
-  app.delete('/api/feedback/:feedbackId', deleteFeedback)
+  app.delete('/api/feedback/:feedbackId', verifyToken, logActivity('feedback.delete', { entityType: 'feedback', entityId: 'feedbackId' }), validMedicalId('patientMedicalId'), ownsMedicalId('patientMedicalId'), deleteFeedback)
 }
 
 module.exports = feedbackRoutes
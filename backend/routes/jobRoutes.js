@@ -0,0 +1,17 @@
+const { getJobs, getJob, retryJob, cancelJob } = require('../controllers/jobController')
+const { verifyToken, isAdmin } = require('../middleware/authMiddleware')
+const { logActivity } = require('../middleware/activityLogMiddleware')
+
+const job = { entityType: 'job', entityId: 'jobId' }
+
+const jobRoutes = (app) => {
+  // Inspect the background job queue
+  app.get('/api/admin/jobs', verifyToken, isAdmin, getJobs)
+  app.get('/api/admin/jobs/:jobId', verifyToken, isAdmin, getJob)
+
+  // Requeue a failed job, or cancel one that hasn't run yet
+  app.post('/api/admin/jobs/:jobId/retry', verifyToken, logActivity('job.retry', job), isAdmin, retryJob)
+  app.post('/api/admin/jobs/:jobId/cancel', verifyToken, logActivity('job.cancel', job), isAdmin, cancelJob)
+}
+
+module.exports = jobRoutes
@@ -0,0 +1,17 @@
+const {
+  getNotifications,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+} = require('../controllers/notificationController')
+const { verifyToken } = require('../middleware/authMiddleware')
+
+// Notifications are always scoped to the authenticated user
+const notificationRoutes = (app) => {
+  app.get('/api/notifications', verifyToken, getNotifications)
+  app.put('/api/notifications/read-all', verifyToken, markAllAsRead)
+  app.put('/api/notifications/:notificationId/read', verifyToken, markAsRead)
+  app.delete('/api/notifications/:notificationId', verifyToken, deleteNotification)
+}
+
+module.exports = notificationRoutes
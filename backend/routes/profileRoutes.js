@@ -2,12 +2,34 @@ const {
   getProfile,
   updateProfile,
   uploadProfilePicture,
+  deleteOwnAccount,
 } = require('../controllers/profileController')
+const { verifyToken, isPatient, ownsUserId } = require('../middleware/authMiddleware')
+const { logActivity } = require('../middleware/activityLogMiddleware')
 
 const profileRoutes = (app) => {
-  app.post('/api/profile/uploadProfilePicture/:userId', uploadProfilePicture)
-  app.post('/api/profile/update', updateProfile)
-  app.get('/api/profile/:userId', getProfile)
+  app.post(
+    '/api/profile/uploadProfilePicture/:userId',
+    verifyToken,
+    logActivity('profile.picture_update', { entityType: 'user', entityId: 'userId' }),
+    ownsUserId('userId'),
+    uploadProfilePicture,
+  )
+  app.post(
+    '/api/profile/update',
+    verifyToken,
+    logActivity('profile.update', { entityType: 'user', entityId: 'userId' }),
+    ownsUserId('userId'),
+    updateProfile,
+  )
+  app.delete(
+    '/api/profile',
+    verifyToken,
+    logActivity('user.delete_request', { entityType: 'user' }),
+    isPatient,
+    deleteOwnAccount,
+  )
+  app.get('/api/profile/:userId', verifyToken, ownsUserId('userId'), getProfile)
 }
 
 module.exports = profileRoutes
@@ -0,0 +1,26 @@
+const {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} = require('../controllers/sessionController')
+const { verifyToken } = require('../middleware/authMiddleware')
+const { logActivity } = require('../middleware/activityLogMiddleware')
+
+const sessionRoutes = (app) => {
+  // The signed-in user's devices
+  app.get('/api/sessions', verifyToken, getSessions)
+  app.delete(
+    '/api/sessions',
+    verifyToken,
+    logActivity('session.revoke_others', { entityType: 'user', entityId: (req) => req.userId }),
+    revokeOtherSessions,
+  )
+  app.delete(
+    '/api/sessions/:sessionId',
+    verifyToken,
+    logActivity('session.revoke', { entityType: 'session', entityId: 'sessionId' }),
+    revokeSession,
+  )
+}
+
+module.exports = sessionRoutes
@@ -1,7 +1,9 @@
 const { checkSymptoms } = require('../controllers/symptomController')
+const { verifyToken } = require('../middleware/authMiddleware')
+const { rateLimits } = require('../middleware/rateLimitMiddleware')
 
 const symptomRoutes = (app) => {
-  app.post('/api/symptoms/check', checkSymptoms)
+  app.post('/api/symptoms/check', verifyToken, rateLimits.symptoms, checkSymptoms)
 }
 
 module.exports = symptomRoutes
@@ -0,0 +1,27 @@
+const {
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require('../controllers/twoFactorController')
+const { verifyToken } = require('../middleware/authMiddleware')
+const { logActivity } = require('../middleware/activityLogMiddleware')
+
+const own = { entityType: 'user', entityId: (req) => req.userId }
+
+const twoFactorRoutes = (app) => {
+  // The signed-in user's own authenticator app and recovery codes
+  app.get('/api/two-factor', verifyToken, getTwoFactorStatus)
+  app.post('/api/two-factor/setup', verifyToken, logActivity('two_factor.setup', own), startTwoFactorSetup)
+  app.post('/api/two-factor/enable', verifyToken, logActivity('two_factor.enable', own), enableTwoFactor)
+  app.post(
+    '/api/two-factor/recovery-codes',
+    verifyToken,
+    logActivity('two_factor.recovery_codes', own),
+    regenerateRecoveryCodes,
+  )
+  app.post('/api/two-factor/disable', verifyToken, logActivity('two_factor.disable', own), disableTwoFactor)
+}
+
+module.exports = twoFactorRoutes
@@ -0,0 +1,31 @@
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist,
+} = require('../controllers/waitlistController')
+const {
+  verifyToken,
+  isPatient,
+  validMedicalId,
+  ownsWaitlistEntry,
+} = require('../middleware/authMiddleware')
+const { logActivity } = require('../middleware/activityLogMiddleware')
+
+// Audit entries for changes to one waitlist entry
+const audited = { entityType: 'waitlist', entityId: 'entryId' }
+
+// Patients waiting for a slot with a fully booked doctor
+const waitlistRoutes = (app) => {
+  app.get('/api/waitlist', verifyToken, isPatient, getMyWaitlist)
+  app.post('/api/waitlist', verifyToken, logActivity('waitlist.join', { entityType: 'waitlist' }), isPatient, validMedicalId('doctorMedicalId'), joinWaitlist)
+
+  // Answer the slot currently held for the patient
+  app.post('/api/waitlist/:entryId/accept', verifyToken, logActivity('waitlist.accept', audited), isPatient, ownsWaitlistEntry, acceptOffer)
+  app.post('/api/waitlist/:entryId/decline', verifyToken, logActivity('waitlist.decline', audited), isPatient, ownsWaitlistEntry, declineOffer)
+
+  app.delete('/api/waitlist/:entryId', verifyToken, logActivity('waitlist.leave', audited), isPatient, ownsWaitlistEntry, leaveWaitlist)
+}
+
+module.exports = waitlistRoutes
@@ -0,0 +1,45 @@
+// Bootstrap the first admin. Signup is patient-only, so this issues an admin
+// invitation straight from the command line and prints the signup link.
+//
+// Usage: node scripts/inviteAdmin.js <email> [ttlHours]
+const process = require('process')
+const mongoose = require('mongoose')
+require('dotenv').config()
+const Invitation = require('../models/invitationModel')
+const User = require('../models/userModel')
+
+const [email, ttlHours] = process.argv.slice(2)
+
+const invite = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI environment variable is not set')
+    process.exit(1)
+  }
+  if (!email) {
+    console.error('Usage: node scripts/inviteAdmin.js <email> [ttlHours]')
+    process.exit(1)
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  // Invitations record who issued them; credit an existing admin if there is one
+  const admin = await User.findOne({ role: 'admin' })
+  const { invitation, token } = await Invitation.issue({
+    email,
+    role: 'admin',
+    invitedBy: admin ? admin._id : new mongoose.Types.ObjectId(),
+    ttlHours: ttlHours ? Number(ttlHours) : undefined,
+  })
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000'
+  console.info(`Admin invitation for ${invitation.email} (expires ${invitation.expiresAt.toISOString()}):`)
+  console.info(`${frontendUrl}/signup?invite=${token}`)
+
+  await mongoose.disconnect()
+  process.exit(0)
+}
+
+invite().catch((error) => {
+  console.error('Failed to create invitation:', error)
+  process.exit(1)
+})
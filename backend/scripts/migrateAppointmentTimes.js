@@ -0,0 +1,75 @@
+// One-off migration for time zone aware scheduling.
+//
+// Appointments used to store only a date and an "HH:mm" time. This records
+// the doctor's clinic time zone on each one and works out the instants its
+// preferred and scheduled slots (and any reschedule proposals) start, which
+// upcoming appointment lists are now filtered and sorted by.
+//
+// The old times were the clinic's wall-clock times, so set each doctor's
+// clinic time zone (or CLINIC_TIME_ZONE) before running this.
+//
+// Usage: node scripts/migrateAppointmentTimes.js [--dry-run]
+const process = require('process')
+const mongoose = require('mongoose')
+require('dotenv').config()
+const AppointmentRequest = require('../models/appointmentRequestModel')
+const Doctor = require('../models/doctorModel')
+const { DEFAULT_TIME_ZONE } = require('../services/timeZoneService')
+
+const dryRun = process.argv.includes('--dry-run')
+
+const migrate = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI environment variable is not set')
+    process.exit(1)
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+  console.info(dryRun ? 'Dry run: no documents will be written' : 'Recording appointment time zones')
+
+  const zones = new Map()
+  const timeZoneOf = async (doctorMedicalId) => {
+    if (!zones.has(doctorMedicalId)) {
+      const schedule = await Doctor.findOne({ medicalId: doctorMedicalId }).select('timeZone')
+      zones.set(doctorMedicalId, schedule?.timeZone || DEFAULT_TIME_ZONE)
+    }
+    return zones.get(doctorMedicalId)
+  }
+
+  const requests = await AppointmentRequest.find({ timeZone: { $exists: false } })
+  const counts = {}
+  for (const request of requests) {
+    request.timeZone = await timeZoneOf(request.doctorMedicalId)
+    counts[request.timeZone] = (counts[request.timeZone] || 0) + 1
+
+    const update = {
+      timeZone: request.timeZone,
+      preferredAt: request.instantOf(request.preferredDate, request.preferredTime),
+    }
+    if (request.scheduledDate && request.scheduledTime) {
+      update.scheduledAt = request.instantOf(request.scheduledDate, request.scheduledTime)
+    }
+    request.rescheduleProposals.forEach((proposal, index) => {
+      update[`rescheduleProposals.${index}.startsAt`] = request.instantOf(proposal.date, proposal.time)
+    })
+
+    // Written directly so old appointments that no longer pass validation
+    // are still updated
+    if (!dryRun) {
+      await AppointmentRequest.updateOne({ _id: request._id }, { $set: update })
+    }
+  }
+
+  for (const [timeZone, count] of Object.entries(counts)) {
+    console.info(`${timeZone}: ${count}`)
+  }
+  console.info(`Appointments ${dryRun ? 'to update' : 'updated'}: ${requests.length}`)
+
+  await mongoose.disconnect()
+  process.exit(0)
+}
+
+migrate().catch((error) => {
+  console.error('Migration failed:', error)
+  process.exit(1)
+})
@@ -0,0 +1,114 @@
+// One-off migration onto the unified appointment lifecycle.
+//
+// 1. Renames the old AppointmentRequest status `pending` to `requested`.
+// 2. Copies documents from the legacy `appointments` collection (the old
+//    Appointment model) into AppointmentRequest, mapping their statuses.
+//
+// Safe to re-run: copied appointments are tagged with legacyAppointmentId
+// and skipped on later runs. The legacy collection is left untouched.
+//
+// Usage: node scripts/migrateAppointments.js [--dry-run]
+const process = require('process')
+const mongoose = require('mongoose')
+require('dotenv').config()
+const AppointmentRequest = require('../models/appointmentRequestModel')
+const User = require('../models/userModel')
+
+const LEGACY_STATUS_MAP = {
+  pending: 'requested',
+  confirmed: 'approved',
+  cancelled: 'cancelled',
+  completed: 'completed',
+}
+
+const dryRun = process.argv.includes('--dry-run')
+
+const renamePendingRequests = async () => {
+  const filter = { status: 'pending' }
+  if (dryRun) return AppointmentRequest.collection.countDocuments(filter)
+
+  const result = await AppointmentRequest.collection.updateMany(filter, {
+    $set: { status: 'requested' },
+  })
+  return result.modifiedCount
+}
+
+const toAppointmentRequest = async (legacy) => {
+  const [doctor, patient] = await Promise.all([
+    User.findOne({ medicalId: legacy.doctorMedicalId }),
+    User.findOne({ medicalId: legacy.patientMedicalId }),
+  ])
+  const status = LEGACY_STATUS_MAP[legacy.status] || 'requested'
+  const wasScheduled = status !== 'requested'
+
+  return new AppointmentRequest({
+    legacyAppointmentId: legacy._id,
+    doctorMedicalId: legacy.doctorMedicalId,
+    patientMedicalId: legacy.patientMedicalId,
+    doctorName: legacy.doctorName,
+    patientName: legacy.patientName,
+    doctorEmail: doctor?.email || 'unknown@careconnect.invalid',
+    patientEmail: patient?.email || 'unknown@careconnect.invalid',
+    preferredDate: legacy.date,
+    preferredTime: legacy.time,
+    scheduledDate: wasScheduled ? legacy.date : undefined,
+    scheduledTime: wasScheduled ? legacy.time : undefined,
+    symptoms: legacy.symptoms,
+    contactInfo: patient?.email || 'Not provided',
+    urgencyLevel: legacy.urgencyLevel || 'Routine',
+    urgencyScore: legacy.urgencyScore || 0,
+    status,
+    statusHistory: [{ to: status, reason: 'Migrated from legacy appointment' }],
+  })
+}
+
+const copyLegacyAppointments = async () => {
+  const legacyCollection = mongoose.connection.collection('appointments')
+  const summary = { copied: 0, skipped: 0, failed: 0 }
+
+  for await (const legacy of legacyCollection.find()) {
+    const alreadyCopied = await AppointmentRequest.exists({
+      legacyAppointmentId: legacy._id,
+    })
+    if (alreadyCopied) {
+      summary.skipped += 1
+      continue
+    }
+
+    try {
+      const request = await toAppointmentRequest(legacy)
+      await request.validate()
+      if (!dryRun) await request.save()
+      summary.copied += 1
+    } catch (error) {
+      console.error(`Could not migrate appointment ${legacy._id}:`, error.message)
+      summary.failed += 1
+    }
+  }
+
+  return summary
+}
+
+const migrate = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI environment variable is not set')
+    process.exit(1)
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+  console.info(dryRun ? 'Dry run: no documents will be written' : 'Migrating appointments')
+
+  const renamed = await renamePendingRequests()
+  console.info(`Pending requests renamed to requested: ${renamed}`)
+
+  const { copied, skipped, failed } = await copyLegacyAppointments()
+  console.info(`Legacy appointments copied: ${copied}, already migrated: ${skipped}, failed: ${failed}`)
+
+  await mongoose.disconnect()
+  process.exit(failed > 0 ? 1 : 0)
+}
+
+migrate().catch((error) => {
+  console.error('Migration failed:', error)
+  process.exit(1)
+})
@@ -0,0 +1,127 @@
+// One-off migration onto conversation threads.
+//
+// 1. Moves the messages stored on each AppointmentRequest (`messages[]`) into
+//    the conversation linked to that appointment.
+// 2. Copies the legacy `chats` collection (the old Chat model, keyed by user
+//    IDs) into each patient-doctor pair's general conversation.
+//
+// Safe to re-run: copied messages are tagged with legacyId and skipped on
+// later runs. The legacy data is left in place.
+//
+// Usage: node scripts/migrateMessages.js [--dry-run]
+const process = require('process')
+const mongoose = require('mongoose')
+require('dotenv').config()
+const AppointmentRequest = require('../models/appointmentRequestModel')
+const Conversation = require('../models/conversationModel')
+const Message = require('../models/messageModel')
+const User = require('../models/userModel')
+const {
+  conversationForRequest,
+  findOrCreateConversation,
+} = require('../services/conversationService')
+
+const dryRun = process.argv.includes('--dry-run')
+
+// Insert a legacy message unless it was copied on an earlier run
+const copyMessage = async (conversation, legacyId, sender, body, sentAt) => {
+  const exists = await Message.collection.countDocuments({ legacyId })
+  if (exists) return false
+  if (dryRun) return true
+
+  await Message.collection.insertOne({
+    legacyId,
+    conversation: conversation._id,
+    sender,
+    body,
+    attachments: [],
+    // Old messages had no read receipts; treat them as read
+    readAt: sentAt,
+    createdAt: sentAt,
+  })
+  await Conversation.updateOne(
+    { _id: conversation._id, $or: [{ updatedAt: { $lt: sentAt } }, { lastMessage: null }] },
+    { $set: { lastMessage: { body, sender, sentAt }, updatedAt: sentAt } },
+  )
+  return true
+}
+
+const migrateRequestMessages = async () => {
+  const summary = { copied: 0, skipped: 0, failed: 0 }
+  const requests = AppointmentRequest.collection.find({ 'messages.0': { $exists: true } })
+
+  for await (const raw of requests) {
+    try {
+      const request = AppointmentRequest.hydrate(raw)
+      const conversation = dryRun
+        ? { _id: null }
+        : await conversationForRequest(request)
+      if (!conversation) throw new Error('patient or doctor account is missing')
+
+      for (const legacy of raw.messages) {
+        const sender = await User.findOne({ medicalId: legacy.sender }).select('_id')
+        if (!sender) {
+          summary.failed += 1
+          continue
+        }
+        const sentAt = legacy.timestamp || raw.createdAt
+        const copied = await copyMessage(conversation, legacy._id, sender._id, legacy.message, sentAt)
+        summary[copied ? 'copied' : 'skipped'] += 1
+      }
+    } catch (error) {
+      console.error(`Could not migrate messages on request ${raw._id}:`, error.message)
+      summary.failed += 1
+    }
+  }
+
+  return summary
+}
+
+const migrateChats = async () => {
+  const summary = { copied: 0, skipped: 0, failed: 0 }
+  const chats = mongoose.connection.collection('chats')
+
+  for await (const chat of chats.find()) {
+    try {
+      const users = await User.find({ _id: { $in: [chat.sender, chat.receiver] } }).select('role')
+      const patient = users.find((user) => user.role === 'patient')
+      const doctor = users.find((user) => user.role === 'doctor')
+      if (!patient || !doctor) throw new Error('chat is not between a patient and a doctor')
+
+      const conversation = dryRun
+        ? { _id: null }
+        : await findOrCreateConversation({ patient: patient._id, doctor: doctor._id })
+      const copied = await copyMessage(conversation, chat._id, chat.sender, chat.message, chat.timestamp)
+      summary[copied ? 'copied' : 'skipped'] += 1
+    } catch (error) {
+      console.error(`Could not migrate chat message ${chat._id}:`, error.message)
+      summary.failed += 1
+    }
+  }
+
+  return summary
+}
+
+const migrate = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI environment variable is not set')
+    process.exit(1)
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+  console.info(dryRun ? 'Dry run: no documents will be written' : 'Migrating messages')
+
+  const requests = await migrateRequestMessages()
+  console.info(`Appointment request messages copied: ${requests.copied}, already migrated: ${requests.skipped}, failed: ${requests.failed}`)
+
+  const chats = await migrateChats()
+  console.info(`Chat messages copied: ${chats.copied}, already migrated: ${chats.skipped}, failed: ${chats.failed}`)
+
+  await mongoose.disconnect()
+  process.exit(requests.failed + chats.failed > 0 ? 1 : 0)
+}
+
+migrate().catch((error) => {
+  console.error('Migration failed:', error)
+  process.exit(1)
+})
@@ -0,0 +1,81 @@
+// One-off migration for appointment types and practice locations.
+//
+// Slot reservations used to be one document per booked slot. They are now
+// one per reserved step of the day, covering the whole appointment, so an
+// old reservation only blocks the first few minutes of its slot. This adds
+// the missing steps for each old reservation, using the doctor's slot
+// length, and records when the booking starts.
+//
+// Steps another booking already holds are skipped and reported; check those
+// appointments by hand.
+//
+// Usage: node scripts/migrateSlotReservations.js [--dry-run]
+const process = require('process')
+const mongoose = require('mongoose')
+require('dotenv').config()
+const Doctor = require('../models/doctorModel')
+const SlotReservation = require('../models/slotReservationModel')
+const { reservedSteps } = require('../services/availabilityService')
+
+const dryRun = process.argv.includes('--dry-run')
+
+const migrate = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI environment variable is not set')
+    process.exit(1)
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+  console.info(dryRun ? 'Dry run: no documents will be written' : 'Expanding slot reservations')
+
+  const schedules = new Map()
+  const slotDurationOf = async (doctorMedicalId) => {
+    if (!schedules.has(doctorMedicalId)) {
+      const schedule = await Doctor.findOne({ medicalId: doctorMedicalId }).select('slotDuration')
+      schedules.set(doctorMedicalId, schedule?.slotDuration || 30)
+    }
+    return schedules.get(doctorMedicalId)
+  }
+
+  const reservations = await SlotReservation.find({ startTime: { $exists: false } })
+  let added = 0
+  let conflicts = 0
+  for (const reservation of reservations) {
+    const { doctorMedicalId, date, time, appointmentRequest, waitlistEntry } = reservation
+    const span = { duration: await slotDurationOf(doctorMedicalId), bufferBefore: 0, bufferAfter: 0 }
+    const steps = reservedSteps(time, span).filter((step) => step !== time)
+
+    for (const step of steps) {
+      const taken = await SlotReservation.exists({ doctorMedicalId, date, time: step })
+      if (taken) {
+        conflicts += 1
+        console.warn(`${doctorMedicalId} ${date} ${step} is already held; the booking at ${time} overlaps it`)
+        continue
+      }
+      if (!dryRun) {
+        await SlotReservation.create({
+          doctorMedicalId,
+          date,
+          time: step,
+          startTime: time,
+          appointmentRequest,
+          waitlistEntry,
+        })
+      }
+      added += 1
+    }
+    if (!dryRun) {
+      await SlotReservation.updateOne({ _id: reservation._id }, { $set: { startTime: time } })
+    }
+  }
+  console.info(`Reservations ${dryRun ? 'to expand' : 'expanded'}: ${reservations.length}`)
+  console.info(`Steps ${dryRun ? 'to add' : 'added'}: ${added}, already held: ${conflicts}`)
+
+  await mongoose.disconnect()
+  process.exit(0)
+}
+
+migrate().catch((error) => {
+  console.error('Migration failed:', error)
+  process.exit(1)
+})
@@ -0,0 +1,60 @@
+// One-off migration onto server-issued medical IDs.
+//
+// Gives every user whose medical ID doesn't match the issued format (or has
+// a bad check digit) a new one, and updates their appointment requests,
+// feedback, schedules and slot reservations to match. The old ID is kept in
+// the user's previousMedicalIds.
+//
+// Safe to re-run: users that already have a valid ID are skipped.
+//
+// Usage: node scripts/reissueMedicalIds.js [--dry-run]
+const process = require('process')
+const mongoose = require('mongoose')
+require('dotenv').config()
+const User = require('../models/userModel')
+const { isValidMedicalId } = require('../services/medicalIdService')
+const { reissueMedicalId } = require('../services/medicalIdReissueService')
+
+const dryRun = process.argv.includes('--dry-run')
+
+const migrate = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI environment variable is not set')
+    process.exit(1)
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+  console.info(dryRun ? 'Dry run: no documents will be written' : 'Re-issuing medical IDs')
+
+  let reissued = 0
+  let skipped = 0
+  let failed = 0
+  for await (const user of User.find().cursor()) {
+    if (isValidMedicalId(user.medicalId)) {
+      skipped++
+      continue
+    }
+    if (dryRun) {
+      console.info(`Would re-issue ${user.medicalId} (${user.username})`)
+      reissued++
+      continue
+    }
+    try {
+      const { oldId, newId, cascaded } = await reissueMedicalId(user)
+      console.info(`${user.username}: ${oldId} -> ${newId}`, cascaded)
+      reissued++
+    } catch (error) {
+      console.error(`Failed to re-issue ${user.medicalId} (${user.username}):`, error.message)
+      failed++
+    }
+  }
+  console.info(`Re-issued: ${reissued}, already valid: ${skipped}, failed: ${failed}`)
+
+  await mongoose.disconnect()
+  process.exit(failed > 0 ? 1 : 0)
+}
+
+migrate().catch((error) => {
+  console.error('Migration failed:', error)
+  process.exit(1)
+})
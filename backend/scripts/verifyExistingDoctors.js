@@ -0,0 +1,58 @@
+// One-off migration for doctor credential verification.
+//
+// Doctors who registered before verification existed have no credentials
+// on record, so they would disappear from search and booking. This marks
+// them as verified, noting that it was done by migration; admins can still
+// ask for credentials and reject them later.
+//
+// Run it once when upgrading. Doctors who have submitted credentials are
+// skipped, but one who signed up after the upgrade and hasn't submitted yet
+// would be verified too, so don't run it later.
+//
+// Usage: node scripts/verifyExistingDoctors.js [--dry-run]
+const process = require('process')
+const mongoose = require('mongoose')
+require('dotenv').config()
+const User = require('../models/userModel')
+
+const dryRun = process.argv.includes('--dry-run')
+
+const migrate = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI environment variable is not set')
+    process.exit(1)
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+  console.info(dryRun ? 'Dry run: no documents will be written' : 'Verifying existing doctors')
+
+  const filter = {
+    role: 'doctor',
+    'credentials.status': { $in: [null, 'unsubmitted'] },
+    'credentials.submittedAt': { $exists: false },
+  }
+  const doctors = await User.find(filter).select('username medicalId')
+  for (const doctor of doctors) {
+    console.info(`${dryRun ? 'Would verify' : 'Verifying'} ${doctor.medicalId} (${doctor.username})`)
+  }
+
+  if (!dryRun && doctors.length) {
+    const now = new Date()
+    await User.updateMany(filter, {
+      $set: {
+        'credentials.status': 'verified',
+        'credentials.reviewedAt': now,
+        'credentials.reviewNotes': 'Verified automatically: registered before credential checks',
+      },
+    })
+  }
+  console.info(`Doctors ${dryRun ? 'to verify' : 'verified'}: ${doctors.length}`)
+
+  await mongoose.disconnect()
+  process.exit(0)
+}
+
+migrate().catch((error) => {
+  console.error('Migration failed:', error)
+  process.exit(1)
+})
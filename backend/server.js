@@ -1,83 +1,14 @@
 const process = require('process')
-const express = require('express')
 const mongoose = require('mongoose')
-const cors = require('cors')
-const path = require('path')
 const http = require('http')
 const { initSocket } = require('./socket')
+const { scheduler } = require('./services/jobScheduler')
+const { registerReminderJobs } = require('./services/reminderService')
+const { registerAccountDeletionJobs } = require('./services/accountDeletionService')
+const { registerTriageJobs } = require('./services/triageService')
+const { registerWaitlistJobs } = require('./services/waitlistService')
 require('dotenv').config()
-
-// Routes imports
-const authRoutes = require('./routes/authRoutes')
-const profileRoutes = require('./routes/profileRoutes')
-const symptomRoutes = require('./routes/symptomRoutes')
-const appointmentRoutes = require('./routes/appointmentRoutes')
-const appointmentRequestRoutes = require('./routes/appointmentRequestRoutes')
-const activityLogRoutes = require('./routes/activityLogRoutes')
-const analyticsRoutes = require('./routes/analyticsRoutes')
-const doctorRoutes = require('./routes/doctorRoutes')
-const adminRoutes = require('./routes/adminRoutes')
-const feedbackRoutes = require('./routes/feedbackRoutes')
-
-// Express app
-const app = express()
-
-// Middleware
-const allowedOrigins = process.env.ALLOWED_ORIGINS
-  ? process.env.ALLOWED_ORIGINS.split(',')
-  : [process.env.FRONTEND_URL]
-
-app.use(
-  cors({
-    origin: (origin, callback) => {
-      // Allow requests with no origin (like mobile apps, curl requests)
-      if (!origin) return callback(null, true)
-      
-      if (allowedOrigins.includes(origin)) {
-        return callback(null, true)
-      } else {
-        return callback(new Error('Not allowed by CORS'))
-      }
-    },
-    credentials: true, // Allow cookies to be sent with requests
-  }),
-)
-
-app.use(express.json())
-app.use(express.urlencoded({ extended: true }))
-app.use(express.static(path.join(__dirname, 'public'))) //eslint-disable-line
-
-// Health check route
-app.get('/', (req, res) => {
-  res.json({ 
-    message: 'CareConnect Backend API is running!', 
-    status: 'healthy',
-    timestamp: new Date().toISOString()
-  })
-})
-
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy',
-    database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
-    timestamp: new Date().toISOString()
-  })
-})
-
-// Routes
-authRoutes(app)
-profileRoutes(app)
-symptomRoutes(app)
-app.use('/api', appointmentRoutes) // Updated to use router
-appointmentRequestRoutes(app)
-doctorRoutes(app)
-adminRoutes(app)
-activityLogRoutes(app)
-analyticsRoutes(app)
-feedbackRoutes(app)
-
-// Static file serving
-app.use('/uploads', express.static(path.join(__dirname, 'uploads'))) //eslint-disable-line
+const app = require('./app')
 
 // MongoDB connection (non-blocking)
 const connectToMongoDB = async () => {
@@ -105,6 +36,13 @@ const connectToMongoDB = async () => {
       // Removed deprecated options that cause errors
     })
     console.info('✅ Connected to MongoDB successfully')
+
+    // Background jobs are stored in Mongo, so only poll once connected
+    registerReminderJobs()
+    registerAccountDeletionJobs()
+    registerTriageJobs()
+    registerWaitlistJobs()
+    scheduler.start()
   } catch (err) {
     console.error('❌ Database connection error:', err.message)
     console.error('Full error:', err)
@@ -142,6 +80,7 @@ server.listen(PORT, HOST, (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.info('SIGTERM received, shutting down gracefully')
+  scheduler.stop()
   server.close(() => {
     console.info('Process terminated')
   })
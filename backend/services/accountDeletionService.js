@@ -0,0 +1,277 @@
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const path = require('path')
+const process = require('process')
+const User = require('../models/userModel')
+const AppointmentRequest = require('../models/appointmentRequestModel')
+const Feedback = require('../models/feedbackModel')
+const ActivityLog = require('../models/activityLogModel')
+const Notification = require('../models/notificationModel')
+const SocketEvent = require('../models/socketEventModel')
+const Session = require('../models/sessionModel')
+const AccountToken = require('../models/accountTokenModel')
+const Doctor = require('../models/doctorModel')
+const SlotReservation = require('../models/slotReservationModel')
+const WaitlistEntry = require('../models/waitlistEntryModel')
+const { scheduler: defaultScheduler } = require('./jobScheduler')
+const { revokeAllSessions } = require('./sessionService')
+const { releaseSlots } = require('./availabilityService')
+const { cancelReminders } = require('./reminderService')
+const { notifyMedicalId } = require('./notificationService')
+const { eraseMessagesFrom } = require('./conversationService')
+const { CREDENTIAL_DIR } = require('./doctorCredentialService')
+const { cancelWaitlistsFor } = require('./waitlistService')
+const { sendAppointmentCancellationEmail } = require('./emailService')
+const { appointmentInvite } = require('./calendarService')
+const { formatInstant } = require('./timeZoneService')
+const { emitAppointmentUpdate } = require('../socket')
+
+const PURGE_JOB = 'account-purge'
+
+const DEFAULT_GRACE_DAYS = 30
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Written over names and free text in records that outlive the account
+const DELETED_NAME = 'Deleted user'
+const DELETED_EMAIL = 'deleted@invalid'
+const REMOVED_TEXT = 'Removed'
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads') //eslint-disable-line
+
+const purgeKey = (userId) => `account-purge:${userId}`
+
+// Days a deleted account can still be restored before it is purged
+const readDeletionConfig = (env = process.env) => {
+  const graceDays = Number(env.ACCOUNT_DELETION_GRACE_DAYS)
+  return { graceDays: Number.isFinite(graceDays) && graceDays >= 0 ? graceDays : DEFAULT_GRACE_DAYS }
+}
+
+const partyOf = (user) => (user.role === 'doctor' ? 'doctor' : 'patient')
+
+
+// Cancel the user's appointments that haven't started yet and tell the
+// other side. Returns the cancelled requests.
+const cancelFutureAppointments = async (user, { cancelledBy, cancelledByRole }, scheduler, now) => {
+  if (!['patient', 'doctor'].includes(user.role)) return []
+
+  const party = partyOf(user)
+  const other = party === 'doctor' ? 'patient' : 'doctor'
+  const requests = await AppointmentRequest.find({
+    [`${party}MedicalId`]: user.medicalId,
+    status: { $in: ['requested', ...AppointmentRequest.ACTIVE_STATUSES] },
+  })
+
+  const reason = `The ${party}'s account was closed`
+  const cancelled = []
+  for (const request of requests) {
+    if (!(request.startsAt() > now)) continue
+
+    const wasApproved = request.status !== 'requested'
+    request.transitionTo('cancelled', { changedBy: cancelledBy, reason })
+    request.cancellation = { reason, cancelledBy, cancelledByRole, cancelledAt: now }
+    const pending = request.pendingProposal()
+    if (pending) {
+      pending.status = 'withdrawn'
+      pending.respondedAt = now
+    }
+    await releaseSlots(request._id)
+    await request.save()
+    cancelled.push(request)
+
+    await cancelReminders(request._id, scheduler).catch((error) =>
+      console.error('Error cancelling reminders:', error),
+    )
+    await emitAppointmentUpdate(request).catch((error) =>
+      console.error('Error pushing appointment update:', error),
+    )
+    // Shown in the other side's own time zone
+    const timeZone = await User.findTimeZone(request[`${other}MedicalId`])
+    await notifyMedicalId(request[`${other}MedicalId`], {
+      type: 'appointment_cancelled',
+      title: 'Appointment cancelled',
+      message: `Your appointment on ${formatInstant(request.startsAt(), timeZone)} was cancelled: ${reason}`,
+      link: `/${other}/appointment-history`,
+      data: { appointmentRequestId: request._id },
+    })
+    try {
+      await sendAppointmentCancellationEmail(
+        request[`${other}Email`],
+        other === 'doctor' ? `Dr. ${request.doctorName}` : request.patientName,
+        'CareConnect',
+        request.startsAt(),
+        timeZone,
+        reason,
+        wasApproved ? appointmentInvite(request, { method: 'CANCEL', party: other, timeZone }) : undefined,
+      )
+    } catch (error) {
+      console.error('Error sending cancellation email:', error)
+    }
+  }
+  return cancelled
+}
+
+// Soft-delete an account: sign it out everywhere, cancel its upcoming
+// appointments and queue the purge for the end of the grace period.
+const requestDeletion = async (
+  user,
+  { requestedBy, reason } = {},
+  { scheduler = defaultScheduler, config = readDeletionConfig() } = {},
+) => {
+  const now = scheduler.now()
+  const self = String(requestedBy) === String(user._id)
+  const purgeAfter = new Date(now.getTime() + config.graceDays * DAY)
+
+  user.deletion = { requestedAt: now, requestedBy, reason, purgeAfter }
+  await user.save()
+  await revokeAllSessions(user._id, 'deleted')
+
+  const cancelled = await cancelFutureAppointments(
+    user,
+    { cancelledBy: self ? user.medicalId : 'admin', cancelledByRole: self ? user.role : 'admin' },
+    scheduler,
+    now,
+  )
+  await cancelWaitlistsFor(user, { scheduler })
+
+  await scheduler.cancel(purgeKey(user._id))
+  await scheduler.schedule(PURGE_JOB, purgeAfter, { userId: String(user._id) }, { key: purgeKey(user._id) })
+
+  return { user, purgeAfter, cancelledAppointments: cancelled.length }
+}
+
+// Undo a deletion during the grace period. Cancelled appointments stay
+// cancelled.
+const restoreAccount = async (user, { scheduler = defaultScheduler } = {}) => {
+  user.deletion = { requestedAt: null, requestedBy: null, reason: null, purgeAfter: null }
+  await user.save()
+  await scheduler.cancel(purgeKey(user._id))
+  return user
+}
+
+const removeFile = (file) =>
+  fs.unlink(file).catch((error) => {
+    if (error.code !== 'ENOENT') throw error
+  })
+
+// The profile picture and any credential documents
+const removeUploads = async (user) => {
+  if (user.profilePicture && user.profilePicture.includes('/uploads/')) {
+    await removeFile(path.join(UPLOADS_DIR, path.basename(user.profilePicture)))
+  }
+  for (const document of user.credentials?.documents || []) {
+    await removeFile(path.join(CREDENTIAL_DIR, document.filename))
+  }
+}
+
+// Strip personal details from the records that outlive the account. Statuses,
+// dates, urgency and ratings stay so aggregate stats don't change; the
+// medical ID becomes a pseudonym so the user's records still group together.
+const anonymizeRecords = async (user) => {
+  const counts = {}
+  const pseudonym = `DELETED-${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+
+  if (['patient', 'doctor'].includes(user.role)) {
+    const party = partyOf(user)
+    const requestFields = {
+      [`${party}MedicalId`]: pseudonym,
+      [`${party}Name`]: DELETED_NAME,
+      [`${party}Email`]: DELETED_EMAIL,
+    }
+    const removedFields = { videoCallLink: 1 }
+    if (party === 'patient') {
+      Object.assign(requestFields, { symptoms: REMOVED_TEXT, contactInfo: REMOVED_TEXT })
+      // The symptom checker's write-up repeats the symptoms; the urgency
+      // and score stay for triage stats
+      Object.assign(removedFields, { 'assessment.summary': 1, 'assessment.recommendedAction': 1 })
+    }
+    const requests = await AppointmentRequest.updateMany(
+      { [`${party}MedicalId`]: user.medicalId },
+      { $set: requestFields, $unset: removedFields },
+    )
+    counts.appointmentRequests = requests.modifiedCount
+    // Who changed a status, proposed a new time or cancelled, on either
+    // side's appointments
+    await Promise.all([
+      AppointmentRequest.updateMany(
+        { 'statusHistory.changedBy': user.medicalId },
+        { $set: { 'statusHistory.$[entry].changedBy': pseudonym } },
+        { arrayFilters: [{ 'entry.changedBy': user.medicalId }] },
+      ),
+      AppointmentRequest.updateMany(
+        { 'rescheduleProposals.proposedBy': user.medicalId },
+        { $set: { 'rescheduleProposals.$[proposal].proposedBy': pseudonym } },
+        { arrayFilters: [{ 'proposal.proposedBy': user.medicalId }] },
+      ),
+      AppointmentRequest.updateMany(
+        { 'cancellation.cancelledBy': user.medicalId },
+        { $set: { 'cancellation.cancelledBy': pseudonym } },
+      ),
+    ])
+
+    const feedbackFields = { [`${party}MedicalId`]: pseudonym, [`${party}Name`]: DELETED_NAME }
+    if (party === 'patient') feedbackFields.isAnonymous = true
+    const feedback = await Feedback.updateMany(
+      { [`${party}MedicalId`]: user.medicalId },
+      { $set: feedbackFields },
+    )
+    counts.feedback = feedback.modifiedCount
+  }
+
+  counts.messages = await eraseMessagesFrom(user._id)
+
+  // Keep what was done, but not where from
+  const logs = await ActivityLog.updateMany({ userId: user._id }, { $unset: { ip: 1, userAgent: 1 } })
+  // Entries about the account, e.g. its deletion, name the user and hold
+  // their old profile fields
+  const targetLogs = await ActivityLog.updateMany(
+    { entityType: 'user', entityId: String(user._id) },
+    { $set: { activity: REMOVED_TEXT }, $unset: { changes: 1 } },
+  )
+  counts.activityLogs = logs.modifiedCount + targetLogs.modifiedCount
+
+  return counts
+}
+
+// Permanently remove an account whose grace period is over. Runs as a
+// scheduled job; does nothing if the account was restored in the meantime.
+const purgeAccount = async ({ userId }, { now = new Date() } = {}) => {
+  const user = await User.findById(userId)
+  if (!user || !user.isPendingDeletion()) return null
+  if (user.deletion.purgeAfter && user.deletion.purgeAfter > now) return null
+
+  const counts = await anonymizeRecords(user)
+
+  await Promise.all([
+    Notification.deleteMany({ user: user._id }),
+    SocketEvent.deleteMany({ user: user._id }),
+    Session.deleteMany({ user: user._id }),
+    AccountToken.deleteMany({ user: user._id }),
+  ])
+  if (user.role === 'doctor') {
+    await Doctor.deleteMany({ medicalId: user.medicalId })
+    await SlotReservation.deleteMany({ doctorMedicalId: user.medicalId })
+    await WaitlistEntry.deleteMany({ doctorMedicalId: user.medicalId })
+  } else {
+    await WaitlistEntry.deleteMany({ patientMedicalId: user.medicalId })
+  }
+  await removeUploads(user)
+  await User.deleteOne({ _id: user._id })
+
+  return counts
+}
+
+const registerAccountDeletionJobs = (scheduler = defaultScheduler) => {
+  scheduler.defineJob(PURGE_JOB, (payload) => purgeAccount(payload, { now: scheduler.now() }))
+}
+
+module.exports = {
+  PURGE_JOB,
+  DELETED_NAME,
+  readDeletionConfig,
+  requestDeletion,
+  restoreAccount,
+  anonymizeRecords,
+  purgeAccount,
+  registerAccountDeletionJobs,
+}
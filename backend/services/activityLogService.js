@@ -1,13 +1,153 @@
+const mongoose = require('mongoose')
 const ActivityLog = require('../models/activityLogModel')
+const User = require('../models/userModel')
 
-exports.getActivityLogs = async () => {
+// Never copied into an audit entry
+const SECRET_FIELDS = ['password', 'twoFactor', 'lockout', '__v']
+
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 200
+
+const plain = (value) => {
+  if (value && typeof value.toObject === 'function') return value.toObject()
+  return value
+}
+
+// Comparable form of a value: ids and dates as strings, objects as JSON
+const comparable = (value) => {
+  if (value === undefined || value === null) return null
+  if (value instanceof Date) return value.toISOString()
+  if (value instanceof mongoose.Types.ObjectId) return String(value)
+  return JSON.stringify(plain(value))
+}
+
+// { before, after } holding only the `fields` whose value differs between
+// the two snapshots, or null when nothing changed. Secret fields are skipped.
+const diffChanges = (beforeDoc, afterDoc, fields) => {
+  const before = plain(beforeDoc) || {}
+  const after = plain(afterDoc) || {}
+  const keys = fields || [...new Set([...Object.keys(before), ...Object.keys(after)])]
+  const changes = { before: {}, after: {} }
+  let changed = false
+
+  for (const key of keys) {
+    if (SECRET_FIELDS.includes(key.split('.')[0])) continue
+    if (comparable(before[key]) === comparable(after[key])) continue
+    changes.before[key] = before[key] === undefined ? null : before[key]
+    changes.after[key] = after[key] === undefined ? null : after[key]
+    changed = true
+  }
+  return changed ? changes : null
+}
+
+// Save an audit entry. Failures are logged rather than thrown so a broken
+// audit write never fails the request it describes.
+const recordActivity = async (entry) => {
   try {
-    const logs = await ActivityLog.find()
-      .populate('userId', 'username email')
-      .sort({ date: -1 })
-    return logs
+    return await ActivityLog.create(entry)
   } catch (error) {
-    console.error('Error retrieving activity logs:', error)
-    throw error
+    console.error('Error logging activity:', error)
+    return null
+  }
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// "2030-01-31" means the whole day, so `to` becomes the start of the next one
+const parseDate = (value, endOfDay) => {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return null
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1)
   }
+  return date
+}
+
+// Mongo filter for the admin log view. `actor` is a user id, or part of a
+// username or email.
+const buildActivityLogFilter = async (query = {}) => {
+  const filter = {}
+  const { actor, action, entityType, entityId, outcome, from, to } = query
+
+  if (actor) {
+    if (mongoose.isValidObjectId(actor)) {
+      filter.userId = actor
+    } else {
+      const pattern = new RegExp(escapeRegex(String(actor).trim()), 'i')
+      const users = await User.find({
+        $or: [{ username: pattern }, { email: pattern }],
+      }).select('_id')
+      filter.userId = { $in: users.map((user) => user._id) }
+    }
+  }
+  if (action) filter.action = String(action)
+  if (entityType) filter.entityType = String(entityType)
+  if (entityId) filter.entityId = String(entityId)
+  if (outcome) {
+    if (!ActivityLog.OUTCOMES.includes(outcome)) {
+      return { error: `outcome must be one of: ${ActivityLog.OUTCOMES.join(', ')}` }
+    }
+    filter.outcome = outcome
+  }
+  if (from || to) {
+    filter.date = {}
+    if (from) {
+      const start = parseDate(from, false)
+      if (!start) return { error: 'Invalid from date' }
+      filter.date.$gte = start
+    }
+    if (to) {
+      const end = parseDate(to, true)
+      if (!end) return { error: 'Invalid to date' }
+      filter.date[/^\d{4}-\d{2}-\d{2}$/.test(to) ? '$lt' : '$lte'] = end
+    }
+  }
+  return { filter }
+}
+
+const readPage = (query = {}) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1)
+  const limit = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE),
+  )
+  return { page, limit }
+}
+
+// One page of matching entries, newest first
+const findActivityLogs = async (query = {}) => {
+  const { filter, error } = await buildActivityLogFilter(query)
+  if (error) return { error }
+  const { page, limit } = readPage(query)
+
+  const [logs, total, actions, entityTypes] = await Promise.all([
+    ActivityLog.find(filter)
+      .populate('userId', 'username email role')
+      .sort({ date: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    ActivityLog.countDocuments(filter),
+    ActivityLog.distinct('action'),
+    ActivityLog.distinct('entityType'),
+  ])
+
+  return {
+    logs,
+    total,
+    page,
+    pages: Math.max(1, Math.ceil(total / limit)),
+    limit,
+    // Values the filters can offer
+    actions: actions.filter(Boolean).sort(),
+    entityTypes: entityTypes.filter(Boolean).sort(),
+  }
+}
+
+module.exports = {
+  SECRET_FIELDS,
+  diffChanges,
+  recordActivity,
+  buildActivityLogFilter,
+  readPage,
+  findActivityLogs,
 }
@@ -0,0 +1,207 @@
+const Doctor = require('../models/doctorModel')
+const SlotReservation = require('../models/slotReservationModel')
+const { scheduler: defaultScheduler } = require('./jobScheduler')
+const { broadcastAvailabilityUpdate } = require('../socket')
+const { DEFAULT_TIME_ZONE, toInstant } = require('./timeZoneService')
+
+// Queued whenever slots open up so the waitlist can offer them, without
+// booking code having to know about the waitlist
+const SLOTS_FREED_JOB = 'slots-freed'
+
+// Normalise a Date or date string to the "YYYY-MM-DD" key used for slots
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0]
+
+// A date of null means the doctor's whole schedule may have changed
+const queueSlotsFreed = (doctorMedicalId, date = null, scheduler = defaultScheduler) =>
+  scheduler
+    .schedule(SLOTS_FREED_JOB, scheduler.now(), {
+      doctorMedicalId,
+      date: date && toDateKey(date),
+    })
+    .catch((error) => console.error('Error queueing freed slots:', error))
+
+// Reservations are made per step of this many minutes. A booking holds
+// every step its appointment and buffers cover, so the unique index keeps
+// overlapping bookings out as well as double-booked start times.
+const RESERVATION_STEP = 5
+
+const { toMinutes, toTime } = Doctor
+
+// Length and buffers of a booking: its appointment type's, or one plain slot
+const bookingSpan = (schedule, appointmentType) => ({
+  duration: appointmentType?.duration || schedule.slotDuration,
+  bufferBefore: appointmentType?.bufferBefore || 0,
+  bufferAfter: appointmentType?.bufferAfter || 0,
+})
+
+// Reservation steps ("HH:mm") held by a booking starting at a given time
+const reservedSteps = (time, span) => {
+  const from = Math.max(0, toMinutes(time) - span.bufferBefore)
+  const to = Math.min(24 * 60, toMinutes(time) + span.duration + span.bufferAfter)
+  const steps = []
+  for (let step = from - (from % RESERVATION_STEP); step < to; step += RESERVATION_STEP) {
+    steps.push(toTime(step))
+  }
+  return steps
+}
+
+// Check a booking's appointment type and location against the doctor's
+// schedule. A doctor who defines types or locations must be booked with
+// one. Returns { booking } with copies of both for the appointment, or
+// { status, message }.
+const resolveBooking = (schedule, { appointmentTypeId, locationId, meetingType } = {}) => {
+  const booking = {}
+
+  if (appointmentTypeId) {
+    const type = schedule?.findAppointmentType(appointmentTypeId)
+    if (!type) {
+      return { status: 400, message: 'Appointment type not found' }
+    }
+    if (meetingType && !type.meetingTypes.includes(meetingType)) {
+      return { status: 400, message: `${type.name} appointments can't be held ${meetingType}` }
+    }
+    const { _id, name, duration, bufferBefore, bufferAfter, price } = type
+    booking.appointmentType = { typeId: _id, name, duration, bufferBefore, bufferAfter, price }
+  } else if (schedule?.activeAppointmentTypes().length) {
+    return { status: 400, message: 'Please choose an appointment type' }
+  }
+
+  if (locationId) {
+    const location = schedule?.findLocation(locationId)
+    if (!location) {
+      return { status: 400, message: 'Practice location not found' }
+    }
+    const { _id, name, address, city } = location
+    booking.location = { locationId: _id, name, address, city }
+  } else if (schedule?.activeLocations().length) {
+    return { status: 400, message: 'Please choose a practice location' }
+  }
+
+  return { booking }
+}
+
+// The appointment type and location an existing appointment was booked with
+const bookingOf = ({ appointmentType, location }) => ({
+  appointmentType: appointmentType?.duration ? appointmentType : undefined,
+  location: location?.locationId ? location : undefined,
+})
+
+// The instant a slot on a doctor's schedule starts, in the clinic's zone
+const slotInstant = (schedule, dateKey, time) => toInstant(dateKey, time, schedule?.timeZone || DEFAULT_TIME_ZONE)
+
+// Free start times for a booking with a doctor on a given date, leaving out
+// any that have already started
+const getFreeSlots = async (doctorMedicalId, date, booking = {}, now = new Date()) => {
+  const dateKey = toDateKey(date)
+  const schedule = await Doctor.findOne({ medicalId: doctorMedicalId })
+  if (!schedule) return []
+
+  const reservations = await SlotReservation.find({
+    doctorMedicalId,
+    date: dateKey,
+  }).select('time')
+  const reserved = new Set(reservations.map((r) => r.time))
+
+  const span = bookingSpan(schedule, booking.appointmentType)
+  return schedule
+    .getStartTimes(dateKey, { duration: span.duration, locationId: booking.location?.locationId })
+    .filter((time) => slotInstant(schedule, dateKey, time) > now)
+    .filter((time) => reservedSteps(time, span).every((step) => !reserved.has(step)))
+}
+
+// Reserve a slot for an appointment request, or hold one for a waitlist
+// entry. Returns { success, reservation } with the reserved date and time, or
+// { success: false, status, message } when the slot cannot be booked.
+const reserveSlot = async ({ doctorMedicalId, date, time, appointmentRequestId, waitlistEntryId, booking = {} }) => {
+  const dateKey = toDateKey(date)
+  const holder = appointmentRequestId
+    ? { appointmentRequest: appointmentRequestId }
+    : { waitlistEntry: waitlistEntryId }
+  const holds = (reservation) =>
+    String(appointmentRequestId ? reservation.appointmentRequest : reservation.waitlistEntry) ===
+    String(appointmentRequestId || waitlistEntryId)
+
+  const schedule = await Doctor.findOne({ medicalId: doctorMedicalId })
+  if (!schedule) {
+    return { success: false, status: 400, message: "The selected time is not in the doctor's availability" }
+  }
+  const span = bookingSpan(schedule, booking.appointmentType)
+  const steps = reservedSteps(time, span)
+
+  const existing = await SlotReservation.find({ doctorMedicalId, date: dateKey, time: { $in: steps } }).select(
+    'time startTime appointmentRequest waitlistEntry',
+  )
+  const own = existing.filter(holds)
+  // Re-reserving the slot a request already holds is a no-op
+  if (own.length === steps.length && own.every((r) => r.startTime === time)) {
+    return { success: true, reservation: { date: dateKey, time } }
+  }
+  if (existing.length > own.length) {
+    return { success: false, status: 409, message: 'This time slot has already been booked' }
+  }
+
+  if (!schedule.getStartTimes(dateKey, { duration: span.duration, locationId: booking.location?.locationId }).includes(time)) {
+    return {
+      success: false,
+      status: 400,
+      message: "The selected time is not in the doctor's availability",
+    }
+  }
+  if (slotInstant(schedule, dateKey, time) <= new Date()) {
+    return { success: false, status: 400, message: 'The selected time has already passed' }
+  }
+
+  // Steps the holder already has, e.g. when moving an appointment by less
+  // than its length, are taken over rather than reserved again
+  const ownSteps = new Set(own.map((r) => r.time))
+  const newSteps = steps.filter((step) => !ownSteps.has(step))
+  try {
+    await SlotReservation.insertMany(
+      newSteps.map((step) => ({ doctorMedicalId, date: dateKey, time: step, startTime: time, ...holder })),
+      { ordered: true },
+    )
+  } catch (error) {
+    // Lost the race to a concurrent booking of an overlapping slot
+    if (error.code === 11000) {
+      await SlotReservation.deleteMany({ ...holder, date: dateKey, time: { $in: newSteps }, startTime: time })
+      return { success: false, status: 409, message: 'This time slot has already been booked' }
+    }
+    throw error
+  }
+  if (own.length) {
+    await SlotReservation.updateMany({ _id: { $in: own.map((r) => r._id) } }, { $set: { startTime: time } })
+  }
+
+  broadcastAvailabilityUpdate({ doctorMedicalId, date: dateKey })
+  return { success: true, reservation: { date: dateKey, time } }
+}
+
+// Release every slot held by an appointment request, optionally keeping the
+// one reserved at a given { date, time }
+const releaseSlots = async (appointmentRequestId, keep) => {
+  const query = { appointmentRequest: appointmentRequestId }
+  if (keep) query.$nor = [{ date: keep.date, startTime: keep.time }]
+
+  const released = await SlotReservation.find(query).select('doctorMedicalId date')
+  const result = await SlotReservation.deleteMany(query)
+  const days = new Map(released.map(({ doctorMedicalId, date }) => [`${doctorMedicalId} ${date}`, { doctorMedicalId, date }]))
+  for (const { doctorMedicalId, date } of days.values()) {
+    broadcastAvailabilityUpdate({ doctorMedicalId, date })
+    await queueSlotsFreed(doctorMedicalId, date)
+  }
+  return result
+}
+
+module.exports = {
+  SLOTS_FREED_JOB,
+  RESERVATION_STEP,
+  toDateKey,
+  slotInstant,
+  reservedSteps,
+  resolveBooking,
+  bookingOf,
+  queueSlotsFreed,
+  getFreeSlots,
+  reserveSlot,
+  releaseSlots,
+}
@@ -0,0 +1,204 @@
+const crypto = require('crypto')
+const AppointmentRequest = require('../models/appointmentRequestModel')
+const User = require('../models/userModel')
+const { formatInstant } = require('./timeZoneService')
+
+// iCalendar (RFC 5545) files for appointments: invites attached to emails and
+// a feed calendar apps can subscribe to. Times are written in UTC so every
+// calendar shows them in its owner's own zone.
+
+const PRODUCT_ID = '-//CareConnect//Appointments//EN'
+// Right-hand side of event UIDs; keep it the same across deployments so
+// updates replace the events calendars already have
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'careconnect'
+// Length used for appointments booked before durations were recorded
+const DEFAULT_EVENT_MINUTES = 30
+// How far back the feed goes
+const FEED_HISTORY_DAYS = 90
+
+const EVENT_STATUSES = {
+  requested: 'TENTATIVE',
+  approved: 'CONFIRMED',
+  rescheduled: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  'no-show': 'CONFIRMED',
+  rejected: 'CANCELLED',
+  cancelled: 'CANCELLED',
+}
+
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+
+// Parameter values such as CN are quoted; quotes can't appear inside them
+const quoteParam = (value) => `"${String(value ?? '').replace(/"/g, "'")}"`
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = []
+  let current = ''
+  let octets = 0
+  for (const char of line) {
+    const size = Buffer.byteLength(char)
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current)
+      current = ''
+      octets = 0
+    }
+    current += char
+    octets += size
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+// 20990105T090000Z
+const formatUtc = (instant) =>
+  new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+
+// The same for every version of an appointment, so calendars update it
+const appointmentUid = (request) => `appointment-${request._id}@${UID_DOMAIN}`
+
+// Goes up with every status change, including each reschedule, so the
+// latest invite wins over earlier ones
+const sequenceOf = (request) => request.statusHistory?.length || 0
+
+const locationOf = (request) => {
+  if (request.meetingType === 'online') return request.videoCallLink || 'Online video call'
+  const { name, address, city } = request.location || {}
+  return [name, address, city].filter(Boolean).join(', ')
+}
+
+const describe = (request, party, timeZone) => {
+  const lines = [
+    party === 'doctor' ? `Patient: ${request.patientName}` : `Doctor: Dr. ${request.doctorName}`,
+    `When: ${formatInstant(request.startsAt(), timeZone)}`,
+  ]
+  if (request.appointmentType?.name) lines.push(`Appointment: ${request.appointmentType.name}`)
+  if (request.meetingType === 'online') {
+    lines.push('Online video call')
+    if (request.videoCallLink) lines.push(`Join: ${request.videoCallLink}`)
+  } else {
+    lines.push('In-person meeting')
+  }
+  if (request.status === 'cancelled' && request.cancellation?.reason) {
+    lines.push(`Cancelled: ${request.cancellation.reason}`)
+  }
+  return lines.join('\n')
+}
+
+// VEVENT for one appointment as seen by the patient or the doctor
+const eventLines = (request, { party = 'patient', timeZone, method, now = new Date() } = {}) => {
+  const start = request.startsAt()
+  const end = request.endsAt() || new Date(start.getTime() + DEFAULT_EVENT_MINUTES * 60 * 1000)
+  const status = method === 'CANCEL' ? 'CANCELLED' : EVENT_STATUSES[request.status] || 'CONFIRMED'
+  const summary = party === 'doctor'
+    ? `Appointment with ${request.patientName}`
+    : `Appointment with Dr. ${request.doctorName}`
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${appointmentUid(request)}`,
+    `SEQUENCE:${sequenceOf(request)}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(describe(request, party, timeZone || request.getTimeZone()))}`,
+  ]
+  const location = locationOf(request)
+  if (location) lines.push(`LOCATION:${escapeText(location)}`)
+  if (request.meetingType === 'online' && request.videoCallLink) {
+    lines.push(`URL:${request.videoCallLink}`)
+  }
+  lines.push(
+    `STATUS:${status}`,
+    `ORGANIZER;CN=${quoteParam(`Dr. ${request.doctorName}`)}:mailto:${request.doctorEmail}`,
+    `ATTENDEE;CN=${quoteParam(request.patientName)};ROLE=REQ-PARTICIPANT;PARTSTAT=${status === 'TENTATIVE' ? 'NEEDS-ACTION' : 'ACCEPTED'};RSVP=FALSE:mailto:${request.patientEmail}`,
+    'END:VEVENT'
+  )
+  return lines
+}
+
+// A whole VCALENDAR. `party` is 'patient' or 'doctor', or a function picking
+// it per appointment for feeds that mix both.
+const buildCalendar = (requests, { method, party, timeZone, name, now = new Date() } = {}) => {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN']
+  if (method) lines.push(`METHOD:${method}`)
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`)
+  if (timeZone) lines.push(`X-WR-TIMEZONE:${timeZone}`)
+  for (const request of requests) {
+    if (!request.startsAt()) continue
+    const side = typeof party === 'function' ? party(request) : party
+    lines.push(...eventLines(request, { party: side, timeZone, method, now }))
+  }
+  lines.push('END:VCALENDAR')
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+// An invite to attach to an appointment email. REQUEST adds or updates the
+// event in the recipient's calendar; CANCEL removes it.
+const appointmentInvite = (request, { method = 'REQUEST', party, timeZone } = {}) => ({
+  method,
+  filename: method === 'CANCEL' ? 'cancelled-appointment.ics' : 'appointment.ics',
+  content: buildCalendar([request], { method, party, timeZone }),
+})
+
+const hashFeedToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+// Give the user a new feed URL token, replacing any earlier one. Only its
+// hash is kept; returns the raw token.
+const issueFeedToken = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex')
+  user.calendarFeed = { tokenHash: hashFeedToken(token), createdAt: new Date() }
+  await user.save()
+  return token
+}
+
+const revokeFeedToken = async (user) => {
+  user.calendarFeed = undefined
+  await user.save()
+}
+
+// Active user a feed token belongs to, or null
+const findFeedUser = (token) => {
+  if (!/^[a-f0-9]{64}$/.test(String(token))) return null
+  return User.findOne({ 'calendarFeed.tokenHash': hashFeedToken(token), ...User.ACTIVE })
+}
+
+// The user's appointments from the last FEED_HISTORY_DAYS on, as patient or
+// doctor. Cancelled and declined ones stay in so calendars drop them.
+const buildFeed = async (user, now = new Date()) => {
+  const since = new Date(now.getTime() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000)
+  const requests = await AppointmentRequest.find({
+    $and: [
+      { $or: [{ patientMedicalId: user.medicalId }, { doctorMedicalId: user.medicalId }] },
+      { $or: [{ scheduledAt: { $gte: since } }, { preferredAt: { $gte: since } }] },
+    ],
+  }).sort({ preferredAt: 1 })
+
+  return buildCalendar(requests, {
+    party: (request) => (request.doctorMedicalId === user.medicalId ? 'doctor' : 'patient'),
+    timeZone: user.getTimeZone(),
+    name: 'CareConnect appointments',
+    now,
+  })
+}
+
+module.exports = {
+  DEFAULT_EVENT_MINUTES,
+  FEED_HISTORY_DAYS,
+  escapeText,
+  foldLine,
+  appointmentUid,
+  buildCalendar,
+  appointmentInvite,
+  hashFeedToken,
+  issueFeedToken,
+  revokeFeedToken,
+  findFeedUser,
+  buildFeed,
+}
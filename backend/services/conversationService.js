@@ -0,0 +1,158 @@
+const fs = require('fs/promises')
+const path = require('path')
+const process = require('process')
+const Conversation = require('../models/conversationModel')
+const Message = require('../models/messageModel')
+const User = require('../models/userModel')
+const { EVENTS, emitToUser } = require('../socket')
+const { createNotification } = require('./notificationService')
+const { formatInstant } = require('./timeZoneService')
+
+const PREVIEW_LENGTH = 100
+
+// Attachments are stored outside the public uploads folder
+const ATTACHMENT_DIR = process.env.ATTACHMENT_DIR || path.join(__dirname, '../attachments') //eslint-disable-line
+
+// Shown in place of the text of a deleted user's messages
+const REMOVED_MESSAGE = 'This message was removed'
+
+const preview = (text) =>
+  text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 3)}...` : text
+
+// Find the thread between a patient and a doctor, creating it on first use.
+// Pass appointmentRequest for the thread about one appointment.
+const findOrCreateConversation = ({ patient, doctor, appointmentRequest = null, subject }) =>
+  Conversation.findOneAndUpdate(
+    { patient, doctor, appointmentRequest },
+    { $setOnInsert: { patient, doctor, appointmentRequest, subject } },
+    { upsert: true, new: true },
+  )
+
+// The thread linked to an appointment request, or null when either side no
+// longer has an account
+const conversationForRequest = async (request) => {
+  const [patient, doctor] = await Promise.all([
+    User.findOne({ medicalId: request.patientMedicalId }).select('_id'),
+    User.findOne({ medicalId: request.doctorMedicalId }).select('_id'),
+  ])
+  if (!patient || !doctor) return null
+
+  return findOrCreateConversation({
+    patient: patient._id,
+    doctor: doctor._id,
+    appointmentRequest: request._id,
+    // Dated in the clinic's zone, as both sides see the same subject
+    subject: `Appointment on ${formatInstant(request.startsAt(), request.getTimeZone(), 'date')}`,
+  })
+}
+
+// Save a message, update the thread and push it to both participants.
+// `sender` is the sending User document.
+const postMessage = async ({ conversation, sender, body = '', attachments = [] }) => {
+  const party = conversation.partyOf(sender._id)
+  if (!party) throw new Error('Sender is not part of this conversation')
+  const otherParty = party === 'patient' ? 'doctor' : 'patient'
+  const recipientId = conversation.otherParticipant(sender._id)
+
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: sender._id,
+    body,
+    attachments,
+  })
+
+  const previous = await Conversation.findByIdAndUpdate(conversation._id, {
+    $set: {
+      lastMessage: {
+        body: message.body || `Sent ${attachments.length} attachment(s)`,
+        sender: sender._id,
+        sentAt: message.createdAt,
+      },
+      updatedAt: message.createdAt,
+    },
+    $inc: { [`unread.${otherParty}`]: 1 },
+  })
+
+  const payload = message.toObject()
+  await Promise.all(
+    conversation
+      .participantIds()
+      .map((userId) => emitToUser(userId, EVENTS.CHAT_MESSAGE, payload)),
+  ).catch((error) => console.error('Error pushing message:', error))
+
+  // Only the first unread message in a thread raises a notification, so a
+  // burst of messages doesn't flood the drawer
+  if (previous && previous.unread[otherParty] === 0) {
+    const senderName = party === 'doctor' ? `Dr. ${sender.username}` : sender.username
+    await createNotification({
+      userId: recipientId,
+      type: 'message_received',
+      title: `New message from ${senderName}`,
+      message: preview(message.body || 'Sent an attachment'),
+      link: `/${otherParty}/messages?conversation=${conversation._id}`,
+      data: { conversationId: conversation._id },
+    }).catch((error) => console.error('Error creating notification:', error))
+  }
+
+  return message
+}
+
+// Mark everything the other side sent as read and tell them
+const markConversationRead = async (conversation, userId) => {
+  const party = conversation.partyOf(userId)
+  if (!party) throw new Error('User is not part of this conversation')
+
+  const readAt = new Date()
+  const result = await Message.updateMany(
+    { conversation: conversation._id, sender: { $ne: userId }, readAt: null },
+    { $set: { readAt } },
+  )
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $set: { [`unread.${party}`]: 0 } },
+  )
+
+  if (result.modifiedCount > 0) {
+    await emitToUser(conversation.otherParticipant(userId), EVENTS.CHAT_READ, {
+      conversationId: String(conversation._id),
+      readerId: String(userId),
+      readAt,
+    }).catch((error) => console.error('Error pushing read receipt:', error))
+  }
+
+  return { readAt, updated: result.modifiedCount }
+}
+
+// Blank out everything a deleted user wrote, including their attachment
+// files. The threads stay so the other side keeps their own messages.
+const eraseMessagesFrom = async (userId) => {
+  const withFiles = await Message.find({ sender: userId, 'attachments.0': { $exists: true } })
+  for (const message of withFiles) {
+    for (const attachment of message.attachments) {
+      await fs
+        .unlink(path.join(ATTACHMENT_DIR, attachment.filename))
+        .catch((error) => {
+          if (error.code !== 'ENOENT') throw error
+        })
+    }
+  }
+
+  const messages = await Message.updateMany(
+    { sender: userId },
+    { $set: { body: REMOVED_MESSAGE, attachments: [] } },
+  )
+  await Conversation.updateMany(
+    { 'lastMessage.sender': userId },
+    { $set: { 'lastMessage.body': REMOVED_MESSAGE } },
+  )
+  return messages.modifiedCount
+}
+
+module.exports = {
+  ATTACHMENT_DIR,
+  eraseMessagesFrom,
+  findOrCreateConversation,
+  conversationForRequest,
+  postMessage,
+  markConversationRead,
+}
@@ -0,0 +1,183 @@
+const fs = require('fs/promises')
+const path = require('path')
+const process = require('process')
+const User = require('../models/userModel')
+const { createNotification } = require('./notificationService')
+const { sendCredentialReviewEmail } = require('./emailService')
+
+// Credential documents are kept outside the public uploads folder
+const CREDENTIAL_DIR = process.env.CREDENTIAL_DIR || path.join(__dirname, '../credentials') //eslint-disable-line
+
+const MAX_QUALIFICATIONS = 20
+
+// Outcomes an admin can record
+const REVIEW_STATUSES = ['verified', 'rejected']
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const credentialsLink = () =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}/doctor/credentials`
+
+// "MBBS, MD" or ['MBBS', 'MD'] -> ['MBBS', 'MD']
+const readQualifications = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,\n]/)
+  return [...new Set(list.map((item) => String(item).trim()).filter(Boolean))]
+}
+
+// Validate a doctor's submission. Returns { error } or { fields }.
+const readSubmission = (body = {}) => {
+  const licenseNumber = String(body.licenseNumber || '').trim()
+  const issuingAuthority = String(body.issuingAuthority || '').trim()
+  const qualifications = readQualifications(body.qualifications)
+
+  if (!licenseNumber) return { error: 'A license number is required' }
+  if (!issuingAuthority) return { error: 'The issuing authority is required' }
+  if (!qualifications.length) return { error: 'At least one qualification is required' }
+  if (qualifications.length > MAX_QUALIFICATIONS) {
+    return { error: `At most ${MAX_QUALIFICATIONS} qualifications can be listed` }
+  }
+  return { fields: { licenseNumber, issuingAuthority, qualifications } }
+}
+
+// Store a submission along with any newly uploaded documents and queue it
+// for review. An earlier verification is cleared, so the doctor is hidden
+// from patients until an admin approves the change.
+const submitCredentials = async (user, fields, files = [], now = new Date()) => {
+  const { credentials } = user
+  if (!credentials.documents.length && !files.length) {
+    return { error: 'Upload at least one supporting document' }
+  }
+
+  credentials.licenseNumber = fields.licenseNumber
+  credentials.issuingAuthority = fields.issuingAuthority
+  credentials.qualifications = fields.qualifications
+  for (const file of files) {
+    credentials.documents.push({
+      filename: file.filename,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      uploadedAt: now,
+    })
+  }
+  credentials.status = 'pending'
+  credentials.submittedAt = now
+  credentials.reviewedAt = undefined
+  credentials.reviewedBy = undefined
+  credentials.reviewNotes = undefined
+  await user.save()
+  return { user }
+}
+
+// Remove one document and its file. Verified credentials have to be
+// submitted again to change.
+const removeDocument = async (user, documentId) => {
+  const document = user.credentials.documents.id(documentId)
+  if (!document) return { status: 404, error: 'Document not found' }
+  if (user.credentials.status === 'verified') {
+    return { status: 400, error: "Documents of verified credentials can't be removed" }
+  }
+
+  await fs.unlink(path.join(CREDENTIAL_DIR, document.filename)).catch((error) => {
+    if (error.code !== 'ENOENT') throw error
+  })
+  document.deleteOne()
+  await user.save()
+  return { user }
+}
+
+// Record an admin's decision and tell the doctor in the app and by email.
+// Notes are required to reject so the doctor knows what to fix.
+const reviewCredentials = async (user, { status, notes, reviewedBy }, now = new Date()) => {
+  if (!REVIEW_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` }
+  }
+  if (user.credentials.status === 'unsubmitted') {
+    return { error: 'This doctor has not submitted credentials yet' }
+  }
+  const reviewNotes = String(notes || '').trim() || undefined
+  if (status === 'rejected' && !reviewNotes) {
+    return { error: 'Notes are required to reject credentials' }
+  }
+
+  const previousStatus = user.credentials.status
+  Object.assign(user.credentials, { status, reviewedAt: now, reviewedBy, reviewNotes })
+  await user.save()
+
+  const verified = status === 'verified'
+  await createNotification({
+    userId: user._id,
+    type: 'credentials_reviewed',
+    title: verified ? 'Credentials verified' : 'Credentials not verified',
+    message: verified
+      ? 'Patients can now find and book you'
+      : `Your credentials could not be verified: ${reviewNotes}`,
+    link: '/doctor/credentials',
+  }).catch((error) => console.error('Error creating notification:', error))
+
+  try {
+    await sendCredentialReviewEmail(user.email, user.username, status, reviewNotes, credentialsLink())
+  } catch (error) {
+    console.error('Error sending credential review email:', error)
+  }
+
+  return { user, previousStatus }
+}
+
+// Doctors for the admin review queue. `status` narrows to one credential
+// status; `search` matches name, email, medical ID or license number.
+// Oldest submissions come first so the queue is worked in order.
+const findCredentialQueue = async (query = {}) => {
+  const filter = { role: 'doctor', 'deletion.requestedAt': null }
+  const { status, search } = query
+
+  if (status) {
+    if (!User.CREDENTIAL_STATUSES.includes(status)) {
+      return { error: `status must be one of: ${User.CREDENTIAL_STATUSES.join(', ')}` }
+    }
+    // Doctors registered before verification existed have no status yet
+    filter['credentials.status'] = status === 'unsubmitted' ? { $in: [status, null] } : status
+  }
+  if (search && String(search).trim()) {
+    const pattern = new RegExp(escapeRegex(String(search).trim()), 'i')
+    filter.$or = [
+      { username: pattern },
+      { email: pattern },
+      { medicalId: pattern },
+      { 'credentials.licenseNumber': pattern },
+    ]
+  }
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1)
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 25, 1), 100)
+
+  const [doctors, total, byStatus] = await Promise.all([
+    User.find(filter)
+      .select('username email medicalId specialty location profilePicture timeStamp credentials suspension')
+      .populate('credentials.reviewedBy', 'username')
+      .sort({ 'credentials.submittedAt': 1, timeStamp: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(filter),
+    User.aggregate([
+      { $match: { role: 'doctor', 'deletion.requestedAt': null } },
+      { $group: { _id: '$credentials.status', count: { $sum: 1 } } },
+    ]),
+  ])
+
+  const counts = Object.fromEntries(User.CREDENTIAL_STATUSES.map((s) => [s, 0]))
+  for (const { _id, count } of byStatus) counts[_id || 'unsubmitted'] += count
+
+  return { doctors, total, page, pages: Math.max(1, Math.ceil(total / limit)), limit, counts }
+}
+
+module.exports = {
+  CREDENTIAL_DIR,
+  REVIEW_STATUSES,
+  readQualifications,
+  readSubmission,
+  submitCredentials,
+  removeDocument,
+  reviewCredentials,
+  findCredentialQueue,
+}
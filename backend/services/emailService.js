@@ -1,7 +1,20 @@
 const nodemailer = require('nodemailer')
+const { DEFAULT_TIME_ZONE, formatInstant } = require('./timeZoneService')
 
 // Create transporter based on email provider
 const createTransporter = () => {
+  // An explicit SMTP host wins, e.g. a local mail catcher in development or tests
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: process.env.SMTP_PORT || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.EMAIL_USER
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        : undefined,
+    })
+  }
+
   // Configure for Gmail
   if (process.env.EMAIL_USER.includes('gmail.com')) {
     return nodemailer.createTransport({
@@ -37,7 +50,7 @@ const createTransporter = () => {
   
   // Default SMTP configuration
   return nodemailer.createTransport({
-    host: process.env.SMTP_HOST || 'smtp.gmail.com',
+    host: 'smtp.gmail.com',
     port: process.env.SMTP_PORT || 587,
     secure: false, // true for 465, false for other ports
     auth: {
@@ -47,17 +60,25 @@ const createTransporter = () => {
   })
 }
 
-// Send email function
-const sendEmail = async (to, subject, htmlContent) => {
+// Send email function. An invite from calendarService.appointmentInvite is
+// sent as a calendar event that mail apps offer to add or remove.
+const sendEmail = async (to, subject, htmlContent, invite) => {
   try {
     const transporter = createTransporter()
     
     const mailOptions = {
-      from: `"CareConnect" <${process.env.EMAIL_USER}>`,
+      from: `"CareConnect" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
       to: to,
       subject: subject,
       html: htmlContent,
     }
+    if (invite) {
+      mailOptions.icalEvent = {
+        method: invite.method,
+        filename: invite.filename,
+        content: invite.content,
+      }
+    }
     
     const info = await transporter.sendMail(mailOptions)
     console.log('Email sent successfully:', info.messageId)
@@ -68,25 +89,19 @@ const sendEmail = async (to, subject, htmlContent) => {
   }
 }
 
-// Generate Jitsi video call link
-const generateJitsiLink = (patientName, doctorName, appointmentDate, appointmentTime) => {
-  // Create a unique room name using patient name, doctor name, and appointment details
-  const roomName = `CareConnect-${patientName.replace(/\s+/g, '')}-${doctorName.replace(/\s+/g, '')}-${new Date(appointmentDate).toISOString().split('T')[0]}-${appointmentTime.replace(':', '')}`
-  // Remove special characters and make it URL safe
-  const sanitizedRoomName = roomName.replace(/[^a-zA-Z0-9-]/g, '')
-  return `https://meet.jit.si/${sanitizedRoomName}`
-}
+// Appointment times are given as instants and shown in the recipient's
+// time zone
 
 // Send appointment approval email to patient
-const sendAppointmentApprovalEmail = async (patientEmail, patientName, doctorName, scheduledDate, scheduledTime, doctorResponse, meetingType) => {
+const sendAppointmentApprovalEmail = async (patientEmail, patientName, doctorName, startsAt, timeZone, doctorResponse, meetingType, videoCallLink, invite) => {
   const subject = 'Appointment Approved - CareConnect'
   const meetingTypeText = meetingType === 'online' ? 'Online Video Call' : 'In-Person Meeting'
   
   let meetingInstructions = ''
   let videoCallSection = ''
   
-  if (meetingType === 'online') {
-    const jitsiLink = generateJitsiLink(patientName, doctorName, scheduledDate, scheduledTime)
+  if (meetingType === 'online' && videoCallLink) {
+    const jitsiLink = videoCallLink
     meetingInstructions = 'Please use the video call link below to join your appointment. Ensure you have a stable internet connection and a working camera/microphone.'
     videoCallSection = `
       <div style="background-color: #e3f2fd; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #2196F3;">
@@ -113,8 +128,8 @@ const sendAppointmentApprovalEmail = async (patientEmail, patientName, doctorNam
       <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
         <h3>Appointment Details:</h3>
         <p><strong>Doctor:</strong> Dr. ${doctorName}</p>
-        <p><strong>Date:</strong> ${new Date(scheduledDate).toLocaleDateString()}</p>
-        <p><strong>Time:</strong> ${scheduledTime}</p>
+        <p><strong>Date:</strong> ${formatInstant(startsAt, timeZone, 'date')}</p>
+        <p><strong>Time:</strong> ${formatInstant(startsAt, timeZone, 'time')}</p>
         <p><strong>Meeting Type:</strong> ${meetingTypeText}</p>
         ${doctorResponse ? `<p><strong>Doctor's Note:</strong> ${doctorResponse}</p>` : ''}
       </div>
@@ -128,17 +143,17 @@ const sendAppointmentApprovalEmail = async (patientEmail, patientName, doctorNam
     </div>
   `
   
-  return await sendEmail(patientEmail, subject, htmlContent)
+  return await sendEmail(patientEmail, subject, htmlContent, invite)
 }
 
 // Send appointment approval confirmation to doctor
-const sendDoctorConfirmationEmail = async (doctorEmail, doctorName, patientName, scheduledDate, scheduledTime, meetingType) => {
+const sendDoctorConfirmationEmail = async (doctorEmail, doctorName, patientName, startsAt, timeZone, meetingType, videoCallLink, invite) => {
   const subject = 'Appointment Confirmation - CareConnect'
   const meetingTypeText = meetingType === 'online' ? 'Online Video Call' : 'In-Person Meeting'
   
   let videoCallSection = ''
-  if (meetingType === 'online') {
-    const jitsiLink = generateJitsiLink(patientName, doctorName, scheduledDate, scheduledTime)
+  if (meetingType === 'online' && videoCallLink) {
+    const jitsiLink = videoCallLink
     videoCallSection = `
       <div style="background-color: #e3f2fd; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #2196F3;">
         <h3 style="color: #1976d2; margin-top: 0;">📹 Video Call Details</h3>
@@ -162,8 +177,8 @@ const sendDoctorConfirmationEmail = async (doctorEmail, doctorName, patientName,
       <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
         <h3>Appointment Details:</h3>
         <p><strong>Patient:</strong> ${patientName}</p>
-        <p><strong>Date:</strong> ${new Date(scheduledDate).toLocaleDateString()}</p>
-        <p><strong>Time:</strong> ${scheduledTime}</p>
+        <p><strong>Date:</strong> ${formatInstant(startsAt, timeZone, 'date')}</p>
+        <p><strong>Time:</strong> ${formatInstant(startsAt, timeZone, 'time')}</p>
         <p><strong>Meeting Type:</strong> ${meetingTypeText}</p>
       </div>
       
@@ -176,7 +191,7 @@ const sendDoctorConfirmationEmail = async (doctorEmail, doctorName, patientName,
     </div>
   `
   
-  return await sendEmail(doctorEmail, subject, htmlContent)
+  return await sendEmail(doctorEmail, subject, htmlContent, invite)
 }
 
 // Send appointment rejection email to patient
@@ -210,9 +225,269 @@ const sendAppointmentRejectionEmail = async (patientEmail, patientName, doctorNa
   return await sendEmail(patientEmail, subject, htmlContent)
 }
 
+// Send a reschedule proposal to the other party of an appointment
+const sendRescheduleProposalEmail = async (recipientEmail, recipientName, proposerName, currentStartsAt, proposedStartsAt, timeZone, reason) => {
+  const subject = 'Reschedule Request - CareConnect'
+  const htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #ff9800;">Reschedule Request</h2>
+      <p>Dear ${recipientName},</p>
+      <p>${proposerName} has asked to move your appointment.</p>
+      
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Current Time:</strong> ${formatInstant(currentStartsAt, timeZone)}</p>
+        <p><strong>Proposed Time:</strong> ${formatInstant(proposedStartsAt, timeZone)}</p>
+        ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+      </div>
+      
+      <p>Please accept, decline or suggest another time from your upcoming appointments in CareConnect. Your appointment stays at the current time until the request is accepted.</p>
+      
+      <p>Best regards,<br>The CareConnect Team</p>
+    </div>
+  `
+  
+  return await sendEmail(recipientEmail, subject, htmlContent)
+}
+
+// Tell the proposer whether their reschedule request was accepted
+const sendRescheduleResponseEmail = async (recipientEmail, recipientName, responderName, accepted, startsAt, timeZone, invite) => {
+  const subject = accepted
+    ? 'Appointment Rescheduled - CareConnect'
+    : 'Reschedule Request Declined - CareConnect'
+  const htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: ${accepted ? '#4CAF50' : '#f44336'};">${accepted ? 'Appointment Rescheduled' : 'Reschedule Request Declined'}</h2>
+      <p>Dear ${recipientName},</p>
+      <p>${responderName} has ${accepted ? 'accepted' : 'declined'} your request to reschedule.</p>
+      
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Appointment Time:</strong> ${formatInstant(startsAt, timeZone)}</p>
+      </div>
+      
+      <p>Best regards,<br>The CareConnect Team</p>
+    </div>
+  `
+  
+  return await sendEmail(recipientEmail, subject, htmlContent, invite)
+}
+
+// Confirm the new time to whoever accepted a reschedule request
+const sendRescheduleConfirmationEmail = async (recipientEmail, recipientName, proposerName, startsAt, timeZone, invite) => {
+  const subject = 'Appointment Rescheduled - CareConnect'
+  const htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #4CAF50;">Appointment Rescheduled</h2>
+      <p>Dear ${recipientName},</p>
+      <p>You accepted ${proposerName}'s request to move your appointment.</p>
+      
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>New Time:</strong> ${formatInstant(startsAt, timeZone)}</p>
+      </div>
+      
+      <p>Best regards,<br>The CareConnect Team</p>
+    </div>
+  `
+  
+  return await sendEmail(recipientEmail, subject, htmlContent, invite)
+}
+
+// Tell the other party that an appointment was cancelled
+const sendAppointmentCancellationEmail = async (recipientEmail, recipientName, cancelledByName, startsAt, timeZone, reason, invite) => {
+  const subject = 'Appointment Cancelled - CareConnect'
+  const htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #f44336;">Appointment Cancelled</h2>
+      <p>Dear ${recipientName},</p>
+      <p>Your appointment on ${formatInstant(startsAt, timeZone)} has been cancelled by ${cancelledByName}.</p>
+      
+      <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #ffc107;">
+        <p><strong>Reason:</strong> ${reason}</p>
+      </div>
+      
+      <p>The time slot has been released. You can book a new appointment through the CareConnect platform.</p>
+      
+      <p>Best regards,<br>The CareConnect Team</p>
+    </div>
+  `
+  
+  return await sendEmail(recipientEmail, subject, htmlContent, invite)
+}
+
+// Remind a patient or doctor of an upcoming appointment
+const sendAppointmentReminderEmail = async (recipientEmail, recipientName, otherPartyName, startsAt, timeZone, meetingType, videoCallLink, hoursBefore) => {
+  const subject = `Appointment Reminder - ${hoursBefore >= 24 ? 'Tomorrow' : 'Starting Soon'} - CareConnect`
+  const meetingTypeText = meetingType === 'online' ? 'Online Video Call' : 'In-Person Meeting'
+  const htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2196F3;">Appointment Reminder</h2>
+      <p>Dear ${recipientName},</p>
+      <p>This is a reminder that your appointment with ${otherPartyName} starts in ${hoursBefore} hour${hoursBefore === 1 ? '' : 's'}.</p>
+      
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Date:</strong> ${formatInstant(startsAt, timeZone, 'date')}</p>
+        <p><strong>Time:</strong> ${formatInstant(startsAt, timeZone, 'time')}</p>
+        <p><strong>Meeting Type:</strong> ${meetingTypeText}</p>
+        ${videoCallLink ? `<p><strong>Video Call:</strong> <a href="${videoCallLink}" style="color: #2196F3;">${videoCallLink}</a></p>` : ''}
+      </div>
+      
+      <p>If you can no longer attend, please cancel or reschedule through the CareConnect platform.</p>
+      
+      <p>Best regards,<br>The CareConnect Team</p>
+    </div>
+  `
+  
+  return await sendEmail(recipientEmail, subject, htmlContent)
+}
+
+// Invite a doctor or admin to create their account
+const sendInvitationEmail = async (recipientEmail, role, inviteLink, expiresAt, invitedByName) => {
+  const roleText = role === 'admin' ? 'an administrator' : 'a doctor'
+  const subject = 'You have been invited to CareConnect'
+  const htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2196F3;">Join CareConnect</h2>
+      <p>Hello,</p>
+      <p>${invitedByName || 'A CareConnect administrator'} has invited you to join CareConnect as ${roleText}.</p>
+      
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        <p><a href="${inviteLink}" style="color: #2196F3;">Create your account</a></p>
+        <p><strong>This invitation expires:</strong> ${formatInstant(expiresAt, DEFAULT_TIME_ZONE)}</p>
+      </div>
+      
+      <p>The link can only be used once, with this email address. If you weren't expecting this invitation, you can ignore this email.</p>
+      
+      <p>Best regards,<br>The CareConnect Team</p>
+    </div>
+  `
+  
+  return await sendEmail(recipientEmail, subject, htmlContent)
+}
+
+// Ask a new user to confirm their email address
+const sendVerificationEmail = async (recipientEmail, recipientName, verifyLink) => {
+  const subject = 'Confirm your email - CareConnect'
+  const htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2196F3;">Confirm your email</h2>
+      <p>Dear ${recipientName},</p>
+      <p>Thanks for signing up to CareConnect. Please confirm your email address to activate your account.</p>
+      
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        <p><a href="${verifyLink}" style="color: #2196F3;">Confirm my email</a></p>
+        <p>This link expires in 24 hours.</p>
+      </div>
+      
+      <p>If you didn't create an account, you can ignore this email.</p>
+      
+      <p>Best regards,<br>The CareConnect Team</p>
+    </div>
+  `
+  
+  return await sendEmail(recipientEmail, subject, htmlContent)
+}
+
+// Send a link to choose a new password
+const sendPasswordResetEmail = async (recipientEmail, recipientName, resetLink, expiresInMinutes) => {
+  const subject = 'Reset your password - CareConnect'
+  const htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2196F3;">Reset your password</h2>
+      <p>Dear ${recipientName},</p>
+      <p>We received a request to reset the password for your CareConnect account.</p>
+      
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        <p><a href="${resetLink}" style="color: #2196F3;">Choose a new password</a></p>
+        <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+      </div>
+      
+      <p>If you didn't ask to reset your password, you can ignore this email; your password won't change.</p>
+      
+      <p>Best regards,<br>The CareConnect Team</p>
+    </div>
+  `
+  
+  return await sendEmail(recipientEmail, subject, htmlContent)
+}
+
+// Tell a doctor the outcome of an admin's review of their credentials
+const sendCredentialReviewEmail = async (doctorEmail, doctorName, status, notes, credentialsLink) => {
+  const verified = status === 'verified'
+  const subject = `Credentials ${verified ? 'Verified' : 'Not Verified'} - CareConnect`
+  const htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: ${verified ? '#4CAF50' : '#f44336'};">Credentials ${verified ? 'Verified' : 'Not Verified'}</h2>
+      <p>Dear Dr. ${doctorName},</p>
+      <p>${verified
+        ? 'Your professional credentials have been verified. Patients can now find you and book appointments with you on CareConnect.'
+        : 'We could not verify your professional credentials. Patients won\'t be able to find or book you until they are verified.'}</p>
+      
+      ${notes ? `<div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Reviewer notes:</strong> ${notes}</p>
+      </div>` : ''}
+      
+      ${verified ? '' : `<p>You can update your details and documents and submit them again: <a href="${credentialsLink}" style="color: #2196F3;">My credentials</a></p>`}
+      
+      <p>Best regards,<br>The CareConnect Team</p>
+    </div>
+  `
+  
+  return await sendEmail(doctorEmail, subject, htmlContent)
+}
+
+const sendTriageEscalationEmail = async (doctorEmail, doctorName, patientName, urgency, waitingMinutes, requestsLink) => {
+  const subject = `${urgency} Appointment Request Waiting - CareConnect`
+  const waited = waitingMinutes >= 120 ? `${Math.floor(waitingMinutes / 60)} hours` : `${waitingMinutes} minutes`
+  const htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #f44336;">${urgency} Request Needs a Response</h2>
+      <p>Dear Dr. ${doctorName},</p>
+      <p>${patientName}'s appointment request is marked <strong>${urgency}</strong> by the symptom checker and has been waiting for ${waited} without a response.</p>
+      <p>Please approve or decline it as soon as possible so the patient can seek care elsewhere if needed: <a href="${requestsLink}" style="color: #2196F3;">Appointment requests</a></p>
+      
+      <p>Best regards,<br>The CareConnect Team</p>
+    </div>
+  `
+  
+  return await sendEmail(doctorEmail, subject, htmlContent)
+}
+
+const sendWaitlistOfferEmail = async (patientEmail, patientName, doctorName, startsAt, expiresAt, timeZone, waitlistLink) => {
+  const subject = 'A Slot Opened Up - CareConnect'
+  const htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2196F3;">A Slot Opened Up</h2>
+      <p>Dear ${patientName},</p>
+      <p>A slot with Dr. ${doctorName} that matches your waitlist preferences is now free, and we are holding it for you.</p>
+      
+      <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Date:</strong> ${formatInstant(startsAt, timeZone, 'date')}</p>
+        <p><strong>Time:</strong> ${formatInstant(startsAt, timeZone, 'time')}</p>
+        <p><strong>Held until:</strong> ${formatInstant(expiresAt, timeZone)}</p>
+      </div>
+      
+      <p>Accept it before then to send the appointment request to the doctor, or it will be offered to the next patient: <a href="${waitlistLink}" style="color: #2196F3;">My waitlist</a></p>
+      
+      <p>Best regards,<br>The CareConnect Team</p>
+    </div>
+  `
+  
+  return await sendEmail(patientEmail, subject, htmlContent)
+}
+
 module.exports = {
   sendEmail,
   sendAppointmentApprovalEmail,
   sendDoctorConfirmationEmail,
   sendAppointmentRejectionEmail,
+  sendRescheduleProposalEmail,
+  sendRescheduleResponseEmail,
+  sendRescheduleConfirmationEmail,
+  sendAppointmentCancellationEmail,
+  sendAppointmentReminderEmail,
+  sendInvitationEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendCredentialReviewEmail,
+  sendTriageEscalationEmail,
+  sendWaitlistOfferEmail,
 }
@@ -0,0 +1,149 @@
+const Job = require('../models/jobModel')
+
+const systemClock = { now: () => new Date() }
+
+// Wait 1, 2, 4... minutes between attempts, capped at an hour
+const defaultRetryDelay = (attempts) =>
+  Math.min(60 * 1000 * 2 ** (attempts - 1), 60 * 60 * 1000)
+
+// Jobs are stored in Mongo so queued work survives restarts. The clock is
+// injectable so tests can move time forward instead of waiting.
+const createJobScheduler = ({
+  clock = systemClock,
+  pollInterval = 30 * 1000,
+  // A running job whose lock is older than this is assumed to have died
+  // with its process and is picked up again
+  lockTimeout = 5 * 60 * 1000,
+  retryDelay = defaultRetryDelay,
+} = {}) => {
+  const handlers = new Map()
+  let timer = null
+  let polling = false
+
+  const now = () => new Date(clock.now())
+
+  const defineJob = (type, handler) => {
+    handlers.set(type, handler)
+  }
+
+  const schedule = (type, runAt, payload = {}, { key, maxAttempts } = {}) =>
+    Job.create({ type, runAt, payload, key, maxAttempts })
+
+  // Cancel every pending job with the given key
+  const cancel = (key) => {
+    if (!key) throw new Error('A job key is required to cancel jobs')
+    return Job.updateMany(
+      { key, status: 'pending' },
+      { $set: { status: 'cancelled', updatedAt: now() } },
+    )
+  }
+
+  const cancelJob = (jobId) =>
+    Job.findOneAndUpdate(
+      { _id: jobId, status: 'pending' },
+      { $set: { status: 'cancelled', updatedAt: now() } },
+      { new: true },
+    )
+
+  // Put a failed or cancelled job back in the queue to run straight away
+  const retryJob = (jobId) =>
+    Job.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['failed', 'cancelled'] } },
+      { $set: { status: 'pending', runAt: now(), attempts: 0, updatedAt: now() } },
+      { new: true },
+    )
+
+  // Atomically take the next due job so two processes never run the same one
+  const claimNext = () => {
+    const current = now()
+    return Job.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', runAt: { $lte: current } },
+          {
+            status: 'running',
+            lockedAt: { $lte: new Date(current.getTime() - lockTimeout) },
+          },
+        ],
+      },
+      {
+        $set: { status: 'running', lockedAt: current, updatedAt: current },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true },
+    )
+  }
+
+  const runJob = async (job) => {
+    const handler = handlers.get(job.type)
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`)
+      }
+      await handler(job.payload, job)
+      job.status = 'completed'
+      job.completedAt = now()
+      job.lastError = undefined
+    } catch (error) {
+      job.lastError = error.message
+      if (!handler || job.attempts >= job.maxAttempts) {
+        job.status = 'failed'
+      } else {
+        job.status = 'pending'
+        job.runAt = new Date(now().getTime() + retryDelay(job.attempts))
+      }
+    }
+    job.lockedAt = undefined
+    await job.save()
+    return job
+  }
+
+  // Run every job that is due. Returns the jobs that were run.
+  const runDueJobs = async () => {
+    const ran = []
+    let job
+    while ((job = await claimNext())) {
+      ran.push(await runJob(job))
+    }
+    return ran
+  }
+
+  const start = () => {
+    if (timer) return
+    timer = setInterval(async () => {
+      if (polling) return
+      polling = true
+      try {
+        await runDueJobs()
+      } catch (error) {
+        console.error('Error running scheduled jobs:', error)
+      } finally {
+        polling = false
+      }
+    }, pollInterval)
+    // Don't keep the process alive just for the poller
+    timer.unref?.()
+  }
+
+  const stop = () => {
+    clearInterval(timer)
+    timer = null
+  }
+
+  return {
+    now,
+    defineJob,
+    schedule,
+    cancel,
+    cancelJob,
+    retryJob,
+    runDueJobs,
+    start,
+    stop,
+  }
+}
+
+// Shared scheduler used by the server
+const scheduler = createJobScheduler()
+
+module.exports = { createJobScheduler, scheduler }
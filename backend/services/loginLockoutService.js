@@ -0,0 +1,69 @@
+const process = require('process')
+const User = require('../models/userModel')
+
+const DEFAULTS = {
+  // Failed sign-ins in a row before the account is locked
+  threshold: 5,
+  // The first lock lasts this long and each further one twice as long
+  baseMinutes: 1,
+  maxMinutes: 24 * 60,
+}
+
+const positive = (value, fallback) => {
+  const number = Number(value)
+  return Number.isFinite(number) && number > 0 ? number : fallback
+}
+
+const readLockoutConfig = (env = process.env) => ({
+  threshold: positive(env.LOGIN_LOCKOUT_THRESHOLD, DEFAULTS.threshold),
+  baseMinutes: positive(env.LOGIN_LOCKOUT_BASE_MINUTES, DEFAULTS.baseMinutes),
+  maxMinutes: positive(env.LOGIN_LOCKOUT_MAX_MINUTES, DEFAULTS.maxMinutes),
+})
+
+// 1, 2, 4, 8... minutes for the first, second, third... lock
+const lockDurationMs = (previousLockouts, config = readLockoutConfig()) =>
+  Math.min(config.baseMinutes * 2 ** previousLockouts, config.maxMinutes) * 60 * 1000
+
+// Count a wrong password or second factor. Returns the lock expiry if this
+// failure locked the account, otherwise null.
+const recordFailedLogin = async (user, now = new Date(), config = readLockoutConfig()) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { 'lockout.failedAttempts': 1 }, $set: { 'lockout.lastFailedAt': now } },
+    { new: true },
+  )
+  if (!updated || updated.lockout.failedAttempts < config.threshold) return null
+
+  // Conditional so two concurrent failures can't lock the account twice
+  const lockedUntil = new Date(now.getTime() + lockDurationMs(updated.lockout.lockouts, config))
+  const result = await User.updateOne(
+    { _id: user._id, 'lockout.failedAttempts': { $gte: config.threshold } },
+    {
+      $set: { 'lockout.failedAttempts': 0, 'lockout.lockedUntil': lockedUntil },
+      $inc: { 'lockout.lockouts': 1 },
+    },
+  )
+  return result.modifiedCount === 1 ? lockedUntil : null
+}
+
+// After a successful sign-in, a password reset or an admin unlock
+const clearFailedLogins = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'lockout.failedAttempts': 0, 'lockout.lockouts': 0 },
+      $unset: { 'lockout.lockedUntil': '', 'lockout.lastFailedAt': '' },
+    },
+  )
+
+// Seconds until a locked account can try again
+const secondsUntilUnlock = (user, now = new Date()) =>
+  Math.max(1, Math.ceil((user.lockout.lockedUntil.getTime() - now.getTime()) / 1000))
+
+module.exports = {
+  readLockoutConfig,
+  lockDurationMs,
+  recordFailedLogin,
+  clearFailedLogins,
+  secondsUntilUnlock,
+}
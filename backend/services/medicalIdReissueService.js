@@ -0,0 +1,84 @@
+const User = require('../models/userModel')
+const AppointmentRequest = require('../models/appointmentRequestModel')
+const Feedback = require('../models/feedbackModel')
+const Doctor = require('../models/doctorModel')
+const SlotReservation = require('../models/slotReservationModel')
+const WaitlistEntry = require('../models/waitlistEntryModel')
+const { generateMedicalId } = require('./medicalIdService')
+
+// Point every record that references oldId at newId. Each update only
+// touches documents still holding oldId, so this can be re-run safely if
+// it was interrupted.
+const cascadeMedicalId = async (oldId, newId) => {
+  const requests = await Promise.all([
+    AppointmentRequest.updateMany(
+      { doctorMedicalId: oldId },
+      { $set: { doctorMedicalId: newId } },
+    ),
+    AppointmentRequest.updateMany(
+      { patientMedicalId: oldId },
+      { $set: { patientMedicalId: newId } },
+    ),
+    AppointmentRequest.updateMany(
+      { 'statusHistory.changedBy': oldId },
+      { $set: { 'statusHistory.$[entry].changedBy': newId } },
+      { arrayFilters: [{ 'entry.changedBy': oldId }] },
+    ),
+    AppointmentRequest.updateMany(
+      { 'rescheduleProposals.proposedBy': oldId },
+      { $set: { 'rescheduleProposals.$[proposal].proposedBy': newId } },
+      { arrayFilters: [{ 'proposal.proposedBy': oldId }] },
+    ),
+    AppointmentRequest.updateMany(
+      { 'cancellation.cancelledBy': oldId },
+      { $set: { 'cancellation.cancelledBy': newId } },
+    ),
+  ])
+  const feedback = await Promise.all([
+    Feedback.updateMany({ doctorMedicalId: oldId }, { $set: { doctorMedicalId: newId } }),
+    Feedback.updateMany({ patientMedicalId: oldId }, { $set: { patientMedicalId: newId } }),
+  ])
+  const waitlist = await Promise.all([
+    WaitlistEntry.updateMany({ doctorMedicalId: oldId }, { $set: { doctorMedicalId: newId } }),
+    WaitlistEntry.updateMany({ patientMedicalId: oldId }, { $set: { patientMedicalId: newId } }),
+  ])
+  const schedules = await Doctor.updateMany({ medicalId: oldId }, { $set: { medicalId: newId } })
+  const reservations = await SlotReservation.updateMany(
+    { doctorMedicalId: oldId },
+    { $set: { doctorMedicalId: newId } },
+  )
+
+  const count = (results) => results.reduce((sum, r) => sum + r.modifiedCount, 0)
+  return {
+    appointmentRequests: count(requests),
+    feedback: count(feedback),
+    waitlistEntries: count(waitlist),
+    doctorSchedules: schedules.modifiedCount,
+    slotReservations: reservations.modifiedCount,
+  }
+}
+
+// Give a user a new medical ID and carry it through to their records.
+// The old ID is kept in previousMedicalIds so it can still be traced.
+const reissueMedicalId = async (user) => {
+  const oldId = user.medicalId
+  const newId = await generateMedicalId(user.role)
+
+  // medicalId is immutable through Mongoose, so write it directly
+  await User.collection.updateOne(
+    { _id: user._id, medicalId: oldId },
+    { $set: { medicalId: newId }, $push: { previousMedicalIds: oldId } },
+  )
+  const updated = await User.findById(user._id)
+  if (!updated || updated.medicalId !== newId) {
+    throw new Error('The medical ID was changed by someone else; try again')
+  }
+
+  const cascaded = await cascadeMedicalId(oldId, newId)
+  return { user: updated, oldId, newId, cascaded }
+}
+
+module.exports = {
+  cascadeMedicalId,
+  reissueMedicalId,
+}
@@ -0,0 +1,76 @@
+const process = require('process')
+const Counter = require('../models/counterModel')
+
+// Medical IDs look like P-0000042-2: a role prefix, a zero-padded running
+// number shared by all roles, and a Luhn check digit over that number.
+// Prefixes and padding are configurable; IDs already issued stay valid if
+// the configuration changes because validation doesn't depend on it.
+const DEFAULT_PREFIXES = { patient: 'P', doctor: 'D', admin: 'A' }
+const DEFAULT_DIGITS = 7
+const SEQUENCE = 'medicalId'
+
+const MEDICAL_ID_PATTERN = /^([A-Z]{1,4})-(\d+)-(\d)$/
+
+// MEDICAL_ID_PREFIXES=patient:PT,doctor:DR,admin:AD
+const readConfig = (env = process.env) => {
+  const prefixes = { ...DEFAULT_PREFIXES }
+  for (const entry of (env.MEDICAL_ID_PREFIXES || '').split(',')) {
+    const [role, prefix] = entry.split(':').map((part) => part && part.trim())
+    if (role in prefixes && /^[A-Z]{1,4}$/.test(prefix || '')) {
+      prefixes[role] = prefix
+    }
+  }
+  const digits = Number(env.MEDICAL_ID_DIGITS)
+  return {
+    prefixes,
+    digits: Number.isInteger(digits) && digits > 0 ? digits : DEFAULT_DIGITS,
+  }
+}
+
+// Luhn check digit for a string of digits
+const luhnCheckDigit = (digits) => {
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    // Double every second digit, starting with the rightmost
+    let digit = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 0) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return String((10 - (sum % 10)) % 10)
+}
+
+const formatMedicalId = (role, sequence, config = readConfig()) => {
+  const prefix = config.prefixes[role]
+  if (!prefix) throw new Error(`No medical ID prefix for role "${role}"`)
+  const number = String(sequence).padStart(config.digits, '0')
+  return `${prefix}-${number}-${luhnCheckDigit(number)}`
+}
+
+// { prefix, number, checkDigit } for a well-formed ID with a valid check
+// digit, otherwise null
+const parseMedicalId = (medicalId) => {
+  const match = MEDICAL_ID_PATTERN.exec(String(medicalId || ''))
+  if (!match) return null
+  const [, prefix, number, checkDigit] = match
+  if (luhnCheckDigit(number) !== checkDigit) return null
+  return { prefix, number, checkDigit }
+}
+
+const isValidMedicalId = (medicalId) => parseMedicalId(medicalId) !== null
+
+// Issue a fresh medical ID for a user with the given role
+const generateMedicalId = async (role, config = readConfig()) =>
+  formatMedicalId(role, await Counter.next(SEQUENCE), config)
+
+module.exports = {
+  MEDICAL_ID_PATTERN,
+  readConfig,
+  luhnCheckDigit,
+  formatMedicalId,
+  parseMedicalId,
+  isValidMedicalId,
+  generateMedicalId,
+}
@@ -1,38 +1,39 @@
-const nodemailer = require('nodemailer')
-const process = require('process')
-require('dotenv').config()
+const Notification = require('../models/notificationModel')
+const User = require('../models/userModel')
+const { EVENTS, emitToUser } = require('../socket')
 
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-})
+// Save a notification and push it to the recipient if they are connected
+const createNotification = async ({ userId, type, title, message, link, data }) => {
+  const notification = await Notification.create({
+    user: userId,
+    type,
+    title,
+    message,
+    link,
+    data,
+  })
 
-const sendEmail = (to, subject, text) => {
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to,
-    subject,
-    text,
+  try {
+    await emitToUser(userId, EVENTS.NOTIFICATION_CREATED, notification.toObject())
+  } catch (error) {
+    // The notification is saved, so the client still sees it on next load
+    console.error('Error pushing notification:', error)
   }
 
-  transporter.sendMail(mailOptions, (error, info) => {
-    if (error) {
-      console.error('Error sending email:', error)
-    } else {
-      console.log('Email sent:', info.response)
-    }
-  })
+  return notification
 }
 
-const sendNotification = (type, to, subject, text) => {
-  if (type === 'email') {
-    sendEmail(to, subject, text)
-  } else {
-    console.warn(`Unsupported notification type: ${type}. Only email notifications are supported.`)
+// Notify the user with the given medical ID. Failures are logged rather than
+// thrown so a notification problem never fails the action that caused it.
+const notifyMedicalId = async (medicalId, notification) => {
+  try {
+    const user = await User.findOne({ medicalId }).select('_id')
+    if (!user) return null
+    return await createNotification({ ...notification, userId: user._id })
+  } catch (error) {
+    console.error('Error creating notification:', error)
+    return null
   }
 }
 
-module.exports = { sendNotification }
+module.exports = { createNotification, notifyMedicalId }
@@ -0,0 +1,38 @@
+const systemClock = { now: () => new Date() }
+
+// Drop expired counters once the map grows past this many keys
+const PRUNE_THRESHOLD = 10000
+
+// Fixed-window counters kept in this process. Fine for a single instance;
+// counts are lost on restart and not shared between instances.
+const createMemoryStore = ({ clock = systemClock } = {}) => {
+  const windows = new Map()
+
+  const prune = (now) => {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key)
+    }
+  }
+
+  // Count a hit and return the count so far in the current window
+  const increment = async (key, windowMs) => {
+    const now = new Date(clock.now()).getTime()
+    if (windows.size > PRUNE_THRESHOLD) prune(now)
+
+    let entry = windows.get(key)
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs }
+      windows.set(key, entry)
+    }
+    entry.count += 1
+    return { count: entry.count, resetAt: new Date(entry.resetAt) }
+  }
+
+  const reset = async (key) => {
+    windows.delete(key)
+  }
+
+  return { increment, reset }
+}
+
+module.exports = { createMemoryStore }
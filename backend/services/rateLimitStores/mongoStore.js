@@ -0,0 +1,42 @@
+const RateLimit = require('../../models/rateLimitModel')
+
+const systemClock = { now: () => new Date() }
+
+const DUPLICATE_KEY = 11000
+
+// Fixed-window counters in Mongo, shared by every instance of the app
+const createMongoStore = ({ clock = systemClock } = {}) => {
+  const increment = async (key, windowMs) => {
+    const now = new Date(clock.now())
+
+    // Count against the current window if there is one...
+    const current = await RateLimit.findOneAndUpdate(
+      { key, resetAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true },
+    )
+    if (current) return { count: current.count, resetAt: current.resetAt }
+
+    // ...otherwise start a new one. Two requests can race to do this; the
+    // loser's upsert hits the unique index and it counts against the winner's.
+    try {
+      const started = await RateLimit.findOneAndUpdate(
+        { key, resetAt: { $lte: now } },
+        { $set: { count: 1, resetAt: new Date(now.getTime() + windowMs) } },
+        { new: true, upsert: true },
+      )
+      return { count: started.count, resetAt: started.resetAt }
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error
+      return increment(key, windowMs)
+    }
+  }
+
+  const reset = async (key) => {
+    await RateLimit.deleteOne({ key })
+  }
+
+  return { increment, reset }
+}
+
+module.exports = { createMongoStore }
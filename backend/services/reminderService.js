@@ -0,0 +1,85 @@
+const AppointmentRequest = require('../models/appointmentRequestModel')
+const User = require('../models/userModel')
+const { scheduler: defaultScheduler } = require('./jobScheduler')
+const { sendAppointmentReminderEmail } = require('./emailService')
+
+const REMINDER_JOB = 'appointment-reminder'
+
+// How long before the start each reminder goes out
+const REMINDER_OFFSETS_HOURS = [24, 1]
+
+const reminderKey = (appointmentRequestId) => `appointment-reminder:${appointmentRequestId}`
+
+// Send one reminder to one side of the appointment. Throws when the email
+// fails so the scheduler retries it.
+const sendReminder = async ({ appointmentRequestId, recipient, startsAt, hoursBefore }) => {
+  const request = await AppointmentRequest.findById(appointmentRequestId)
+
+  // Skip reminders for appointments that were cancelled or moved since
+  // the job was queued
+  if (
+    !request ||
+    !AppointmentRequest.ACTIVE_STATUSES.includes(request.status) ||
+    request.startsAt()?.getTime() !== new Date(startsAt).getTime()
+  ) {
+    return
+  }
+
+  const toDoctor = recipient === 'doctor'
+  const result = await sendAppointmentReminderEmail(
+    toDoctor ? request.doctorEmail : request.patientEmail,
+    toDoctor ? `Dr. ${request.doctorName}` : request.patientName,
+    toDoctor ? request.patientName : `Dr. ${request.doctorName}`,
+    request.startsAt(),
+    await User.findTimeZone(toDoctor ? request.doctorMedicalId : request.patientMedicalId),
+    request.meetingType,
+    request.videoCallLink,
+    hoursBefore
+  )
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to send reminder email')
+  }
+}
+
+const registerReminderJobs = (scheduler = defaultScheduler) => {
+  scheduler.defineJob(REMINDER_JOB, sendReminder)
+}
+
+const cancelReminders = (appointmentRequestId, scheduler = defaultScheduler) =>
+  scheduler.cancel(reminderKey(appointmentRequestId))
+
+// Bring an appointment's queued reminders in line with its current state:
+// drop any already queued, then queue fresh ones if it is still going ahead.
+const syncReminders = async (request, scheduler = defaultScheduler) => {
+  await cancelReminders(request._id, scheduler)
+
+  if (!AppointmentRequest.ACTIVE_STATUSES.includes(request.status)) return []
+
+  const startsAt = request.startsAt()
+  if (!startsAt) return []
+
+  const now = scheduler.now()
+  const jobs = []
+  for (const hoursBefore of REMINDER_OFFSETS_HOURS) {
+    const runAt = new Date(startsAt.getTime() - hoursBefore * 60 * 60 * 1000)
+    // Don't send a 24 hour reminder for an appointment booked for tomorrow morning
+    if (runAt <= now) continue
+
+    for (const recipient of ['patient', 'doctor']) {
+      jobs.push(await scheduler.schedule(
+        REMINDER_JOB,
+        runAt,
+        { appointmentRequestId: String(request._id), recipient, startsAt, hoursBefore },
+        { key: reminderKey(request._id) }
+      ))
+    }
+  }
+  return jobs
+}
+
+module.exports = {
+  REMINDER_JOB,
+  registerReminderJobs,
+  syncReminders,
+  cancelReminders,
+}
@@ -0,0 +1,199 @@
+const crypto = require('crypto')
+const process = require('process')
+const jwt = require('jsonwebtoken')
+const mongoose = require('mongoose')
+const Session = require('../models/sessionModel')
+const User = require('../models/userModel')
+const { createNotification } = require('./notificationService')
+const { endSession } = require('../socket')
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m'
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30
+// Another tab may refresh with a token that was rotated moments ago; treat
+// that as a race rather than theft
+const DEFAULT_REUSE_GRACE_SECONDS = 30
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Errors that end a refresh attempt; the client has to sign in again
+class SessionError extends Error {
+  constructor(message, code) {
+    super(message)
+    this.name = 'SessionError'
+    this.code = code
+  }
+}
+
+const hashSecret = (secret) =>
+  crypto.createHash('sha256').update(String(secret)).digest('hex')
+
+const newSecret = () => crypto.randomBytes(32).toString('hex')
+
+const refreshTtlMs = () =>
+  (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS) * DAY
+
+const reuseGraceMs = () =>
+  (Number(process.env.REFRESH_REUSE_GRACE_SECONDS) || DEFAULT_REUSE_GRACE_SECONDS) * 1000
+
+// "<sessionId>.<secret>" -> { sessionId, secret }, or null if malformed
+const parseRefreshToken = (token) => {
+  const [sessionId, secret, ...rest] = String(token || '').split('.')
+  if (rest.length || !secret || !mongoose.isValidObjectId(sessionId)) return null
+  return { sessionId, secret }
+}
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user._id, role: user.role, sid: String(sessionId) },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL },
+  )
+
+const clientInfo = (req) => ({
+  userAgent: req?.get?.('user-agent'),
+  ip: req?.ip,
+})
+
+// Start a session for a user who just proved who they are
+const createSession = async (user, req) => {
+  const secret = newSecret()
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + refreshTtlMs()),
+    ...clientInfo(req),
+  })
+  return {
+    session,
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+  }
+}
+
+const revokeSession = async (session, reason) => {
+  session.revoke(reason)
+  await session.save()
+  endSession(session._id)
+}
+
+// Someone presented a token this session already rotated away from. Either
+// the legitimate client or an attacker has a copy, and we can't tell which,
+// so the whole session is ended.
+const handleReuse = async (session) => {
+  await revokeSession(session, 'reuse_detected')
+  await createNotification({
+    userId: session.user,
+    type: 'security_alert',
+    title: 'Session signed out',
+    message:
+      'A sign-in token for one of your devices was used twice, so that device was signed out. If this wasn\'t you, change your password.',
+    link: '/profile/sessions',
+    data: { sessionId: session._id },
+  }).catch((error) => console.error('Error sending security alert:', error))
+}
+
+// Exchange a refresh token for a new access token and refresh token.
+// Throws a SessionError when the token can't be used.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken)
+  if (!parsed) throw new SessionError('Invalid refresh token', 'invalid')
+
+  const now = new Date()
+  const presentedHash = hashSecret(parsed.secret)
+  const secret = newSecret()
+
+  // Match on the current hash so two refreshes with the same token can't
+  // both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      tokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: { tokenHash: hashSecret(secret), lastUsedAt: now, ...clientInfo(req) },
+      $push: {
+        previousTokens: {
+          $each: [{ hash: presentedHash, rotatedAt: now }],
+          $slice: -Session.MAX_PREVIOUS_TOKENS,
+        },
+      },
+    },
+    { new: true },
+  )
+
+  if (!session) {
+    const existing = await Session.findById(parsed.sessionId)
+    const previous = existing?.previousTokens.find((t) => t.hash === presentedHash)
+    if (previous && existing.isActive(now)) {
+      if (now - previous.rotatedAt <= reuseGraceMs()) {
+        throw new SessionError('Refresh token was already used', 'stale')
+      }
+      await handleReuse(existing)
+      throw new SessionError('Refresh token reuse detected', 'reused')
+    }
+    throw new SessionError('Session expired or revoked', 'invalid')
+  }
+
+  const user = await User.findById(session.user)
+  if (!user) {
+    await revokeSession(session, 'revoked')
+    throw new SessionError('User not found', 'invalid')
+  }
+  if (user.isSuspended()) {
+    await revokeSession(session, 'suspended')
+    throw new SessionError('Account suspended', 'suspended')
+  }
+  if (user.isPendingDeletion()) {
+    await revokeSession(session, 'deleted')
+    throw new SessionError('Account deleted', 'deleted')
+  }
+
+  return {
+    user,
+    session,
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+  }
+}
+
+// Revoke the session a refresh token belongs to, if the token is current
+const revokeByRefreshToken = async (refreshToken, reason = 'logout') => {
+  const parsed = parseRefreshToken(refreshToken)
+  if (!parsed) return null
+
+  const session = await Session.findOne({
+    _id: parsed.sessionId,
+    tokenHash: hashSecret(parsed.secret),
+    revokedAt: null,
+  })
+  if (!session) return null
+
+  await revokeSession(session, reason)
+  return session
+}
+
+const getActiveSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({
+    lastUsedAt: -1,
+  })
+
+// Sign a user out everywhere, e.g. after their password changes
+const revokeAllSessions = async (userId, reason) => {
+  const sessions = await getActiveSessions(userId)
+  await Promise.all(sessions.map((session) => revokeSession(session, reason)))
+  return sessions.length
+}
+
+module.exports = {
+  SessionError,
+  parseRefreshToken,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeByRefreshToken,
+  getActiveSessions,
+  revokeAllSessions,
+}
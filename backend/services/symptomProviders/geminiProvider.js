@@ -0,0 +1,18 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai')
+const { buildPrompt, parseAssessment } = require('./prompt')
+
+// Google Gemini
+const createGeminiProvider = ({ apiKey, model = 'gemini-2.5-flash' }) => {
+  if (!apiKey) throw new Error('GEMINI_API_KEY is required for the gemini provider')
+  const client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model })
+
+  return {
+    name: 'gemini',
+    analyze: async (symptoms) => {
+      const result = await client.generateContent(buildPrompt(symptoms))
+      return parseAssessment(result.response.text())
+    },
+  }
+}
+
+module.exports = { createGeminiProvider }
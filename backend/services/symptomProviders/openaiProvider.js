@@ -0,0 +1,36 @@
+const { buildPrompt, parseAssessment } = require('./prompt')
+
+// Any server speaking the OpenAI chat completions API, e.g. a local Ollama,
+// LM Studio or vLLM endpoint. The API key is optional for local servers.
+const createOpenAICompatibleProvider = ({ baseUrl, apiKey, model, timeout = 15000 }) => {
+  if (!baseUrl) throw new Error('OPENAI_BASE_URL is required for the openai provider')
+  if (!model) throw new Error('OPENAI_MODEL is required for the openai provider')
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`
+
+  return {
+    name: 'openai',
+    analyze: async (symptoms) => {
+      const headers = { 'Content-Type': 'application/json' }
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          messages: [{ role: 'user', content: buildPrompt(symptoms) }],
+        }),
+        signal: AbortSignal.timeout(timeout),
+      })
+      if (!response.ok) {
+        throw new Error(`Symptom provider responded with ${response.status}`)
+      }
+
+      const data = await response.json()
+      return parseAssessment(data.choices?.[0]?.message?.content || '')
+    },
+  }
+}
+
+module.exports = { createOpenAICompatibleProvider }
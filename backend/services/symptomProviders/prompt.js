@@ -0,0 +1,83 @@
+// Prompt and response parsing shared by the LLM-backed providers
+
+const URGENCY_LEVELS = ['Routine', 'Same Day', 'Urgent', 'Emergency']
+
+const DISCLAIMER =
+  'This is AI-generated health information for educational purposes only. Always consult healthcare professionals for medical advice, diagnosis, or treatment.'
+
+const buildPrompt = (symptoms) => `You are an AI medical assistant providing structured health information. Analyze the symptoms and provide a well-formatted response.
+
+**User Symptoms**: ${symptoms}
+
+Please provide your response in the following EXACT JSON format (make sure it's valid JSON):
+
+{
+  "primary_assessment": "[Brief description of symptom severity and general impact on well-being. DO NOT mention specific diseases or diagnoses. Focus on describing the symptoms objectively.]",
+  "first_aid_tips": [
+    "tip1",
+    "tip2",
+    "tip3"
+  ],
+  "warning_signs": [
+    "sign1",
+    "sign2",
+    "sign3"
+  ],
+  "severity_score": [number from 1-10, where 1=very mild, 10=life-threatening emergency],
+  "when_to_seek_help": "[Specific guidance on when to see a doctor]",
+  "urgency": "[Routine/Same Day/Urgent/Emergency]",
+  "recommended_action": "[Based on severity_score: 1-3=Schedule a routine check-up, 4-6=Book an appointment soon, 7-8=Book urgent care appointment, 9-10=Seek immediate emergency care]",
+  "disclaimer": "${DISCLAIMER}"
+}
+
+Ensure the JSON is properly formatted and valid. Base severity score on symptom intensity and potential impact on daily activities.`
+
+const urgencyForScore = (score) => {
+  if (score >= 9) return 'Emergency'
+  if (score >= 7) return 'Urgent'
+  if (score >= 4) return 'Same Day'
+  return 'Routine'
+}
+
+const actionForScore = (score) => {
+  if (score >= 9) return 'Seek immediate emergency care'
+  if (score >= 7) return 'Book urgent care appointment'
+  if (score >= 4) return 'Book an appointment soon'
+  return 'Schedule a routine check-up'
+}
+
+const asList = (value) =>
+  Array.isArray(value) ? value.filter((item) => typeof item === 'string') : []
+
+// Pull the JSON assessment out of a model's reply. Throws when the reply
+// has no usable assessment so the caller can fall back to the rule engine.
+const parseAssessment = (text) => {
+  const jsonMatch = String(text).match(/\{[\s\S]*\}/)
+  if (!jsonMatch) throw new Error('Response did not contain a JSON assessment')
+
+  const data = JSON.parse(jsonMatch[0])
+  const score = Math.round(Number(data.severity_score))
+  if (!Number.isFinite(score) || score < 1 || score > 10) {
+    throw new Error('Response had no valid severity score')
+  }
+
+  return {
+    primary_assessment: String(data.primary_assessment || ''),
+    first_aid_tips: asList(data.first_aid_tips),
+    warning_signs: asList(data.warning_signs),
+    severity_score: score,
+    when_to_seek_help: String(data.when_to_seek_help || ''),
+    urgency: URGENCY_LEVELS.includes(data.urgency) ? data.urgency : urgencyForScore(score),
+    recommended_action: data.recommended_action || actionForScore(score),
+    disclaimer: data.disclaimer || DISCLAIMER,
+  }
+}
+
+module.exports = {
+  URGENCY_LEVELS,
+  DISCLAIMER,
+  buildPrompt,
+  parseAssessment,
+  urgencyForScore,
+  actionForScore,
+}
@@ -0,0 +1,149 @@
+const { DISCLAIMER, urgencyForScore, actionForScore } = require('./prompt')
+
+// Deterministic keyword rules. Used when no AI provider is configured and as
+// the fallback when one fails, so the same symptoms always get the same score.
+// Each rule sets a minimum severity; the highest matching rule wins.
+const RULES = [
+  // Red flags: emergency care
+  {
+    severity: 10,
+    patterns: [
+      /chest (pain|pressure|tightness)/,
+      /(difficulty|trouble|can'?t|cannot|unable to) breath/,
+      /short(ness)? of breath/,
+      /unconscious|unresponsive|passed out|fainted/,
+      /seizure|convulsion/,
+      /slurred speech|face (is )?droop|numb(ness)? on one side|weakness on one side/,
+      /suicid|overdose|want to die|kill myself/,
+      /(throat|tongue|lips?) (is |are )?swell|anaphyla/,
+    ],
+    tips: [
+      'Call emergency services or go to the nearest emergency department now',
+      'Do not drive yourself; ask someone to take you or wait for an ambulance',
+      'Stay with someone until help arrives',
+    ],
+    warningSigns: ['Symptoms that come on suddenly or get worse quickly', 'Loss of consciousness', 'Blue lips or face'],
+  },
+  {
+    severity: 9,
+    patterns: [
+      /(severe|heavy|uncontrolled) bleeding|won'?t stop bleeding/,
+      /(coughing|vomiting) (up )?blood/,
+      /worst headache|sudden severe headache/,
+      /stiff neck.*fever|fever.*stiff neck/,
+    ],
+    tips: [
+      'Seek emergency care immediately',
+      'Apply firm pressure to any bleeding wound',
+      'Keep still and stay with someone',
+    ],
+    warningSigns: ['Confusion or drowsiness', 'Fainting', 'Rapid heartbeat'],
+  },
+  // Urgent: needs care within hours
+  {
+    severity: 7,
+    patterns: [
+      /high fever|fever of (39|4\d|10[2-9])/,
+      /severe (pain|headache|abdominal|stomach)/,
+      /broken|fractur|dislocat/,
+      /deep (cut|wound)|\bburn(s|ed)?\b/,
+      /dehydrat|can'?t keep (anything|fluids|water) down|persistent vomiting/,
+      /blood in (my )?(urine|stool|pee|poo)/,
+      /confus(ed|ion)/,
+    ],
+    tips: [
+      'Arrange to be seen by a doctor today',
+      'Rest and avoid strenuous activity',
+      'Take small, frequent sips of water if you can keep them down',
+    ],
+    warningSigns: ['Pain that keeps getting worse', 'Fever above 39.5°C (103°F)', 'Signs of dehydration such as dizziness or very little urine'],
+  },
+  // Same day: should be seen soon
+  {
+    severity: 5,
+    patterns: [
+      /fever|temperature/,
+      /vomit|diarrh/,
+      /infect|pus|abscess/,
+      /rash|hives/,
+      /ear ?ache|ear pain/,
+      /abdominal pain|stomach pain|stomach ache/,
+      /migraine/,
+      /swell(ing|ed)/,
+      /(painful|burning) (urination|when i pee)|urinary/,
+    ],
+    tips: [
+      'Rest and stay well hydrated',
+      'Monitor your temperature and symptoms',
+      'Over-the-counter pain relief may help; follow the label directions',
+    ],
+    warningSigns: ['Symptoms lasting more than 2-3 days', 'A fever that will not come down', 'New or spreading pain'],
+  },
+  // Routine: self-care and a check-up if it persists
+  {
+    severity: 2,
+    patterns: [
+      /cough/,
+      /cold|runny nose|congest|sneez/,
+      /sore throat/,
+      /headache/,
+      /tired|fatigue/,
+      /back pain|muscle (ache|pain)|sore muscle/,
+      /itch|acne|dry skin/,
+    ],
+    tips: [
+      'Get plenty of rest and fluids',
+      'Use simple remedies such as warm drinks or a humidifier',
+      'Keep track of how your symptoms change',
+    ],
+    warningSigns: ['Symptoms lasting more than a week', 'Difficulty breathing', 'A high fever'],
+  },
+]
+
+// Phrases that make symptoms more concerning than the keyword alone
+const ESCALATORS = [/getting worse|worsening|worse and worse/, /for (weeks|months)|keeps coming back/, /pregnan/]
+
+// "no chest pain" or "not short of breath" shouldn't trigger the rule, but
+// "no fever but chest pain" should
+const isNegated = (text, index) =>
+  /\b(no|not|without|denies|never)\b(?:(?!\bbut\b)[^.,;]){0,20}$/.test(
+    text.slice(Math.max(0, index - 30), index),
+  )
+
+const matches = (text, pattern) => {
+  const match = pattern.exec(text)
+  return !!match && !isNegated(text, match.index)
+}
+
+const analyzeWithRules = (symptoms) => {
+  const text = String(symptoms || '').toLowerCase()
+  const matched = RULES.filter((rule) => rule.patterns.some((pattern) => matches(text, pattern)))
+  const top = matched[0]
+
+  let score = top ? top.severity : 3
+  if (top && score < 9 && ESCALATORS.some((pattern) => matches(text, pattern))) score += 1
+  score = Math.min(score, 10)
+
+  const urgency = urgencyForScore(score)
+  return {
+    primary_assessment: top
+      ? `Your description matches symptoms that usually call for ${urgency === 'Routine' ? 'self-care and a routine check-up' : `${urgency.toLowerCase()} medical attention`}.`
+      : 'Your description did not match any symptoms our rules recognise. A clinician can give you a proper assessment.',
+    first_aid_tips: top ? top.tips : ['Rest and stay hydrated', 'Keep a note of your symptoms and when they started', 'Avoid strenuous activity until you feel better'],
+    warning_signs: top ? top.warningSigns : ['Symptoms getting worse rapidly', 'Severe pain or discomfort', 'Difficulty breathing or chest pain'],
+    severity_score: score,
+    when_to_seek_help: score >= 9
+      ? 'Now. Call emergency services or go to the nearest emergency department.'
+      : 'If symptoms persist for more than 2-3 days, get worse, or you notice any of the warning signs, see a healthcare professional.',
+    urgency,
+    recommended_action: actionForScore(score),
+    disclaimer: DISCLAIMER,
+  }
+}
+
+const createRuleEngineProvider = () => ({
+  name: 'rules',
+  analyze: async (symptoms) => analyzeWithRules(symptoms),
+})
+
+module.exports = { createRuleEngineProvider, analyzeWithRules }
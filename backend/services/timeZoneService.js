@@ -0,0 +1,140 @@
+// Conversions between absolute instants and wall-clock dates and times in an
+// IANA time zone, built on Intl so no time zone data has to be bundled.
+//
+// Schedules are kept as wall-clock "YYYY-MM-DD" dates and "HH:mm" times in
+// the clinic's zone; appointments are stored as instants and rendered in the
+// viewer's zone.
+
+// Zone used for clinics and users that haven't chosen one
+const DEFAULT_TIME_ZONE = process.env.CLINIC_TIME_ZONE || 'UTC'
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+
+const partFormatters = new Map()
+
+const partFormatter = (timeZone) => {
+  if (!partFormatters.has(timeZone)) {
+    partFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    )
+  }
+  return partFormatters.get(timeZone)
+}
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false
+  try {
+    partFormatter(timeZone)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+// Wall-clock { date: "YYYY-MM-DD", time: "HH:mm" } of an instant in a zone
+const toZonedParts = (instant, timeZone) => {
+  const parts = {}
+  for (const { type, value } of partFormatter(timeZone).formatToParts(new Date(instant))) {
+    parts[type] = value
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: Number(parts.second),
+  }
+}
+
+// Minutes the zone is ahead of UTC at an instant
+const offsetMinutes = (instant, timeZone) => {
+  const time = new Date(instant).getTime()
+  const { date, time: clock, seconds } = toZonedParts(time, timeZone)
+  const wall = Date.parse(`${date}T${clock}:00Z`) + seconds * 1000
+  return Math.round((wall - (time - (time % 1000))) / MINUTE)
+}
+
+// The instant a wall-clock date and time happen in a zone. A time repeated
+// when the clocks go back is the first of the two; a time skipped when they
+// go forward is moved on by the length of the gap, so 02:30 on a night the
+// clocks jump from 02:00 to 03:00 becomes 03:30.
+const toInstant = (dateKey, time, timeZone) => {
+  const wall = Date.parse(`${dateKey}T${time}:00Z`)
+  if (isNaN(wall)) return null
+
+  // Offsets a day either side are from before and after any transition
+  const before = offsetMinutes(wall - DAY, timeZone)
+  const after = offsetMinutes(wall + DAY, timeZone)
+  const candidates = [...new Set([before, after])]
+    .map((offset) => wall - offset * MINUTE)
+    .filter((instant) => {
+      const parts = toZonedParts(instant, timeZone)
+      return parts.date === dateKey && parts.time === time
+    })
+  if (candidates.length) return new Date(Math.min(...candidates))
+
+  return new Date(wall - before * MINUTE)
+}
+
+// Whether a wall-clock time happens at all on a date, i.e. isn't skipped
+// when the clocks go forward
+const isValidLocalTime = (dateKey, time, timeZone) => {
+  const instant = toInstant(dateKey, time, timeZone)
+  if (!instant) return false
+  const parts = toZonedParts(instant, timeZone)
+  return parts.date === dateKey && parts.time === time
+}
+
+// "YYYY-MM-DD" date of an instant in a zone
+const toDateKeyIn = (instant, timeZone) => toZonedParts(instant, timeZone).date
+
+// The instant a date starts in a zone
+const startOfDay = (dateKey, timeZone) => toInstant(dateKey, '00:00', timeZone)
+
+const DISPLAY_STYLES = {
+  date: { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' },
+  time: { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZoneName: 'short' },
+  dateTime: {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZoneName: 'short',
+  },
+}
+
+const displayFormatters = new Map()
+
+// An instant for people to read in a zone: "Mon, 5 Jan 2099, 09:00 GMT+1",
+// or just the date or the time with style 'date' or 'time'
+const formatInstant = (instant, timeZone, style = 'dateTime') => {
+  const key = `${timeZone} ${style}`
+  if (!displayFormatters.has(key)) {
+    displayFormatters.set(key, new Intl.DateTimeFormat('en-GB', { timeZone, ...DISPLAY_STYLES[style] }))
+  }
+  return displayFormatters.get(key).format(new Date(instant))
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  toZonedParts,
+  offsetMinutes,
+  toInstant,
+  isValidLocalTime,
+  toDateKeyIn,
+  startOfDay,
+  formatInstant,
+}
@@ -0,0 +1,118 @@
+const crypto = require('crypto')
+
+// Time-based one-time passwords (RFC 6238) built on HOTP (RFC 4226). Pure
+// functions over node's crypto, so codes can be checked without any network.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+const DEFAULTS = {
+  algorithm: 'sha1',
+  digits: 6,
+  period: 30,
+}
+
+const base32Encode = (buffer) => {
+  let bits = 0
+  let value = 0
+  let output = ''
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+  return output
+}
+
+// Accepts lower case, spaces and padding as authenticator apps display them
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '')
+  let bits = 0
+  let value = 0
+  const bytes = []
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) throw new Error(`Invalid base32 character: ${char}`)
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+// A random 160-bit secret, base32 encoded for authenticator apps
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes))
+
+const hotp = (key, counter, { algorithm = DEFAULTS.algorithm, digits = DEFAULTS.digits } = {}) => {
+  const message = Buffer.alloc(8)
+  message.writeBigUInt64BE(BigInt(counter))
+  const hmac = crypto.createHmac(algorithm, key).update(message).digest()
+
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3]
+  return String(binary % 10 ** digits).padStart(digits, '0')
+}
+
+const timeStep = (time = Date.now(), period = DEFAULTS.period) =>
+  Math.floor(new Date(time).getTime() / 1000 / period)
+
+// The code for a raw key (Buffer) at a given time
+const totp = (key, time = Date.now(), options = {}) => {
+  const { period = DEFAULTS.period } = options
+  return hotp(key, timeStep(time, period), options)
+}
+
+// Check a code against a base32 secret, allowing `window` steps of clock
+// drift either way. Returns the matching time step, or null. Callers store
+// the step and refuse codes at or before it so a code can't be replayed.
+const verifyTotp = (secret, code, { time = Date.now(), window = 1, ...options } = {}) => {
+  const { digits = DEFAULTS.digits, period = DEFAULTS.period } = options
+  const candidate = String(code || '').replace(/\s/g, '')
+  if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) return null
+
+  const key = base32Decode(secret)
+  const current = timeStep(time, period)
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(key, step, options)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step
+    }
+  }
+  return null
+}
+
+// otpauth:// URI that authenticator apps read from a QR code
+const keyUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: DEFAULTS.algorithm.toUpperCase(),
+    digits: String(DEFAULTS.digits),
+    period: String(DEFAULTS.period),
+  })
+  return `otpauth://totp/${label}?${params}`
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  timeStep,
+  verifyTotp,
+  keyUri,
+}
@@ -0,0 +1,201 @@
+const process = require('process')
+const AppointmentRequest = require('../models/appointmentRequestModel')
+const User = require('../models/userModel')
+const { scheduler: defaultScheduler } = require('./jobScheduler')
+const { createNotification, notifyMedicalId } = require('./notificationService')
+const { sendTriageEscalationEmail } = require('./emailService')
+const { emitAppointmentUpdate } = require('../socket')
+
+const ESCALATION_JOB = 'triage-escalation'
+
+const { URGENCY_LEVELS } = AppointmentRequest
+
+// Minutes a doctor has to answer a request in each urgency tier
+const DEFAULT_SLA_MINUTES = {
+  Emergency: 30,
+  Urgent: 2 * 60,
+  'Same Day': 8 * 60,
+  'Non-Urgent': 48 * 60,
+  Routine: 72 * 60,
+}
+
+// Tiers that are escalated when their SLA runs out
+const ESCALATING_LEVELS = ['Urgent', 'Emergency']
+
+const MAX_TEXT_LENGTH = 2000
+
+const MINUTE = 60 * 1000
+
+const escalationKey = (appointmentRequestId) => `triage-escalation:${appointmentRequestId}`
+
+const requestsLink = () =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}/doctor/pending-requests`
+
+// SLA minutes per tier, each overridable with TRIAGE_SLA_<TIER>_MINUTES,
+// e.g. TRIAGE_SLA_SAME_DAY_MINUTES
+const readTriageConfig = (env = process.env) => {
+  const slaMinutes = {}
+  for (const [level, fallback] of Object.entries(DEFAULT_SLA_MINUTES)) {
+    const minutes = Number(env[`TRIAGE_SLA_${level.toUpperCase().replace(/\W/g, '_')}_MINUTES`])
+    slaMinutes[level] = Number.isFinite(minutes) && minutes > 0 ? minutes : fallback
+  }
+  return { slaMinutes }
+}
+
+const urgencyOf = (request) =>
+  URGENCY_LEVELS.includes(request.urgencyLevel) ? request.urgencyLevel : 'Routine'
+
+const optionalText = (value) =>
+  typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_TEXT_LENGTH) : undefined
+
+// Check the symptom checker result sent with a booking. Returns
+// { assessment }, which is null when none was sent, or { error }.
+const readAssessment = (input, now = new Date()) => {
+  if (input === undefined || input === null) return { assessment: null }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'assessment must be an object' }
+  }
+
+  const severityScore = Number(input.severityScore)
+  if (input.severityScore === '' || !Number.isFinite(severityScore) || severityScore < 0 || severityScore > 10) {
+    return { error: 'assessment.severityScore must be a number from 0 to 10' }
+  }
+  if (!URGENCY_LEVELS.includes(input.urgency)) {
+    return { error: `assessment.urgency must be one of: ${URGENCY_LEVELS.join(', ')}` }
+  }
+
+  return {
+    assessment: {
+      severityScore,
+      urgency: input.urgency,
+      recommendedAction: optionalText(input.recommendedAction),
+      summary: optionalText(input.summary),
+      assessedAt: now,
+    },
+  }
+}
+
+// Where a pending request stands against its tier's SLA
+const triageTimer = (request, { slaMinutes } = readTriageConfig(), now = new Date()) => {
+  const urgency = urgencyOf(request)
+  const dueAt = new Date(new Date(request.createdAt).getTime() + slaMinutes[urgency] * MINUTE)
+  return {
+    urgency,
+    slaMinutes: slaMinutes[urgency],
+    dueAt,
+    waitingMinutes: Math.max(0, Math.floor((now - new Date(request.createdAt)) / MINUTE)),
+    overdue: now >= dueAt,
+  }
+}
+
+// Most urgent first; within a tier, whoever has waited longest
+const compareForTriage = (a, b) =>
+  URGENCY_LEVELS.indexOf(urgencyOf(b)) - URGENCY_LEVELS.indexOf(urgencyOf(a)) ||
+  new Date(a.createdAt) - new Date(b.createdAt) ||
+  (b.urgencyScore || 0) - (a.urgencyScore || 0)
+
+// A doctor's unanswered requests in the order they should be answered, each
+// with its SLA timer
+const findTriageQueue = async (doctorMedicalId, { config = readTriageConfig(), now = new Date() } = {}) => {
+  const requests = await AppointmentRequest.find({ doctorMedicalId, status: 'requested' })
+
+  const queue = requests
+    .sort(compareForTriage)
+    .map((request) => ({ ...request.toObject(), triage: triageTimer(request, config, now) }))
+
+  return {
+    requests: queue,
+    overdue: queue.filter((request) => request.triage.overdue).length,
+    slaMinutes: config.slaMinutes,
+    now,
+  }
+}
+
+const cancelEscalation = (appointmentRequestId, scheduler = defaultScheduler) =>
+  scheduler.cancel(escalationKey(appointmentRequestId))
+
+// Queue the escalation for an urgent request at the end of its SLA
+const scheduleEscalation = async (request, { scheduler = defaultScheduler, config = readTriageConfig() } = {}) => {
+  await cancelEscalation(request._id, scheduler)
+  if (request.status !== 'requested' || !ESCALATING_LEVELS.includes(urgencyOf(request))) return null
+
+  const { dueAt } = triageTimer(request, config, scheduler.now())
+  return scheduler.schedule(
+    ESCALATION_JOB,
+    dueAt,
+    { appointmentRequestId: String(request._id) },
+    { key: escalationKey(request._id) }
+  )
+}
+
+// Chase the doctor, and let admins know, about an urgent request that is
+// still unanswered. Runs as a scheduled job; does nothing if the doctor has
+// responded or the patient cancelled in the meantime.
+const escalateRequest = async ({ appointmentRequestId }, { now = new Date() } = {}) => {
+  const request = await AppointmentRequest.findById(appointmentRequestId)
+  if (!request || request.status !== 'requested' || request.escalatedAt) return null
+
+  // Saved first so a retry after a failed email doesn't notify twice
+  request.escalatedAt = now
+  await request.save()
+
+  const urgency = urgencyOf(request)
+  const { waitingMinutes } = triageTimer(request, readTriageConfig(), now)
+  const notification = {
+    type: 'appointment_escalated',
+    title: `${urgency} request waiting`,
+    data: { appointmentRequestId: request._id },
+  }
+
+  await notifyMedicalId(request.doctorMedicalId, {
+    ...notification,
+    message: `${request.patientName}'s ${urgency.toLowerCase()} appointment request has waited ${waitingMinutes} minutes for a response`,
+    link: '/doctor/pending-requests',
+  })
+
+  const admins = await User.find({ role: 'admin', ...User.ACTIVE }).select('_id')
+  for (const admin of admins) {
+    await createNotification({
+      ...notification,
+      userId: admin._id,
+      message: `${request.patientName}'s ${urgency.toLowerCase()} request to Dr. ${request.doctorName} has waited ${waitingMinutes} minutes for a response`,
+      link: '/admin/appointments',
+    }).catch((error) => console.error('Error creating notification:', error))
+  }
+
+  const result = await sendTriageEscalationEmail(
+    request.doctorEmail,
+    request.doctorName,
+    request.patientName,
+    urgency,
+    waitingMinutes,
+    requestsLink()
+  ).catch((error) => ({ success: false, error: error.message }))
+  if (!result.success) {
+    console.error('Error sending escalation email:', result.error)
+  }
+
+  await emitAppointmentUpdate(request).catch((error) =>
+    console.error('Error pushing appointment update:', error)
+  )
+
+  return request
+}
+
+const registerTriageJobs = (scheduler = defaultScheduler) => {
+  scheduler.defineJob(ESCALATION_JOB, (payload) => escalateRequest(payload, { now: scheduler.now() }))
+}
+
+module.exports = {
+  ESCALATION_JOB,
+  ESCALATING_LEVELS,
+  readTriageConfig,
+  readAssessment,
+  triageTimer,
+  compareForTriage,
+  findTriageQueue,
+  scheduleEscalation,
+  cancelEscalation,
+  escalateRequest,
+  registerTriageJobs,
+}
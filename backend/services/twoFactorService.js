@@ -0,0 +1,203 @@
+const crypto = require('crypto')
+const process = require('process')
+const jwt = require('jsonwebtoken')
+const User = require('../models/userModel')
+const Setting = require('../models/settingModel')
+const { generateSecret, verifyTotp, keyUri } = require('./totpService')
+
+const ISSUER = 'CareConnect'
+// Roles that can turn on two-factor authentication
+const TWO_FACTOR_ROLES = ['doctor', 'admin']
+const REQUIRED_ROLES_KEY = 'twoFactor.requiredRoles'
+const RECOVERY_CODE_COUNT = 10
+const CHALLENGE_TTL = '5m'
+// Wrong codes allowed before the password has to be entered again
+const MAX_FAILED_ATTEMPTS = 5
+
+const SECRET_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes'
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[^0-9a-f]/g, ''))
+    .digest('hex')
+
+// Ten codes like "4f2a-9c1e", shown to the user once
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex')
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`
+  })
+
+const loadUser = (userId) => User.findById(userId).select(SECRET_FIELDS)
+
+const getRequiredRoles = () => Setting.getValue(REQUIRED_ROLES_KEY, [])
+
+const setRequiredRoles = (roles, updatedBy) =>
+  Setting.setValue(REQUIRED_ROLES_KEY, roles, updatedBy)
+
+const isRequiredFor = async (role) => (await getRequiredRoles()).includes(role)
+
+// Challenge tokens are signed with a key derived from JWT_SECRET, so they
+// can never pass for an access token
+const challengeSecret = () =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update('two-factor-challenge').digest()
+
+// Proof that the password was right, traded for a session once the second
+// factor checks out. `purpose` is 'verify', or 'setup' when the role
+// requires two-factor and the user hasn't enrolled yet.
+const issueChallenge = (user, purpose) =>
+  jwt.sign({ id: user._id, purpose }, challengeSecret(), { expiresIn: CHALLENGE_TTL })
+
+// The challenge payload, or null if it is invalid, expired or for another purpose
+const readChallenge = (token, purpose) => {
+  try {
+    const payload = jwt.verify(String(token || ''), challengeSecret())
+    return payload.purpose === purpose ? payload : null
+  } catch (err) {
+    return null
+  }
+}
+
+// Generate a secret to confirm with a first code. Nothing changes for the
+// user until enrollment is confirmed.
+const startEnrollment = async (user) => {
+  const secret = generateSecret()
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } })
+  return {
+    secret,
+    otpauthUrl: keyUri({ secret, accountName: user.email, issuer: ISSUER }),
+  }
+}
+
+// Turn two-factor on once the user shows their app produces the right codes.
+// Returns the recovery codes, or null if the code was wrong.
+const completeEnrollment = async (user, code) => {
+  const secret = user.twoFactor?.pendingSecret
+  const step = secret ? verifyTotp(secret, code) : null
+  if (step === null) return null
+
+  const recoveryCodes = generateRecoveryCodes()
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': secret,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.recoveryCodes': recoveryCodes.map((c) => ({ hash: hashRecoveryCode(c) })),
+        'twoFactor.failedAttempts': 0,
+      },
+      $unset: { 'twoFactor.pendingSecret': '' },
+    },
+  )
+  return recoveryCodes
+}
+
+// Check a code from the authenticator app, or else a recovery code. Each
+// is accepted at most once; the updates are conditional so two requests
+// racing with the same code can't both succeed.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor?.enabled) return false
+
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code)
+    if (step !== null) {
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $lt: step } },
+            { 'twoFactor.lastUsedStep': null },
+          ],
+        },
+        { $set: { 'twoFactor.lastUsedStep': step, 'twoFactor.failedAttempts': 0 } },
+      )
+      if (result.modifiedCount === 1) return true
+    }
+  } else if (recoveryCode) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'twoFactor.recoveryCodes': {
+          $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null },
+        },
+      },
+      {
+        $set: {
+          'twoFactor.recoveryCodes.$.usedAt': new Date(),
+          'twoFactor.failedAttempts': 0,
+        },
+      },
+    )
+    if (result.modifiedCount === 1) return true
+  }
+
+  await User.updateOne({ _id: user._id }, { $inc: { 'twoFactor.failedAttempts': 1 } })
+  return false
+}
+
+const tooManyFailures = (user) => (user.twoFactor?.failedAttempts || 0) >= MAX_FAILED_ATTEMPTS
+
+const resetFailures = (user) =>
+  User.updateOne({ _id: user._id }, { $set: { 'twoFactor.failedAttempts': 0 } })
+
+const regenerateRecoveryCodes = async (user) => {
+  const recoveryCodes = generateRecoveryCodes()
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.recoveryCodes': recoveryCodes.map((c) => ({ hash: hashRecoveryCode(c) })),
+      },
+    },
+  )
+  return recoveryCodes
+}
+
+const disable = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false, 'twoFactor.failedAttempts': 0 },
+      $unset: {
+        'twoFactor.enabledAt': '',
+        'twoFactor.secret': '',
+        'twoFactor.pendingSecret': '',
+        'twoFactor.lastUsedStep': '',
+        'twoFactor.recoveryCodes': '',
+      },
+    },
+  )
+
+const getStatus = async (user) => ({
+  enabled: Boolean(user.twoFactor?.enabled),
+  enabledAt: user.twoFactor?.enabledAt || null,
+  recoveryCodesRemaining: (user.twoFactor?.recoveryCodes || []).filter((c) => !c.usedAt)
+    .length,
+  available: TWO_FACTOR_ROLES.includes(user.role),
+  required: await isRequiredFor(user.role),
+})
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  MAX_FAILED_ATTEMPTS,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  loadUser,
+  getRequiredRoles,
+  setRequiredRoles,
+  isRequiredFor,
+  issueChallenge,
+  readChallenge,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  tooManyFailures,
+  resetFailures,
+  regenerateRecoveryCodes,
+  disable,
+  getStatus,
+}
@@ -0,0 +1,135 @@
+const User = require('../models/userModel')
+const { revokeAllSessions } = require('./sessionService')
+
+// ?sort= values and the fields they order by; prefix with "-" for descending
+const SORT_FIELDS = {
+  name: 'username',
+  email: 'email',
+  role: 'role',
+  created: 'timeStamp',
+  online: 'isOnline',
+  lastSeen: 'lastSeenAt',
+}
+
+const STATUSES = ['active', 'suspended', 'locked', 'deleted']
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Mongo filter for the admin user list. `search` matches username, email or
+// medical ID; `status` is active, suspended, locked or deleted (awaiting
+// purge).
+const buildUserFilter = (query = {}, now = new Date()) => {
+  const filter = {}
+  const { search, role, online, status } = query
+
+  if (search && String(search).trim()) {
+    const pattern = new RegExp(escapeRegex(String(search).trim()), 'i')
+    filter.$or = [{ username: pattern }, { email: pattern }, { medicalId: pattern }]
+  }
+  if (role) {
+    if (!User.schema.path('role').enumValues.includes(role)) {
+      return { error: 'Invalid role' }
+    }
+    filter.role = role
+  }
+  if (online === 'true') filter.isOnline = true
+  if (online === 'false') filter.isOnline = { $ne: true }
+  if (status) {
+    if (!STATUSES.includes(status)) {
+      return { error: `status must be one of: ${STATUSES.join(', ')}` }
+    }
+    if (status === 'suspended') filter['suspension.suspendedAt'] = { $ne: null }
+    if (status === 'active') Object.assign(filter, User.ACTIVE)
+    if (status === 'locked') filter['lockout.lockedUntil'] = { $gt: now }
+    if (status === 'deleted') filter['deletion.requestedAt'] = { $ne: null }
+  }
+  return { filter }
+}
+
+// "-created" -> { timeStamp: -1, _id: 1 }; unknown values sort newest first
+const readSort = (value) => {
+  const descending = String(value || '').startsWith('-')
+  const field = SORT_FIELDS[String(value || '').replace(/^-/, '')]
+  if (!field) return { timeStamp: -1, _id: 1 }
+  return { [field]: descending ? -1 : 1, _id: 1 }
+}
+
+// One page of users for the admin table, without password hashes
+const findUsers = async (query = {}) => {
+  const { filter, error } = buildUserFilter(query)
+  if (error) return { error }
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1)
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 25, 1), 100)
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select('-password')
+      .sort(readSort(query.sort))
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(filter),
+  ])
+  return { users, total, page, pages: Math.max(1, Math.ceil(total / limit)), limit }
+}
+
+// Apply an admin's edits. Returns { error } naming the first field that
+// can't be edited this way.
+const applyAdminEdits = (user, updates) => {
+  const fields = Object.keys(updates || {})
+  const rejected = fields.find((field) => !User.ADMIN_EDITABLE_FIELDS.includes(field))
+  if (rejected) {
+    return {
+      error: `${rejected} can't be edited here. Editable fields: ${User.ADMIN_EDITABLE_FIELDS.join(', ')}`,
+    }
+  }
+  if (user.role !== 'doctor' && fields.some((field) => ['specialty', 'location'].includes(field))) {
+    return { error: 'Only doctors have a specialty and location' }
+  }
+  for (const field of fields) {
+    const value = typeof updates[field] === 'string' ? updates[field].trim() : updates[field]
+    if ((field === 'username' || field === 'email') && !value) {
+      return { error: `${field} can't be empty` }
+    }
+    if (field === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      return { error: 'A valid email is required' }
+    }
+    user.set(field, value)
+  }
+  return {}
+}
+
+// Sign a user out everywhere and keep them out until reactivated
+const suspendUser = async (user, { reason, suspendedBy }, now = new Date()) => {
+  user.suspension = { suspendedAt: now, suspendedBy, reason }
+  await user.save()
+  await revokeAllSessions(user._id, 'suspended')
+  return user
+}
+
+// The role is carried in access tokens, so sign the user out everywhere and
+// make them sign in again with the new one
+const changeUserRole = async (user, role) => {
+  user.role = role
+  await user.save()
+  await revokeAllSessions(user._id, 'role_changed')
+  return user
+}
+
+const reactivateUser = async (user) => {
+  user.suspension = { suspendedAt: null, suspendedBy: null, reason: null }
+  await user.save()
+  return user
+}
+
+module.exports = {
+  SORT_FIELDS,
+  STATUSES,
+  buildUserFilter,
+  readSort,
+  findUsers,
+  applyAdminEdits,
+  suspendUser,
+  reactivateUser,
+  changeUserRole,
+}
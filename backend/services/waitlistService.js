@@ -0,0 +1,438 @@
+const process = require('process')
+const WaitlistEntry = require('../models/waitlistEntryModel')
+const AppointmentRequest = require('../models/appointmentRequestModel')
+const SlotReservation = require('../models/slotReservationModel')
+const User = require('../models/userModel')
+const Doctor = require('../models/doctorModel')
+const { scheduler: defaultScheduler } = require('./jobScheduler')
+const {
+  SLOTS_FREED_JOB,
+  toDateKey,
+  resolveBooking,
+  bookingOf,
+  getFreeSlots,
+  reserveSlot,
+  queueSlotsFreed,
+  releaseSlots,
+} = require('./availabilityService')
+const { readAssessment, scheduleEscalation } = require('./triageService')
+const { notifyMedicalId } = require('./notificationService')
+const { sendWaitlistOfferEmail } = require('./emailService')
+const { DEFAULT_TIME_ZONE, formatInstant, toDateKeyIn, toInstant } = require('./timeZoneService')
+const { broadcastAvailabilityUpdate, emitAppointmentUpdate } = require('../socket')
+
+const OFFER_EXPIRY_JOB = 'waitlist-offer-expiry'
+
+const DEFAULT_HOLD_MINUTES = 60
+
+// Longest date range a patient can wait for
+const MAX_RANGE_DAYS = 60
+
+const DAY = 24 * 60 * 60 * 1000
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const ACTIVE_STATUSES = ['waiting', 'offered']
+
+const offerKey = (entryId) => `waitlist-offer:${entryId}`
+
+const waitlistLink = () =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}/patient/waitlist`
+
+// Minutes an offered slot is held before it moves on to the next patient
+const readWaitlistConfig = (env = process.env) => {
+  const holdMinutes = Number(env.WAITLIST_HOLD_MINUTES)
+  return { holdMinutes: Number.isFinite(holdMinutes) && holdMinutes > 0 ? holdMinutes : DEFAULT_HOLD_MINUTES }
+}
+
+const isValidDateKey = (value) =>
+  typeof value === 'string' && DATE_PATTERN.test(value) && toDateKey(value) === value
+
+// "YYYY-MM-DD" keys from one date to another, inclusive
+const datesBetween = (fromDate, toDate) => {
+  const dates = []
+  for (let time = new Date(fromDate).getTime(); time <= new Date(toDate).getTime(); time += DAY) {
+    dates.push(toDateKey(time))
+  }
+  return dates
+}
+
+// Check a request to join a waitlist. Returns { fields } or { error }.
+const readWaitlistRequest = (body = {}, now = new Date()) => {
+  const {
+    fromDate,
+    toDate,
+    timesOfDay = [],
+    symptoms,
+    contactInfo,
+    meetingType = 'offline',
+    appointmentTypeId,
+    locationId,
+  } = body
+
+  if (!isValidDateKey(fromDate) || !isValidDateKey(toDate)) {
+    return { error: 'fromDate and toDate must be dates in YYYY-MM-DD format' }
+  }
+  if (fromDate > toDate) {
+    return { error: 'fromDate must not be after toDate' }
+  }
+  if (toDate < toDateKey(now)) {
+    return { error: 'The date range is in the past' }
+  }
+  if (new Date(toDate) - new Date(fromDate) >= MAX_RANGE_DAYS * DAY) {
+    return { error: `The date range can be at most ${MAX_RANGE_DAYS} days` }
+  }
+  if (
+    !Array.isArray(timesOfDay) ||
+    !timesOfDay.every((part) => Object.keys(WaitlistEntry.TIMES_OF_DAY).includes(part))
+  ) {
+    return { error: `timesOfDay can only contain: ${Object.keys(WaitlistEntry.TIMES_OF_DAY).join(', ')}` }
+  }
+  if (typeof symptoms !== 'string' || !symptoms.trim() || typeof contactInfo !== 'string' || !contactInfo.trim()) {
+    return { error: 'Symptoms and contact information are required' }
+  }
+  if (!['online', 'offline'].includes(meetingType)) {
+    return { error: 'meetingType must be online or offline' }
+  }
+
+  const { assessment, error } = readAssessment(body.assessment, now)
+  if (error) return { error }
+
+  return {
+    fields: {
+      fromDate,
+      toDate,
+      timesOfDay: [...new Set(timesOfDay)],
+      symptoms: symptoms.trim(),
+      contactInfo: contactInfo.trim(),
+      meetingType,
+      ...(assessment && { assessment }),
+      ...(appointmentTypeId && { appointmentTypeId }),
+      ...(locationId && { locationId }),
+    },
+  }
+}
+
+// Put a patient on a doctor's waitlist, for an appointment type and
+// location like a booking. A patient can only wait once per doctor at a
+// time. Returns { entry } or { status, error }.
+const joinWaitlist = async (patient, doctor, fields, { scheduler = defaultScheduler } = {}) => {
+  const { appointmentTypeId, locationId, ...entryFields } = fields
+  const existing = await WaitlistEntry.findOne({
+    doctorMedicalId: doctor.medicalId,
+    patientMedicalId: patient.medicalId,
+    status: { $in: ACTIVE_STATUSES },
+  })
+  if (existing) {
+    return { status: 409, error: "You are already on this doctor's waitlist" }
+  }
+
+  const schedule = await Doctor.findOne({ medicalId: doctor.medicalId })
+  const { booking, status, message } = resolveBooking(schedule, {
+    appointmentTypeId,
+    locationId,
+    meetingType: entryFields.meetingType,
+  })
+  if (!booking) {
+    return { status, error: message }
+  }
+
+  const entry = await WaitlistEntry.create({
+    ...entryFields,
+    ...booking,
+    doctorMedicalId: doctor.medicalId,
+    patientMedicalId: patient.medicalId,
+    doctorName: doctor.username,
+    patientName: patient.username,
+    patientEmail: patient.email,
+  })
+
+  // A matching slot may already be free
+  await queueSlotsFreed(doctor.medicalId, null, scheduler)
+
+  return { entry }
+}
+
+// Drop the slot an entry is holding and let the next patient have it
+const releaseHold = async (entry, scheduler) => {
+  await scheduler.cancel(offerKey(entry._id))
+
+  const holds = await SlotReservation.find({ waitlistEntry: entry._id }).select('doctorMedicalId date')
+  await SlotReservation.deleteMany({ waitlistEntry: entry._id })
+  for (const { doctorMedicalId, date } of holds) {
+    broadcastAvailabilityUpdate({ doctorMedicalId, date })
+    await queueSlotsFreed(doctorMedicalId, date, scheduler)
+  }
+}
+
+// Hold a slot for an entry and tell the patient. Returns the offer, or null
+// if someone else got the slot first.
+const offerSlot = async (entry, date, time, { scheduler, config, timeZone = DEFAULT_TIME_ZONE }) => {
+  const now = scheduler.now()
+
+  const hold = await reserveSlot({
+    doctorMedicalId: entry.doctorMedicalId,
+    date,
+    time,
+    waitlistEntryId: entry._id,
+    booking: bookingOf(entry),
+  })
+  if (!hold.success) return null
+
+  const expiresAt = new Date(now.getTime() + config.holdMinutes * 60 * 1000)
+  const startsAt = toInstant(date, time, timeZone)
+  entry.offers.push({ date, time, startsAt, offeredAt: now, expiresAt })
+  entry.status = 'offered'
+  const offer = entry.offers[entry.offers.length - 1]
+  try {
+    await entry.save()
+  } catch (error) {
+    await SlotReservation.deleteMany({ waitlistEntry: entry._id, date, startTime: time })
+    throw error
+  }
+
+  await scheduler.schedule(
+    OFFER_EXPIRY_JOB,
+    expiresAt,
+    { entryId: String(entry._id), offerId: String(offer._id) },
+    { key: offerKey(entry._id) }
+  )
+
+  const patientTimeZone = await User.findTimeZone(entry.patientMedicalId)
+  await notifyMedicalId(entry.patientMedicalId, {
+    type: 'waitlist_offer',
+    title: 'A slot opened up',
+    message: `Dr. ${entry.doctorName} has a free slot on ${formatInstant(startsAt, patientTimeZone)}. It is held for you until ${formatInstant(expiresAt, patientTimeZone)}.`,
+    link: '/patient/waitlist',
+    data: { waitlistEntryId: entry._id },
+  })
+  const result = await sendWaitlistOfferEmail(
+    entry.patientEmail,
+    entry.patientName,
+    entry.doctorName,
+    startsAt,
+    expiresAt,
+    patientTimeZone,
+    waitlistLink()
+  ).catch((error) => ({ success: false, error: error.message }))
+  if (!result.success) {
+    console.error('Error sending waitlist offer email:', result.error)
+  }
+
+  return offer
+}
+
+// Offer a doctor's free slots to the patients waiting for them, first come
+// first served. Runs as a job whenever slots are freed; without a date every
+// date someone is waiting for is checked.
+const offerFreedSlots = async (
+  { doctorMedicalId, date = null },
+  { scheduler = defaultScheduler, config = readWaitlistConfig() } = {}
+) => {
+  const now = scheduler.now()
+  const doctor = await User.findOne({ medicalId: doctorMedicalId, ...User.BOOKABLE_DOCTOR }).select('_id')
+  if (!doctor) return []
+
+  // Dates are the clinic's
+  const schedule = await Doctor.findOne({ medicalId: doctorMedicalId })
+  const timeZone = schedule?.timeZone || DEFAULT_TIME_ZONE
+  const today = toDateKeyIn(now, timeZone)
+  if (date && date < today) return []
+
+  const entries = await WaitlistEntry.find({
+    doctorMedicalId,
+    status: 'waiting',
+    toDate: { $gte: date || today },
+    ...(date && { fromDate: { $lte: date } }),
+  }).sort({ createdAt: 1 })
+  if (!entries.length) return []
+
+  const dates = date
+    ? [date]
+    : [...new Set(entries.flatMap((entry) => datesBetween(entry.fromDate > today ? entry.fromDate : today, entry.toDate)))].sort()
+
+  // Free slots depend on the appointment type and location each patient is
+  // waiting for, so they are looked up per entry
+  const offers = []
+  const waiting = [...entries]
+  for (const dateKey of dates) {
+    for (const entry of [...waiting]) {
+      if (dateKey < entry.fromDate || dateKey > entry.toDate) continue
+
+      const time = (await getFreeSlots(doctorMedicalId, dateKey, bookingOf(entry), now)).find((start) =>
+        entry.matchesSlot(dateKey, start)
+      )
+      if (!time) continue
+
+      const offer = await offerSlot(entry, dateKey, time, { scheduler, config, timeZone })
+      if (offer) {
+        offers.push(offer)
+        // One offer per patient at a time
+        waiting.splice(waiting.indexOf(entry), 1)
+        if (!waiting.length) return offers
+      }
+    }
+  }
+  return offers
+}
+
+// Turn a held offer into an appointment request for the doctor to approve.
+// Returns { entry, request } or { status, error }.
+const acceptOffer = async (entry, { scheduler = defaultScheduler } = {}) => {
+  const now = scheduler.now()
+  const offer = entry.pendingOffer()
+  if (entry.status !== 'offered' || !offer) {
+    return { status: 400, error: 'There is no slot waiting for you to accept' }
+  }
+  if (offer.expiresAt <= now) {
+    await expireOffer({ entryId: entry._id, offerId: offer._id }, { scheduler })
+    return { status: 410, error: 'This offer has expired' }
+  }
+
+  const doctor = await User.findOne({ medicalId: entry.doctorMedicalId, ...User.BOOKABLE_DOCTOR })
+  if (!doctor) {
+    return { status: 404, error: 'Doctor not found' }
+  }
+
+  const schedule = await Doctor.findOne({ medicalId: entry.doctorMedicalId })
+  const booking = bookingOf(entry)
+  const { assessment } = entry.toObject()
+  const request = new AppointmentRequest({
+    doctorMedicalId: entry.doctorMedicalId,
+    patientMedicalId: entry.patientMedicalId,
+    doctorName: doctor.username,
+    patientName: entry.patientName,
+    doctorEmail: doctor.email,
+    patientEmail: entry.patientEmail,
+    preferredDate: new Date(offer.date),
+    preferredTime: offer.time,
+    symptoms: entry.symptoms,
+    contactInfo: entry.contactInfo,
+    meetingType: entry.meetingType,
+    ...booking,
+    duration: booking.appointmentType?.duration || schedule?.slotDuration,
+    timeZone: schedule?.timeZone || DEFAULT_TIME_ZONE,
+    ...(assessment?.urgency && {
+      assessment,
+      urgencyLevel: assessment.urgency,
+      urgencyScore: assessment.severityScore,
+    }),
+    status: 'requested',
+  })
+
+  // The held slot becomes the request's reservation
+  const moved = await SlotReservation.updateMany(
+    { waitlistEntry: entry._id, date: offer.date, startTime: offer.time },
+    { $set: { appointmentRequest: request._id }, $unset: { waitlistEntry: 1 } }
+  )
+  if (!moved.modifiedCount) {
+    offer.status = 'expired'
+    offer.respondedAt = now
+    entry.status = 'waiting'
+    await entry.save()
+    return { status: 409, error: 'This slot is no longer held for you' }
+  }
+
+  try {
+    await request.save()
+  } catch (error) {
+    await releaseSlots(request._id)
+    throw error
+  }
+
+  offer.status = 'accepted'
+  offer.respondedAt = now
+  entry.status = 'booked'
+  entry.appointmentRequest = request._id
+  await entry.save()
+  await scheduler.cancel(offerKey(entry._id))
+
+  await scheduleEscalation(request, { scheduler }).catch((error) =>
+    console.error('Error scheduling escalation:', error)
+  )
+  await emitAppointmentUpdate(request).catch((error) =>
+    console.error('Error pushing appointment update:', error)
+  )
+
+  return { entry, request }
+}
+
+// Turn down an offer but stay on the list for other slots
+const declineOffer = async (entry, { scheduler = defaultScheduler } = {}) => {
+  const offer = entry.pendingOffer()
+  if (entry.status !== 'offered' || !offer) {
+    return { status: 400, error: 'There is no slot waiting for you to decline' }
+  }
+
+  offer.status = 'declined'
+  offer.respondedAt = scheduler.now()
+  entry.status = 'waiting'
+  await entry.save()
+  await releaseHold(entry, scheduler)
+
+  return { entry }
+}
+
+const leaveWaitlist = async (entry, { scheduler = defaultScheduler } = {}) => {
+  if (!ACTIVE_STATUSES.includes(entry.status)) {
+    return { status: 400, error: 'You are no longer on this waitlist' }
+  }
+
+  const offer = entry.pendingOffer()
+  if (offer) {
+    offer.status = 'withdrawn'
+    offer.respondedAt = scheduler.now()
+  }
+  entry.status = 'cancelled'
+  await entry.save()
+  await releaseHold(entry, scheduler)
+
+  return { entry }
+}
+
+// Move an unanswered offer on to the next patient. Runs as a scheduled
+// job; does nothing if the patient answered in the meantime.
+const expireOffer = async ({ entryId, offerId }, { scheduler = defaultScheduler } = {}) => {
+  const entry = await WaitlistEntry.findById(entryId)
+  const offer = entry?.pendingOffer()
+  if (!offer || String(offer._id) !== String(offerId)) return null
+
+  offer.status = 'expired'
+  offer.respondedAt = scheduler.now()
+  entry.status = 'waiting'
+  await entry.save()
+  await releaseHold(entry, scheduler)
+
+  return entry
+}
+
+// Take a closed account off every waitlist it is on, as patient or doctor
+const cancelWaitlistsFor = async (user, { scheduler = defaultScheduler } = {}) => {
+  const entries = await WaitlistEntry.find({
+    [user.role === 'doctor' ? 'doctorMedicalId' : 'patientMedicalId']: user.medicalId,
+    status: { $in: ACTIVE_STATUSES },
+  })
+  for (const entry of entries) {
+    await leaveWaitlist(entry, { scheduler })
+  }
+  return entries.length
+}
+
+const registerWaitlistJobs = (scheduler = defaultScheduler) => {
+  scheduler.defineJob(SLOTS_FREED_JOB, (payload) => offerFreedSlots(payload, { scheduler }))
+  scheduler.defineJob(OFFER_EXPIRY_JOB, (payload) => expireOffer(payload, { scheduler }))
+}
+
+module.exports = {
+  OFFER_EXPIRY_JOB,
+  readWaitlistConfig,
+  readWaitlistRequest,
+  joinWaitlist,
+  offerFreedSlots,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist,
+  expireOffer,
+  cancelWaitlistsFor,
+  registerWaitlistJobs,
+}
@@ -1,23 +1,165 @@
 const socketIo = require('socket.io')
+const jwt = require('jsonwebtoken')
+const mongoose = require('mongoose')
+const SocketEvent = require('./models/socketEventModel')
+const User = require('./models/userModel')
+const Conversation = require('./models/conversationModel')
+const Session = require('./models/sessionModel')
 
 let io
 
+// Every event the gateway sends, namespaced by area. The frontend mirrors
+// these in services/socket.js.
+const EVENTS = {
+  CHAT_MESSAGE: 'chat:message',
+  CHAT_TYPING: 'chat:typing',
+  CHAT_READ: 'chat:read',
+  AVAILABILITY_UPDATED: 'availability:updated',
+  APPOINTMENT_UPDATED: 'appointment:updated',
+  NOTIFICATION_CREATED: 'notification:created',
+  SESSION_EXPIRED: 'session:expired',
+}
+
+// Most events a reconnecting client is sent in one go
+const MAX_REPLAYED_EVENTS = 100
+
+// setTimeout can't wait longer than this
+const MAX_TIMER_DELAY = 2 ** 31 - 1
+
+// Room that every connection of a user joins, so events can target them
+const userRoom = (userId) => `user:${userId}`
+
+// Room for the connections of one signed-in session (one device)
+const sessionRoom = (sessionId) => `session:${sessionId}`
+
+// Read the JWT from the handshake: `auth.token` from socket.io-client, or
+// an Authorization header from other clients
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth?.token) return handshake.auth.token
+  const header = handshake.headers?.authorization
+  return header?.startsWith('Bearer ') ? header.slice(7) : null
+}
+
+// Reject connections without a valid token, the same one the REST API uses
+const authenticateSocket = (socket, next) => {
+  const token = getHandshakeToken(socket.handshake)
+  if (!token) {
+    return next(new Error('Authentication required'))
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
+    if (err) {
+      return next(new Error('Authentication failed'))
+    }
+    try {
+      if (decoded.sid && !(await Session.isActiveId(decoded.sid))) {
+        return next(new Error('Authentication failed'))
+      }
+    } catch (error) {
+      return next(error)
+    }
+    socket.data.userId = String(decoded.id)
+    socket.data.role = decoded.role
+    socket.data.sessionId = decoded.sid || null
+    socket.data.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null
+    next()
+  })
+}
+
+// Send events the client missed while disconnected, oldest first
+const replayMissedEvents = async (socket, lastEventId) => {
+  if (!mongoose.isValidObjectId(lastEventId)) return
+
+  const events = await SocketEvent.find({
+    user: socket.data.userId,
+    _id: { $gt: lastEventId },
+  })
+    .sort({ _id: 1 })
+    .limit(MAX_REPLAYED_EVENTS)
+
+  for (const event of events) {
+    socket.emit(event.event, event.payload, { id: String(event._id) })
+  }
+}
+
+// Relay a typing indicator to the other participant. Typing events are not
+// stored: a stale "is typing" is worse than a missed one.
+const relayTyping = async (socket, { conversationId, typing } = {}) => {
+  if (!mongoose.isValidObjectId(conversationId)) return
+
+  const { userId } = socket.data
+  const conversation = await Conversation.findById(conversationId).select('patient doctor')
+  if (!conversation?.partyOf(userId)) return
+
+  socket
+    .to(userRoom(conversation.otherParticipant(userId)))
+    .emit(EVENTS.CHAT_TYPING, { conversationId, userId, typing: !!typing })
+}
+
+// Record whether a user has any open connection, for the admin user list
+const setPresence = (userId, isOnline) =>
+  User.updateOne({ _id: userId }, { $set: { isOnline, lastSeenAt: new Date() } })
+
+// Called after a connection closes; the user stays online while another
+// tab or device is still connected
+const updatePresenceAfterDisconnect = async (userId) => {
+  const remaining = await io.in(userRoom(userId)).fetchSockets()
+  if (!remaining.length) await setPresence(userId, false)
+}
+
 const initSocket = (server) => {
+  const allowedOrigins = process.env.ALLOWED_ORIGINS
+    ? process.env.ALLOWED_ORIGINS.split(',')
+    : [process.env.FRONTEND_URL]
+
   io = socketIo(server, {
     cors: {
-      origin: '*',
+      origin: allowedOrigins,
+      credentials: true,
     },
   })
 
+  io.use(authenticateSocket)
+
+  // Nobody is connected to a server that just started
+  User.updateMany({ isOnline: true }, { $set: { isOnline: false } }).catch((error) =>
+    console.error('Error resetting presence:', error),
+  )
+
   io.on('connection', (socket) => {
-    console.info('New client connected')
+    const { userId, sessionId, tokenExpiresAt } = socket.data
+    console.info(`Client connected for user ${userId}`)
 
-    socket.on('sendMessage', (message) => {
-      io.emit('receiveMessage', message)
+    socket.join(userRoom(userId))
+    if (sessionId) socket.join(sessionRoom(sessionId))
+    setPresence(userId, true).catch((error) => console.error('Error updating presence:', error))
+
+    replayMissedEvents(socket, socket.handshake.auth?.lastEventId).catch(
+      (error) => console.error('Error replaying missed events:', error),
+    )
+
+    // Drop the connection when the token expires; the client reconnects
+    // with its refreshed token
+    const expiresIn = tokenExpiresAt ? tokenExpiresAt - Date.now() : null
+    if (expiresIn !== null && expiresIn < MAX_TIMER_DELAY) {
+      const timer = setTimeout(() => {
+        socket.emit(EVENTS.SESSION_EXPIRED)
+        socket.disconnect(true)
+      }, Math.max(expiresIn, 0))
+      socket.on('disconnect', () => clearTimeout(timer))
+    }
+
+    socket.on(EVENTS.CHAT_TYPING, (data) => {
+      relayTyping(socket, data).catch((error) =>
+        console.error('Error relaying typing indicator:', error),
+      )
     })
 
     socket.on('disconnect', () => {
-      console.info('Client disconnected')
+      console.info(`Client disconnected for user ${userId}`)
+      updatePresenceAfterDisconnect(userId).catch((error) =>
+        console.error('Error updating presence:', error),
+      )
     })
   })
 
@@ -31,7 +173,66 @@ const getSocketIo = () => {
   return io
 }
 
+// Sign out the connections of a revoked session
+const endSession = (sessionId) => {
+  if (!io) return
+  const room = sessionRoom(sessionId)
+  io.to(room).emit(EVENTS.SESSION_EXPIRED, { reason: 'revoked' })
+  io.in(room).disconnectSockets(true)
+}
+
+// Send an event to every connection of one user. The event is stored first
+// so it can be replayed if the user is offline or reconnecting.
+const emitToUser = async (userId, event, payload) => {
+  const stored = await SocketEvent.create({ user: userId, event, payload })
+  if (io) {
+    io.to(userRoom(userId)).emit(event, payload, { id: String(stored._id) })
+  }
+  return stored
+}
+
+// Send an event to everyone connected. Broadcasts are not stored, so they
+// are only for public state a client can refetch on reconnect.
+const broadcast = (event, payload) => {
+  if (io) {
+    io.emit(event, payload)
+  }
+}
+
+// Tell clients that a doctor's free slots changed. `date` is set when only
+// one day is affected, otherwise the whole schedule should be refetched.
+const broadcastAvailabilityUpdate = ({ doctorMedicalId, date }) =>
+  broadcast(EVENTS.AVAILABILITY_UPDATED, { doctorMedicalId, date })
+
+// Tell both sides of an appointment request that it changed
+const emitAppointmentUpdate = async (request) => {
+  const users = await User.find({
+    medicalId: { $in: [request.patientMedicalId, request.doctorMedicalId] },
+  }).select('_id')
+
+  const payload = {
+    appointmentRequestId: String(request._id),
+    status: request.status,
+    scheduledDate: request.scheduledDate,
+    scheduledTime: request.scheduledTime,
+    scheduledAt: request.scheduledAt,
+  }
+  await Promise.all(
+    users.map((user) => emitToUser(user._id, EVENTS.APPOINTMENT_UPDATED, payload)),
+  )
+}
+
 module.exports = {
+  EVENTS,
   initSocket,
   getSocketIo,
+  userRoom,
+  sessionRoom,
+  authenticateSocket,
+  relayTyping,
+  emitToUser,
+  broadcast,
+  broadcastAvailabilityUpdate,
+  emitAppointmentUpdate,
+  endSession,
 }
@@ -0,0 +1,76 @@
+const chai = require('chai')
+const sinon = require('sinon')
+const AppointmentRequest = require('../../models/appointmentRequestModel')
+const Doctor = require('../../models/doctorModel')
+const SlotReservation = require('../../models/slotReservationModel')
+const adminController = require('../../controllers/adminController')
+const { describe, it, afterEach } = require('@jest/globals')
+
+chai.should()
+
+const mockRes = () => ({
+  status: sinon.stub().returnsThis(),
+  json: sinon.stub(),
+  locals: {},
+})
+
+const buildAppointment = () =>
+  new AppointmentRequest({
+    doctorMedicalId: 'DOC-1',
+    patientMedicalId: 'PAT-1',
+    doctorName: 'Smith',
+    patientName: 'John Doe',
+    doctorEmail: 'drsmith@example.com',
+    patientEmail: 'john@example.com',
+    preferredDate: new Date('2099-07-01'),
+    preferredTime: '09:00',
+    symptoms: 'Fever',
+    contactInfo: 'john@example.com',
+    status: 'approved',
+  })
+
+describe('Admin Controller', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('updateAppointment', () => {
+    it('should refuse to move an appointment to another doctor or patient', async () => {
+      const appointment = buildAppointment()
+      sinon.stub(AppointmentRequest, 'findById').resolves(appointment)
+      const save = sinon.stub(appointment, 'save')
+      const reserve = sinon.stub(SlotReservation, 'insertMany')
+
+      for (const updates of [{ doctorMedicalId: 'DOC-2' }, { patientMedicalId: 'PAT-2' }, { statusHistory: [] }]) {
+        const res = mockRes()
+        await adminController.updateAppointment({ body: { appointmentId: appointment._id, updates } }, res)
+        res.status.calledWith(400).should.be.true
+      }
+
+      save.called.should.be.false
+      reserve.called.should.be.false
+      appointment.doctorMedicalId.should.equal('DOC-1')
+    })
+
+    it('should only move an appointment into a free slot', async () => {
+      const appointment = buildAppointment()
+      sinon.stub(AppointmentRequest, 'findById').resolves(appointment)
+      const save = sinon.stub(appointment, 'save')
+      sinon.stub(Doctor, 'findOne').resolves({ slotDuration: 30 })
+      sinon.stub(SlotReservation, 'find').returns({
+        select: sinon.stub().resolves([{ time: '10:00', startTime: '10:00', appointmentRequest: 'other' }]),
+      })
+      const res = mockRes()
+
+      await adminController.updateAppointment(
+        { body: { appointmentId: appointment._id, updates: { scheduledTime: '10:00' } } },
+        res,
+      )
+
+      res.status.calledWith(409).should.be.true
+      save.called.should.be.false
+      appointment.status.should.equal('approved')
+      ;(appointment.scheduledTime === undefined).should.be.true
+    })
+  })
+})
@@ -2,9 +2,9 @@ const request = require('supertest')
 const sinon = require('sinon')
 const app = require('../../app') // Adjust the path to your app file
 const Doctor = require('../../models/doctorModel')
-const Appointment = require('../../models/appointmentModel')
-const { sendNotification } = require('../../services/notificationService')
-const { broadcastAvailabilityUpdate } = require('../../websocket')
+const SlotReservation = require('../../models/slotReservationModel')
+const User = require('../../models/userModel')
+const jwt = require('jsonwebtoken')
 const { MongoMemoryServer } = require('mongodb-memory-server')
 const mongoose = require('mongoose')
 const {
@@ -17,6 +17,19 @@ const {
   beforeAll,
 } = require('@jest/globals')
 
+// Only verified doctors can be booked
+const createDoctorUser = (credentials = { status: 'verified' }) =>
+  User.create({
+    username: 'drsmith',
+    email: 'drsmith@example.com',
+    password: 'password123',
+    role: 'doctor',
+    credentials,
+  })
+
+const tokenFor = (user) =>
+  jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET)
+
 describe('Appointment Controller', () => {
   let sandbox, mongoServer
 
@@ -41,186 +54,120 @@ describe('Appointment Controller', () => {
   afterEach(async () => {
     sandbox.restore()
     await Doctor.deleteMany({})
-    await Appointment.deleteMany({})
+    await SlotReservation.deleteMany({})
+    await User.deleteMany({})
   })
 
-  describe('bookAppointment', () => {
-    it('should book an appointment successfully', async () => {
-      const doctor = new Doctor({
-        name: 'Dr. Smith',
-        availability: [
-          {
-            date: new Date(),
-            slots: [{ time: '10:00 AM', available: true }],
-          },
-        ],
-      })
-      await doctor.save()
-
-      sandbox.stub(sendNotification, 'sendNotification').resolves()
+  describe('updateAvailability', () => {
+    it('should save the weekly template for the signed-in doctor', async () => {
+      const doctor = await createDoctorUser()
 
       const response = await request(app)
-        .post('/api/appointments/book')
+        .post('/api/doctors/update-availability')
+        .set('Authorization', `Bearer ${tokenFor(doctor)}`)
         .send({
-          doctorId: doctor._id,
-          patientName: 'John Doe',
-          date: new Date().toISOString().split('T')[0],
-          time: '10:00 AM',
-          symptoms: 'Fever',
-          contactInfo: 'john@example.com',
-          notificationType: 'email',
+          doctorMedicalId: doctor.medicalId,
+          weeklyAvailability: [{ dayOfWeek: 1, slots: ['11:00', '09:00'] }],
         })
 
-      expect(response.status).toBe(201)
-      expect(response.body.message).toBe('Appointment booked successfully')
-      expect(response.body.appointment).toHaveProperty('_id')
+      expect(response.status).toBe(200)
+      expect(response.body.message).toBe('Availability updated successfully')
+
+      const schedule = await Doctor.findOne({ medicalId: doctor.medicalId })
+      expect(schedule.getSlotsForDate('2099-01-05')).toEqual(['09:00', '11:00'])
     })
 
-    it('should return 404 if doctor is not found', async () => {
+    it("should not let a doctor edit another doctor's availability", async () => {
+      const doctor = await createDoctorUser()
+
       const response = await request(app)
-        .post('/api/appointments/book')
-        .send({
-          doctorId: 'invaliddoctorid',
-          patientName: 'John Doe',
-          date: new Date().toISOString().split('T')[0],
-          time: '10:00 AM',
-          symptoms: 'Fever',
-          contactInfo: 'john@example.com',
-          notificationType: 'email',
-        })
+        .post('/api/doctors/update-availability')
+        .set('Authorization', `Bearer ${tokenFor(doctor)}`)
+        .send({ doctorMedicalId: 'D-0000099-2', weeklyAvailability: [] })
 
-      expect(response.status).toBe(404)
-      expect(response.body.message).toBe('Doctor not found')
+      expect(response.status).toBe(403)
     })
+  })
 
-    it('should return 404 if time slot is not available', async () => {
-      const doctor = new Doctor({
-        name: 'Dr. Smith',
-        availability: [
-          {
-            date: new Date(),
-            slots: [{ time: '10:00 AM', available: false }],
-          },
-        ],
+  describe('getDoctorAvailability', () => {
+    it('should return free slots with booked ones removed', async () => {
+      const doctor = await createDoctorUser()
+      await Doctor.create({
+        medicalId: doctor.medicalId,
+        user: doctor._id,
+        weeklyAvailability: [{ dayOfWeek: 1, slots: ['09:00', '09:30'] }],
+      })
+      await SlotReservation.create({
+        doctorMedicalId: doctor.medicalId,
+        date: '2099-01-05',
+        time: '09:00',
+        appointmentRequest: new mongoose.Types.ObjectId(),
       })
-      await doctor.save()
 
       const response = await request(app)
-        .post('/api/appointments/book')
-        .send({
-          doctorId: doctor._id,
-          patientName: 'John Doe',
-          date: new Date().toISOString().split('T')[0],
-          time: '10:00 AM',
-          symptoms: 'Fever',
-          contactInfo: 'john@example.com',
-          notificationType: 'email',
-        })
+        .get('/api/availability')
+        .set('Authorization', `Bearer ${tokenFor(doctor)}`)
+        .query({ doctorMedicalId: doctor.medicalId, date: '2099-01-05' })
 
-      expect(response.status).toBe(404)
-      expect(response.body.message).toBe('Time slot not available')
+      expect(response.status).toBe(200)
+      expect(response.body.slots).toEqual(['09:30'])
     })
-  })
 
-  describe('updateAvailability', () => {
-    it('should update doctor availability', async () => {
-      const doctor = new Doctor({
-        name: 'Dr. Smith',
-        availability: [
-          {
-            date: new Date(),
-            slots: [{ time: '10:00 AM', available: true }],
-          },
-        ],
+    it('should use a date override instead of the weekly template', async () => {
+      const doctor = await createDoctorUser()
+      await Doctor.create({
+        medicalId: doctor.medicalId,
+        user: doctor._id,
+        weeklyAvailability: [{ dayOfWeek: 1, slots: ['09:00'] }],
+        dateOverrides: [{ date: '2099-01-05', slots: [] }],
       })
-      await doctor.save()
-
-      sandbox
-        .stub(broadcastAvailabilityUpdate, 'broadcastAvailabilityUpdate')
-        .resolves()
-
-      const newAvailability = [
-        {
-          date: new Date(),
-          slots: [{ time: '11:00 AM', available: true }],
-        },
-      ]
 
       const response = await request(app)
-        .put('/api/appointments/update-availability')
-        .send({ doctorId: doctor._id, availability: newAvailability })
+        .get('/api/availability')
+        .set('Authorization', `Bearer ${tokenFor(doctor)}`)
+        .query({ doctorMedicalId: doctor.medicalId, date: '2099-01-05' })
 
       expect(response.status).toBe(200)
-      expect(response.body.message).toBe('Availability updated successfully')
-
-      const updatedDoctor = await Doctor.findById(doctor._id)
-      expect(updatedDoctor.availability[0].slots[0].time).toBe('11:00 AM')
+      expect(response.body.slots).toEqual([])
     })
 
     it('should return 404 if doctor is not found', async () => {
+      const doctor = await createDoctorUser()
+
       const response = await request(app)
-        .put('/api/appointments/update-availability')
-        .send({ doctorId: 'invaliddoctorid', availability: [] })
+        .get('/api/availability')
+        .set('Authorization', `Bearer ${tokenFor(doctor)}`)
+        .query({ doctorMedicalId: 'D-0000098-4', date: '2099-01-05' })
 
       expect(response.status).toBe(404)
       expect(response.body.message).toBe('Doctor not found')
     })
-  })
 
-  describe('getDoctorAvailability', () => {
-    it('should get doctor availability', async () => {
-      const doctor = new Doctor({
-        name: 'Dr. Smith',
-        availability: [
-          {
-            date: new Date(),
-            slots: [{ time: '10:00 AM', available: true }],
-          },
-        ],
+    it("should not offer slots of a doctor whose credentials aren't verified", async () => {
+      const doctor = await createDoctorUser({ status: 'pending' })
+      await Doctor.create({
+        medicalId: doctor.medicalId,
+        user: doctor._id,
+        weeklyAvailability: [{ dayOfWeek: 1, slots: ['09:00'] }],
       })
-      await doctor.save()
 
       const response = await request(app)
-        .get('/api/appointments/availability')
-        .query({
-          doctorId: doctor._id,
-          date: new Date().toISOString().split('T')[0],
-        })
-
-      expect(response.status).toBe(200)
-      expect(response.body.availability.slots[0].time).toBe('10:00 AM')
-    })
-
-    it('should return 404 if doctor is not found', async () => {
-      const response = await request(app)
-        .get('/api/appointments/availability')
-        .query({
-          doctorId: 'invaliddoctorid',
-          date: new Date().toISOString().split('T')[0],
-        })
+        .get('/api/availability')
+        .set('Authorization', `Bearer ${tokenFor(doctor)}`)
+        .query({ doctorMedicalId: doctor.medicalId, date: '2099-01-05' })
 
       expect(response.status).toBe(404)
-      expect(response.body.message).toBe('Doctor not found')
     })
 
-    it('should return 404 if no availability on this date', async () => {
-      const doctor = new Doctor({
-        name: 'Dr. Smith',
-        availability: [
-          {
-            date: new Date(),
-            slots: [{ time: '10:00 AM', available: true }],
-          },
-        ],
-      })
-      await doctor.save()
+    it('should reject a medical ID with a bad check digit', async () => {
+      const doctor = await createDoctorUser()
 
       const response = await request(app)
-        .get('/api/appointments/availability')
-        .query({ doctorId: doctor._id, date: '2099-01-01' })
+        .get('/api/availability')
+        .set('Authorization', `Bearer ${tokenFor(doctor)}`)
+        .query({ doctorMedicalId: 'D-0000098-5', date: '2099-01-05' })
 
-      expect(response.status).toBe(404)
-      expect(response.body.message).toBe('No availability on this date')
+      expect(response.status).toBe(400)
     })
   })
 })
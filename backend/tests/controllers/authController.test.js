@@ -1,9 +1,27 @@
 const chai = require('chai')
 const sinon = require('sinon')
 const chaiHttp = require('chai-http')
+const mongoose = require('mongoose')
+const jwt = require('jsonwebtoken')
 const User = require('../../models/userModel')
+const Invitation = require('../../models/invitationModel')
+const AccountToken = require('../../models/accountTokenModel')
+const Session = require('../../models/sessionModel')
+const { isValidMedicalId } = require('../../services/medicalIdService')
 const authController = require('../../controllers/authController')
-const { describe, it, afterEach } = require('@jest/globals')
+const { startSmtpServer } = require('../helpers/smtpServer')
+const { totp, base32Decode } = require('../../services/totpService')
+const twoFactor = require('../../services/twoFactorService')
+const Setting = require('../../models/settingModel')
+const { suspendUser, reactivateUser } = require('../../services/userAdminService')
+const {
+  describe,
+  it,
+  afterEach,
+  beforeAll,
+  afterAll,
+  beforeEach,
+} = require('@jest/globals')
 
 chai.use(chaiHttp)
 chai.should()
@@ -36,13 +54,40 @@ describe('Auth Controller', () => {
       res.status.calledWith(201).should.be.true
 
       const responseBody = res.json.args[0][0]
-      responseBody.should.have.property('token').that.is.a('string')
+      responseBody.should.not.have.property('token')
+      responseBody.should.have.property('verificationRequired', true)
       responseBody.should.have.property('user').that.is.an('object')
       responseBody.user.should.include({
         username: 'testuser',
         email: 'test@example.com',
         role: 'patient',
       })
+      const user = await User.findOne({ username: 'testuser' })
+      user.emailVerified.should.be.false
+    })
+
+    it('should issue a medical ID instead of taking one from the body', async () => {
+      const req = {
+        body: {
+          username: 'testuser',
+          email: 'test@example.com',
+          password: 'password123',
+          medicalId: 'CHOSEN-ID',
+          phoneNumber: '1234567890',
+        },
+      }
+      const res = {
+        status: sinon.stub().returnsThis(),
+        json: sinon.stub(),
+      }
+
+      await authController.signup(req, res)
+
+      res.status.calledWith(201).should.be.true
+      const { medicalId } = res.json.args[0][0].user
+      medicalId.should.not.equal('CHOSEN-ID')
+      medicalId.should.match(/^P-/)
+      isValidMedicalId(medicalId).should.be.true
     })
 
     it('should return an error if user already exists', async () => {
@@ -73,6 +118,84 @@ describe('Auth Controller', () => {
     })
   })
 
+  describe('POST /signup with invitations', () => {
+    const signupBody = (overrides = {}) => ({
+      username: 'drsmith',
+      email: 'smith@example.com',
+      password: 'password123',
+      phoneNumber: '1234567890',
+      ...overrides,
+    })
+    const mockRes = () => ({
+      status: sinon.stub().returnsThis(),
+      json: sinon.stub(),
+    })
+    const invite = (overrides = {}) =>
+      Invitation.issue({
+        email: 'smith@example.com',
+        role: 'doctor',
+        invitedBy: new mongoose.Types.ObjectId(),
+        ...overrides,
+      })
+
+    it('should refuse to self-register a doctor without an invitation', async () => {
+      const res = mockRes()
+
+      await authController.signup({ body: signupBody({ role: 'doctor' }) }, res)
+
+      res.status.calledWith(403).should.be.true
+      ;(await User.countDocuments()).should.equal(0)
+    })
+
+    it('should create the invited role and use up the invitation', async () => {
+      const { invitation, token } = await invite()
+      const res = mockRes()
+
+      await authController.signup(
+        { body: signupBody({ role: 'patient', inviteToken: token }) },
+        res,
+      )
+
+      res.status.calledWith(201).should.be.true
+      res.json.args[0][0].user.role.should.equal('doctor')
+      res.json.args[0][0].should.have.property('token').that.is.a('string')
+      const used = await Invitation.findById(invitation._id)
+      used.usedAt.should.be.an.instanceOf(Date)
+      String(used.usedBy).should.equal(String(res.json.args[0][0].user.id))
+    })
+
+    it('should not accept an invitation twice', async () => {
+      const { token } = await invite()
+      await authController.signup({ body: signupBody({ inviteToken: token }) }, mockRes())
+
+      const res = mockRes()
+      await authController.signup(
+        {
+          body: signupBody({
+            username: 'other',
+            inviteToken: token,
+          }),
+        },
+        res,
+      )
+
+      res.status.calledWith(400).should.be.true
+      ;(await User.countDocuments()).should.equal(1)
+    })
+
+    it('should reject an expired invitation or one for another email', async () => {
+      const { token: expired } = await invite({ ttlHours: -1 })
+      const { token: otherEmail } = await invite({ email: 'someone@example.com' })
+
+      for (const inviteToken of [expired, otherEmail]) {
+        const res = mockRes()
+        await authController.signup({ body: signupBody({ inviteToken }) }, res)
+        res.status.calledWith(400).should.be.true
+      }
+      ;(await User.countDocuments()).should.equal(0)
+    })
+  })
+
   describe('POST /login', () => {
     it('should login a user and return a token', async () => {
       const user = new User({
@@ -102,6 +225,7 @@ describe('Auth Controller', () => {
 
       const responseBody = res.json.args[0][0]
       responseBody.should.have.property('token').that.is.a('string')
+      responseBody.should.have.property('refreshToken').that.is.a('string')
       responseBody.should.have.property('user').that.is.an('object')
       responseBody.user.should.include({
         username: 'testuser',
@@ -131,4 +255,362 @@ describe('Auth Controller', () => {
       responseBody.error.should.equal('Invalid credentials')
     })
   })
+
+  describe('POST /login lockout', () => {
+    const attempt = async (password) => {
+      const res = {
+        status: sinon.stub().returnsThis(),
+        json: sinon.stub(),
+        set: sinon.stub(),
+      }
+      await authController.login({ body: { username: 'testuser', password } }, res)
+      return res
+    }
+
+    it('should lock the account after repeated failures, for longer each time', async () => {
+      await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'password123',
+        phoneNumber: '1234567890',
+      })
+
+      for (let i = 0; i < 5; i++) {
+        ;(await attempt('wrongpassword')).status.calledWith(401).should.be.true
+      }
+      // Even the right password is refused while locked
+      const locked = await attempt('password123')
+      locked.status.calledWith(429).should.be.true
+      locked.json.args[0][0].code.should.equal('account_locked')
+      locked.set.calledWith('Retry-After').should.be.true
+
+      let user = await User.findOne({ username: 'testuser' })
+      const firstLock = user.lockout.lockedUntil.getTime() - Date.now()
+      user.lockout.lockouts.should.equal(1)
+
+      // Let the lock run out and fail again: the second lock is longer
+      await User.updateOne({ _id: user._id }, { $set: { 'lockout.lockedUntil': new Date() } })
+      for (let i = 0; i < 5; i++) await attempt('wrongpassword')
+      user = await User.findOne({ username: 'testuser' })
+      ;(user.lockout.lockedUntil.getTime() - Date.now()).should.be.greaterThan(firstLock)
+
+      // A successful sign-in after the lock clears the history
+      await User.updateOne({ _id: user._id }, { $set: { 'lockout.lockedUntil': new Date() } })
+      ;(await attempt('password123')).status.calledWith(200).should.be.true
+      user = await User.findOne({ username: 'testuser' })
+      user.lockout.lockouts.should.equal(0)
+    })
+
+    it('should refuse a suspended account until it is reactivated', async () => {
+      const user = await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'password123',
+        role: 'patient',
+      })
+      await suspendUser(user, { reason: 'Abusive messages' })
+
+      // Without the password nothing gives the suspension away
+      ;(await attempt('wrongpassword')).status.calledWith(401).should.be.true
+      const refused = await attempt('password123')
+      refused.status.calledWith(403).should.be.true
+      refused.json.args[0][0].code.should.equal('account_suspended')
+
+      await reactivateUser(user)
+      ;(await attempt('password123')).status.calledWith(200).should.be.true
+    })
+  })
+
+  describe('email verification and password reset', () => {
+    let smtp
+    const originalEnv = { ...process.env }
+    const mockRes = () => ({
+      status: sinon.stub().returnsThis(),
+      json: sinon.stub(),
+    })
+
+    // The raw token from the link in the last captured email
+    const lastEmailToken = () => {
+      const { data } = smtp.messages[smtp.messages.length - 1]
+      const body = data.replace(/=\r\n/g, '').replace(/=3D/g, '=')
+      return body.match(/token=([0-9a-f]{64})/)[1]
+    }
+
+    const signup = async () => {
+      await authController.signup(
+        {
+          body: {
+            username: 'testuser',
+            email: 'test@example.com',
+            password: 'password123',
+            phoneNumber: '1234567890',
+          },
+        },
+        mockRes(),
+      )
+      return User.findOne({ username: 'testuser' })
+    }
+
+    const login = async (password = 'password123') => {
+      const res = mockRes()
+      await authController.login({ body: { username: 'testuser', password } }, res)
+      return res
+    }
+
+    beforeAll(async () => {
+      smtp = await startSmtpServer()
+      process.env.SMTP_HOST = '127.0.0.1'
+      process.env.SMTP_PORT = String(smtp.port)
+      process.env.EMAIL_FROM = 'no-reply@careconnect.local'
+      delete process.env.EMAIL_USER
+    })
+
+    afterAll(async () => {
+      process.env = originalEnv
+      await smtp.close()
+    })
+
+    beforeEach(() => {
+      smtp.messages.length = 0
+    })
+
+    afterEach(async () => {
+      await AccountToken.deleteMany({})
+      await Session.deleteMany({})
+    })
+
+    it('should block sign-in until the emailed link is followed', async () => {
+      await signup()
+      smtp.messages.should.have.length(1)
+      smtp.messages[0].to.should.deep.equal(['test@example.com'])
+
+      let res = await login()
+      res.status.calledWith(403).should.be.true
+      res.json.args[0][0].code.should.equal('email_unverified')
+
+      const token = lastEmailToken()
+      res = mockRes()
+      await authController.verifyEmail({ body: { token } }, res)
+      res.status.calledWith(200).should.be.true
+
+      res = await login()
+      res.status.calledWith(200).should.be.true
+
+      // The link only works once
+      res = mockRes()
+      await authController.verifyEmail({ body: { token } }, res)
+      res.status.calledWith(400).should.be.true
+    })
+
+    it('should only honour the latest verification link and throttle resends', async () => {
+      const user = await signup()
+      const first = lastEmailToken()
+      await AccountToken.updateMany({}, { $set: { createdAt: new Date(Date.now() - 120000) } })
+
+      let res = mockRes()
+      await authController.resendVerification({ body: { email: 'TEST@example.com' } }, res)
+      res.status.calledWith(200).should.be.true
+      smtp.messages.should.have.length(2)
+
+      res = mockRes()
+      await authController.resendVerification({ body: { email: 'test@example.com' } }, res)
+      res.status.calledWith(429).should.be.true
+
+      res = mockRes()
+      await authController.verifyEmail({ body: { token: first } }, res)
+      res.status.calledWith(400).should.be.true
+      ;(await User.findById(user._id)).emailVerified.should.be.false
+    })
+
+    it('should answer forgot-password the same way for unknown addresses', async () => {
+      const res = mockRes()
+      await authController.forgotPassword({ body: { email: 'nobody@example.com' } }, res)
+
+      res.status.calledWith(200).should.be.true
+      smtp.messages.should.have.length(0)
+    })
+
+    it('should reset the password once and sign out every session', async () => {
+      await User.create({
+        username: 'testuser',
+        email: 'test@example.com',
+        password: 'password123',
+        phoneNumber: '1234567890',
+      })
+      const { refreshToken } = (await login()).json.args[0][0]
+
+      await authController.forgotPassword({ body: { email: 'test@example.com' } }, mockRes())
+      const token = lastEmailToken()
+
+      let res = mockRes()
+      await authController.resetPassword({ body: { token, password: 'short' } }, res)
+      res.status.calledWith(400).should.be.true
+
+      res = mockRes()
+      await authController.resetPassword({ body: { token, password: 'new-password' } }, res)
+      res.status.calledWith(200).should.be.true
+
+      res = mockRes()
+      await authController.resetPassword({ body: { token, password: 'another-one' } }, res)
+      res.status.calledWith(400).should.be.true
+
+      ;(await login()).status.calledWith(401).should.be.true
+      ;(await login('new-password')).status.calledWith(200).should.be.true
+
+      const [sessionId] = refreshToken.split('.')
+      const session = await Session.findById(sessionId)
+      session.revokedReason.should.equal('password_reset')
+    })
+  })
+
+  describe('two-factor login', () => {
+    const mockRes = () => ({
+      status: sinon.stub().returnsThis(),
+      json: sinon.stub(),
+    })
+    const codeFor = (secret, time = Date.now()) => totp(base32Decode(secret), time)
+
+    const createDoctor = () =>
+      User.create({
+        username: 'drsmith',
+        email: 'smith@example.com',
+        password: 'password123',
+        role: 'doctor',
+      })
+
+    const login = async () => {
+      const res = mockRes()
+      await authController.login(
+        { body: { username: 'drsmith', password: 'password123' } },
+        res,
+      )
+      return res.json.args[0][0]
+    }
+
+    // Enroll with a code from the previous time step, so the current one
+    // is still unused for the login that follows
+    const enroll = async (user) => {
+      const { secret } = await twoFactor.startEnrollment(user)
+      const recoveryCodes = await twoFactor.completeEnrollment(
+        await twoFactor.loadUser(user._id),
+        codeFor(secret, Date.now() - 30000),
+      )
+      return { secret, recoveryCodes }
+    }
+
+    afterEach(async () => {
+      await Setting.deleteMany({})
+      await Session.deleteMany({})
+    })
+
+    it('should hold back the session until a valid code is given', async () => {
+      const { secret } = await enroll(await createDoctor())
+
+      const first = await login()
+      first.should.not.have.property('token')
+      first.twoFactorRequired.should.be.true
+
+      let res = mockRes()
+      await authController.verifyLoginTwoFactor(
+        { body: { challengeToken: first.challengeToken, code: '000000' } },
+        res,
+      )
+      res.status.calledWith(401).should.be.true
+
+      const code = codeFor(secret)
+      res = mockRes()
+      await authController.verifyLoginTwoFactor(
+        { body: { challengeToken: first.challengeToken, code } },
+        res,
+      )
+      res.status.calledWith(200).should.be.true
+      res.json.args[0][0].should.have.property('refreshToken')
+
+      // The same code can't be replayed
+      const second = await login()
+      res = mockRes()
+      await authController.verifyLoginTwoFactor(
+        { body: { challengeToken: second.challengeToken, code } },
+        res,
+      )
+      res.status.calledWith(401).should.be.true
+    })
+
+    it('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enroll(await createDoctor())
+      recoveryCodes.should.have.length(10)
+
+      for (const expected of [200, 401]) {
+        const { challengeToken } = await login()
+        const res = mockRes()
+        await authController.verifyLoginTwoFactor(
+          { body: { challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() } },
+          res,
+        )
+        res.status.calledWith(expected).should.be.true
+      }
+    })
+
+    it('should not take a challenge token as an access token or for setup', async () => {
+      await enroll(await createDoctor())
+      const { challengeToken } = await login()
+
+      const res = mockRes()
+      await authController.enableLoginTwoFactor({ body: { challengeToken, code: '123456' } }, res)
+      res.status.calledWith(401).should.be.true
+      ;(() => jwt.verify(challengeToken, process.env.JWT_SECRET)).should.throw()
+    })
+
+    it('should make users in a required role enroll before signing in', async () => {
+      await createDoctor()
+      await twoFactor.setRequiredRoles(['doctor'])
+
+      const { twoFactorSetupRequired, challengeToken } = await login()
+      twoFactorSetupRequired.should.be.true
+
+      let res = mockRes()
+      await authController.setupLoginTwoFactor({ body: { challengeToken } }, res)
+      const { secret, otpauthUrl } = res.json.args[0][0]
+      otpauthUrl.should.include(`secret=${secret}`)
+
+      res = mockRes()
+      await authController.enableLoginTwoFactor(
+        { body: { challengeToken, code: codeFor(secret) } },
+        res,
+      )
+      res.status.calledWith(200).should.be.true
+      res.json.args[0][0].should.have.property('token')
+      res.json.args[0][0].recoveryCodes.should.have.length(10)
+    })
+
+    it('should not re-enroll with a setup challenge once two-factor is on', async () => {
+      await createDoctor()
+      await twoFactor.setRequiredRoles(['doctor'])
+      const { challengeToken } = await login()
+
+      let res = mockRes()
+      await authController.setupLoginTwoFactor({ body: { challengeToken } }, res)
+      const { secret } = res.json.args[0][0]
+      res = mockRes()
+      await authController.enableLoginTwoFactor(
+        { body: { challengeToken, code: codeFor(secret, Date.now() - 30000) } },
+        res,
+      )
+      res.status.calledWith(200).should.be.true
+
+      // Replaying the same challenge can't swap in a new secret
+      res = mockRes()
+      await authController.setupLoginTwoFactor({ body: { challengeToken } }, res)
+      res.status.calledWith(401).should.be.true
+
+      res = mockRes()
+      await authController.enableLoginTwoFactor(
+        { body: { challengeToken, code: codeFor(secret) } },
+        res,
+      )
+      res.status.calledWith(401).should.be.true
+      const user = await twoFactor.loadUser((await User.findOne({ username: 'drsmith' }))._id)
+      user.twoFactor.secret.should.equal(secret)
+    })
+  })
 })
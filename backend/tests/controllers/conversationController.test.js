@@ -0,0 +1,128 @@
+const request = require('supertest')
+const jwt = require('jsonwebtoken')
+const app = require('../../app')
+const User = require('../../models/userModel')
+const Conversation = require('../../models/conversationModel')
+const Message = require('../../models/messageModel')
+const { describe, it, expect, beforeEach } = require('@jest/globals')
+
+const createUser = (username, medicalId, role, fields = {}) =>
+  User.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'password123',
+    medicalId,
+    role,
+    ...fields,
+  })
+
+const tokenFor = (user) =>
+  jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET)
+
+describe('Conversation Controller', () => {
+  let patient, doctor, otherPatient
+
+  beforeEach(async () => {
+    patient = await createUser('john', 'PAT-1', 'patient')
+    doctor = await createUser('smith', 'DOC-1', 'doctor', { credentials: { status: 'verified' } })
+    otherPatient = await createUser('jane', 'PAT-2', 'patient')
+  })
+
+  const startConversation = (user, body) =>
+    request(app)
+      .post('/api/conversations')
+      .set('Authorization', `Bearer ${tokenFor(user)}`)
+      .send(body)
+
+  const send = (user, conversationId, body) =>
+    request(app)
+      .post(`/api/conversations/${conversationId}/messages`)
+      .set('Authorization', `Bearer ${tokenFor(user)}`)
+      .send({ body })
+
+  it('should reuse the existing thread between a patient and a doctor', async () => {
+    const first = await startConversation(patient, { participantId: doctor._id })
+    const second = await startConversation(doctor, { participantId: patient._id })
+
+    expect(first.status).toBe(200)
+    expect(second.body.conversation._id).toBe(first.body.conversation._id)
+    expect(await Conversation.countDocuments()).toBe(1)
+  })
+
+  it('should not start a conversation between two patients', async () => {
+    const res = await startConversation(patient, { participantId: otherPatient._id })
+
+    expect(res.status).toBe(400)
+  })
+
+  it('should not start a conversation with an unverified doctor or a suspended account', async () => {
+    const unverified = await createUser('jones', 'DOC-2', 'doctor')
+    const suspended = await createUser('sam', 'PAT-3', 'patient', {
+      suspension: { suspendedAt: new Date(), reason: 'Abuse' },
+    })
+
+    expect((await startConversation(patient, { participantId: unverified._id })).status).toBe(404)
+    expect((await startConversation(doctor, { participantId: suspended._id })).status).toBe(404)
+  })
+
+  it('should keep other users out of a conversation', async () => {
+    const { body } = await startConversation(patient, { participantId: doctor._id })
+
+    const res = await request(app)
+      .get(`/api/conversations/${body.conversation._id}/messages`)
+      .set('Authorization', `Bearer ${tokenFor(otherPatient)}`)
+
+    expect(res.status).toBe(403)
+  })
+
+  it('should page back through history oldest first', async () => {
+    const { body } = await startConversation(patient, { participantId: doctor._id })
+    const conversationId = body.conversation._id
+    for (const text of ['one', 'two', 'three']) {
+      await send(patient, conversationId, text)
+    }
+
+    const latest = await request(app)
+      .get(`/api/conversations/${conversationId}/messages?limit=2`)
+      .set('Authorization', `Bearer ${tokenFor(doctor)}`)
+
+    expect(latest.body.messages.map((m) => m.body)).toEqual(['two', 'three'])
+    expect(latest.body.hasMore).toBe(true)
+
+    const older = await request(app)
+      .get(`/api/conversations/${conversationId}/messages?limit=2&before=${latest.body.messages[0]._id}`)
+      .set('Authorization', `Bearer ${tokenFor(doctor)}`)
+
+    expect(older.body.messages.map((m) => m.body)).toEqual(['one'])
+    expect(older.body.hasMore).toBe(false)
+  })
+
+  it('should count unread messages until the recipient reads them', async () => {
+    const { body } = await startConversation(patient, { participantId: doctor._id })
+    const conversationId = body.conversation._id
+    await send(patient, conversationId, 'Hello doctor')
+    await send(patient, conversationId, 'Are you there?')
+
+    const before = await request(app)
+      .get('/api/conversations')
+      .set('Authorization', `Bearer ${tokenFor(doctor)}`)
+    expect(before.body.conversations[0].unreadCount).toBe(2)
+
+    const read = await request(app)
+      .put(`/api/conversations/${conversationId}/read`)
+      .set('Authorization', `Bearer ${tokenFor(doctor)}`)
+
+    expect(read.status).toBe(200)
+    expect(read.body.updated).toBe(2)
+    expect(await Message.countDocuments({ readAt: null })).toBe(0)
+    expect((await Conversation.findById(conversationId)).unread.doctor).toBe(0)
+  })
+
+  it('should reject an empty message', async () => {
+    const { body } = await startConversation(patient, { participantId: doctor._id })
+
+    const res = await send(patient, body.conversation._id, '')
+
+    expect(res.status).toBe(400)
+  })
+})
@@ -0,0 +1,86 @@
+const request = require('supertest')
+const jwt = require('jsonwebtoken')
+const app = require('../../app')
+const User = require('../../models/userModel')
+const Notification = require('../../models/notificationModel')
+const { describe, it, expect, beforeEach } = require('@jest/globals')
+
+const createUser = (username, medicalId) =>
+  User.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'password123',
+    medicalId,
+    role: 'patient',
+  })
+
+const tokenFor = (user) =>
+  jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET)
+
+const notify = (user, fields = {}) =>
+  Notification.create({
+    user: user._id,
+    type: 'appointment_approved',
+    title: 'Appointment approved',
+    message: 'Dr. Smith approved your appointment',
+    ...fields,
+  })
+
+describe('Notification Controller', () => {
+  let alice, bob
+
+  beforeEach(async () => {
+    alice = await createUser('alice', 'PAT-1')
+    bob = await createUser('bob', 'PAT-2')
+  })
+
+  it('should list only the caller\'s notifications with an unread count', async () => {
+    await notify(alice)
+    await notify(alice, { read: true })
+    await notify(bob)
+
+    const res = await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${tokenFor(alice)}`)
+
+    expect(res.status).toBe(200)
+    expect(res.body.notifications).toHaveLength(2)
+    expect(res.body.unreadCount).toBe(1)
+  })
+
+  it('should mark a notification as read', async () => {
+    const notification = await notify(alice)
+
+    const res = await request(app)
+      .put(`/api/notifications/${notification._id}/read`)
+      .set('Authorization', `Bearer ${tokenFor(alice)}`)
+
+    expect(res.status).toBe(200)
+    expect(res.body.notification.read).toBe(true)
+  })
+
+  it('should mark all of the caller\'s notifications as read', async () => {
+    await notify(alice)
+    await notify(alice)
+    const other = await notify(bob)
+
+    const res = await request(app)
+      .put('/api/notifications/read-all')
+      .set('Authorization', `Bearer ${tokenFor(alice)}`)
+
+    expect(res.status).toBe(200)
+    expect(res.body.updated).toBe(2)
+    expect((await Notification.findById(other._id)).read).toBe(false)
+  })
+
+  it('should not let a user delete someone else\'s notification', async () => {
+    const notification = await notify(bob)
+
+    const res = await request(app)
+      .delete(`/api/notifications/${notification._id}`)
+      .set('Authorization', `Bearer ${tokenFor(alice)}`)
+
+    expect(res.status).toBe(404)
+    expect(await Notification.findById(notification._id)).not.toBeNull()
+  })
+})
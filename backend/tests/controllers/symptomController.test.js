@@ -0,0 +1,35 @@
+const process = require('process')
+const request = require('supertest')
+const jwt = require('jsonwebtoken')
+const { describe, it, expect } = require('@jest/globals')
+
+// Use the offline rule engine so no API key or network is needed
+process.env.SYMPTOM_PROVIDER = 'rules'
+const app = require('../../app')
+
+const token = () =>
+  jwt.sign({ id: '64b000000000000000000001', role: 'patient' }, process.env.JWT_SECRET)
+
+describe('Symptom Controller', () => {
+  it('should assess symptoms with the configured provider', async () => {
+    const res = await request(app)
+      .post('/api/symptoms/check')
+      .set('Authorization', `Bearer ${token()}`)
+      .send({ symptoms: 'sudden chest pain' })
+
+    expect(res.status).toBe(200)
+    expect(res.body.provider).toBe('rules')
+    expect(res.body.severityScore).toBe(10)
+    expect(res.body.urgency).toBe('Emergency')
+    expect(res.body.message).toContain('SYMPTOM ANALYSIS REPORT')
+  })
+
+  it('should require a description of the symptoms', async () => {
+    const res = await request(app)
+      .post('/api/symptoms/check')
+      .set('Authorization', `Bearer ${token()}`)
+      .send({ symptoms: '  ' })
+
+    expect(res.status).toBe(400)
+  })
+})
@@ -0,0 +1,67 @@
+const net = require('net')
+
+// Minimal SMTP server that accepts every message and keeps it in memory,
+// so email sending can be tested without a real mail provider.
+const startSmtpServer = () =>
+  new Promise((resolve) => {
+    const messages = []
+
+    const server = net.createServer((socket) => {
+      let buffer = ''
+      let inData = false
+      let current = { from: null, to: [], data: '' }
+
+      socket.write('220 localhost test SMTP\r\n')
+
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString()
+
+        while (buffer.length) {
+          if (inData) {
+            const end = buffer.indexOf('\r\n.\r\n')
+            if (end === -1) return
+            current.data = buffer.slice(0, end)
+            buffer = buffer.slice(end + 5)
+            messages.push(current)
+            current = { from: null, to: [], data: '' }
+            inData = false
+            socket.write('250 OK\r\n')
+            continue
+          }
+
+          const lineEnd = buffer.indexOf('\r\n')
+          if (lineEnd === -1) return
+          const line = buffer.slice(0, lineEnd)
+          buffer = buffer.slice(lineEnd + 2)
+          const command = line.slice(0, 4).toUpperCase()
+
+          if (command === 'EHLO' || command === 'HELO') {
+            socket.write('250 localhost\r\n')
+          } else if (command === 'MAIL') {
+            current.from = line.match(/<(.*)>/)?.[1]
+            socket.write('250 OK\r\n')
+          } else if (command === 'RCPT') {
+            current.to.push(line.match(/<(.*)>/)?.[1])
+            socket.write('250 OK\r\n')
+          } else if (command === 'DATA') {
+            inData = true
+            socket.write('354 End data with <CR><LF>.<CR><LF>\r\n')
+          } else if (command === 'QUIT') {
+            socket.end('221 Bye\r\n')
+          } else {
+            socket.write('250 OK\r\n')
+          }
+        }
+      })
+    })
+
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        close: () => new Promise((done) => server.close(done)),
+      })
+    })
+  })
+
+module.exports = { startSmtpServer }
@@ -0,0 +1,109 @@
+const chai = require('chai')
+const sinon = require('sinon')
+const { EventEmitter } = require('events')
+const ActivityLog = require('../../models/activityLogModel')
+const { logActivity, auditDetails } = require('../../middleware/activityLogMiddleware')
+const { diffChanges } = require('../../services/activityLogService')
+const { describe, it, afterEach } = require('@jest/globals')
+
+chai.should()
+
+const mockRes = () => Object.assign(new EventEmitter(), { locals: {}, statusCode: 200 })
+
+const mockReq = (overrides = {}) => ({
+  userId: '64b000000000000000000001',
+  userRole: 'admin',
+  method: 'PUT',
+  originalUrl: '/api/user',
+  ip: '10.0.0.1',
+  params: {},
+  body: {},
+  get: (header) => (header === 'user-agent' ? 'test-agent' : undefined),
+  ...overrides,
+})
+
+describe('Activity log middleware', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  it('should call next straight away and record the request once it finishes', async () => {
+    const create = sinon.stub(ActivityLog, 'create').resolves({})
+    const req = mockReq({ body: { userId: 'u2', updates: { phoneNumber: '555' } } })
+    const res = mockRes()
+    const next = sinon.stub()
+
+    logActivity('user.update', { entityType: 'user', entityId: 'userId' })(req, res, next)
+    next.calledOnce.should.be.true
+    create.called.should.be.false
+
+    auditDetails(res, {
+      summary: 'Updated jdoe',
+      changes: diffChanges({ phoneNumber: '111' }, { phoneNumber: '555' }),
+    })
+    res.emit('finish')
+
+    create.calledOnce.should.be.true
+    const entry = create.firstCall.args[0]
+    entry.should.include({
+      userId: req.userId,
+      actorRole: 'admin',
+      action: 'user.update',
+      entityType: 'user',
+      entityId: 'u2',
+      activity: 'Updated jdoe',
+      statusCode: 200,
+      outcome: 'success',
+      ip: '10.0.0.1',
+      userAgent: 'test-agent',
+    })
+    entry.changes.should.deep.equal({
+      before: { phoneNumber: '111' },
+      after: { phoneNumber: '555' },
+    })
+  })
+
+  it('should record rejected requests as failures', () => {
+    const create = sinon.stub(ActivityLog, 'create').resolves({})
+    const req = mockReq({ params: { feedbackId: 'f1' }, userRole: 'patient' })
+    const res = mockRes()
+
+    logActivity('feedback.delete', { entityType: 'feedback', entityId: 'feedbackId' })(req, res, sinon.stub())
+    res.statusCode = 403
+    res.emit('finish')
+
+    create.firstCall.args[0].should.include({
+      action: 'feedback.delete',
+      entityId: 'f1',
+      activity: 'feedback.delete',
+      statusCode: 403,
+      outcome: 'failure',
+    })
+  })
+
+  it('should not let a failed audit write throw', async () => {
+    sinon.stub(console, 'error')
+    sinon.stub(ActivityLog, 'create').rejects(new Error('down'))
+    const res = mockRes()
+
+    logActivity('user.delete')(mockReq(), res, sinon.stub())
+    res.emit('finish')
+    await new Promise((resolve) => setImmediate(resolve))
+
+    console.error.calledOnce.should.be.true
+  })
+})
+
+describe('diffChanges', () => {
+  it('should keep only changed fields and leave secrets out', () => {
+    const changes = diffChanges(
+      { username: 'jdoe', email: 'a@x.com', password: 'old', scheduledDate: new Date('2030-01-01') },
+      { username: 'jdoe', email: 'b@x.com', password: 'new', scheduledDate: new Date('2030-01-01') },
+    )
+    changes.should.deep.equal({ before: { email: 'a@x.com' }, after: { email: 'b@x.com' } })
+  })
+
+  it('should return null when nothing changed', () => {
+    ;(diffChanges({ role: 'doctor' }, { role: 'doctor' }, ['role']) === null).should.be.true
+  })
+})
@@ -0,0 +1,172 @@
+const chai = require('chai')
+const sinon = require('sinon')
+const User = require('../../models/userModel')
+const AppointmentRequest = require('../../models/appointmentRequestModel')
+const {
+  ownsMedicalId,
+  ownsUserId,
+  ownsAppointmentRequest,
+  validMedicalId,
+} = require('../../middleware/authMiddleware')
+const { describe, it, afterEach } = require('@jest/globals')
+
+chai.should()
+
+const mockRes = () => ({
+  status: sinon.stub().returnsThis(),
+  json: sinon.stub(),
+  send: sinon.stub(),
+})
+
+describe('Auth Middleware', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('ownsMedicalId', () => {
+    it('should allow a patient to access their own medical ID', async () => {
+      sinon.stub(User, 'findById').resolves({ medicalId: 'PAT-1' })
+      const req = {
+        userId: 'u1',
+        userRole: 'patient',
+        params: { patientMedicalId: 'PAT-1' },
+      }
+      const res = mockRes()
+      const next = sinon.stub()
+
+      await ownsMedicalId('patientMedicalId')(req, res, next)
+
+      next.calledOnce.should.be.true
+    })
+
+    it("should reject access to another patient's medical ID", async () => {
+      sinon.stub(User, 'findById').resolves({ medicalId: 'PAT-1' })
+      const req = {
+        userId: 'u1',
+        userRole: 'patient',
+        params: { patientMedicalId: 'PAT-2' },
+      }
+      const res = mockRes()
+      const next = sinon.stub()
+
+      await ownsMedicalId('patientMedicalId')(req, res, next)
+
+      next.called.should.be.false
+      res.status.calledWith(403).should.be.true
+    })
+
+    it('should let admins through without a lookup', async () => {
+      const findById = sinon.stub(User, 'findById')
+      const req = {
+        userId: 'admin',
+        userRole: 'admin',
+        params: { patientMedicalId: 'PAT-2' },
+      }
+      const next = sinon.stub()
+
+      await ownsMedicalId('patientMedicalId')(req, mockRes(), next)
+
+      next.calledOnce.should.be.true
+      findById.called.should.be.false
+    })
+
+    it('should reject a body naming someone else behind their own ID in the query', async () => {
+      sinon.stub(User, 'findById').resolves({ medicalId: 'PAT-1' })
+      const req = {
+        userId: 'u1',
+        userRole: 'patient',
+        params: {},
+        query: { patientMedicalId: 'PAT-1' },
+        body: { patientMedicalId: 'PAT-2' },
+      }
+      const res = mockRes()
+      const next = sinon.stub()
+
+      await ownsMedicalId('patientMedicalId')(req, res, next)
+
+      next.called.should.be.false
+      res.status.calledWith(403).should.be.true
+    })
+  })
+
+  describe('validMedicalId', () => {
+    it('should reject a medical ID with a bad check digit', () => {
+      const req = { params: { doctorMedicalId: 'D-0000099-3' }, body: {} }
+      const res = mockRes()
+      const next = sinon.stub()
+
+      validMedicalId('doctorMedicalId')(req, res, next)
+
+      next.called.should.be.false
+      res.status.calledWith(400).should.be.true
+    })
+
+    it('should pass valid and missing IDs through', () => {
+      const req = { params: {}, body: { doctorMedicalId: 'D-0000099-2' } }
+      const next = sinon.stub()
+
+      validMedicalId('doctorMedicalId', 'patientMedicalId')(req, mockRes(), next)
+
+      next.calledOnce.should.be.true
+    })
+  })
+
+  describe('ownsUserId', () => {
+    it('should reject a user ID that is not the caller', () => {
+      const req = { userId: 'u1', userRole: 'doctor', params: { userId: 'u2' } }
+      const res = mockRes()
+      const next = sinon.stub()
+
+      ownsUserId('userId')(req, res, next)
+
+      next.called.should.be.false
+      res.status.calledWith(403).should.be.true
+    })
+
+    it('should reject a body naming another user when the query names the caller', () => {
+      const req = {
+        userId: 'u1',
+        userRole: 'patient',
+        params: {},
+        query: { userId: 'u1' },
+        body: { userId: 'u2' },
+      }
+      const res = mockRes()
+      const next = sinon.stub()
+
+      ownsUserId('userId')(req, res, next)
+
+      next.called.should.be.false
+      res.status.calledWith(403).should.be.true
+    })
+  })
+
+  describe('ownsAppointmentRequest', () => {
+    const request = { patientMedicalId: 'PAT-1', doctorMedicalId: 'DOC-1' }
+
+    it('should allow the doctor on the request', async () => {
+      sinon.stub(AppointmentRequest, 'findById').resolves(request)
+      sinon.stub(User, 'findById').resolves({ medicalId: 'DOC-1' })
+      const req = { userId: 'd1', userRole: 'doctor', params: { requestId: 'r1' } }
+      const next = sinon.stub()
+
+      await ownsAppointmentRequest(req, mockRes(), next)
+
+      next.calledOnce.should.be.true
+      req.appointmentRequest.should.equal(request)
+    })
+
+    it('should reject an unrelated patient', async () => {
+      sinon.stub(AppointmentRequest, 'findById').resolves(request)
+      sinon.stub(User, 'findById').resolves({ medicalId: 'PAT-9' })
+      const req = { userId: 'p9', userRole: 'patient', params: { requestId: 'r1' } }
+      const res = mockRes()
+      const next = sinon.stub()
+
+      await ownsAppointmentRequest(req, res, next)
+
+      next.called.should.be.false
+      res.status.calledWith(403).should.be.true
+    })
+  })
+})
@@ -0,0 +1,127 @@
+const chai = require('chai')
+const sinon = require('sinon')
+const {
+  parseLimit,
+  readRateLimitConfig,
+  createRateLimiter,
+  createRateLimits,
+} = require('../../middleware/rateLimitMiddleware')
+const { createMemoryStore } = require('../../services/rateLimitStores/memoryStore')
+const { describe, it, beforeEach } = require('@jest/globals')
+
+chai.should()
+
+const mockRes = () => ({
+  set: sinon.stub(),
+  status: sinon.stub().returnsThis(),
+  json: sinon.stub(),
+})
+
+const createClock = (start) => {
+  let current = new Date(start).getTime()
+  return {
+    now: () => new Date(current),
+    advance: (ms) => {
+      current += ms
+    },
+  }
+}
+
+describe('Rate limiting', () => {
+  let clock, store
+
+  beforeEach(() => {
+    clock = createClock('2030-01-01T09:00:00Z')
+    store = createMemoryStore({ clock })
+  })
+
+  const hit = async (limiter, req) => {
+    const res = mockRes()
+    const next = sinon.stub()
+    await limiter(req, res, next)
+    return { res, next }
+  }
+
+  it('should parse limits and read overrides from the environment', () => {
+    parseLimit('20/15m').should.deep.equal({ max: 20, windowMs: 15 * 60 * 1000 })
+    ;(parseLimit('off') === null).should.be.true
+    ;(parseLimit('lots') === undefined).should.be.true
+
+    const { store: storeName, limits } = readRateLimitConfig({
+      RATE_LIMIT_STORE: 'mongo',
+      RATE_LIMIT_LOGIN_ACCOUNT: '3/1h',
+      RATE_LIMIT_ACCOUNT_EMAIL_IP: 'off',
+      RATE_LIMIT_SIGNUP_IP: 'nonsense',
+    })
+    storeName.should.equal('mongo')
+    limits.login.account.should.deep.equal({ max: 3, windowMs: 60 * 60 * 1000 })
+    limits.login.ip.should.deep.equal({ max: 20, windowMs: 15 * 60 * 1000 })
+    ;(limits.accountEmail.ip === null).should.be.true
+    limits.signup.ip.should.deep.equal({ max: 5, windowMs: 60 * 60 * 1000 })
+  })
+
+  it('should answer 429 with Retry-After once a key runs out, until the window ends', async () => {
+    const limiter = createRateLimiter({
+      name: 'test',
+      max: 2,
+      windowMs: 60 * 1000,
+      key: (req) => req.ip,
+      store,
+      clock,
+    })
+    const req = { ip: '10.0.0.1' }
+
+    ;(await hit(limiter, req)).next.calledOnce.should.be.true
+    const second = await hit(limiter, req)
+    second.next.calledOnce.should.be.true
+    second.res.set.calledWith('RateLimit-Remaining', '0').should.be.true
+
+    clock.advance(20 * 1000)
+    const blocked = await hit(limiter, req)
+    blocked.next.called.should.be.false
+    blocked.res.status.calledWith(429).should.be.true
+    blocked.res.set.calledWith('Retry-After', '40').should.be.true
+
+    // Other clients have their own bucket
+    ;(await hit(limiter, { ip: '10.0.0.2' })).next.calledOnce.should.be.true
+
+    clock.advance(40 * 1000)
+    ;(await hit(limiter, req)).next.calledOnce.should.be.true
+  })
+
+  it('should limit each account separately from the IP and allow a reset', async () => {
+    const limits = createRateLimits(
+      readRateLimitConfig({ RATE_LIMIT_LOGIN_IP: '100/15m', RATE_LIMIT_LOGIN_ACCOUNT: '1/15m' }),
+      store,
+    )
+    const run = async (req) => {
+      let result
+      for (const limiter of limits.login) {
+        result = await hit(limiter, req)
+        if (!result.next.called) break
+      }
+      return result
+    }
+
+    ;(await run({ ip: '10.0.0.1', body: { username: 'drsmith' } })).next.called.should.be.true
+    const blocked = await run({ ip: '10.0.0.2', body: { username: 'DrSmith ' } })
+    blocked.res.status.calledWith(429).should.be.true
+
+    await limits.resetAccount('drsmith')
+    ;(await run({ ip: '10.0.0.2', body: { username: 'drsmith' } })).next.called.should.be.true
+  })
+
+  it('should let requests through if the store fails', async () => {
+    sinon.stub(console, 'error')
+    const limiter = createRateLimiter({
+      name: 'test',
+      max: 1,
+      windowMs: 1000,
+      key: () => 'k',
+      store: { increment: sinon.stub().rejects(new Error('down')) },
+    })
+
+    ;(await hit(limiter, {})).next.calledOnce.should.be.true
+    sinon.restore()
+  })
+})
@@ -0,0 +1,166 @@
+const chai = require('chai')
+const sinon = require('sinon')
+const jwt = require('jsonwebtoken')
+const SocketEvent = require('../../models/socketEventModel')
+const User = require('../../models/userModel')
+const Conversation = require('../../models/conversationModel')
+const Session = require('../../models/sessionModel')
+const {
+  EVENTS,
+  authenticateSocket,
+  relayTyping,
+  emitToUser,
+  emitAppointmentUpdate,
+} = require('../../socket')
+const { describe, it, beforeEach, afterEach } = require('@jest/globals')
+
+chai.should()
+
+const mockSocket = (handshake) => ({ handshake, data: {} })
+
+describe('Socket authentication', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  it('should accept the REST API token from the handshake auth', () => {
+    const token = jwt.sign({ id: 'u1', role: 'patient' }, process.env.JWT_SECRET, {
+      expiresIn: '1h',
+    })
+    const socket = mockSocket({ auth: { token } })
+    const next = sinon.stub()
+
+    authenticateSocket(socket, next)
+
+    next.calledOnceWithExactly().should.be.true
+    socket.data.userId.should.equal('u1')
+    socket.data.role.should.equal('patient')
+    socket.data.tokenExpiresAt.should.be.above(Date.now())
+  })
+
+  it('should accept a bearer token header', () => {
+    const token = jwt.sign({ id: 'u2', role: 'doctor' }, process.env.JWT_SECRET)
+    const socket = mockSocket({ headers: { authorization: `Bearer ${token}` } })
+    const next = sinon.stub()
+
+    authenticateSocket(socket, next)
+
+    next.calledOnceWithExactly().should.be.true
+    socket.data.userId.should.equal('u2')
+  })
+
+  it('should reject a connection without a token', () => {
+    const next = sinon.stub()
+
+    authenticateSocket(mockSocket({ auth: {}, headers: {} }), next)
+
+    next.firstCall.args[0].message.should.equal('Authentication required')
+  })
+
+  it('should reject an expired token', () => {
+    const token = jwt.sign(
+      { id: 'u1', role: 'patient', exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET,
+    )
+    const next = sinon.stub()
+
+    authenticateSocket(mockSocket({ auth: { token } }), next)
+
+    next.firstCall.args[0].message.should.equal('Authentication failed')
+  })
+
+  it('should reject a token from a revoked session', async () => {
+    sinon.stub(Session, 'isActiveId').resolves(false)
+    const token = jwt.sign(
+      { id: 'u1', role: 'patient', sid: '64b000000000000000000001' },
+      process.env.JWT_SECRET,
+    )
+    const next = sinon.stub()
+
+    authenticateSocket(mockSocket({ auth: { token } }), next)
+    await new Promise((resolve) => setImmediate(resolve))
+
+    next.firstCall.args[0].message.should.equal('Authentication failed')
+  })
+
+  it('should store targeted events so they can be replayed', async () => {
+    const create = sinon
+      .stub(SocketEvent, 'create')
+      .resolves({ _id: 'event-1' })
+
+    await emitToUser('u1', EVENTS.NOTIFICATION_CREATED, { title: 'Hello' })
+
+    create.calledOnceWithExactly({
+      user: 'u1',
+      event: EVENTS.NOTIFICATION_CREATED,
+      payload: { title: 'Hello' },
+    }).should.be.true
+  })
+
+  it('should send appointment updates to both the patient and the doctor', async () => {
+    sinon.stub(User, 'find').returns({
+      select: sinon.stub().resolves([{ _id: 'patient-user' }, { _id: 'doctor-user' }]),
+    })
+    const create = sinon.stub(SocketEvent, 'create').resolves({ _id: 'event-1' })
+
+    await emitAppointmentUpdate({
+      _id: 'request-1',
+      patientMedicalId: 'P-1',
+      doctorMedicalId: 'D-1',
+      status: 'approved',
+    })
+
+    create.callCount.should.equal(2)
+    create.args.map(([event]) => event.user).should.deep.equal(['patient-user', 'doctor-user'])
+    create.firstCall.args[0].event.should.equal(EVENTS.APPOINTMENT_UPDATED)
+    create.firstCall.args[0].payload.should.include({
+      appointmentRequestId: 'request-1',
+      status: 'approved',
+    })
+  })
+
+  describe('typing indicators', () => {
+    const patientId = '64b000000000000000000001'
+    const doctorId = '64b000000000000000000002'
+    const conversationId = '64b0000000000000000000aa'
+
+    const typingSocket = (userId) => {
+      const emit = sinon.stub()
+      return {
+        data: { userId },
+        to: sinon.stub().returns({ emit }),
+        emit,
+      }
+    }
+
+    beforeEach(() => {
+      sinon.stub(Conversation, 'findById').returns({
+        select: sinon.stub().resolves(
+          new Conversation({ patient: patientId, doctor: doctorId }),
+        ),
+      })
+    })
+
+    it('should relay typing to the other participant', async () => {
+      const socket = typingSocket(patientId)
+
+      await relayTyping(socket, { conversationId, typing: true })
+
+      socket.to.calledOnceWithExactly(`user:${doctorId}`).should.be.true
+      socket.emit.calledOnceWith(EVENTS.CHAT_TYPING).should.be.true
+      socket.emit.firstCall.args[1].should.deep.equal({
+        conversationId,
+        userId: patientId,
+        typing: true,
+      })
+    })
+
+    it('should ignore typing from someone outside the conversation', async () => {
+      const socket = typingSocket('64b000000000000000000009')
+
+      await relayTyping(socket, { conversationId, typing: true })
+
+      socket.to.called.should.be.false
+    })
+  })
+})
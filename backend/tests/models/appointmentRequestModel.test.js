@@ -0,0 +1,139 @@
+const AppointmentRequest = require('../../models/appointmentRequestModel')
+const { describe, it, expect } = require('@jest/globals')
+
+const buildRequest = (status) =>
+  new AppointmentRequest({
+    doctorMedicalId: 'DOC-1',
+    patientMedicalId: 'PAT-1',
+    doctorName: 'Dr. Smith',
+    patientName: 'John Doe',
+    doctorEmail: 'drsmith@example.com',
+    patientEmail: 'john@example.com',
+    preferredDate: new Date('2099-01-05'),
+    preferredTime: '09:00',
+    symptoms: 'Fever',
+    contactInfo: 'john@example.com',
+    status,
+  })
+
+describe('AppointmentRequest lifecycle', () => {
+  it('should start as requested', () => {
+    expect(buildRequest().status).toBe('requested')
+  })
+
+  it('should allow a requested appointment to be approved', () => {
+    const request = buildRequest('requested')
+
+    request.transitionTo('approved', { changedBy: 'DOC-1' })
+
+    expect(request.status).toBe('approved')
+    expect(request.statusHistory[0].from).toBe('requested')
+    expect(request.statusHistory[0].to).toBe('approved')
+    expect(request.statusHistory[0].changedBy).toBe('DOC-1')
+  })
+
+  it('should allow an approved appointment to be rescheduled and then completed', () => {
+    const request = buildRequest('approved')
+
+    request.transitionTo('rescheduled')
+    request.transitionTo('completed')
+
+    expect(request.status).toBe('completed')
+    expect(request.statusHistory).toHaveLength(2)
+  })
+
+  it('should not complete an appointment that was never approved', () => {
+    const request = buildRequest('requested')
+
+    expect(request.canTransitionTo('completed')).toBe(false)
+    expect(() => request.transitionTo('completed')).toThrow(
+      'Cannot change appointment status from requested to completed',
+    )
+    expect(request.status).toBe('requested')
+  })
+
+  it('should treat rejected, cancelled, completed and no-show as final', () => {
+    for (const status of ['rejected', 'cancelled', 'completed', 'no-show']) {
+      const request = buildRequest(status)
+      for (const next of AppointmentRequest.STATUSES) {
+        expect(request.canTransitionTo(next)).toBe(false)
+      }
+    }
+  })
+
+  it('should reject unknown statuses', () => {
+    const error = buildRequest('pending').validateSync()
+
+    expect(error.errors.status).toBeDefined()
+  })
+})
+
+describe('AppointmentRequest rescheduling', () => {
+  const proposal = (proposedByRole, time) => ({
+    proposedBy: proposedByRole === 'doctor' ? 'DOC-1' : 'PAT-1',
+    proposedByRole,
+    date: new Date('2099-01-06'),
+    time,
+  })
+
+  it('should start at the preferred slot until scheduled', () => {
+    const request = buildRequest('requested')
+
+    expect(request.startsAt().toISOString()).toBe('2099-01-05T09:00:00.000Z')
+
+    request.scheduledDate = new Date('2099-01-07')
+    request.scheduledTime = '14:30'
+
+    expect(request.startsAt().toISOString()).toBe('2099-01-07T14:30:00.000Z')
+  })
+
+  it("should start at the slot's time in the clinic's zone across clock changes", async () => {
+    const request = buildRequest('requested')
+    request.timeZone = 'America/New_York'
+    request.preferredDate = new Date('2026-03-07')
+    request.preferredTime = '10:00'
+
+    expect(request.startsAt().toISOString()).toBe('2026-03-07T15:00:00.000Z')
+
+    // The clocks went forward overnight, so 10:00 is an hour earlier in UTC
+    request.scheduledDate = new Date('2026-03-08')
+    request.scheduledTime = '10:00'
+    await request.validate()
+
+    expect(request.startsAt().toISOString()).toBe('2026-03-08T14:00:00.000Z')
+    expect(request.scheduledAt.toISOString()).toBe('2026-03-08T14:00:00.000Z')
+    expect(request.preferredAt.toISOString()).toBe('2026-03-07T15:00:00.000Z')
+  })
+
+  it('should record a pending proposal', () => {
+    const request = buildRequest('approved')
+
+    request.proposeReschedule(proposal('patient', '10:00'))
+
+    expect(request.pendingProposal().time).toBe('10:00')
+    expect(request.pendingProposal().proposedByRole).toBe('patient')
+  })
+
+  it('should supersede the other side\'s proposal with a counter-proposal', () => {
+    const request = buildRequest('approved')
+
+    request.proposeReschedule(proposal('patient', '10:00'))
+    request.proposeReschedule(proposal('doctor', '11:00'))
+
+    expect(request.rescheduleProposals[0].status).toBe('superseded')
+    expect(request.pendingProposal().time).toBe('11:00')
+    expect(request.pendingProposal().proposedByRole).toBe('doctor')
+  })
+
+  it('should withdraw an earlier proposal from the same side', () => {
+    const request = buildRequest('approved')
+
+    request.proposeReschedule(proposal('patient', '10:00'))
+    request.proposeReschedule(proposal('patient', '11:00'))
+
+    expect(request.rescheduleProposals[0].status).toBe('withdrawn')
+    expect(
+      request.rescheduleProposals.filter((p) => p.status === 'pending'),
+    ).toHaveLength(1)
+  })
+})
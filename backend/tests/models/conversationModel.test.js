@@ -0,0 +1,51 @@
+const mongoose = require('mongoose')
+const Conversation = require('../../models/conversationModel')
+const Message = require('../../models/messageModel')
+const { describe, it, expect } = require('@jest/globals')
+
+const patientId = new mongoose.Types.ObjectId()
+const doctorId = new mongoose.Types.ObjectId()
+
+describe('Conversation participants', () => {
+  const conversation = new Conversation({ patient: patientId, doctor: doctorId })
+
+  it('should tell which side a user is on', () => {
+    expect(conversation.partyOf(patientId)).toBe('patient')
+    expect(conversation.partyOf(String(doctorId))).toBe('doctor')
+    expect(conversation.partyOf(new mongoose.Types.ObjectId())).toBeNull()
+  })
+
+  it('should return the other participant', () => {
+    expect(conversation.otherParticipant(patientId)).toBe(String(doctorId))
+    expect(conversation.otherParticipant(doctorId)).toBe(String(patientId))
+  })
+
+  it('should compare populated participants by ID', () => {
+    const populated = new Conversation({ patient: patientId, doctor: doctorId })
+    populated.patient = { _id: patientId, username: 'john' }
+
+    expect(populated.partyOf(patientId)).toBe('patient')
+  })
+})
+
+describe('Message validation', () => {
+  const conversation = new mongoose.Types.ObjectId()
+
+  it('should reject a message with neither text nor attachments', async () => {
+    const message = new Message({ conversation, sender: patientId, body: '   ' })
+
+    await expect(message.validate()).rejects.toThrow('A message needs text or an attachment')
+  })
+
+  it('should accept an attachment without text', async () => {
+    const message = new Message({
+      conversation,
+      sender: patientId,
+      attachments: [
+        { filename: 'abc.pdf', originalName: 'results.pdf', mimeType: 'application/pdf', size: 1024 },
+      ],
+    })
+
+    await expect(message.validate()).resolves.toBeUndefined()
+  })
+})
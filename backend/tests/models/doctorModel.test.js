@@ -0,0 +1,84 @@
+const Doctor = require('../../models/doctorModel')
+const { describe, it, expect } = require('@jest/globals')
+
+// 2099-01-05 is a Monday
+const MONDAY = '2099-01-05'
+
+const buildSchedule = (fields = {}) =>
+  new Doctor({
+    medicalId: 'DOC-1',
+    slotDuration: 30,
+    weeklyAvailability: [{ dayOfWeek: 1, slots: ['09:00', '09:30', '11:00'] }],
+    ...fields,
+  })
+
+const clinic = (name, weeklyHours) => ({ name, city: 'Springfield', weeklyHours })
+
+describe('Doctor schedule', () => {
+  it('should start appointments that fit in the weekly template', () => {
+    const schedule = buildSchedule()
+
+    expect(schedule.getStartTimes(MONDAY)).toEqual(['09:00', '09:30', '11:00'])
+    // A 60 minute appointment needs two back-to-back slots
+    expect(schedule.getStartTimes(MONDAY, { duration: 60 })).toEqual(['09:00'])
+  })
+
+  it("should use a location's own opening hours", () => {
+    const schedule = buildSchedule({
+      locations: [
+        clinic('North', [
+          { dayOfWeek: 1, start: '08:00', end: '09:00' },
+          { dayOfWeek: 1, start: '13:00', end: '14:00' },
+        ]),
+        clinic('South', [{ dayOfWeek: 1, start: '10:00', end: '11:00' }]),
+      ],
+    })
+    const [north, south] = schedule.locations
+
+    expect(schedule.getStartTimes(MONDAY, { locationId: north._id })).toEqual([
+      '08:00',
+      '08:30',
+      '13:00',
+      '13:30',
+    ])
+    expect(schedule.getStartTimes(MONDAY, { duration: 45, locationId: south._id })).toEqual(['10:00'])
+
+    south.active = false
+    expect(schedule.findLocation(south._id)).toBeNull()
+    expect(schedule.getStartTimes(MONDAY)).toEqual(['08:00', '08:30', '13:00', '13:30'])
+  })
+
+  it('should let a day off override every location', () => {
+    const schedule = buildSchedule({
+      locations: [clinic('North', [{ dayOfWeek: 1, start: '08:00', end: '12:00' }])],
+      dateOverrides: [{ date: MONDAY, slots: [] }],
+    })
+
+    expect(schedule.getStartTimes(MONDAY, { locationId: schedule.locations[0]._id })).toEqual([])
+  })
+
+  it('should leave out start times the clocks skip when they go forward', () => {
+    // The UK clocks jump from 01:00 to 02:00 on Sunday 29 March 2026
+    const schedule = buildSchedule({
+      timeZone: 'Europe/London',
+      weeklyAvailability: [{ dayOfWeek: 0, slots: ['00:30', '01:00', '01:30', '02:00'] }],
+    })
+
+    expect(schedule.getStartTimes('2026-03-29')).toEqual(['00:30', '02:00'])
+    expect(schedule.getStartTimes('2026-03-22')).toEqual(['00:30', '01:00', '01:30', '02:00'])
+    // When they go back, 01:00 and 01:30 happen twice but are offered once
+    expect(schedule.getStartTimes('2026-10-25')).toEqual(['00:30', '01:00', '01:30', '02:00'])
+  })
+
+  it('should reject unknown time zones', () => {
+    expect(Object.keys(buildSchedule({ timeZone: 'Atlantis/Capital' }).validateSync().errors)).toContain('timeZone')
+  })
+
+  it('should reject opening hours that end before they start', () => {
+    const schedule = buildSchedule({
+      locations: [clinic('North', [{ dayOfWeek: 1, start: '12:00', end: '08:00' }])],
+    })
+
+    expect(Object.keys(schedule.validateSync().errors)).toContain('locations.0.weeklyHours')
+  })
+})
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose')
+const Invitation = require('../../models/invitationModel')
+const { describe, it, expect } = require('@jest/globals')
+
+const HOUR = 60 * 60 * 1000
+
+const build = (overrides = {}) =>
+  new Invitation({
+    email: 'Doctor@Example.com ',
+    role: 'doctor',
+    tokenHash: Invitation.hashToken('secret'),
+    invitedBy: new mongoose.Types.ObjectId(),
+    expiresAt: new Date(Date.now() + HOUR),
+    ...overrides,
+  })
+
+describe('Invitation model', () => {
+  it('should normalise the email', () => {
+    expect(build().email).toBe('doctor@example.com')
+  })
+
+  it('should only invite doctors and admins', async () => {
+    await expect(build({ role: 'patient' }).validate()).rejects.toThrow()
+    await expect(build({ role: 'admin' }).validate()).resolves.toBeUndefined()
+  })
+
+  it('should report its status', () => {
+    expect(build().status).toBe('pending')
+    expect(build({ expiresAt: new Date(Date.now() - HOUR) }).status).toBe('expired')
+    expect(build({ revokedAt: new Date() }).status).toBe('revoked')
+    expect(build({ usedAt: new Date() }).status).toBe('used')
+  })
+
+  it('should only be usable while pending', () => {
+    expect(build().isUsable()).toBe(true)
+    expect(build({ usedAt: new Date() }).isUsable()).toBe(false)
+    expect(build().isUsable(new Date(Date.now() + 2 * HOUR))).toBe(false)
+  })
+
+  it('should never serialise the token hash', () => {
+    const json = build().toJSON()
+
+    expect(json).not.toHaveProperty('tokenHash')
+    expect(json.status).toBe('pending')
+  })
+
+  it('should hash tokens deterministically', () => {
+    expect(Invitation.hashToken('abc')).toBe(Invitation.hashToken('abc'))
+    expect(Invitation.hashToken('abc')).not.toBe('abc')
+    expect(Invitation.hashToken('abc')).toHaveLength(64)
+  })
+})
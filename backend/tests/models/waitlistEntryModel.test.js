@@ -0,0 +1,48 @@
+const WaitlistEntry = require('../../models/waitlistEntryModel')
+const { describe, it, expect } = require('@jest/globals')
+
+const buildEntry = (fields = {}) =>
+  new WaitlistEntry({
+    doctorMedicalId: 'DOC-1',
+    patientMedicalId: 'PAT-1',
+    doctorName: 'Smith',
+    patientName: 'John Doe',
+    patientEmail: 'john@example.com',
+    fromDate: '2099-01-05',
+    toDate: '2099-01-09',
+    symptoms: 'Fever',
+    contactInfo: 'john@example.com',
+    ...fields,
+  })
+
+describe('WaitlistEntry slot matching', () => {
+  it('should only match slots inside the date range', () => {
+    const entry = buildEntry()
+
+    expect(entry.matchesSlot('2099-01-05', '09:00')).toBe(true)
+    expect(entry.matchesSlot('2099-01-09', '16:30')).toBe(true)
+    expect(entry.matchesSlot('2099-01-04', '09:00')).toBe(false)
+    expect(entry.matchesSlot('2099-01-10', '09:00')).toBe(false)
+  })
+
+  it('should only match the chosen times of day', () => {
+    const entry = buildEntry({ timesOfDay: ['morning', 'evening'] })
+
+    expect(entry.matchesSlot('2099-01-06', '11:30')).toBe(true)
+    expect(entry.matchesSlot('2099-01-06', '12:00')).toBe(false)
+    expect(entry.matchesSlot('2099-01-06', '17:00')).toBe(true)
+  })
+
+  it('should not match a slot that was already offered', () => {
+    const entry = buildEntry()
+    entry.offers.push({
+      date: '2099-01-06',
+      time: '09:00',
+      status: 'expired',
+      expiresAt: new Date('2099-01-01T10:00:00Z'),
+    })
+
+    expect(entry.matchesSlot('2099-01-06', '09:00')).toBe(false)
+    expect(entry.matchesSlot('2099-01-06', '09:30')).toBe(true)
+  })
+})
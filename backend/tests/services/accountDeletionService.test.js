@@ -0,0 +1,166 @@
+const chai = require('chai')
+const sinon = require('sinon')
+const User = require('../../models/userModel')
+const AppointmentRequest = require('../../models/appointmentRequestModel')
+const Feedback = require('../../models/feedbackModel')
+const ActivityLog = require('../../models/activityLogModel')
+const Message = require('../../models/messageModel')
+const Conversation = require('../../models/conversationModel')
+const Session = require('../../models/sessionModel')
+const SlotReservation = require('../../models/slotReservationModel')
+const WaitlistEntry = require('../../models/waitlistEntryModel')
+const {
+  PURGE_JOB,
+  readDeletionConfig,
+  requestDeletion,
+  anonymizeRecords,
+  purgeAccount,
+} = require('../../services/accountDeletionService')
+const { describe, it, afterEach } = require('@jest/globals')
+
+chai.should()
+
+const NOW = new Date('2030-01-10T09:00:00Z')
+
+const newPatient = (fields = {}) =>
+  new User({
+    username: 'jdoe',
+    email: 'jdoe@example.com',
+    password: 'hashed-password',
+    role: 'patient',
+    medicalId: 'PAT-1',
+    ...fields,
+  })
+
+const newAppointment = (scheduledDate, fields = {}) =>
+  new AppointmentRequest({
+    doctorMedicalId: 'DOC-1',
+    patientMedicalId: 'PAT-1',
+    doctorName: 'Smith',
+    patientName: 'jdoe',
+    doctorEmail: 'smith@example.com',
+    patientEmail: 'jdoe@example.com',
+    preferredDate: scheduledDate,
+    preferredTime: '10:00',
+    scheduledDate,
+    scheduledTime: '10:00',
+    symptoms: 'Headache',
+    contactInfo: '555-0100',
+    status: 'approved',
+    ...fields,
+  })
+
+const fakeScheduler = () => ({
+  now: () => new Date(NOW),
+  cancel: sinon.stub().resolves(),
+  schedule: sinon.stub().resolves(),
+})
+
+describe('Account deletion service', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  it('should read the grace period from the environment', () => {
+    readDeletionConfig({}).graceDays.should.equal(30)
+    readDeletionConfig({ ACCOUNT_DELETION_GRACE_DAYS: '7' }).graceDays.should.equal(7)
+    readDeletionConfig({ ACCOUNT_DELETION_GRACE_DAYS: '0' }).graceDays.should.equal(0)
+    readDeletionConfig({ ACCOUNT_DELETION_GRACE_DAYS: 'soon' }).graceDays.should.equal(30)
+  })
+
+  it('should soft-delete, cancel upcoming appointments and queue the purge', async () => {
+    const user = newPatient()
+    const upcoming = newAppointment(new Date('2030-01-12T00:00:00Z'))
+    const past = newAppointment(new Date('2030-01-05T00:00:00Z'))
+    sinon.stub(User.prototype, 'save').resolves()
+    sinon.stub(AppointmentRequest.prototype, 'save').resolves()
+    sinon.stub(AppointmentRequest, 'find').resolves([upcoming, past])
+    sinon.stub(Session, 'find').returns({ sort: sinon.stub().resolves([]) })
+    sinon.stub(SlotReservation, 'find').returns({ select: sinon.stub().resolves([]) })
+    sinon.stub(SlotReservation, 'deleteMany').resolves({ deletedCount: 1 })
+    sinon.stub(WaitlistEntry, 'find').resolves([])
+    sinon.stub(User, 'find').returns({ select: sinon.stub().resolves([]) })
+    sinon.stub(User, 'findOne').returns({ select: sinon.stub().resolves(null) })
+    sinon.stub(console, 'error')
+    const scheduler = fakeScheduler()
+
+    const result = await requestDeletion(
+      user,
+      { requestedBy: user._id, reason: 'Moving away' },
+      { scheduler, config: { graceDays: 7 } },
+    )
+
+    user.isPendingDeletion().should.be.true
+    result.purgeAfter.should.deep.equal(new Date('2030-01-17T09:00:00Z'))
+    result.cancelledAppointments.should.equal(1)
+
+    upcoming.status.should.equal('cancelled')
+    upcoming.cancellation.cancelledBy.should.equal('PAT-1')
+    upcoming.cancellation.cancelledByRole.should.equal('patient')
+    past.status.should.equal('approved')
+
+    scheduler.schedule.calledOnce.should.be.true
+    const [type, runAt, payload, options] = scheduler.schedule.firstCall.args
+    type.should.equal(PURGE_JOB)
+    runAt.should.deep.equal(result.purgeAfter)
+    payload.should.deep.equal({ userId: String(user._id) })
+    options.key.should.equal(`account-purge:${user._id}`)
+  })
+
+  it('should anonymize historical records but keep what stats rely on', async () => {
+    const user = newPatient()
+    const appointments = sinon.stub(AppointmentRequest, 'updateMany').resolves({ modifiedCount: 3 })
+    const feedback = sinon.stub(Feedback, 'updateMany').resolves({ modifiedCount: 1 })
+    const logs = sinon.stub(ActivityLog, 'updateMany').resolves({ modifiedCount: 5 })
+    sinon.stub(Message, 'find').resolves([])
+    sinon.stub(Message, 'updateMany').resolves({ modifiedCount: 2 })
+    sinon.stub(Conversation, 'updateMany').resolves({ modifiedCount: 1 })
+
+    const counts = await anonymizeRecords(user)
+
+    counts.should.deep.equal({ appointmentRequests: 3, feedback: 1, messages: 2, activityLogs: 10 })
+
+    const [appointmentFilter, appointmentUpdate] = appointments.firstCall.args
+    appointmentFilter.should.deep.equal({ patientMedicalId: 'PAT-1' })
+    appointmentUpdate.$set.patientName.should.equal('Deleted user')
+    appointmentUpdate.$set.symptoms.should.equal('Removed')
+    appointmentUpdate.$unset.should.include({ 'assessment.summary': 1, 'assessment.recommendedAction': 1 })
+    appointmentUpdate.$set.patientMedicalId.should.match(/^DELETED-/)
+    appointmentUpdate.$set.should.not.have.property('status')
+    appointmentUpdate.$set.should.not.have.property('doctorName')
+
+    const pseudonym = appointmentUpdate.$set.patientMedicalId
+    const [historyFilter, historyUpdate, historyOptions] = appointments.secondCall.args
+    historyFilter.should.deep.equal({ 'statusHistory.changedBy': 'PAT-1' })
+    historyUpdate.$set['statusHistory.$[entry].changedBy'].should.equal(pseudonym)
+    historyOptions.arrayFilters.should.deep.equal([{ 'entry.changedBy': 'PAT-1' }])
+    const [, proposalUpdate] = appointments.thirdCall.args
+    proposalUpdate.$set['rescheduleProposals.$[proposal].proposedBy'].should.equal(pseudonym)
+
+    const [, feedbackUpdate] = feedback.firstCall.args
+    feedbackUpdate.$set.isAnonymous.should.be.true
+    feedbackUpdate.$set.patientMedicalId.should.equal(appointmentUpdate.$set.patientMedicalId)
+    feedbackUpdate.$set.should.not.have.property('rating')
+
+    logs.firstCall.args[1].should.deep.equal({ $unset: { ip: 1, userAgent: 1 } })
+    const [targetFilter, targetUpdate] = logs.secondCall.args
+    targetFilter.should.deep.equal({ entityType: 'user', entityId: String(user._id) })
+    targetUpdate.$unset.should.deep.equal({ changes: 1 })
+    targetUpdate.$set.activity.should.equal('Removed')
+  })
+
+  it('should not purge an account that was restored or is still in its grace period', async () => {
+    const restored = newPatient()
+    const waiting = newPatient({
+      deletion: { requestedAt: NOW, purgeAfter: new Date('2030-02-01T00:00:00Z') },
+    })
+    const findById = sinon.stub(User, 'findById')
+    findById.onFirstCall().resolves(restored)
+    findById.onSecondCall().resolves(waiting)
+    const deleteOne = sinon.stub(User, 'deleteOne').resolves()
+
+    chai.expect(await purgeAccount({ userId: restored._id }, { now: NOW })).to.be.null
+    chai.expect(await purgeAccount({ userId: waiting._id }, { now: NOW })).to.be.null
+    deleteOne.called.should.be.false
+  })
+})
@@ -0,0 +1,49 @@
+const chai = require('chai')
+const sinon = require('sinon')
+const User = require('../../models/userModel')
+const { buildActivityLogFilter, readPage } = require('../../services/activityLogService')
+const { describe, it, afterEach } = require('@jest/globals')
+
+chai.should()
+
+describe('Activity log filters', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  it('should filter by action, entity and an inclusive date range', async () => {
+    const { filter } = await buildActivityLogFilter({
+      action: 'appointment.status_change',
+      entityType: 'appointment',
+      entityId: 'a1',
+      from: '2030-01-01',
+      to: '2030-01-31',
+    })
+    filter.action.should.equal('appointment.status_change')
+    filter.entityType.should.equal('appointment')
+    filter.entityId.should.equal('a1')
+    filter.date.$gte.toISOString().should.equal('2030-01-01T00:00:00.000Z')
+    filter.date.$lt.toISOString().should.equal('2030-02-01T00:00:00.000Z')
+  })
+
+  it('should look actors up by username or email', async () => {
+    const find = sinon.stub(User, 'find').returns({
+      select: sinon.stub().resolves([{ _id: 'u1' }, { _id: 'u2' }]),
+    })
+    const { filter } = await buildActivityLogFilter({ actor: 'dr.s' })
+    filter.userId.should.deep.equal({ $in: ['u1', 'u2'] })
+    // Regex characters in the search are literal
+    find.firstCall.args[0].$or[0].username.source.should.equal('dr\\.s')
+  })
+
+  it('should reject bad dates and outcomes', async () => {
+    ;(await buildActivityLogFilter({ from: 'yesterday' })).error.should.equal('Invalid from date')
+    ;(await buildActivityLogFilter({ outcome: 'maybe' })).error.should.match(/outcome/)
+  })
+
+  it('should clamp paging', () => {
+    readPage({}).should.deep.equal({ page: 1, limit: 50 })
+    readPage({ page: '3', limit: '1000' }).should.deep.equal({ page: 3, limit: 200 })
+    readPage({ page: '-2', limit: 'x' }).should.deep.equal({ page: 1, limit: 50 })
+  })
+})
@@ -0,0 +1,80 @@
+const chai = require('chai')
+const sinon = require('sinon')
+const Doctor = require('../../models/doctorModel')
+const SlotReservation = require('../../models/slotReservationModel')
+const {
+  reservedSteps,
+  resolveBooking,
+  reserveSlot,
+} = require('../../services/availabilityService')
+const { describe, it, afterEach } = require('@jest/globals')
+
+chai.should()
+
+const buildSchedule = () =>
+  new Doctor({
+    medicalId: 'DOC-1',
+    slotDuration: 15,
+    appointmentTypes: [
+      { name: 'Follow-up', duration: 15, meetingTypes: ['online'] },
+      { name: 'Procedure', duration: 30, bufferBefore: 5, bufferAfter: 10, price: 120 },
+    ],
+    locations: [
+      { name: 'North Clinic', city: 'Springfield', weeklyHours: [{ dayOfWeek: 1, start: '09:00', end: '12:00' }] },
+    ],
+  })
+
+describe('Availability service', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  it('should reserve every step an appointment and its buffers cover', () => {
+    reservedSteps('10:00', { duration: 30, bufferBefore: 5, bufferAfter: 10 }).should.deep.equal([
+      '09:55', '10:00', '10:05', '10:10', '10:15', '10:20', '10:25', '10:30', '10:35',
+    ])
+    reservedSteps('23:50', { duration: 30, bufferBefore: 0, bufferAfter: 0 }).should.deep.equal(['23:50', '23:55'])
+  })
+
+  it('should require a valid appointment type and location from doctors who have them', () => {
+    const schedule = buildSchedule()
+    const [followUp, procedure] = schedule.appointmentTypes
+    const [clinic] = schedule.locations
+
+    resolveBooking(schedule, { locationId: clinic._id }).status.should.equal(400)
+    resolveBooking(schedule, { appointmentTypeId: procedure._id }).status.should.equal(400)
+    resolveBooking(schedule, { appointmentTypeId: followUp._id, locationId: clinic._id, meetingType: 'offline' })
+      .message.should.equal("Follow-up appointments can't be held offline")
+
+    const { booking } = resolveBooking(schedule, { appointmentTypeId: procedure._id, locationId: clinic._id })
+    booking.appointmentType.should.include({ name: 'Procedure', duration: 30, bufferBefore: 5, bufferAfter: 10, price: 120 })
+    booking.location.should.include({ name: 'North Clinic', city: 'Springfield' })
+
+    resolveBooking(new Doctor({ medicalId: 'DOC-2' }), {}).booking.should.deep.equal({})
+  })
+
+  it('should refuse a slot that overlaps another booking', async () => {
+    const schedule = buildSchedule()
+    const booking = resolveBooking(schedule, {
+      appointmentTypeId: schedule.appointmentTypes[1]._id,
+      locationId: schedule.locations[0]._id,
+    }).booking
+    sinon.stub(Doctor, 'findOne').resolves(schedule)
+    // Another patient's follow-up ends at 10:15, inside this booking's buffer
+    sinon.stub(SlotReservation, 'find').returns({
+      select: sinon.stub().resolves([{ time: '10:10', startTime: '10:00', appointmentRequest: 'other' }]),
+    })
+    const insert = sinon.stub(SlotReservation, 'insertMany').resolves()
+
+    const result = await reserveSlot({
+      doctorMedicalId: 'DOC-1',
+      date: '2099-01-05',
+      time: '10:15',
+      appointmentRequestId: 'mine',
+      booking,
+    })
+
+    result.status.should.equal(409)
+    insert.called.should.be.false
+  })
+})
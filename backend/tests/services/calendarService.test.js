@@ -0,0 +1,86 @@
+const AppointmentRequest = require('../../models/appointmentRequestModel')
+const { describe, it, expect } = require('@jest/globals')
+const {
+  appointmentUid,
+  appointmentInvite,
+  buildCalendar,
+  escapeText,
+  foldLine,
+} = require('../../services/calendarService')
+
+const buildRequest = (overrides = {}) =>
+  new AppointmentRequest({
+    doctorMedicalId: 'DOC-1',
+    patientMedicalId: 'PAT-1',
+    doctorName: 'Smith',
+    patientName: 'John Doe',
+    doctorEmail: 'drsmith@example.com',
+    patientEmail: 'john@example.com',
+    preferredDate: new Date('2099-07-01'),
+    preferredTime: '09:00',
+    timeZone: 'Europe/London',
+    duration: 45,
+    symptoms: 'Fever',
+    contactInfo: 'john@example.com',
+    ...overrides,
+  })
+
+// Unfolded content lines of a calendar
+const linesOf = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n')
+
+describe('calendarService', () => {
+  it('should write an approved appointment as a confirmed UTC event', () => {
+    const request = buildRequest({ meetingType: 'online', videoCallLink: 'https://meet.jit.si/room' })
+    request.transitionTo('approved', { changedBy: 'DOC-1' })
+
+    const lines = linesOf(appointmentInvite(request, { party: 'patient' }).content)
+
+    expect(lines).toContain('METHOD:REQUEST')
+    expect(lines).toContain(`UID:${appointmentUid(request)}`)
+    expect(lines).toContain('SEQUENCE:1')
+    // 09:00 in London in summer is 08:00 UTC
+    expect(lines).toContain('DTSTART:20990701T080000Z')
+    expect(lines).toContain('DTEND:20990701T084500Z')
+    expect(lines).toContain('STATUS:CONFIRMED')
+    expect(lines).toContain('LOCATION:https://meet.jit.si/room')
+    expect(lines).toContain('SUMMARY:Appointment with Dr. Smith')
+  })
+
+  it('should keep the UID and raise the sequence when an appointment changes', () => {
+    const request = buildRequest()
+    request.transitionTo('approved')
+    const approved = linesOf(appointmentInvite(request).content)
+
+    request.transitionTo('cancelled', { reason: 'Unwell' })
+    const cancelled = linesOf(appointmentInvite(request, { method: 'CANCEL' }).content)
+
+    expect(cancelled).toContain('METHOD:CANCEL')
+    expect(cancelled).toContain('STATUS:CANCELLED')
+    expect(cancelled).toContain(approved.find((line) => line.startsWith('UID:')))
+    expect(cancelled).toContain('SEQUENCE:2')
+  })
+
+  it('should fall back to a default length and the practice address', () => {
+    const request = buildRequest({
+      duration: undefined,
+      location: { name: 'North Clinic', address: '1 High St', city: 'Leeds' },
+    })
+
+    const lines = linesOf(buildCalendar([request], { party: 'doctor' }))
+
+    expect(lines).toContain('DTEND:20990701T083000Z')
+    expect(lines).toContain('LOCATION:North Clinic\\, 1 High St\\, Leeds')
+    expect(lines).toContain('SUMMARY:Appointment with John Doe')
+    expect(lines).toContain('STATUS:TENTATIVE')
+  })
+
+  it('should escape text and fold long lines', () => {
+    expect(escapeText('a;b,c\\d\ne')).toBe('a\\;b\\,c\\\\d\\ne')
+
+    const folded = foldLine(`DESCRIPTION:${'é'.repeat(60)}`)
+    const parts = folded.split('\r\n')
+    expect(parts.length).toBeGreaterThan(1)
+    parts.forEach((part) => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75))
+    expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'é'.repeat(60)}`)
+  })
+})
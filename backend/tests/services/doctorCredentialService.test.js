@@ -0,0 +1,98 @@
+const chai = require('chai')
+const sinon = require('sinon')
+const User = require('../../models/userModel')
+const Notification = require('../../models/notificationModel')
+const {
+  readQualifications,
+  readSubmission,
+  submitCredentials,
+  reviewCredentials,
+} = require('../../services/doctorCredentialService')
+const { describe, it, afterEach } = require('@jest/globals')
+
+chai.should()
+
+const NOW = new Date('2030-01-10T09:00:00Z')
+
+const newDoctor = (credentials) =>
+  new User({
+    username: 'drsmith',
+    email: 'drsmith@example.com',
+    password: 'hashed-password',
+    role: 'doctor',
+    medicalId: 'D-0000001-8',
+    credentials,
+  })
+
+const upload = (name) => ({
+  filename: `${name}.pdf`,
+  originalname: `${name} original.pdf`,
+  mimetype: 'application/pdf',
+  size: 1024,
+})
+
+describe('Doctor credential service', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  it('should read qualifications from a list or comma-separated text', () => {
+    readQualifications('MBBS, MD,\nMBBS').should.deep.equal(['MBBS', 'MD'])
+    readQualifications([' FRCS ', '']).should.deep.equal(['FRCS'])
+    readQualifications(undefined).should.deep.equal([])
+  })
+
+  it('should require a license, authority and qualifications', () => {
+    readSubmission({ issuingAuthority: 'GMC', qualifications: 'MBBS' }).error.should.match(/license/)
+    readSubmission({ licenseNumber: '123', qualifications: 'MBBS' }).error.should.match(/authority/)
+    readSubmission({ licenseNumber: '123', issuingAuthority: 'GMC' }).error.should.match(/qualification/)
+    readSubmission({
+      licenseNumber: ' 123 ',
+      issuingAuthority: 'GMC',
+      qualifications: 'MBBS',
+    }).fields.should.deep.equal({
+      licenseNumber: '123',
+      issuingAuthority: 'GMC',
+      qualifications: ['MBBS'],
+    })
+  })
+
+  it('should queue a submission for review and clear an earlier verification', async () => {
+    sinon.stub(User.prototype, 'save').resolves()
+    const doctor = newDoctor({ status: 'verified', reviewNotes: 'Looks good' })
+    const fields = { licenseNumber: '123', issuingAuthority: 'GMC', qualifications: ['MBBS'] }
+
+    ;(await submitCredentials(doctor, fields, [], NOW)).error.should.match(/document/)
+
+    await submitCredentials(doctor, fields, [upload('license')], NOW)
+
+    doctor.credentials.status.should.equal('pending')
+    doctor.credentials.submittedAt.should.deep.equal(NOW)
+    chai.expect(doctor.credentials.reviewNotes).to.be.undefined
+    doctor.credentials.documents.map((d) => d.originalName).should.deep.equal(['license original.pdf'])
+    doctor.isVerifiedDoctor().should.be.false
+  })
+
+  it('should verify or reject a pending submission and notify the doctor', async () => {
+    sinon.stub(User.prototype, 'save').resolves()
+    const create = sinon.stub(Notification, 'create').rejects(new Error('offline'))
+    sinon.stub(console, 'error')
+    const doctor = newDoctor({ status: 'pending', submittedAt: NOW })
+
+    ;(await reviewCredentials(doctor, { status: 'rejected' })).error.should.match(/Notes are required/)
+    ;(await reviewCredentials(doctor, { status: 'approved' })).error.should.match(/status/)
+    create.called.should.be.false
+
+    const result = await reviewCredentials(doctor, { status: 'verified', reviewedBy: 'admin-1' }, NOW)
+
+    result.previousStatus.should.equal('pending')
+    doctor.isVerifiedDoctor().should.be.true
+    doctor.credentials.reviewedAt.should.deep.equal(NOW)
+    create.firstCall.args[0].type.should.equal('credentials_reviewed')
+  })
+
+  it('should not review a doctor who has not submitted anything', async () => {
+    const result = await reviewCredentials(newDoctor(), { status: 'verified' })
+    result.error.should.match(/not submitted/)
+  })
+})
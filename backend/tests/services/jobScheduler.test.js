@@ -0,0 +1,116 @@
+const Job = require('../../models/jobModel')
+const { createJobScheduler } = require('../../services/jobScheduler')
+const { describe, it, expect, beforeEach } = require('@jest/globals')
+
+const MINUTE = 60 * 1000
+
+// Clock the tests move forward by hand
+const createClock = (start) => {
+  let current = new Date(start).getTime()
+  return {
+    now: () => new Date(current),
+    advance: (ms) => {
+      current += ms
+    },
+  }
+}
+
+describe('Job scheduler', () => {
+  let clock, scheduler, calls
+
+  beforeEach(() => {
+    clock = createClock('2030-01-01T09:00:00Z')
+    scheduler = createJobScheduler({ clock, retryDelay: () => MINUTE })
+    calls = []
+    scheduler.defineJob('record', async (payload) => {
+      calls.push(payload)
+    })
+  })
+
+  it('should run a job only once it is due', async () => {
+    await scheduler.schedule('record', new Date('2030-01-01T10:00:00Z'), {
+      value: 1,
+    })
+
+    expect(await scheduler.runDueJobs()).toHaveLength(0)
+
+    clock.advance(60 * MINUTE)
+    const ran = await scheduler.runDueJobs()
+
+    expect(ran).toHaveLength(1)
+    expect(ran[0].status).toBe('completed')
+    expect(calls).toEqual([{ value: 1 }])
+    expect(await scheduler.runDueJobs()).toHaveLength(0)
+  })
+
+  it('should retry a failing job and give up after maxAttempts', async () => {
+    scheduler.defineJob('flaky', async () => {
+      throw new Error('SMTP unavailable')
+    })
+    const job = await scheduler.schedule('flaky', clock.now(), {}, {
+      maxAttempts: 2,
+    })
+
+    await scheduler.runDueJobs()
+    let stored = await Job.findById(job._id)
+    expect(stored.status).toBe('pending')
+    expect(stored.attempts).toBe(1)
+    expect(stored.lastError).toBe('SMTP unavailable')
+    expect(stored.runAt.getTime()).toBe(clock.now().getTime() + MINUTE)
+
+    // Not retried before the backoff has passed
+    expect(await scheduler.runDueJobs()).toHaveLength(0)
+
+    clock.advance(MINUTE)
+    await scheduler.runDueJobs()
+    stored = await Job.findById(job._id)
+    expect(stored.status).toBe('failed')
+    expect(stored.attempts).toBe(2)
+  })
+
+  it('should not run jobs cancelled by key', async () => {
+    await scheduler.schedule('record', clock.now(), {}, { key: 'group-1' })
+    await scheduler.schedule('record', clock.now(), {}, { key: 'group-2' })
+
+    await scheduler.cancel('group-1')
+    await scheduler.runDueJobs()
+
+    expect(calls).toHaveLength(1)
+    expect(await Job.countDocuments({ status: 'cancelled' })).toBe(1)
+  })
+
+  it('should pick up a job left running by a crashed process', async () => {
+    const job = await Job.create({
+      type: 'record',
+      runAt: clock.now(),
+      status: 'running',
+      lockedAt: clock.now(),
+      attempts: 1,
+    })
+
+    expect(await scheduler.runDueJobs()).toHaveLength(0)
+
+    clock.advance(10 * MINUTE)
+    await scheduler.runDueJobs()
+
+    const stored = await Job.findById(job._id)
+    expect(stored.status).toBe('completed')
+    expect(stored.attempts).toBe(2)
+  })
+
+  it('should requeue a failed job on retry', async () => {
+    const job = await Job.create({
+      type: 'record',
+      runAt: clock.now(),
+      status: 'failed',
+      attempts: 5,
+    })
+
+    const requeued = await scheduler.retryJob(job._id)
+    expect(requeued.status).toBe('pending')
+    expect(requeued.attempts).toBe(0)
+
+    await scheduler.runDueJobs()
+    expect(calls).toHaveLength(1)
+  })
+})
@@ -0,0 +1,107 @@
+const User = require('../../models/userModel')
+const AppointmentRequest = require('../../models/appointmentRequestModel')
+const Feedback = require('../../models/feedbackModel')
+const Doctor = require('../../models/doctorModel')
+const WaitlistEntry = require('../../models/waitlistEntryModel')
+const { isValidMedicalId } = require('../../services/medicalIdService')
+const { reissueMedicalId } = require('../../services/medicalIdReissueService')
+const { describe, it, expect } = require('@jest/globals')
+
+const createUser = (username, role, fields = {}) =>
+  User.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'password123',
+    role,
+    ...fields,
+  })
+
+describe('Medical ID re-issue', () => {
+  it('should issue valid, unique IDs to new users', async () => {
+    const patient = await createUser('john', 'patient')
+    const doctor = await createUser('drsmith', 'doctor')
+
+    expect(isValidMedicalId(patient.medicalId)).toBe(true)
+    expect(doctor.medicalId).toMatch(/^D-/)
+    expect(doctor.medicalId).not.toBe(patient.medicalId)
+  })
+
+  it('should not let a medical ID be edited', async () => {
+    const patient = await createUser('john', 'patient')
+    const original = patient.medicalId
+
+    patient.medicalId = 'P-0000001-8'
+    await patient.save()
+
+    const stored = await User.findById(patient._id)
+    expect(stored.medicalId).toBe(original)
+  })
+
+  it('should carry a new ID through to appointments, feedback and schedules', async () => {
+    const patient = await createUser('john', 'patient')
+    const doctor = await createUser('drsmith', 'doctor', { medicalId: 'DOC-1' })
+    await Doctor.create({ medicalId: 'DOC-1', user: doctor._id })
+    const request = await AppointmentRequest.create({
+      patientMedicalId: patient.medicalId,
+      doctorMedicalId: 'DOC-1',
+      patientName: 'john',
+      doctorName: 'drsmith',
+      patientEmail: 'john@example.com',
+      doctorEmail: 'drsmith@example.com',
+      symptoms: 'Headache',
+      contactInfo: 'john@example.com',
+      preferredDate: new Date('2099-01-05'),
+      preferredTime: '09:00',
+      status: 'cancelled',
+      statusHistory: [{ from: 'requested', to: 'cancelled', changedBy: 'DOC-1' }],
+      cancellation: { reason: 'Away', cancelledBy: 'DOC-1' },
+    })
+    await Feedback.create({
+      doctorMedicalId: 'DOC-1',
+      patientMedicalId: patient.medicalId,
+      doctorName: 'drsmith',
+      patientName: 'john',
+      rating: 5,
+      comment: 'Great',
+    })
+
+    const { newId, user } = await reissueMedicalId(doctor)
+
+    expect(isValidMedicalId(newId)).toBe(true)
+    expect(user.medicalId).toBe(newId)
+    expect(user.previousMedicalIds).toEqual(['DOC-1'])
+
+    const updated = await AppointmentRequest.findById(request._id)
+    expect(updated.doctorMedicalId).toBe(newId)
+    expect(updated.patientMedicalId).toBe(patient.medicalId)
+    expect(updated.statusHistory[0].changedBy).toBe(newId)
+    expect(updated.cancellation.cancelledBy).toBe(newId)
+    expect(await Feedback.countDocuments({ doctorMedicalId: newId })).toBe(1)
+    expect(await Doctor.countDocuments({ medicalId: newId })).toBe(1)
+  })
+
+  it('should carry new IDs through to waitlist entries', async () => {
+    const patient = await createUser('john', 'patient')
+    const doctor = await createUser('drsmith', 'doctor')
+    const entry = await WaitlistEntry.create({
+      doctorMedicalId: doctor.medicalId,
+      patientMedicalId: patient.medicalId,
+      doctorName: 'drsmith',
+      patientName: 'john',
+      patientEmail: 'john@example.com',
+      fromDate: '2099-01-05',
+      toDate: '2099-01-12',
+      symptoms: 'Headache',
+      contactInfo: 'john@example.com',
+    })
+
+    const { newId: doctorId, cascaded } = await reissueMedicalId(doctor)
+    const { newId: patientId } = await reissueMedicalId(patient)
+
+    expect(cascaded.waitlistEntries).toBe(1)
+    // Found the way freed slots and ownership checks look entries up
+    const waiting = await WaitlistEntry.find({ doctorMedicalId: doctorId, status: 'waiting' })
+    expect(waiting.map((e) => String(e._id))).toEqual([String(entry._id)])
+    expect(waiting[0].patientMedicalId).toBe(patientId)
+  })
+})
@@ -0,0 +1,49 @@
+const {
+  readConfig,
+  luhnCheckDigit,
+  formatMedicalId,
+  parseMedicalId,
+  isValidMedicalId,
+} = require('../../services/medicalIdService')
+const { describe, it, expect } = require('@jest/globals')
+
+describe('Medical IDs', () => {
+  it('should compute Luhn check digits', () => {
+    // Standard Luhn example: 7992739871 has check digit 3
+    expect(luhnCheckDigit('7992739871')).toBe('3')
+    expect(luhnCheckDigit('0000000')).toBe('0')
+  })
+
+  it('should format IDs with the role prefix and a check digit', () => {
+    const config = readConfig({})
+
+    expect(formatMedicalId('patient', 42, config)).toBe('P-0000042-2')
+    expect(formatMedicalId('doctor', 99, config)).toBe('D-0000099-2')
+    expect(() => formatMedicalId('nurse', 1, config)).toThrow()
+  })
+
+  it('should read prefixes and width from the environment', () => {
+    const config = readConfig({
+      MEDICAL_ID_PREFIXES: 'patient:PT, doctor:dr, admin:ADM',
+      MEDICAL_ID_DIGITS: '4',
+    })
+
+    expect(config.prefixes).toEqual({ patient: 'PT', doctor: 'D', admin: 'ADM' })
+    expect(formatMedicalId('patient', 42, config)).toMatch(/^PT-0042-\d$/)
+  })
+
+  it('should accept issued IDs and reject tampered ones', () => {
+    const id = formatMedicalId('patient', 1234, readConfig({}))
+
+    expect(isValidMedicalId(id)).toBe(true)
+    expect(parseMedicalId(id)).toEqual({ prefix: 'P', number: '0001234', checkDigit: id.slice(-1) })
+    expect(isValidMedicalId(id.replace('1234', '1243'))).toBe(false)
+    expect(isValidMedicalId(`${id.slice(0, -1)}${(Number(id.slice(-1)) + 1) % 10}`)).toBe(false)
+  })
+
+  it('should reject legacy free-form IDs', () => {
+    for (const id of ['12345', 'DOC-1', 'p-0000042-6', '', null, undefined]) {
+      expect(isValidMedicalId(id)).toBe(false)
+    }
+  })
+})
@@ -0,0 +1,147 @@
+const AppointmentRequest = require('../../models/appointmentRequestModel')
+const Job = require('../../models/jobModel')
+const { createJobScheduler } = require('../../services/jobScheduler')
+const {
+  registerReminderJobs,
+  syncReminders,
+} = require('../../services/reminderService')
+const { startSmtpServer } = require('../helpers/smtpServer')
+const {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  beforeEach,
+} = require('@jest/globals')
+
+const HOUR = 60 * 60 * 1000
+
+const createClock = (start) => {
+  let current = new Date(start).getTime()
+  return {
+    now: () => new Date(current),
+    set: (time) => {
+      current = new Date(time).getTime()
+    },
+  }
+}
+
+const createAppointment = (fields = {}) =>
+  AppointmentRequest.create({
+    doctorMedicalId: 'DOC-1',
+    patientMedicalId: 'PAT-1',
+    doctorName: 'Smith',
+    patientName: 'John Doe',
+    doctorEmail: 'drsmith@example.com',
+    patientEmail: 'john@example.com',
+    preferredDate: new Date('2030-01-10'),
+    preferredTime: '10:00',
+    scheduledDate: new Date('2030-01-10'),
+    scheduledTime: '10:00',
+    symptoms: 'Fever',
+    contactInfo: 'john@example.com',
+    status: 'approved',
+    ...fields,
+  })
+
+describe('Appointment reminders', () => {
+  let smtp, clock, scheduler
+  const originalEnv = { ...process.env }
+
+  beforeAll(async () => {
+    smtp = await startSmtpServer()
+    process.env.SMTP_HOST = '127.0.0.1'
+    process.env.SMTP_PORT = String(smtp.port)
+    process.env.EMAIL_FROM = 'no-reply@careconnect.local'
+    delete process.env.EMAIL_USER
+  })
+
+  afterAll(async () => {
+    process.env = originalEnv
+    await smtp.close()
+  })
+
+  beforeEach(() => {
+    smtp.messages.length = 0
+    clock = createClock('2030-01-01T09:00:00Z')
+    scheduler = createJobScheduler({ clock })
+    registerReminderJobs(scheduler)
+  })
+
+  it('should email both sides 24 hours and 1 hour before', async () => {
+    const appointment = await createAppointment()
+
+    const jobs = await syncReminders(appointment, scheduler)
+    expect(jobs).toHaveLength(4)
+
+    clock.set('2030-01-09T09:59:00Z')
+    await scheduler.runDueJobs()
+    expect(smtp.messages).toHaveLength(0)
+
+    clock.set('2030-01-09T10:00:00Z')
+    await scheduler.runDueJobs()
+    expect(smtp.messages.map((m) => m.to[0]).sort()).toEqual([
+      'drsmith@example.com',
+      'john@example.com',
+    ])
+
+    clock.set('2030-01-10T09:00:00Z')
+    await scheduler.runDueJobs()
+    expect(smtp.messages).toHaveLength(4)
+  })
+
+  it('should replace queued reminders when the appointment moves', async () => {
+    const appointment = await createAppointment()
+    await syncReminders(appointment, scheduler)
+
+    appointment.transitionTo('rescheduled')
+    appointment.scheduledDate = new Date('2030-01-12')
+    await appointment.save()
+    await syncReminders(appointment, scheduler)
+
+    expect(await Job.countDocuments({ status: 'cancelled' })).toBe(4)
+    const pending = await Job.find({ status: 'pending' }).sort({ runAt: 1 })
+    expect(pending).toHaveLength(4)
+    expect(pending[0].runAt.toISOString()).toBe('2030-01-11T10:00:00.000Z')
+
+    clock.set('2030-01-09T10:00:00Z')
+    await scheduler.runDueJobs()
+    expect(smtp.messages).toHaveLength(0)
+  })
+
+  it('should drop reminders when the appointment is cancelled', async () => {
+    const appointment = await createAppointment()
+    await syncReminders(appointment, scheduler)
+
+    appointment.transitionTo('cancelled')
+    await appointment.save()
+    await syncReminders(appointment, scheduler)
+
+    expect(await Job.countDocuments({ status: 'pending' })).toBe(0)
+  })
+
+  it('should skip reminders whose time has already passed', async () => {
+    clock.set(new Date(Date.parse('2030-01-10T10:00:00Z') - 2 * HOUR))
+    const appointment = await createAppointment()
+
+    const jobs = await syncReminders(appointment, scheduler)
+
+    expect(jobs).toHaveLength(2)
+    expect(jobs.every((job) => job.payload.hoursBefore === 1)).toBe(true)
+  })
+
+  it('should retry a reminder when the mail server is unreachable', async () => {
+    const appointment = await createAppointment()
+    await syncReminders(appointment, scheduler)
+    process.env.SMTP_PORT = '1'
+
+    clock.set('2030-01-09T10:00:00Z')
+    await scheduler.runDueJobs()
+
+    process.env.SMTP_PORT = String(smtp.port)
+    const retrying = await Job.find({ status: 'pending', attempts: 1 })
+    expect(retrying).toHaveLength(2)
+    expect(retrying[0].lastError).toBeDefined()
+  })
+})
@@ -0,0 +1,92 @@
+const jwt = require('jsonwebtoken')
+const User = require('../../models/userModel')
+const Session = require('../../models/sessionModel')
+const Notification = require('../../models/notificationModel')
+const {
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+} = require('../../services/sessionService')
+const { describe, it, expect, beforeEach } = require('@jest/globals')
+
+const req = { get: () => 'jest', ip: '127.0.0.1' }
+
+// Pretend the given refresh token was rotated out long ago
+const ageRotation = (sessionId) =>
+  Session.updateOne(
+    { _id: sessionId },
+    { $set: { 'previousTokens.$[].rotatedAt': new Date(Date.now() - 60 * 60 * 1000) } },
+  )
+
+describe('Session service', () => {
+  let user
+
+  beforeEach(async () => {
+    user = await User.create({
+      username: 'john',
+      email: 'john@example.com',
+      password: 'password123',
+      role: 'patient',
+    })
+  })
+
+  it('should issue a short-lived access token tied to the session', async () => {
+    const { session, token, refreshToken } = await createSession(user, req)
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    expect(decoded.sid).toBe(String(session._id))
+    expect(decoded.exp - decoded.iat).toBe(15 * 60)
+    expect(refreshToken.startsWith(`${session._id}.`)).toBe(true)
+    expect(session.tokenHash).not.toContain(refreshToken.split('.')[1])
+  })
+
+  it('should rotate the refresh token on every use', async () => {
+    const first = await createSession(user, req)
+
+    const second = await rotateSession(first.refreshToken, req)
+    const third = await rotateSession(second.refreshToken, req)
+
+    expect(second.refreshToken).not.toBe(first.refreshToken)
+    expect(third.refreshToken).not.toBe(second.refreshToken)
+    expect(String(third.user._id)).toBe(String(user._id))
+  })
+
+  it('should treat a just-rotated token as a race, not theft', async () => {
+    const { session, refreshToken } = await createSession(user, req)
+    await rotateSession(refreshToken, req)
+
+    await expect(rotateSession(refreshToken, req)).rejects.toMatchObject({ code: 'stale' })
+    expect((await Session.findById(session._id)).revokedAt).toBeNull()
+  })
+
+  it('should end the session when an old token is reused', async () => {
+    const { session, refreshToken } = await createSession(user, req)
+    const rotated = await rotateSession(refreshToken, req)
+    await ageRotation(session._id)
+
+    await expect(rotateSession(refreshToken, req)).rejects.toMatchObject({ code: 'reused' })
+
+    const revoked = await Session.findById(session._id)
+    expect(revoked.revokedReason).toBe('reuse_detected')
+    // The token the legitimate client holds is dead too
+    await expect(rotateSession(rotated.refreshToken, req)).rejects.toMatchObject({
+      code: 'invalid',
+    })
+    expect(await Notification.countDocuments({ user: user._id, type: 'security_alert' })).toBe(1)
+  })
+
+  it('should revoke the session on logout', async () => {
+    const { session, refreshToken } = await createSession(user, req)
+
+    await revokeByRefreshToken(refreshToken)
+
+    expect(await Session.isActiveId(session._id)).toBe(false)
+    await expect(rotateSession(refreshToken, req)).rejects.toMatchObject({ code: 'invalid' })
+  })
+
+  it('should reject malformed refresh tokens', async () => {
+    for (const token of ['', 'abc', 'not-an-id.secret', null]) {
+      await expect(rotateSession(token, req)).rejects.toMatchObject({ code: 'invalid' })
+    }
+  })
+})
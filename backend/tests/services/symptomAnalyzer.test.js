@@ -0,0 +1,132 @@
+const {
+  createSymptomAnalyzer,
+  createProviderFromEnv,
+} = require('../../services/nlpService')
+const { analyzeWithRules } = require('../../services/symptomProviders/ruleEngineProvider')
+const { parseAssessment } = require('../../services/symptomProviders/prompt')
+const { describe, it, expect } = require('@jest/globals')
+
+describe('Rule engine', () => {
+  it('should treat red-flag symptoms as an emergency', () => {
+    const result = analyzeWithRules('Crushing chest pain and shortness of breath')
+
+    expect(result.severity_score).toBe(10)
+    expect(result.urgency).toBe('Emergency')
+    expect(result.recommended_action).toBe('Seek immediate emergency care')
+  })
+
+  it('should ignore negated red flags', () => {
+    const result = analyzeWithRules('Runny nose and sneezing, no chest pain, not short of breath')
+
+    expect(result.urgency).toBe('Routine')
+  })
+
+  it('should still catch a red flag after an unrelated negation', () => {
+    expect(analyzeWithRules('no fever but chest pain').urgency).toBe('Emergency')
+  })
+
+  it('should raise the score when symptoms are getting worse', () => {
+    const steady = analyzeWithRules('fever and vomiting')
+    const worsening = analyzeWithRules('fever and vomiting, getting worse')
+
+    expect(worsening.severity_score).toBe(steady.severity_score + 1)
+  })
+
+  it('should give the same answer for the same symptoms', () => {
+    expect(analyzeWithRules('high fever')).toEqual(analyzeWithRules('high fever'))
+  })
+
+  it('should give a routine assessment when nothing matches', () => {
+    const result = analyzeWithRules('something feels off')
+
+    expect(result.severity_score).toBe(3)
+    expect(result.urgency).toBe('Routine')
+  })
+})
+
+describe('LLM response parsing', () => {
+  it('should read the JSON assessment out of surrounding text', () => {
+    const result = parseAssessment(
+      'Here you go:\n{"severity_score": 7.4, "urgency": "Urgent", "first_aid_tips": ["Rest"]}',
+    )
+
+    expect(result.severity_score).toBe(7)
+    expect(result.urgency).toBe('Urgent')
+    expect(result.first_aid_tips).toEqual(['Rest'])
+    expect(result.warning_signs).toEqual([])
+  })
+
+  it('should reject a reply without a usable score', () => {
+    expect(() => parseAssessment('I cannot help with that')).toThrow()
+    expect(() => parseAssessment('{"severity_score": "high"}')).toThrow()
+  })
+})
+
+describe('Symptom analyzer', () => {
+  const failingProvider = {
+    name: 'gemini',
+    analyze: async () => {
+      throw new Error('quota exceeded')
+    },
+  }
+
+  it('should use the provider when it answers', async () => {
+    const provider = {
+      name: 'stub',
+      analyze: async () => ({
+        ...analyzeWithRules('cough'),
+        severity_score: 4,
+        urgency: 'Same Day',
+      }),
+    }
+
+    const result = await createSymptomAnalyzer({ provider })('cough')
+
+    expect(result.provider).toBe('stub')
+    expect(result.fallback).toBe(false)
+    expect(result.severityScore).toBe(4)
+  })
+
+  it('should fall back to the rule engine instead of a fixed score', async () => {
+    const result = await createSymptomAnalyzer({ provider: failingProvider })(
+      'difficulty breathing',
+    )
+
+    expect(result.provider).toBe('rules')
+    expect(result.fallback).toBe(true)
+    expect(result.urgency).toBe('Emergency')
+    expect(result.formattedMessage).toContain('built-in rules')
+  })
+
+  it('should fall back when the provider takes too long', async () => {
+    const slowProvider = { name: 'openai', analyze: () => new Promise(() => {}) }
+
+    const result = await createSymptomAnalyzer({ provider: slowProvider, timeout: 10 })('cough')
+
+    expect(result.provider).toBe('rules')
+  })
+})
+
+describe('Provider selection', () => {
+  it('should use the rule engine when no API key is configured', () => {
+    expect(createProviderFromEnv({}).name).toBe('rules')
+  })
+
+  it('should use Gemini when a key is configured', () => {
+    expect(createProviderFromEnv({ GEMINI_API_KEY: 'key' }).name).toBe('gemini')
+  })
+
+  it('should use an OpenAI-compatible endpoint when asked', () => {
+    const provider = createProviderFromEnv({
+      SYMPTOM_PROVIDER: 'openai',
+      OPENAI_BASE_URL: 'http://localhost:11434/v1',
+      OPENAI_MODEL: 'llama3.1',
+    })
+
+    expect(provider.name).toBe('openai')
+  })
+
+  it('should reject an unknown provider', () => {
+    expect(() => createProviderFromEnv({ SYMPTOM_PROVIDER: 'magic' })).toThrow('Unknown SYMPTOM_PROVIDER')
+  })
+})
@@ -0,0 +1,58 @@
+const {
+  isValidTimeZone,
+  toInstant,
+  isValidLocalTime,
+  toDateKeyIn,
+  startOfDay,
+  formatInstant,
+} = require('../../services/timeZoneService')
+const { describe, it, expect } = require('@jest/globals')
+
+// In 2026 the UK clocks go forward at 01:00 on 29 March and back at 02:00 on
+// 25 October; US Eastern ones go forward on 8 March and back on 1 November.
+describe('Time zones', () => {
+  it('should turn wall-clock times into instants on either side of a change', () => {
+    expect(toInstant('2026-03-28', '09:00', 'Europe/London').toISOString()).toBe('2026-03-28T09:00:00.000Z')
+    expect(toInstant('2026-03-29', '09:00', 'Europe/London').toISOString()).toBe('2026-03-29T08:00:00.000Z')
+    expect(toInstant('2026-11-01', '09:00', 'America/New_York').toISOString()).toBe('2026-11-01T14:00:00.000Z')
+    expect(toInstant('2026-10-31', '09:00', 'America/New_York').toISOString()).toBe('2026-10-31T13:00:00.000Z')
+  })
+
+  it('should move times skipped when the clocks go forward past the gap', () => {
+    expect(isValidLocalTime('2026-03-29', '01:30', 'Europe/London')).toBe(false)
+    expect(isValidLocalTime('2026-03-08', '02:30', 'America/New_York')).toBe(false)
+    expect(isValidLocalTime('2026-03-29', '02:00', 'Europe/London')).toBe(true)
+
+    // 01:30 GMT doesn't happen, so it becomes 02:30 BST
+    expect(toInstant('2026-03-29', '01:30', 'Europe/London').toISOString()).toBe('2026-03-29T01:30:00.000Z')
+  })
+
+  it('should take the first of two times repeated when the clocks go back', () => {
+    expect(isValidLocalTime('2026-10-25', '01:30', 'Europe/London')).toBe(true)
+    // 01:30 BST, not 01:30 GMT an hour later
+    expect(toInstant('2026-10-25', '01:30', 'Europe/London').toISOString()).toBe('2026-10-25T00:30:00.000Z')
+    expect(toInstant('2026-11-01', '01:30', 'America/New_York').toISOString()).toBe('2026-11-01T05:30:00.000Z')
+  })
+
+  it('should find dates and the start of a day in a zone', () => {
+    const instant = new Date('2026-07-01T02:00:00Z')
+
+    expect(toDateKeyIn(instant, 'Europe/London')).toBe('2026-07-01')
+    expect(toDateKeyIn(instant, 'America/Los_Angeles')).toBe('2026-06-30')
+    expect(startOfDay('2026-07-01', 'Asia/Kolkata').toISOString()).toBe('2026-06-30T18:30:00.000Z')
+  })
+
+  it('should format instants for the reader', () => {
+    const instant = new Date('2026-07-01T08:00:00Z')
+
+    expect(formatInstant(instant, 'Europe/London')).toBe('Wed, 1 Jul 2026, 09:00 BST')
+    expect(formatInstant(instant, 'Asia/Tokyo', 'time')).toBe('17:00 GMT+9')
+    expect(formatInstant(instant, 'America/Los_Angeles', 'date')).toBe('Wed, 1 Jul 2026')
+  })
+
+  it('should only accept IANA zones', () => {
+    expect(isValidTimeZone('Europe/Paris')).toBe(true)
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false)
+    expect(isValidTimeZone('')).toBe(false)
+  })
+})
@@ -0,0 +1,73 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  totp,
+  verifyTotp,
+  keyUri,
+} = require('../../services/totpService')
+const { describe, it, expect } = require('@jest/globals')
+
+// Seeds and expected values from RFC 6238, Appendix B
+const SEEDS = {
+  sha1: Buffer.from('12345678901234567890'),
+  sha256: Buffer.from('12345678901234567890123456789012'),
+  sha512: Buffer.from(
+    '1234567890123456789012345678901234567890123456789012345678901234',
+  ),
+}
+
+const VECTORS = [
+  [59, '94287082', '46119246', '90693936'],
+  [1111111109, '07081804', '68084774', '25091201'],
+  [1111111111, '14050471', '67062674', '99943326'],
+  [1234567890, '89005924', '91819424', '93441116'],
+  [2000000000, '69279037', '90698825', '38618901'],
+  [20000000000, '65353130', '77737706', '47863826'],
+]
+
+describe('TOTP', () => {
+  it('should match the RFC 6238 test vectors', () => {
+    for (const [seconds, sha1, sha256, sha512] of VECTORS) {
+      const time = seconds * 1000
+      expect(totp(SEEDS.sha1, time, { digits: 8 })).toBe(sha1)
+      expect(totp(SEEDS.sha256, time, { digits: 8, algorithm: 'sha256' })).toBe(sha256)
+      expect(totp(SEEDS.sha512, time, { digits: 8, algorithm: 'sha512' })).toBe(sha512)
+    }
+  })
+
+  it('should round-trip base32 secrets', () => {
+    expect(base32Encode(SEEDS.sha1)).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ')
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq')).toEqual(SEEDS.sha1)
+
+    const secret = generateSecret()
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/)
+    expect(base32Decode(secret)).toHaveLength(20)
+  })
+
+  it('should accept codes within one step of drift and report the step', () => {
+    const secret = base32Encode(SEEDS.sha1)
+    const time = 1111111109 * 1000
+    const code = totp(SEEDS.sha1, time)
+
+    expect(code).toBe('081804')
+    expect(verifyTotp(secret, code, { time })).toBe(37037036)
+    expect(verifyTotp(secret, code, { time: time + 30000 })).toBe(37037036)
+    expect(verifyTotp(secret, code, { time: time + 60000 })).toBeNull()
+    expect(verifyTotp(secret, '123', { time })).toBeNull()
+    expect(verifyTotp(secret, undefined, { time })).toBeNull()
+  })
+
+  it('should build an otpauth URI for QR codes', () => {
+    const uri = keyUri({
+      secret: 'JBSWY3DPEHPK3PXP',
+      accountName: 'drsmith@example.com',
+      issuer: 'CareConnect',
+    })
+
+    expect(uri).toBe(
+      'otpauth://totp/CareConnect%3Adrsmith%40example.com?secret=JBSWY3DPEHPK3PXP' +
+        '&issuer=CareConnect&algorithm=SHA1&digits=6&period=30',
+    )
+  })
+})
@@ -0,0 +1,138 @@
+const chai = require('chai')
+const sinon = require('sinon')
+const User = require('../../models/userModel')
+const AppointmentRequest = require('../../models/appointmentRequestModel')
+const {
+  ESCALATION_JOB,
+  readTriageConfig,
+  readAssessment,
+  triageTimer,
+  compareForTriage,
+  scheduleEscalation,
+  escalateRequest,
+} = require('../../services/triageService')
+const { describe, it, afterEach } = require('@jest/globals')
+
+chai.should()
+
+const NOW = new Date('2030-01-10T09:00:00Z')
+
+const minutesAgo = (minutes) => new Date(NOW.getTime() - minutes * 60 * 1000)
+
+const newRequest = (fields = {}) =>
+  new AppointmentRequest({
+    doctorMedicalId: 'DOC-1',
+    patientMedicalId: 'PAT-1',
+    doctorName: 'Smith',
+    patientName: 'jdoe',
+    doctorEmail: 'smith@example.com',
+    patientEmail: 'jdoe@example.com',
+    preferredDate: new Date('2030-01-12T00:00:00Z'),
+    preferredTime: '10:00',
+    symptoms: 'Chest pain',
+    contactInfo: '555-0100',
+    createdAt: NOW,
+    ...fields,
+  })
+
+const fakeScheduler = () => ({
+  now: () => new Date(NOW),
+  cancel: sinon.stub().resolves(),
+  schedule: sinon.stub().resolves(),
+})
+
+describe('Triage service', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  it('should read SLA overrides from the environment', () => {
+    const { slaMinutes } = readTriageConfig({
+      TRIAGE_SLA_EMERGENCY_MINUTES: '15',
+      TRIAGE_SLA_SAME_DAY_MINUTES: '240',
+      TRIAGE_SLA_URGENT_MINUTES: 'soon',
+    })
+    slaMinutes.Emergency.should.equal(15)
+    slaMinutes['Same Day'].should.equal(240)
+    slaMinutes.Urgent.should.equal(120)
+  })
+
+  it('should validate the symptom assessment sent with a booking', () => {
+    chai.expect(readAssessment(undefined).assessment).to.be.null
+    readAssessment({ severityScore: 11, urgency: 'Urgent' }).should.have.property('error')
+    readAssessment({ severityScore: 7, urgency: 'Soon' }).should.have.property('error')
+
+    const { assessment } = readAssessment(
+      { severityScore: '7', urgency: 'Urgent', summary: '  Sharp pain  ', recommendedAction: '' },
+      NOW
+    )
+    assessment.should.deep.equal({
+      severityScore: 7,
+      urgency: 'Urgent',
+      recommendedAction: undefined,
+      summary: 'Sharp pain',
+      assessedAt: NOW,
+    })
+  })
+
+  it('should order the queue by urgency, then by how long requests have waited', () => {
+    const routine = newRequest({ urgencyLevel: 'Routine', createdAt: minutesAgo(600) })
+    const urgentNew = newRequest({ urgencyLevel: 'Urgent', createdAt: minutesAgo(10) })
+    const urgentOld = newRequest({ urgencyLevel: 'Urgent', createdAt: minutesAgo(90) })
+    const emergency = newRequest({ urgencyLevel: 'Emergency', createdAt: minutesAgo(5) })
+
+    const queue = [routine, urgentNew, emergency, urgentOld].sort(compareForTriage)
+
+    queue.should.deep.equal([emergency, urgentOld, urgentNew, routine])
+  })
+
+  it('should time requests against their tier SLA', () => {
+    const config = readTriageConfig({})
+    const timer = triageTimer(newRequest({ urgencyLevel: 'Emergency', createdAt: minutesAgo(45) }), config, NOW)
+
+    timer.slaMinutes.should.equal(30)
+    timer.dueAt.should.deep.equal(minutesAgo(15))
+    timer.waitingMinutes.should.equal(45)
+    timer.overdue.should.be.true
+
+    triageTimer(newRequest({ urgencyLevel: 'Routine', createdAt: minutesAgo(45) }), config, NOW)
+      .overdue.should.be.false
+  })
+
+  it('should only queue escalations for urgent requests', async () => {
+    const scheduler = fakeScheduler()
+    const config = readTriageConfig({})
+
+    chai.expect(await scheduleEscalation(newRequest({ urgencyLevel: 'Same Day' }), { scheduler, config })).to.be.null
+    scheduler.schedule.called.should.be.false
+
+    const urgent = newRequest({ urgencyLevel: 'Urgent' })
+    await scheduleEscalation(urgent, { scheduler, config })
+
+    const [type, runAt, payload, options] = scheduler.schedule.firstCall.args
+    type.should.equal(ESCALATION_JOB)
+    runAt.should.deep.equal(new Date('2030-01-10T11:00:00Z'))
+    payload.should.deep.equal({ appointmentRequestId: String(urgent._id) })
+    options.key.should.equal(`triage-escalation:${urgent._id}`)
+  })
+
+  it('should escalate an unanswered request once and skip answered ones', async () => {
+    const waiting = newRequest({ urgencyLevel: 'Emergency', createdAt: minutesAgo(40) })
+    const approved = newRequest({ urgencyLevel: 'Emergency', status: 'approved' })
+    const findById = sinon.stub(AppointmentRequest, 'findById')
+    findById.onFirstCall().resolves(waiting)
+    findById.onSecondCall().resolves(waiting)
+    findById.onThirdCall().resolves(approved)
+    const save = sinon.stub(AppointmentRequest.prototype, 'save').resolves()
+    sinon.stub(User, 'findOne').returns({ select: sinon.stub().resolves(null) })
+    sinon.stub(User, 'find').returns({ select: sinon.stub().resolves([]) })
+    sinon.stub(console, 'error')
+
+    const escalated = await escalateRequest({ appointmentRequestId: waiting._id }, { now: NOW })
+    escalated.escalatedAt.should.deep.equal(NOW)
+
+    chai.expect(await escalateRequest({ appointmentRequestId: waiting._id }, { now: NOW })).to.be.null
+    chai.expect(await escalateRequest({ appointmentRequestId: approved._id }, { now: NOW })).to.be.null
+    save.calledOnce.should.be.true
+  })
+})
@@ -0,0 +1,91 @@
+const chai = require('chai')
+const sinon = require('sinon')
+const User = require('../../models/userModel')
+const Session = require('../../models/sessionModel')
+const {
+  buildUserFilter,
+  readSort,
+  applyAdminEdits,
+  changeUserRole,
+} = require('../../services/userAdminService')
+const { describe, it, afterEach } = require('@jest/globals')
+
+chai.should()
+
+const newUser = (fields = {}) =>
+  new User({
+    username: 'jdoe',
+    email: 'jdoe@example.com',
+    password: 'hashed-password',
+    role: 'patient',
+    medicalId: 'PAT-1',
+    ...fields,
+  })
+
+describe('User admin service', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  it('should build filters for search, role, presence and status', () => {
+    const now = new Date('2030-01-01T09:00:00Z')
+    const { filter } = buildUserFilter(
+      { search: 'j.doe', role: 'doctor', online: 'true', status: 'locked' },
+      now,
+    )
+    filter.$or.map((clause) => Object.keys(clause)[0]).should.deep.equal([
+      'username',
+      'email',
+      'medicalId',
+    ])
+    filter.$or[0].username.source.should.equal('j\\.doe')
+    filter.role.should.equal('doctor')
+    filter.isOnline.should.be.true
+    filter['lockout.lockedUntil'].should.deep.equal({ $gt: now })
+
+    buildUserFilter({ status: 'suspended' }).filter['suspension.suspendedAt'].should.deep.equal({
+      $ne: null,
+    })
+    buildUserFilter({ role: 'nurse' }).error.should.equal('Invalid role')
+    buildUserFilter({ status: 'gone' }).error.should.match(/status/)
+  })
+
+  it('should sort by known fields only', () => {
+    readSort('-created').should.deep.equal({ timeStamp: -1, _id: 1 })
+    readSort('name').should.deep.equal({ username: 1, _id: 1 })
+    readSort('password').should.deep.equal({ timeStamp: -1, _id: 1 })
+  })
+
+  it('should only apply whitelisted edits', () => {
+    const user = newUser()
+
+    applyAdminEdits(user, { phoneNumber: ' 555-0100 ' }).should.deep.equal({})
+    user.phoneNumber.should.equal('555-0100')
+
+    applyAdminEdits(user, { password: 'x' }).error.should.match(/^password can't be edited/)
+    applyAdminEdits(user, { specialty: 'Cardiology' }).error.should.match(/Only doctors/)
+    applyAdminEdits(user, { email: 'not-an-email' }).error.should.equal('A valid email is required')
+    user.email.should.equal('jdoe@example.com')
+  })
+
+  it('should sign a user out everywhere when their role changes', async () => {
+    const user = newUser({ role: 'doctor', medicalId: 'DOC-1' })
+    const session = new Session({ user: user._id })
+    sinon.stub(User.prototype, 'save').resolves()
+    sinon.stub(Session.prototype, 'save').resolves()
+    const find = sinon.stub(Session, 'find').returns({ sort: sinon.stub().resolves([session]) })
+
+    await changeUserRole(user, 'patient')
+
+    user.role.should.equal('patient')
+    find.firstCall.args[0].user.should.equal(user._id)
+    session.revokedReason.should.equal('role_changed')
+    session.revokedAt.should.be.an.instanceOf(Date)
+  })
+
+  it('should never serialize the password hash', () => {
+    const json = newUser().toJSON()
+    json.should.not.have.property('password')
+    json.username.should.equal('jdoe')
+  })
+})
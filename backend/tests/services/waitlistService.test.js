@@ -0,0 +1,152 @@
+const chai = require('chai')
+const sinon = require('sinon')
+const User = require('../../models/userModel')
+const Doctor = require('../../models/doctorModel')
+const SlotReservation = require('../../models/slotReservationModel')
+const WaitlistEntry = require('../../models/waitlistEntryModel')
+const { SLOTS_FREED_JOB } = require('../../services/availabilityService')
+const {
+  OFFER_EXPIRY_JOB,
+  readWaitlistRequest,
+  offerFreedSlots,
+  acceptOffer,
+  expireOffer,
+} = require('../../services/waitlistService')
+const { describe, it, afterEach } = require('@jest/globals')
+
+chai.should()
+
+const NOW = new Date('2030-01-10T09:00:00Z')
+
+const newEntry = (fields = {}) =>
+  new WaitlistEntry({
+    doctorMedicalId: 'DOC-1',
+    patientMedicalId: 'PAT-1',
+    doctorName: 'Smith',
+    patientName: 'jdoe',
+    patientEmail: 'jdoe@example.com',
+    fromDate: '2030-01-10',
+    toDate: '2030-01-20',
+    symptoms: 'Back pain',
+    contactInfo: '555-0100',
+    ...fields,
+  })
+
+const fakeScheduler = () => ({
+  now: () => new Date(NOW),
+  cancel: sinon.stub().resolves(),
+  schedule: sinon.stub().resolves(),
+})
+
+const withOffer = (entry, expiresAt) => {
+  entry.status = 'offered'
+  entry.offers.push({ date: '2030-01-12', time: '10:00', expiresAt })
+  return entry
+}
+
+describe('Waitlist service', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  it('should validate a request to join a waitlist', () => {
+    const body = {
+      fromDate: '2030-01-10',
+      toDate: '2030-01-20',
+      timesOfDay: ['morning'],
+      symptoms: ' Back pain ',
+      contactInfo: '555-0100',
+    }
+
+    readWaitlistRequest(body, NOW).fields.should.deep.equal({
+      fromDate: '2030-01-10',
+      toDate: '2030-01-20',
+      timesOfDay: ['morning'],
+      symptoms: 'Back pain',
+      contactInfo: '555-0100',
+      meetingType: 'offline',
+    })
+    readWaitlistRequest({ ...body, fromDate: '2030-01-21' }, NOW).should.have.property('error')
+    readWaitlistRequest({ ...body, fromDate: '2030-01-01', toDate: '2030-01-09' }, NOW).should.have.property('error')
+    readWaitlistRequest({ ...body, toDate: '2030-06-01' }, NOW).should.have.property('error')
+    readWaitlistRequest({ ...body, timesOfDay: ['night'] }, NOW).should.have.property('error')
+  })
+
+  it('should hold a freed slot for the first patient it suits', async () => {
+    const afternoons = newEntry({ patientMedicalId: 'PAT-1', timesOfDay: ['afternoon'] })
+    const mornings = newEntry({ patientMedicalId: 'PAT-2', timesOfDay: ['morning'] })
+    const later = newEntry({ patientMedicalId: 'PAT-3' })
+    const findUser = sinon.stub(User, 'findOne').returns({ select: sinon.stub().resolves(null) })
+    findUser.onFirstCall().returns({ select: sinon.stub().resolves({ _id: 'doctor' }) })
+    sinon.stub(WaitlistEntry, 'find').returns({ sort: sinon.stub().resolves([afternoons, mornings, later]) })
+    sinon.stub(Doctor, 'findOne').resolves(
+      new Doctor({ medicalId: 'DOC-1', dateOverrides: [{ date: '2030-01-12', slots: ['10:00'] }] })
+    )
+    const hold = sinon.stub(SlotReservation, 'insertMany').resolves()
+    // The slot is taken once it has been held
+    sinon.stub(SlotReservation, 'find').returns({
+      select: sinon.stub().callsFake(async () => (hold.called ? [{ time: '10:00' }] : [])),
+    })
+    sinon.stub(WaitlistEntry.prototype, 'save').resolves()
+    sinon.stub(console, 'error')
+    const scheduler = fakeScheduler()
+
+    const offers = await offerFreedSlots(
+      { doctorMedicalId: 'DOC-1', date: '2030-01-12' },
+      { scheduler, config: { holdMinutes: 30 } }
+    )
+
+    offers.should.have.length(1)
+    mornings.status.should.equal('offered')
+    mornings.pendingOffer().expiresAt.should.deep.equal(new Date('2030-01-10T09:30:00Z'))
+    afternoons.status.should.equal('waiting')
+    later.status.should.equal('waiting')
+    const steps = hold.firstCall.args[0]
+    steps.map((step) => step.time).should.deep.equal(['10:00', '10:05', '10:10', '10:15', '10:20', '10:25'])
+    steps[0].should.deep.equal({
+      doctorMedicalId: 'DOC-1',
+      date: '2030-01-12',
+      time: '10:00',
+      startTime: '10:00',
+      waitlistEntry: mornings._id,
+    })
+    scheduler.schedule.firstCall.args[0].should.equal(OFFER_EXPIRY_JOB)
+  })
+
+  it('should release an expired hold so the slot moves on', async () => {
+    const entry = withOffer(newEntry(), new Date('2030-01-10T08:30:00Z'))
+    const offer = entry.pendingOffer()
+    sinon.stub(WaitlistEntry, 'findById').resolves(entry)
+    sinon.stub(WaitlistEntry.prototype, 'save').resolves()
+    sinon.stub(SlotReservation, 'find').returns({
+      select: sinon.stub().resolves([{ doctorMedicalId: 'DOC-1', date: '2030-01-12' }]),
+    })
+    const release = sinon.stub(SlotReservation, 'deleteMany').resolves({ deletedCount: 1 })
+    const scheduler = fakeScheduler()
+
+    await expireOffer({ entryId: entry._id, offerId: offer._id }, { scheduler })
+
+    entry.status.should.equal('waiting')
+    offer.status.should.equal('expired')
+    release.firstCall.args[0].should.deep.equal({ waitlistEntry: entry._id })
+    scheduler.cancel.calledWith(`waitlist-offer:${entry._id}`).should.be.true
+    const [type, , payload] = scheduler.schedule.firstCall.args
+    type.should.equal(SLOTS_FREED_JOB)
+    payload.should.deep.equal({ doctorMedicalId: 'DOC-1', date: '2030-01-12' })
+  })
+
+  it('should refuse to accept an offer once its hold has run out', async () => {
+    const entry = withOffer(newEntry(), new Date('2030-01-10T08:59:00Z'))
+    sinon.stub(WaitlistEntry, 'findById').resolves(entry)
+    sinon.stub(WaitlistEntry.prototype, 'save').resolves()
+    sinon.stub(SlotReservation, 'find').returns({ select: sinon.stub().resolves([]) })
+    sinon.stub(SlotReservation, 'deleteMany').resolves({ deletedCount: 0 })
+    const findUser = sinon.stub(User, 'findOne')
+
+    const result = await acceptOffer(entry, { scheduler: fakeScheduler() })
+
+    result.status.should.equal(410)
+    entry.status.should.equal('waiting')
+    findUser.called.should.be.false
+  })
+})
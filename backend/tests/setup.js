@@ -6,6 +6,9 @@ const { beforeEach, afterEach, beforeAll, afterAll } = require('@jest/globals')
 
 require('dotenv').config()
 
+// Tokens are signed and verified in-process, so any secret will do
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret'
+
 let mongoServer
 
 beforeAll(async () => {
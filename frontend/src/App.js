@@ -14,7 +14,11 @@ import ProfileLayout from './layouts/ProfileLayout'
 
 const Signup = lazy(() => import('./components/Auth/Signup'))
 const Login = lazy(() => import('./components/Auth/Login'))
+const ForgotPassword = lazy(() => import('./components/Auth/ForgotPassword'))
+const ResetPassword = lazy(() => import('./components/Auth/ResetPassword'))
+const VerifyEmail = lazy(() => import('./components/Auth/VerifyEmail'))
 const Users = lazy(() => import('./components/Admin/Users'))
+const Invitations = lazy(() => import('./components/Admin/Invitations'))
 const Doctors = lazy(() => import('./components/Admin/Doctors'))
 const Appointments = lazy(() => import('./components/Admin/Appointments'))
 const Analytics = lazy(() => import('./components/Admin/Analytics'))
@@ -36,13 +40,22 @@ const UpdateProfile = lazy(() => import('./components/Profile/UpdateProfile'))
 const UploadProfilePicture = lazy(
   () => import('./components/Profile/UploadProfilePicture')
 )
+const Sessions = lazy(() => import('./components/Profile/Sessions'))
+const TwoFactor = lazy(() => import('./components/Profile/TwoFactor'))
+const CalendarFeed = lazy(() => import('./components/Profile/CalendarFeed'))
 const FeedbackForm = lazy(() => import('./components/Feed/FeedbackForm'))
 const DoctorFeedback = lazy(() => import('./components/Feed/DoctorFeedback'))
 const PatientFeedbackHistory = lazy(
   () => import('./components/Feed/PatientFeedbackHistory')
 )
 const SearchDoctors = lazy(() => import('./components/Doct/SearchDoctors'))
+const UpdateAvailability = lazy(
+  () => import('./components/Doct/UpdateAvailability')
+)
+const Credentials = lazy(() => import('./components/Doct/Credentials'))
+const Waitlist = lazy(() => import('./components/Appoints/Waitlist'))
 const SymptomChecker = lazy(() => import('./components/Symptom/SymptomChecker'))
+const Chat = lazy(() => import('./components/Chat/Chat'))
 
 const Home = lazy(() => import('./pages/Home'))
 const About = lazy(() => import('./pages/About'))
@@ -76,6 +89,9 @@ const App = () => {
                 <Route path="about" element={<About />} />
                 <Route path="login" element={<Login />} />
                 <Route path="signup" element={<Signup />} />
+                <Route path="forgot-password" element={<ForgotPassword />} />
+                <Route path="reset-password" element={<ResetPassword />} />
+                <Route path="verify-email" element={<VerifyEmail />} />
               </Route>
 
               {/* Patient routes */}
@@ -94,9 +110,11 @@ const App = () => {
                   path="appointment-history"
                   element={<AppointmentHistory />}
                 />
+                <Route path="waitlist" element={<Waitlist />} />
                 <Route path="symptom-checker" element={<SymptomChecker />} />
                 <Route path="search-doctors" element={<SearchDoctors />} />
                 <Route path="feedback-hub" element={<FeedbackHub />} />
+                <Route path="messages" element={<Chat />} />
                 <Route path="feedback" element={<FeedbackForm />} />
                 <Route
                   path="feedback-history"
@@ -119,6 +137,9 @@ const App = () => {
                   path="appointment-history"
                   element={<AppointmentHistory />}
                 />
+                <Route path="availability" element={<UpdateAvailability />} />
+                <Route path="credentials" element={<Credentials />} />
+                <Route path="messages" element={<Chat />} />
                 <Route path="feedback" element={<DoctorFeedback />} /> 
               </Route>
 
@@ -127,11 +148,15 @@ const App = () => {
                 <Route index element={<UserProfile />} />
                 <Route path="update" element={<UpdateProfile />} />
                  <Route path="picture" element={<UploadProfilePicture />} />
+                <Route path="sessions" element={<Sessions />} />
+                <Route path="two-factor" element={<TwoFactor />} />
+                <Route path="calendar" element={<CalendarFeed />} />
               </Route>
 
               {/* Admin routes */}
               <Route path="/admin" element={<AdminLayout />}>
                 <Route path="users" element={<Users />} />
+                <Route path="invitations" element={<Invitations />} />
                 <Route path="doctors" element={<Doctors />} />
                 <Route path="appointments" element={<Appointments />} />
                 <Route path="analytics" element={<Analytics />} />
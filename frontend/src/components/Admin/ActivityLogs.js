@@ -1,48 +1,111 @@
 import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
 import { getActivityLogs } from '../../services/api'
 import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
   Container,
-  Typography,
+  MenuItem,
+  Paper,
   Table,
   TableBody,
   TableCell,
   TableContainer,
   TableHead,
+  TablePagination,
   TableRow,
-  Paper,
-  CircularProgress,
-  Box,
+  TextField,
+  Typography,
 } from '@mui/material'
 
+const EMPTY_FILTERS = {
+  actor: '',
+  action: '',
+  entityType: '',
+  entityId: '',
+  outcome: '',
+  from: '',
+  to: '',
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+// "field: before → after" for each changed field
+const Changes = ({ changes }) => {
+  if (!changes) return null
+  const fields = Object.keys({ ...changes.before, ...changes.after })
+  return (
+    <Box sx={{ mt: 0.5 }}>
+      {fields.map((field) => (
+        <Typography
+          key={field}
+          variant="caption"
+          component="div"
+          color="text.secondary"
+        >
+          {field}: {formatValue(changes.before?.[field])} →{' '}
+          {formatValue(changes.after?.[field])}
+        </Typography>
+      ))}
+    </Box>
+  )
+}
+
+Changes.propTypes = {
+  changes: PropTypes.shape({
+    before: PropTypes.object,
+    after: PropTypes.object,
+  }),
+}
+
+// Audit trail of changes made through the API, newest first
 const ActivityLogs = () => {
-  const [logs, setLogs] = useState([
-    { _id: '', userId: { username: '', email: '' }, activity: '', date: '' },
-  ])
+  const [result, setResult] = useState(null)
+  const [form, setForm] = useState(EMPTY_FILTERS)
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [page, setPage] = useState(0)
+  const [rowsPerPage, setRowsPerPage] = useState(50)
   const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
 
   useEffect(() => {
-    getActivityLogs()
+    const params = Object.fromEntries(
+      Object.entries(filters).filter(([, value]) => value)
+    )
+    setLoading(true)
+    getActivityLogs({ ...params, page: page + 1, limit: rowsPerPage })
       .then((response) => {
-        setLogs(response.data)
-        setLoading(false)
+        setResult(response.data)
+        setError('')
       })
-      .catch((error) => {
-        console.error(error) // eslint-disable-line no-console
-        setLoading(false)
-      })
-  }, [])
+      .catch((err) =>
+        setError(err.response?.data?.message || 'Failed to load activity logs')
+      )
+      .finally(() => setLoading(false))
+  }, [filters, page, rowsPerPage])
 
-  if (loading) {
-    return (
-      <Box
-        display="flex"
-        justifyContent="center"
-        alignItems="center"
-        height="100vh"
-      >
-        <CircularProgress />
-      </Box>
-    )
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setForm((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const applyFilters = (e) => {
+    e.preventDefault()
+    setPage(0)
+    setFilters(form)
+  }
+
+  const clearFilters = () => {
+    setForm(EMPTY_FILTERS)
+    setPage(0)
+    setFilters(EMPTY_FILTERS)
   }
 
   return (
@@ -50,28 +113,189 @@ const ActivityLogs = () => {
       <Typography variant="h4" gutterBottom>
         Activity Logs
       </Typography>
-      <TableContainer component={Paper}>
-        <Table>
-          <TableHead>
-            <TableRow>
-              <TableCell>Date</TableCell>
-              <TableCell>User</TableCell>
-              <TableCell>Email</TableCell>
-              <TableCell>Activity</TableCell>
-            </TableRow>
-          </TableHead>
-          <TableBody>
-            {logs.map((log) => (
-              <TableRow key={log._id}>
-                <TableCell>{new Date(log.date).toLocaleString()}</TableCell>
-                <TableCell>{log.userId.username}</TableCell>
-                <TableCell>{log.userId.email}</TableCell>
-                <TableCell>{log.activity}</TableCell>
+
+      <Paper
+        component="form"
+        onSubmit={applyFilters}
+        sx={{ p: 2, mb: 2, display: 'flex', flexWrap: 'wrap', gap: 2 }}
+      >
+        <TextField
+          name="actor"
+          label="User"
+          placeholder="Username or email"
+          size="small"
+          value={form.actor}
+          onChange={handleChange}
+        />
+        <TextField
+          select
+          name="action"
+          label="Action"
+          size="small"
+          value={form.action}
+          onChange={handleChange}
+          sx={{ minWidth: 200 }}
+        >
+          <MenuItem value="">Any</MenuItem>
+          {(result?.actions || []).map((action) => (
+            <MenuItem key={action} value={action}>
+              {action}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          name="entityType"
+          label="Record type"
+          size="small"
+          value={form.entityType}
+          onChange={handleChange}
+          sx={{ minWidth: 150 }}
+        >
+          <MenuItem value="">Any</MenuItem>
+          {(result?.entityTypes || []).map((type) => (
+            <MenuItem key={type} value={type}>
+              {type}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          name="entityId"
+          label="Record ID"
+          size="small"
+          value={form.entityId}
+          onChange={handleChange}
+        />
+        <TextField
+          select
+          name="outcome"
+          label="Outcome"
+          size="small"
+          value={form.outcome}
+          onChange={handleChange}
+          sx={{ minWidth: 130 }}
+        >
+          <MenuItem value="">Any</MenuItem>
+          <MenuItem value="success">Success</MenuItem>
+          <MenuItem value="failure">Failure</MenuItem>
+        </TextField>
+        <TextField
+          name="from"
+          label="From"
+          type="date"
+          size="small"
+          value={form.from}
+          onChange={handleChange}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          name="to"
+          label="To"
+          type="date"
+          size="small"
+          value={form.to}
+          onChange={handleChange}
+          InputLabelProps={{ shrink: true }}
+        />
+        <Box display="flex" gap={1} alignItems="center">
+          <Button type="submit" variant="contained">
+            Apply
+          </Button>
+          <Button onClick={clearFilters}>Clear</Button>
+        </Box>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading && !result ? (
+        <Box display="flex" justifyContent="center" py={6}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Date</TableCell>
+                <TableCell>User</TableCell>
+                <TableCell>Action</TableCell>
+                <TableCell>Record</TableCell>
+                <TableCell>Details</TableCell>
+                <TableCell>Outcome</TableCell>
+                <TableCell>Client</TableCell>
               </TableRow>
-            ))}
-          </TableBody>
-        </Table>
-      </TableContainer>
+            </TableHead>
+            <TableBody>
+              {(result?.logs || []).map((log) => (
+                <TableRow key={log._id}>
+                  <TableCell>{new Date(log.date).toLocaleString()}</TableCell>
+                  <TableCell>
+                    {log.userId?.username || 'Deleted user'}
+                    <Typography
+                      variant="caption"
+                      component="div"
+                      color="text.secondary"
+                    >
+                      {[log.actorRole, log.userId?.email]
+                        .filter(Boolean)
+                        .join(' · ')}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>{log.action || '—'}</TableCell>
+                  <TableCell>
+                    {log.entityType
+                      ? `${log.entityType} ${log.entityId || ''}`
+                      : '—'}
+                  </TableCell>
+                  <TableCell>
+                    {log.activity}
+                    <Changes changes={log.changes} />
+                  </TableCell>
+                  <TableCell>
+                    {log.outcome && (
+                      <Chip
+                        size="small"
+                        label={log.statusCode || log.outcome}
+                        color={log.outcome === 'failure' ? 'error' : 'success'}
+                      />
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="caption" color="text.secondary">
+                      {log.ip}
+                      {log.userAgent && <br />}
+                      {log.userAgent}
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {result?.logs?.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">
+                    No matching activity
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+          <TablePagination
+            component="div"
+            count={result?.total || 0}
+            page={page}
+            rowsPerPage={rowsPerPage}
+            rowsPerPageOptions={[25, 50, 100, 200]}
+            onPageChange={(e, next) => setPage(next)}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(Number(e.target.value))
+              setPage(0)
+            }}
+          />
+        </TableContainer>
+      )}
     </Container>
   )
 }
@@ -3,7 +3,14 @@ import {
   getAppointments,
   updateAppointment,
   deleteAppointment,
+  APPOINTMENT_STATUS_TRANSITIONS,
 } from '../../services/api'
+import { useAuth } from '../../contexts/AuthContext'
+import {
+  appointmentStart,
+  formatDateTime,
+  userTimeZone,
+} from '../../services/timeZone'
 import {
   Table,
   TableBody,
@@ -17,12 +24,14 @@ import {
   Container,
   CircularProgress,
   Box,
+  Select,
+  MenuItem,
 } from '@mui/material'
 
 const Appointments = () => {
-  const [appointments, setAppointments] = useState([
-    { _id: '', doctorId: { name: '' }, patientId: { name: '' }, date: '' },
-  ])
+  const { userData } = useAuth()
+  const timeZone = userTimeZone(userData)
+  const [appointments, setAppointments] = useState([])
   const [loading, setLoading] = useState(true)
 
   useEffect(() => {
@@ -37,13 +46,20 @@ const Appointments = () => {
       })
   }, [])
 
-  const handleUpdate = (appointment) => {
-    updateAppointment(appointment)
+  const handleStatusChange = (appointmentId, status) => {
+    updateAppointment({ appointmentId, updates: { status } })
       .then((response) => {
-        console.log(response.data)
+        setAppointments(
+          appointments.map((appointment) =>
+            appointment._id === appointmentId ? response.data : appointment
+          )
+        )
         alert('Appointment updated successfully')
       })
-      .catch((error) => console.error(error))
+      .catch((error) => {
+        console.error(error)
+        alert(error.response?.data?.message || 'Failed to update appointment')
+      })
   }
 
   const handleDelete = (appointmentId) => {
@@ -85,6 +101,7 @@ const Appointments = () => {
               <TableCell>Doctor</TableCell>
               <TableCell>Patient</TableCell>
               <TableCell>Date</TableCell>
+              <TableCell>Status</TableCell>
               <TableCell>Actions</TableCell>
             </TableRow>
           </TableHead>
@@ -92,19 +109,32 @@ const Appointments = () => {
             {appointments.map((appointment) => (
               <TableRow key={appointment._id}>
                 <TableCell>{appointment._id}</TableCell>
-                <TableCell>{appointment.doctorId.name}</TableCell>
-                <TableCell>{appointment.patientId.name}</TableCell>
-                <TableCell>{appointment.date}</TableCell>
+                <TableCell>{appointment.doctorName}</TableCell>
+                <TableCell>{appointment.patientName}</TableCell>
                 <TableCell>
-                  <Button
-                    variant="contained"
-                    color="primary"
+                  {formatDateTime(appointmentStart(appointment), timeZone)}
+                </TableCell>
+                <TableCell>
+                  <Select
                     size="small"
-                    onClick={() => handleUpdate(appointment)}
-                    style={{ marginRight: 8 }}
+                    value={appointment.status}
+                    onChange={(e) =>
+                      handleStatusChange(appointment._id, e.target.value)
+                    }
                   >
-                    Update
-                  </Button>
+                    <MenuItem value={appointment.status}>
+                      {appointment.status}
+                    </MenuItem>
+                    {(
+                      APPOINTMENT_STATUS_TRANSITIONS[appointment.status] || []
+                    ).map((status) => (
+                      <MenuItem key={status} value={status}>
+                        {status}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </TableCell>
+                <TableCell>
                   <Button
                     variant="contained"
                     color="secondary"
@@ -1,46 +1,71 @@
-import React, { useState, useEffect } from 'react'
-import { getDoctors } from '../../services/api'
+import React, { useState, useEffect, useCallback } from 'react'
+import { getCredentialQueue, CREDENTIAL_STATUSES } from '../../services/api'
 import {
   Table,
   TableBody,
   TableCell,
   TableContainer,
   TableHead,
+  TablePagination,
   TableRow,
   Paper,
   Typography,
   Container,
   CircularProgress,
   Box,
+  Button,
+  Chip,
+  Tab,
+  Tabs,
+  TextField,
 } from '@mui/material'
+import ReviewCredentialsDialog from './ReviewCredentialsDialog'
 
+const TABS = ['pending', 'rejected', 'verified', 'unsubmitted', '']
+
+// Doctors by credential status, oldest submission first, so pending
+// submissions can be worked through as a queue
 const Doctors = () => {
-  const [doctors, setDoctors] = useState([{ _id: '', name: '', email: '' }])
+  const [result, setResult] = useState(null)
+  const [status, setStatus] = useState('pending')
+  const [search, setSearch] = useState('')
+  const [query, setQuery] = useState('')
+  const [page, setPage] = useState(0)
+  const [rowsPerPage, setRowsPerPage] = useState(25)
   const [loading, setLoading] = useState(true)
+  const [reviewing, setReviewing] = useState(null)
 
-  useEffect(() => {
-    getDoctors()
-      .then((response) => {
-        setDoctors(response.data)
-        setLoading(false)
-      })
+  const fetchDoctors = useCallback(() => {
+    setLoading(true)
+    getCredentialQueue({
+      status: status || undefined,
+      search: query || undefined,
+      page: page + 1,
+      limit: rowsPerPage,
+    })
+      .then((response) => setResult(response.data))
       .catch((error) => {
         console.error(error) // eslint-disable-line no-console
-        setLoading(false)
       })
-  }, [])
+      .finally(() => setLoading(false))
+  }, [status, query, page, rowsPerPage])
 
-  if (loading) {
-    return (
-      <Box
-        display="flex"
-        justifyContent="center"
-        alignItems="center"
-        height="100vh"
-      >
-        <CircularProgress />
-      </Box>
-    )
+  useEffect(() => {
+    fetchDoctors()
+  }, [fetchDoctors])
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    setPage(0)
+    setQuery(search.trim())
+  }
+
+  const tabLabel = (value) => {
+    if (!value) return 'All'
+    const count = result?.counts?.[value]
+    return `${CREDENTIAL_STATUSES[value].label}${
+      count === undefined ? '' : ` (${count})`
+    }`
   }
 
   return (
@@ -48,26 +73,163 @@ const Doctors = () => {
       <Typography variant="h4" gutterBottom>
         Doctors
       </Typography>
-      <TableContainer component={Paper}>
-        <Table>
-          <TableHead>
-            <TableRow>
-              <TableCell>ID</TableCell>
-              <TableCell>Name</TableCell>
-              <TableCell>Email</TableCell>
-            </TableRow>
-          </TableHead>
-          <TableBody>
-            {doctors.map((doctor) => (
-              <TableRow key={doctor._id}>
-                <TableCell>{doctor._id}</TableCell>
-                <TableCell>{doctor.name}</TableCell>
-                <TableCell>{doctor.email}</TableCell>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Only doctors with verified credentials can be found and booked by
+        patients.
+      </Typography>
+
+      <Paper sx={{ mb: 2 }}>
+        <Tabs
+          value={status}
+          onChange={(e, value) => {
+            setPage(0)
+            setStatus(value)
+          }}
+          variant="scrollable"
+        >
+          {TABS.map((value) => (
+            <Tab key={value || 'all'} value={value} label={tabLabel(value)} />
+          ))}
+        </Tabs>
+        <Box
+          component="form"
+          onSubmit={handleSearch}
+          display="flex"
+          gap={1}
+          p={2}
+        >
+          <TextField
+            label="Search"
+            placeholder="Name, email, medical ID or license number"
+            size="small"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            sx={{ minWidth: 320 }}
+          />
+          <Button type="submit" variant="contained">
+            Search
+          </Button>
+        </Box>
+      </Paper>
+
+      {loading && !result ? (
+        <Box display="flex" justifyContent="center" py={6}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Doctor</TableCell>
+                <TableCell>Specialty</TableCell>
+                <TableCell>License</TableCell>
+                <TableCell>Documents</TableCell>
+                <TableCell>Submitted</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Actions</TableCell>
               </TableRow>
-            ))}
-          </TableBody>
-        </Table>
-      </TableContainer>
+            </TableHead>
+            <TableBody>
+              {(result?.doctors || []).map((doctor) => {
+                const credentials = doctor.credentials || {}
+                const state =
+                  CREDENTIAL_STATUSES[credentials.status || 'unsubmitted']
+                return (
+                  <TableRow key={doctor._id}>
+                    <TableCell>
+                      Dr. {doctor.username}
+                      <Typography
+                        variant="caption"
+                        component="div"
+                        color="text.secondary"
+                      >
+                        {doctor.medicalId} · {doctor.email}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{doctor.specialty || '—'}</TableCell>
+                    <TableCell>
+                      {credentials.licenseNumber || '—'}
+                      {credentials.issuingAuthority && (
+                        <Typography
+                          variant="caption"
+                          component="div"
+                          color="text.secondary"
+                        >
+                          {credentials.issuingAuthority}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{credentials.documents?.length || 0}</TableCell>
+                    <TableCell>
+                      {credentials.submittedAt
+                        ? new Date(credentials.submittedAt).toLocaleDateString()
+                        : '—'}
+                    </TableCell>
+                    <TableCell>
+                      <Chip
+                        label={state.label}
+                        color={state.color}
+                        size="small"
+                      />
+                      {credentials.reviewedBy?.username && (
+                        <Typography
+                          variant="caption"
+                          component="div"
+                          color="text.secondary"
+                        >
+                          by {credentials.reviewedBy.username}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Button
+                        variant={
+                          credentials.status === 'pending'
+                            ? 'contained'
+                            : 'outlined'
+                        }
+                        size="small"
+                        onClick={() => setReviewing(doctor)}
+                      >
+                        {credentials.status === 'pending' ? 'Review' : 'View'}
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                )
+              })}
+              {result?.doctors?.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">
+                    No doctors to show
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+          <TablePagination
+            component="div"
+            count={result?.total || 0}
+            page={page}
+            rowsPerPage={rowsPerPage}
+            rowsPerPageOptions={[10, 25, 50, 100]}
+            onPageChange={(e, next) => setPage(next)}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(Number(e.target.value))
+              setPage(0)
+            }}
+          />
+        </TableContainer>
+      )}
+
+      <ReviewCredentialsDialog
+        doctor={reviewing}
+        onClose={() => setReviewing(null)}
+        onReviewed={() => {
+          setReviewing(null)
+          fetchDoctors()
+        }}
+      />
     </Container>
   )
 }
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+} from '@mui/material'
+import { updateUser } from '../../services/api'
+
+const FIELDS = [
+  { name: 'username', label: 'Username', required: true },
+  { name: 'email', label: 'Email', type: 'email', required: true },
+  { name: 'phoneNumber', label: 'Phone number' },
+  { name: 'specialty', label: 'Specialty', doctorOnly: true },
+  { name: 'location', label: 'Location', doctorOnly: true },
+]
+
+// Edit the profile fields an admin may change; only changed fields are sent
+const EditUserDialog = ({ user, onClose, onSaved }) => {
+  const [form, setForm] = useState({})
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const fields = FIELDS.filter(
+    (field) => !field.doctorOnly || user?.role === 'doctor'
+  )
+
+  useEffect(() => {
+    if (!user) return
+    setForm(
+      Object.fromEntries(
+        FIELDS.map((field) => [field.name, user[field.name] || ''])
+      )
+    )
+    setError('')
+  }, [user])
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setForm((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const changes = Object.fromEntries(
+      fields
+        .filter((field) => form[field.name] !== (user[field.name] || ''))
+        .map((field) => [field.name, form[field.name]])
+    )
+    if (!Object.keys(changes).length) {
+      onClose()
+      return
+    }
+    setSaving(true)
+    setError('')
+    updateUser(user._id, changes)
+      .then((response) => onSaved(response.data))
+      .catch((err) =>
+        setError(err.response?.data?.message || 'Failed to update user')
+      )
+      .finally(() => setSaving(false))
+  }
+
+  return (
+    <Dialog open={Boolean(user)} onClose={onClose} fullWidth maxWidth="xs">
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>Edit {user?.username}</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {fields.map((field) => (
+            <TextField
+              key={field.name}
+              name={field.name}
+              label={field.label}
+              type={field.type || 'text'}
+              required={field.required}
+              value={form[field.name] || ''}
+              onChange={handleChange}
+              fullWidth
+              margin="dense"
+            />
+          ))}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={saving}>
+            Save
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  )
+}
+
+EditUserDialog.propTypes = {
+  user: PropTypes.shape({
+    _id: PropTypes.string,
+    username: PropTypes.string,
+    role: PropTypes.string,
+  }),
+  onClose: PropTypes.func.isRequired,
+  onSaved: PropTypes.func.isRequired,
+}
+
+export default EditUserDialog
@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { format } from 'date-fns'
+import {
+  getInvitations,
+  createInvitation,
+  revokeInvitation,
+} from '../../services/api'
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Container,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material'
+
+const STATUS_COLORS = {
+  pending: 'info',
+  used: 'success',
+  expired: 'default',
+  revoked: 'error',
+}
+
+// Invite doctors and admins; signup is otherwise limited to patients
+const Invitations = () => {
+  const [invitations, setInvitations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState({ email: '', role: 'doctor', ttlHours: 72 })
+  const [sending, setSending] = useState(false)
+  const [feedback, setFeedback] = useState(null)
+
+  const fetchInvitations = useCallback(() => {
+    getInvitations()
+      .then((response) => setInvitations(response.data))
+      .catch((error) => console.error('Error fetching invitations:', error))
+      .finally(() => setLoading(false))
+  }, [])
+
+  useEffect(() => {
+    fetchInvitations()
+  }, [fetchInvitations])
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setForm((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    setSending(true)
+    setFeedback(null)
+    createInvitation(form)
+      .then((response) => {
+        setFeedback(
+          response.data.emailSent
+            ? { severity: 'success', text: `Invitation sent to ${form.email}` }
+            : {
+                severity: 'warning',
+                text: 'Invitation created, but the email could not be sent. Revoke it and try again.',
+              }
+        )
+        setForm((prev) => ({ ...prev, email: '' }))
+        fetchInvitations()
+      })
+      .catch((error) =>
+        setFeedback({
+          severity: 'error',
+          text: error.response?.data?.message || 'Failed to send invitation',
+        })
+      )
+      .finally(() => setSending(false))
+  }
+
+  const handleRevoke = (invitationId) => {
+    revokeInvitation(invitationId)
+      .then(() => fetchInvitations())
+      .catch((error) => console.error('Error revoking invitation:', error))
+  }
+
+  if (loading) {
+    return (
+      <Box
+        display="flex"
+        justifyContent="center"
+        alignItems="center"
+        height="100vh"
+      >
+        <CircularProgress />
+      </Box>
+    )
+  }
+
+  return (
+    <Container>
+      <Typography variant="h4" gutterBottom>
+        Invitations
+      </Typography>
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        {feedback && (
+          <Alert
+            severity={feedback.severity}
+            sx={{ mb: 2 }}
+            onClose={() => setFeedback(null)}
+          >
+            {feedback.text}
+          </Alert>
+        )}
+        <Box
+          component="form"
+          onSubmit={handleSubmit}
+          display="flex"
+          gap={2}
+          flexWrap="wrap"
+        >
+          <TextField
+            name="email"
+            label="Email"
+            type="email"
+            value={form.email}
+            onChange={handleChange}
+            required
+            size="small"
+            sx={{ flexGrow: 1, minWidth: 240 }}
+          />
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel>Role</InputLabel>
+            <Select
+              name="role"
+              value={form.role}
+              onChange={handleChange}
+              label="Role"
+            >
+              <MenuItem value="doctor">Doctor</MenuItem>
+              <MenuItem value="admin">Admin</MenuItem>
+            </Select>
+          </FormControl>
+          <TextField
+            name="ttlHours"
+            label="Expires after (hours)"
+            type="number"
+            value={form.ttlHours}
+            onChange={handleChange}
+            inputProps={{ min: 1, max: 336 }}
+            size="small"
+            sx={{ width: 180 }}
+          />
+          <Button type="submit" variant="contained" disabled={sending}>
+            Send invitation
+          </Button>
+        </Box>
+      </Paper>
+
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Email</TableCell>
+              <TableCell>Role</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Invited by</TableCell>
+              <TableCell>Expires</TableCell>
+              <TableCell>Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {invitations.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  No invitations yet
+                </TableCell>
+              </TableRow>
+            )}
+            {invitations.map((invitation) => (
+              <TableRow key={invitation._id}>
+                <TableCell>{invitation.email}</TableCell>
+                <TableCell sx={{ textTransform: 'capitalize' }}>
+                  {invitation.role}
+                </TableCell>
+                <TableCell>
+                  <Chip
+                    label={invitation.status}
+                    color={STATUS_COLORS[invitation.status]}
+                    size="small"
+                  />
+                  {invitation.usedBy && ` by ${invitation.usedBy.username}`}
+                </TableCell>
+                <TableCell>{invitation.invitedBy?.username || '—'}</TableCell>
+                <TableCell>
+                  {format(new Date(invitation.expiresAt), 'MMM d, yyyy HH:mm')}
+                </TableCell>
+                <TableCell>
+                  {invitation.status === 'pending' && (
+                    <Button
+                      color="error"
+                      size="small"
+                      onClick={() => handleRevoke(invitation._id)}
+                    >
+                      Revoke
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Container>
+  )
+}
+
+export default Invitations
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Alert,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  TextField,
+  Typography,
+} from '@mui/material'
+import {
+  reviewCredentials,
+  downloadDoctorCredentialDocument,
+  CREDENTIAL_STATUSES,
+} from '../../services/api'
+import CredentialDocuments from '../Doct/CredentialDocuments'
+
+const Detail = ({ label, children }) => (
+  <Typography variant="body2" sx={{ mb: 1 }}>
+    <strong>{label}:</strong> {children || '—'}
+  </Typography>
+)
+
+Detail.propTypes = {
+  label: PropTypes.string.isRequired,
+  children: PropTypes.node,
+}
+
+// Show a doctor's submitted credentials and record the admin's decision.
+// Notes are sent to the doctor and are required to reject.
+const ReviewCredentialsDialog = ({ doctor, onClose, onReviewed }) => {
+  const [notes, setNotes] = useState('')
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    setNotes(doctor?.credentials?.reviewNotes || '')
+    setError('')
+  }, [doctor])
+
+  const handleReview = (status) => {
+    setSaving(true)
+    setError('')
+    reviewCredentials(doctor._id, status, notes.trim())
+      .then((response) => onReviewed(response.data))
+      .catch((err) =>
+        setError(err.response?.data?.message || 'Failed to save the review')
+      )
+      .finally(() => setSaving(false))
+  }
+
+  const credentials = doctor?.credentials || {}
+  const status = CREDENTIAL_STATUSES[credentials.status || 'unsubmitted']
+  // Nothing to review until the doctor has submitted something
+  const submitted = Boolean(
+    credentials.status && credentials.status !== 'unsubmitted'
+  )
+
+  return (
+    <Dialog open={Boolean(doctor)} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>
+        Dr. {doctor?.username}{' '}
+        <Chip label={status.label} color={status.color} size="small" />
+      </DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Detail label="Medical ID">{doctor?.medicalId}</Detail>
+        <Detail label="Email">{doctor?.email}</Detail>
+        <Detail label="Specialty">{doctor?.specialty}</Detail>
+        <Detail label="License number">{credentials.licenseNumber}</Detail>
+        <Detail label="Issuing authority">
+          {credentials.issuingAuthority}
+        </Detail>
+        <Detail label="Qualifications">
+          {(credentials.qualifications || []).join(', ')}
+        </Detail>
+        <Detail label="Submitted">
+          {credentials.submittedAt &&
+            new Date(credentials.submittedAt).toLocaleString()}
+        </Detail>
+
+        <Divider sx={{ my: 2 }} />
+        <Typography variant="subtitle2" gutterBottom>
+          Documents
+        </Typography>
+        <CredentialDocuments
+          documents={credentials.documents || []}
+          download={(document) =>
+            downloadDoctorCredentialDocument(doctor._id, document._id)
+          }
+        />
+
+        <TextField
+          label="Notes to the doctor"
+          helperText="Required when rejecting"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          fullWidth
+          multiline
+          minRows={2}
+          margin="normal"
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          color="error"
+          variant="outlined"
+          disabled={saving || !submitted || !notes.trim()}
+          onClick={() => handleReview('rejected')}
+        >
+          Reject
+        </Button>
+        <Button
+          color="success"
+          variant="contained"
+          disabled={saving || !submitted || credentials.status === 'verified'}
+          onClick={() => handleReview('verified')}
+        >
+          Verify
+        </Button>
+      </DialogActions>
+    </Dialog>
+  )
+}
+
+ReviewCredentialsDialog.propTypes = {
+  doctor: PropTypes.shape({
+    _id: PropTypes.string,
+    username: PropTypes.string,
+    email: PropTypes.string,
+    medicalId: PropTypes.string,
+    specialty: PropTypes.string,
+    credentials: PropTypes.shape({
+      status: PropTypes.string,
+      licenseNumber: PropTypes.string,
+      issuingAuthority: PropTypes.string,
+      qualifications: PropTypes.arrayOf(PropTypes.string),
+      documents: PropTypes.array,
+      submittedAt: PropTypes.string,
+      reviewNotes: PropTypes.string,
+    }),
+  }),
+  onClose: PropTypes.func.isRequired,
+  onReviewed: PropTypes.func.isRequired,
+}
+
+export default ReviewCredentialsDialog
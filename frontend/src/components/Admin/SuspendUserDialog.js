@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  TextField,
+} from '@mui/material'
+import { suspendUser } from '../../services/api'
+
+// Ask for a reason, then sign the user out everywhere and keep them out
+const SuspendUserDialog = ({ user, onClose, onSuspended }) => {
+  const [reason, setReason] = useState('')
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    setReason('')
+    setError('')
+  }, [user])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setError('')
+    suspendUser(user._id, reason.trim())
+      .then((response) => onSuspended(response.data))
+      .catch((err) =>
+        setError(err.response?.data?.message || 'Failed to suspend user')
+      )
+      .finally(() => setSaving(false))
+  }
+
+  return (
+    <Dialog open={Boolean(user)} onClose={onClose} fullWidth maxWidth="xs">
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>Suspend {user?.username}</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            They will be signed out on every device and can&apos;t sign in
+            {user?.role === 'doctor' ? ' or be booked' : ''} until the account
+            is reactivated.
+          </DialogContentText>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <TextField
+            label="Reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            required
+            fullWidth
+            multiline
+            minRows={2}
+            autoFocus
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button
+            type="submit"
+            variant="contained"
+            color="error"
+            disabled={saving || !reason.trim()}
+          >
+            Suspend
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  )
+}
+
+SuspendUserDialog.propTypes = {
+  user: PropTypes.shape({
+    _id: PropTypes.string,
+    username: PropTypes.string,
+    role: PropTypes.string,
+  }),
+  onClose: PropTypes.func.isRequired,
+  onSuspended: PropTypes.func.isRequired,
+}
+
+export default SuspendUserDialog
@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react'
+import { getTwoFactorPolicy, updateTwoFactorPolicy } from '../../services/api'
+import {
+  Alert,
+  Box,
+  Checkbox,
+  FormControlLabel,
+  Paper,
+  Typography,
+} from '@mui/material'
+
+const ROLE_LABELS = { doctor: 'Doctors', admin: 'Admins' }
+
+// Roles that must use an authenticator app; members who haven't set one up
+// are asked to at their next login
+const TwoFactorPolicy = () => {
+  const [policy, setPolicy] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    getTwoFactorPolicy()
+      .then((response) => setPolicy(response.data))
+      .catch(() => setError('Failed to load the two-factor policy'))
+  }, [])
+
+  const handleToggle = (role, checked) => {
+    const requiredRoles = checked
+      ? [...policy.requiredRoles, role]
+      : policy.requiredRoles.filter((r) => r !== role)
+    setError('')
+    updateTwoFactorPolicy(requiredRoles)
+      .then((response) => setPolicy(response.data))
+      .catch((err) =>
+        setError(err.response?.data?.message || 'Failed to update the policy')
+      )
+  }
+
+  return (
+    <Paper sx={{ p: 2, mb: 3 }}>
+      <Typography variant="h6">Two-factor authentication</Typography>
+      <Typography variant="body2" color="text.secondary">
+        Require an authenticator app at login for:
+      </Typography>
+      {error && (
+        <Alert severity="error" sx={{ my: 1 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {policy && (
+        <Box>
+          {policy.availableRoles.map((role) => (
+            <FormControlLabel
+              key={role}
+              label={ROLE_LABELS[role] || role}
+              control={
+                <Checkbox
+                  checked={policy.requiredRoles.includes(role)}
+                  onChange={(e) => handleToggle(role, e.target.checked)}
+                />
+              }
+            />
+          ))}
+        </Box>
+      )}
+    </Paper>
+  )
+}
+
+export default TwoFactorPolicy
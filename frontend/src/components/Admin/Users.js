@@ -1,112 +1,477 @@
-import React, { useState, useEffect } from 'react'
-import { getUsers, updateUser, deleteUser } from '../../services/api'
+import React, { useState, useEffect, useCallback } from 'react'
+import { formatDistanceToNow } from 'date-fns'
+import {
+  getUsers,
+  deleteUser,
+  changeUserRole,
+  reissueMedicalId,
+  resetUserTwoFactor,
+  unlockUser,
+  reactivateUser,
+  restoreUser,
+} from '../../services/api'
 import {
   Table,
   TableBody,
   TableCell,
   TableContainer,
   TableHead,
+  TablePagination,
   TableRow,
+  TableSortLabel,
   Paper,
   Button,
   Typography,
   Container,
   CircularProgress,
   Box,
+  Chip,
+  MenuItem,
+  Select,
+  TextField,
+  Tooltip,
 } from '@mui/material'
+import TwoFactorPolicy from './TwoFactorPolicy'
+import EditUserDialog from './EditUserDialog'
+import SuspendUserDialog from './SuspendUserDialog'
+
+// Locked out after too many failed sign-ins
+const isLocked = (user) =>
+  Boolean(user.lockout?.lockedUntil) &&
+  new Date(user.lockout.lockedUntil) > new Date()
+
+const isSuspended = (user) => Boolean(user.suspension?.suspendedAt)
+
+// Deleted but still inside the grace period before it is purged
+const isPendingDeletion = (user) => Boolean(user.deletion?.requestedAt)
+
+const COLUMNS = [
+  { id: 'name', label: 'Name' },
+  { id: 'email', label: 'Email' },
+  { id: 'role', label: 'Role' },
+  { id: 'online', label: 'Online' },
+  { id: 'created', label: 'Joined' },
+]
 
 const Users = () => {
-  const [users, setUsers] = useState([{ _id: '', name: '', email: '' }])
+  const [result, setResult] = useState(null)
+  const [search, setSearch] = useState('')
+  const [filters, setFilters] = useState({
+    search: '',
+    role: '',
+    status: '',
+    online: '',
+  })
+  const [sort, setSort] = useState('-created')
+  const [page, setPage] = useState(0)
+  const [rowsPerPage, setRowsPerPage] = useState(25)
   const [loading, setLoading] = useState(true)
+  const [editing, setEditing] = useState(null)
+  const [suspending, setSuspending] = useState(null)
 
-  useEffect(() => {
-    getUsers()
-      .then((response) => {
-        setUsers(response.data)
-        setLoading(false)
-      })
+  const fetchUsers = useCallback(() => {
+    const params = Object.fromEntries(
+      Object.entries(filters).filter(([, value]) => value)
+    )
+    setLoading(true)
+    getUsers({ ...params, sort, page: page + 1, limit: rowsPerPage })
+      .then((response) => setResult(response.data))
       .catch((error) => {
         console.error(error) // eslint-disable-line no-console
-        setLoading(false)
       })
-  }, [])
+      .finally(() => setLoading(false))
+  }, [filters, sort, page, rowsPerPage])
 
-  const handleUpdate = (user) => {
-    updateUser(user)
-      .then((response) => {
-        console.log(response.data) // eslint-disable-line no-console
-        alert('User updated successfully')
-      })
-      .catch((error) => console.error(error))
+  useEffect(() => {
+    fetchUsers()
+  }, [fetchUsers])
+
+  const replaceUser = (updated) =>
+    setResult((prev) => ({
+      ...prev,
+      users: prev.users.map((u) => (u._id === updated._id ? updated : u)),
+    }))
+
+  const setFilter = (name, value) => {
+    setPage(0)
+    setFilters((prev) => ({ ...prev, [name]: value }))
   }
 
-  const handleDelete = (userId) => {
-    deleteUser(userId)
-      .then(() => {
-        setUsers(users.filter((user) => user._id !== userId))
-        alert('User deleted successfully')
-      })
-      .catch((error) => console.error(error))
+  const handleSearch = (e) => {
+    e.preventDefault()
+    setFilter('search', search.trim())
+  }
+
+  const handleSort = (column) => {
+    setPage(0)
+    setSort((prev) => (prev === column ? `-${column}` : column))
+  }
+
+  const handleRoleChange = (user, role) => {
+    if (!window.confirm(`Change ${user.username}'s role to ${role}?`)) return
+    changeUserRole(user._id, role)
+      .then((response) => replaceUser(response.data))
+      .catch((error) =>
+        alert(error.response?.data?.message || 'Failed to change role')
+      )
   }
 
-  if (loading) {
-    return (
-      <Box
-        display="flex"
-        justifyContent="center"
-        alignItems="center"
-        height="100vh"
-      >
-        <CircularProgress />
-      </Box>
+  const handleReissue = (user) => {
+    if (
+      !window.confirm(
+        `Issue a new medical ID to ${user.username}? Their appointments and feedback will move to the new ID.`
+      )
     )
+      return
+    reissueMedicalId(user._id)
+      .then((response) => replaceUser(response.data.user))
+      .catch((error) =>
+        alert(error.response?.data?.message || 'Failed to re-issue medical ID')
+      )
   }
 
+  const handleResetTwoFactor = (user) => {
+    if (
+      !window.confirm(
+        `Turn off two-factor authentication for ${user.username}? They will be able to log in with just their password.`
+      )
+    )
+      return
+    resetUserTwoFactor(user._id)
+      .then(() =>
+        replaceUser({
+          ...user,
+          twoFactor: { ...user.twoFactor, enabled: false },
+        })
+      )
+      .catch((error) =>
+        alert(
+          error.response?.data?.message ||
+            'Failed to reset two-factor authentication'
+        )
+      )
+  }
+
+  const handleUnlock = (user) => {
+    unlockUser(user._id)
+      .then((response) => replaceUser(response.data))
+      .catch((error) =>
+        alert(error.response?.data?.message || 'Failed to unlock account')
+      )
+  }
+
+  const handleReactivate = (user) => {
+    if (!window.confirm(`Reactivate ${user.username}'s account?`)) return
+    reactivateUser(user._id)
+      .then((response) => replaceUser(response.data))
+      .catch((error) =>
+        alert(error.response?.data?.message || 'Failed to reactivate account')
+      )
+  }
+
+  const handleDelete = (user) => {
+    const reason = window.prompt(
+      `Delete ${user.username}? They will be signed out and their upcoming appointments cancelled. Their data is purged after the grace period.\n\nReason (optional):`
+    )
+    if (reason === null) return
+    deleteUser(user._id, reason.trim() || undefined)
+      .then((response) => replaceUser(response.data.user))
+      .catch((error) =>
+        alert(error.response?.data?.message || 'Failed to delete user')
+      )
+  }
+
+  const handleRestore = (user) => {
+    if (!window.confirm(`Restore ${user.username}'s account?`)) return
+    restoreUser(user._id)
+      .then((response) => replaceUser(response.data))
+      .catch((error) =>
+        alert(error.response?.data?.message || 'Failed to restore account')
+      )
+  }
+
+  const sortColumn = sort.replace(/^-/, '')
+  const sortDirection = sort.startsWith('-') ? 'desc' : 'asc'
+
   return (
     <Container>
       <Typography variant="h4" gutterBottom>
         Users
       </Typography>
-      <TableContainer component={Paper}>
-        <Table>
-          <TableHead>
-            <TableRow>
-              <TableCell>ID</TableCell>
-              <TableCell>Name</TableCell>
-              <TableCell>Email</TableCell>
-              <TableCell>Actions</TableCell>
-            </TableRow>
-          </TableHead>
-          <TableBody>
-            {users.map((user) => (
-              <TableRow key={user._id}>
-                <TableCell>{user._id}</TableCell>
-                <TableCell>{user.name}</TableCell>
-                <TableCell>{user.email}</TableCell>
-                <TableCell>
-                  <Button
-                    variant="contained"
-                    color="primary"
-                    size="small"
-                    onClick={() => handleUpdate(user)}
-                    style={{ marginRight: 8 }}
-                  >
-                    Update
-                  </Button>
-                  <Button
-                    variant="contained"
-                    color="secondary"
-                    size="small"
-                    onClick={() => handleDelete(user._id)}
-                  >
-                    Delete
-                  </Button>
-                </TableCell>
+      <TwoFactorPolicy />
+
+      <Paper sx={{ p: 2, mb: 2, display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+        <Box component="form" onSubmit={handleSearch} display="flex" gap={1}>
+          <TextField
+            label="Search"
+            placeholder="Name, email or medical ID"
+            size="small"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          <Button type="submit" variant="contained">
+            Search
+          </Button>
+        </Box>
+        <TextField
+          select
+          label="Role"
+          size="small"
+          value={filters.role}
+          onChange={(e) => setFilter('role', e.target.value)}
+          sx={{ minWidth: 120 }}
+        >
+          <MenuItem value="">Any</MenuItem>
+          <MenuItem value="patient">Patient</MenuItem>
+          <MenuItem value="doctor">Doctor</MenuItem>
+          <MenuItem value="admin">Admin</MenuItem>
+        </TextField>
+        <TextField
+          select
+          label="Status"
+          size="small"
+          value={filters.status}
+          onChange={(e) => setFilter('status', e.target.value)}
+          sx={{ minWidth: 130 }}
+        >
+          <MenuItem value="">Any</MenuItem>
+          <MenuItem value="active">Active</MenuItem>
+          <MenuItem value="suspended">Suspended</MenuItem>
+          <MenuItem value="locked">Locked</MenuItem>
+          <MenuItem value="deleted">Deletion pending</MenuItem>
+        </TextField>
+        <TextField
+          select
+          label="Online"
+          size="small"
+          value={filters.online}
+          onChange={(e) => setFilter('online', e.target.value)}
+          sx={{ minWidth: 120 }}
+        >
+          <MenuItem value="">Any</MenuItem>
+          <MenuItem value="true">Online</MenuItem>
+          <MenuItem value="false">Offline</MenuItem>
+        </TextField>
+      </Paper>
+
+      {loading && !result ? (
+        <Box display="flex" justifyContent="center" py={6}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                {COLUMNS.map((column) => (
+                  <TableCell key={column.id}>
+                    <TableSortLabel
+                      active={sortColumn === column.id}
+                      direction={
+                        sortColumn === column.id ? sortDirection : 'asc'
+                      }
+                      onClick={() => handleSort(column.id)}
+                    >
+                      {column.label}
+                    </TableSortLabel>
+                  </TableCell>
+                ))}
+                <TableCell>Actions</TableCell>
               </TableRow>
-            ))}
-          </TableBody>
-        </Table>
-      </TableContainer>
+            </TableHead>
+            <TableBody>
+              {(result?.users || []).map((user) => (
+                <TableRow key={user._id}>
+                  <TableCell>
+                    {user.username}
+                    <Typography
+                      variant="caption"
+                      component="div"
+                      color="text.secondary"
+                    >
+                      {user.medicalId}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    {user.email}
+                    {isSuspended(user) && (
+                      <Tooltip title={user.suspension.reason || ''}>
+                        <Chip
+                          label="Suspended"
+                          color="error"
+                          size="small"
+                          sx={{ ml: 1 }}
+                        />
+                      </Tooltip>
+                    )}
+                    {isLocked(user) && (
+                      <Chip
+                        label="Locked"
+                        color="warning"
+                        size="small"
+                        sx={{ ml: 1 }}
+                      />
+                    )}
+                    {isPendingDeletion(user) && (
+                      <Tooltip
+                        title={`Purged ${new Date(
+                          user.deletion.purgeAfter
+                        ).toLocaleDateString()}`}
+                      >
+                        <Chip
+                          label="Deletion pending"
+                          color="default"
+                          size="small"
+                          sx={{ ml: 1 }}
+                        />
+                      </Tooltip>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Select
+                      value={user.role || ''}
+                      onChange={(e) => handleRoleChange(user, e.target.value)}
+                      size="small"
+                    >
+                      <MenuItem value="patient">Patient</MenuItem>
+                      <MenuItem value="doctor">Doctor</MenuItem>
+                      <MenuItem value="admin">Admin</MenuItem>
+                    </Select>
+                  </TableCell>
+                  <TableCell>
+                    {user.isOnline ? (
+                      <Chip label="Online" color="success" size="small" />
+                    ) : (
+                      <Typography variant="caption" color="text.secondary">
+                        {user.lastSeenAt
+                          ? `Seen ${formatDistanceToNow(
+                              new Date(user.lastSeenAt)
+                            )} ago`
+                          : 'Offline'}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {user.timeStamp &&
+                      new Date(user.timeStamp).toLocaleDateString()}
+                  </TableCell>
+                  <TableCell>
+                    <Box display="flex" flexWrap="wrap" gap={1}>
+                      <Button
+                        variant="contained"
+                        color="primary"
+                        size="small"
+                        onClick={() => setEditing(user)}
+                      >
+                        Edit
+                      </Button>
+                      <Button
+                        variant="outlined"
+                        size="small"
+                        onClick={() => handleReissue(user)}
+                      >
+                        Re-issue ID
+                      </Button>
+                      {isLocked(user) && (
+                        <Button
+                          variant="outlined"
+                          size="small"
+                          onClick={() => handleUnlock(user)}
+                        >
+                          Unlock
+                        </Button>
+                      )}
+                      {user.twoFactor?.enabled && (
+                        <Button
+                          variant="outlined"
+                          size="small"
+                          onClick={() => handleResetTwoFactor(user)}
+                        >
+                          Reset 2FA
+                        </Button>
+                      )}
+                      {isSuspended(user) ? (
+                        <Button
+                          variant="outlined"
+                          color="success"
+                          size="small"
+                          onClick={() => handleReactivate(user)}
+                        >
+                          Reactivate
+                        </Button>
+                      ) : (
+                        <Button
+                          variant="outlined"
+                          color="error"
+                          size="small"
+                          onClick={() => setSuspending(user)}
+                        >
+                          Suspend
+                        </Button>
+                      )}
+                      {isPendingDeletion(user) ? (
+                        <Button
+                          variant="contained"
+                          color="success"
+                          size="small"
+                          onClick={() => handleRestore(user)}
+                        >
+                          Restore
+                        </Button>
+                      ) : (
+                        <Button
+                          variant="contained"
+                          color="secondary"
+                          size="small"
+                          onClick={() => handleDelete(user)}
+                        >
+                          Delete
+                        </Button>
+                      )}
+                    </Box>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {result?.users?.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={COLUMNS.length + 1} align="center">
+                    No matching users
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+          <TablePagination
+            component="div"
+            count={result?.total || 0}
+            page={page}
+            rowsPerPage={rowsPerPage}
+            rowsPerPageOptions={[10, 25, 50, 100]}
+            onPageChange={(e, next) => setPage(next)}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(Number(e.target.value))
+              setPage(0)
+            }}
+          />
+        </TableContainer>
+      )}
+
+      <EditUserDialog
+        user={editing}
+        onClose={() => setEditing(null)}
+        onSaved={(updated) => {
+          replaceUser(updated)
+          setEditing(null)
+        }}
+      />
+      <SuspendUserDialog
+        user={suspending}
+        onClose={() => setSuspending(null)}
+        onSuspended={(updated) => {
+          replaceUser(updated)
+          setSuspending(null)
+        }}
+      />
     </Container>
   )
 }
@@ -1,6 +1,16 @@
 import React, { useState, useEffect } from 'react'
 import { useAuth } from '../../contexts/AuthContext'
-import { getAppointmentHistory } from '../../services/api'
+import {
+  getAppointmentHistory,
+  getStatusColor,
+  isActiveAppointment,
+} from '../../services/api'
+import {
+  appointmentStart,
+  formatDate,
+  formatTime,
+  userTimeZone,
+} from '../../services/timeZone'
 import {
   Container,
   Typography,
@@ -44,9 +54,7 @@ const AppointmentHistory = () => {
     }
   }
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString()
-  }
+  const timeZone = userTimeZone(userData)
 
   if (authLoading || loading) {
     return (
@@ -123,26 +131,16 @@ const AppointmentHistory = () => {
                     </Typography>
                     <Typography variant="body2" color="textSecondary">
                       <strong>Date:</strong>{' '}
-                      {formatDate(
-                        appointment.scheduledDate || appointment.preferredDate
-                      )}
+                      {formatDate(appointmentStart(appointment), timeZone)}
                     </Typography>
                     <Typography variant="body2" color="textSecondary">
                       <strong>Time:</strong>{' '}
-                      {appointment.scheduledTime || appointment.preferredTime}
+                      {formatTime(appointmentStart(appointment), timeZone)}
                     </Typography>
                     <Box sx={{ my: 1 }}>
                       <Chip
                         label={appointment.status || 'Unknown'}
-                        color={
-                          appointment.status === 'approved'
-                            ? 'success'
-                            : appointment.status === 'rejected'
-                              ? 'error'
-                              : appointment.status === 'pending'
-                                ? 'warning'
-                                : 'default'
-                        }
+                        color={getStatusColor(appointment.status)}
                         size="small"
                       />
                       {appointment.meetingType && (
@@ -169,7 +167,7 @@ const AppointmentHistory = () => {
                         />
                       )}
                     </Box>
-                    {appointment.status === 'approved' &&
+                    {isActiveAppointment(appointment.status) &&
                       appointment.meetingType === 'online' &&
                       appointment.videoCallLink && (
                         <Box sx={{ mt: 2 }}>
@@ -208,9 +206,10 @@ const AppointmentHistory = () => {
                         </Typography>
                       </Box>
                     )}
-                    {/* Give Feedback Button for Patients with Approved Appointments */}
+                    {/* Give Feedback Button for Patients with Approved or Completed Appointments */}
                     {userData?.role === 'patient' &&
-                      appointment.status === 'approved' && (
+                      (isActiveAppointment(appointment.status) ||
+                        appointment.status === 'completed') && (
                         <Box sx={{ mt: 2 }}>
                           <Button
                             variant="outlined"
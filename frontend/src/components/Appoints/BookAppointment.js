@@ -4,7 +4,14 @@ import { useLocation } from 'react-router-dom'
 import {
   createAppointmentRequest,
   getAllDoctors,
+  getAvailableSlots,
+  getDoctorSchedule,
+  describeAppointmentType,
+  describeLocation,
 } from '../../services/api'
+import { subscribeToAvailability } from '../../services/socket'
+import { slotLabel, userTimeZone } from '../../services/timeZone'
+import JoinWaitlistDialog from './JoinWaitlistDialog'
 import {
   Container,
   TextField,
@@ -45,12 +52,21 @@ const BookAppointment = () => {
     contactInfo: '',
     notificationType: 'email',
     meetingType: 'offline',
+    appointmentTypeId: '',
+    locationId: '',
     urgencyLevel: location.state?.urgencyLevel || 'Routine',
     urgencyScore: location.state?.severityScore === undefined ? 0 : location.state.severityScore
   })
   const [doctors, setDoctors] = useState([])
+  // The chosen doctor's bookable appointment types and practice locations
+  const [appointmentTypes, setAppointmentTypes] = useState([])
+  const [locations, setLocations] = useState([])
+  const [availableSlots, setAvailableSlots] = useState([])
+  const [slotStarts, setSlotStarts] = useState({})
+  const [slotsLoading, setSlotsLoading] = useState(false)
   const [loading, setLoading] = useState(true)
   const [userProfileLoading, setUserProfileLoading] = useState(false)
+  const [waitlistOpen, setWaitlistOpen] = useState(false)
   const [snackbar, setSnackbar] = useState({
     open: false,
     message: '',
@@ -72,16 +88,96 @@ const BookAppointment = () => {
     fetchDoctors()
   }, [])
 
+  // Load the doctor's free slots whenever the doctor, date, appointment type
+  // or location changes, or the server says they changed
+  const { doctorMedicalId, preferredDate, appointmentTypeId, locationId } = formData
+  useEffect(() => {
+    setAppointmentTypes([])
+    setLocations([])
+    if (!doctorMedicalId) return
+
+    getDoctorSchedule(doctorMedicalId)
+      .then((response) => {
+        const { schedule } = response.data
+        const types = (schedule.appointmentTypes || []).filter((type) => type.active)
+        const places = (schedule.locations || []).filter((place) => place.active)
+        setAppointmentTypes(types)
+        setLocations(places)
+        // Nothing to choose between when there's only one
+        setFormData((prev) => ({
+          ...prev,
+          appointmentTypeId: types.length === 1 ? types[0]._id : '',
+          locationId: places.length === 1 ? places[0]._id : '',
+        }))
+      })
+      .catch((error) => console.error('Error fetching doctor schedule:', error))
+  }, [doctorMedicalId])
+
+  const selectedType = appointmentTypes.find((type) => type._id === appointmentTypeId)
+  const bookingChosen =
+    (appointmentTypes.length === 0 || !!appointmentTypeId) &&
+    (locations.length === 0 || !!locationId)
+
+  // Switch to a meeting type the chosen appointment type allows
+  useEffect(() => {
+    if (!selectedType) return
+    setFormData((prev) =>
+      selectedType.meetingTypes.includes(prev.meetingType)
+        ? prev
+        : { ...prev, meetingType: selectedType.meetingTypes[0] }
+    )
+  }, [selectedType])
+
+  const [slotsVersion, setSlotsVersion] = useState(0)
+  useEffect(() => {
+    if (!doctorMedicalId) return
+    return subscribeToAvailability(doctorMedicalId, (update) => {
+      if (!update.date || update.date === preferredDate) {
+        setSlotsVersion((version) => version + 1)
+      }
+    })
+  }, [doctorMedicalId, preferredDate])
+
+  useEffect(() => {
+    if (!doctorMedicalId || !preferredDate || !bookingChosen) {
+      setAvailableSlots([])
+      return
+    }
+
+    setSlotsLoading(true)
+    getAvailableSlots(doctorMedicalId, preferredDate, { appointmentTypeId, locationId })
+      .then((response) => {
+        setAvailableSlots(response.data.slots || [])
+        setSlotStarts(response.data.startsAt || {})
+      })
+      .catch((error) => {
+        console.error('Error fetching available slots:', error)
+        setAvailableSlots([])
+      })
+      .finally(() => setSlotsLoading(false))
+  }, [doctorMedicalId, preferredDate, appointmentTypeId, locationId, bookingChosen, slotsVersion])
+
+  // The server sets the request's urgency from the symptom checker's
+  // assessment, so doctors can triage it
+  const assessment = location.state?.fromSymptomChecker
+    ? {
+        severityScore: formData.urgencyScore,
+        urgency: formData.urgencyLevel,
+        recommendedAction: location.state.recommendedAction,
+        summary: location.state.summary
+      }
+    : undefined
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     setLoading(true)
 
     try {
+      const { urgencyLevel, urgencyScore, ...fields } = formData
       const appointmentData = {
-        ...formData,
+        ...fields,
         patientMedicalId: userData.medicalId,
-        urgencyScore: formData.urgencyScore,
-        urgencyLevel: formData.urgencyLevel
+        assessment
       }
 
       const response = await createAppointmentRequest(appointmentData)
@@ -98,6 +194,8 @@ const BookAppointment = () => {
         doctorMedicalId: '',
         preferredDate: '',
         preferredTime: '',
+        appointmentTypeId: '',
+        locationId: '',
         symptoms: '',
         contactInfo: ''
       })
@@ -106,7 +204,9 @@ const BookAppointment = () => {
       console.error('Error booking appointment:', error)
       setSnackbar({
         open: true,
-        message: 'Failed to book appointment. Please try again.',
+        message:
+          error.response?.data?.message ||
+          'Failed to book appointment. Please try again.',
         severity: 'error'
       })
     } finally {
@@ -174,7 +274,11 @@ const BookAppointment = () => {
             <Select
               value={formData.doctorMedicalId}
               onChange={(e) =>
-                setFormData({ ...formData, doctorMedicalId: e.target.value })
+                setFormData({
+                  ...formData,
+                  doctorMedicalId: e.target.value,
+                  preferredTime: '',
+                })
               }
               label="Select Doctor"
             >
@@ -186,6 +290,48 @@ const BookAppointment = () => {
             </Select>
           </FormControl>
 
+          {appointmentTypes.length > 0 && (
+            <FormControl fullWidth sx={{ mb: 3 }}>
+              <InputLabel>Appointment Type</InputLabel>
+              <Select
+                name="appointmentTypeId"
+                value={formData.appointmentTypeId}
+                onChange={(e) =>
+                  setFormData({ ...formData, appointmentTypeId: e.target.value, preferredTime: '' })
+                }
+                label="Appointment Type"
+              >
+                {appointmentTypes.map((type) => (
+                  <MenuItem key={type._id} value={type._id}>
+                    {describeAppointmentType(type)}
+                  </MenuItem>
+                ))}
+              </Select>
+              <FormHelperText>Sets how long the appointment is</FormHelperText>
+            </FormControl>
+          )}
+
+          {locations.length > 0 && (
+            <FormControl fullWidth sx={{ mb: 3 }}>
+              <InputLabel>Location</InputLabel>
+              <Select
+                name="locationId"
+                value={formData.locationId}
+                onChange={(e) =>
+                  setFormData({ ...formData, locationId: e.target.value, preferredTime: '' })
+                }
+                label="Location"
+              >
+                {locations.map((place) => (
+                  <MenuItem key={place._id} value={place._id}>
+                    {describeLocation(place)}
+                  </MenuItem>
+                ))}
+              </Select>
+              <FormHelperText>Free slots follow this location&apos;s opening hours</FormHelperText>
+            </FormControl>
+          )}
+
           <TextField
             fullWidth
             multiline
@@ -241,23 +387,65 @@ const BookAppointment = () => {
             label="Preferred Date"
             value={formData.preferredDate}
             onChange={(e) =>
-              setFormData({ ...formData, preferredDate: e.target.value })
+              setFormData({
+                ...formData,
+                preferredDate: e.target.value,
+                preferredTime: '',
+              })
             }
             InputLabelProps={{ shrink: true }}
             sx={{ mb: 3 }}
           />
 
-          <TextField
+          <FormControl
             fullWidth
-            type="time"
-            label="Preferred Time"
-            value={formData.preferredTime}
-            onChange={(e) =>
-              setFormData({ ...formData, preferredTime: e.target.value })
-            }
-            InputLabelProps={{ shrink: true }}
             sx={{ mb: 3 }}
-          />
+            disabled={
+              !formData.doctorMedicalId ||
+              !formData.preferredDate ||
+              slotsLoading ||
+              availableSlots.length === 0
+            }
+          >
+            <InputLabel>Available Time Slot</InputLabel>
+            <Select
+              name="preferredTime"
+              value={formData.preferredTime}
+              onChange={handleChange}
+              label="Available Time Slot"
+            >
+              {availableSlots.map((slot) => (
+                <MenuItem key={slot} value={slot}>
+                  {slotLabel(slot, slotStarts[slot], userTimeZone(userData))}
+                </MenuItem>
+              ))}
+            </Select>
+            <FormHelperText>
+              {!formData.doctorMedicalId || !formData.preferredDate
+                ? 'Select a doctor and date to see free slots'
+                : !bookingChosen
+                  ? 'Choose an appointment type and location to see free slots'
+                : slotsLoading
+                  ? 'Loading free slots...'
+                  : availableSlots.length === 0
+                    ? 'No free slots on this date, please pick another day'
+                    : `${availableSlots.length} free slot(s)`}
+            </FormHelperText>
+          </FormControl>
+
+          {formData.doctorMedicalId && formData.preferredDate && bookingChosen && !slotsLoading && availableSlots.length === 0 && (
+            <Alert
+              severity="info"
+              sx={{ mb: 3 }}
+              action={
+                <Button color="inherit" size="small" onClick={() => setWaitlistOpen(true)}>
+                  Join Waitlist
+                </Button>
+              }
+            >
+              Fully booked? Join the waitlist and we&apos;ll hold the next matching slot for you.
+            </Alert>
+          )}
 
           <TextField
             fullWidth
@@ -274,6 +462,7 @@ const BookAppointment = () => {
               control={
                 <Switch
                   checked={formData.meetingType === 'online'}
+                  disabled={selectedType?.meetingTypes.length === 1}
                   onChange={(e) =>
                     setFormData({
                       ...formData,
@@ -320,13 +509,28 @@ const BookAppointment = () => {
             variant="contained"
             color="primary"
             fullWidth
-            disabled={userProfileLoading}
+            disabled={userProfileLoading || !formData.preferredTime}
           >
             {userProfileLoading ? 'Loading...' : 'Book Appointment'}
           </Button>
         </Box>
       </Paper>
       
+      <JoinWaitlistDialog
+        open={waitlistOpen}
+        doctor={doctors.find((doctor) => doctor.medicalId === formData.doctorMedicalId)}
+        booking={{ ...formData, assessment }}
+        onClose={() => setWaitlistOpen(false)}
+        onJoined={() => {
+          setWaitlistOpen(false)
+          setSnackbar({
+            open: true,
+            message: "You're on the waitlist. We'll let you know when a slot opens up.",
+            severity: 'success'
+          })
+        }}
+      />
+
       {/* Snackbar for notifications */}
       <Snackbar
         open={snackbar.open}
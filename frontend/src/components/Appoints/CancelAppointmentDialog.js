@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  TextField,
+} from '@mui/material'
+
+// Ask for the reason before cancelling an appointment
+const CancelAppointmentDialog = ({ open, onClose, onSubmit }) => {
+  const [reason, setReason] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (open) setReason('')
+  }, [open])
+
+  const handleSubmit = async () => {
+    setSubmitting(true)
+    try {
+      await onSubmit(reason.trim())
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Cancel Appointment</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          The other side will be notified by email with your reason.
+        </DialogContentText>
+        <TextField
+          fullWidth
+          multiline
+          rows={3}
+          required
+          label="Reason for cancelling"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Keep Appointment</Button>
+        <Button
+          variant="contained"
+          color="error"
+          onClick={handleSubmit}
+          disabled={!reason.trim() || submitting}
+        >
+          Cancel Appointment
+        </Button>
+      </DialogActions>
+    </Dialog>
+  )
+}
+
+CancelAppointmentDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+}
+
+export default CancelAppointmentDialog
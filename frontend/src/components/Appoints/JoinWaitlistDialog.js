@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  FormControlLabel,
+  FormGroup,
+  FormHelperText,
+  TextField,
+} from '@mui/material'
+import { joinWaitlist } from '../../services/api'
+
+const TIMES_OF_DAY = [
+  { value: 'morning', label: 'Morning (before 12:00)' },
+  { value: 'afternoon', label: 'Afternoon (12:00 - 17:00)' },
+  { value: 'evening', label: 'Evening (after 17:00)' },
+]
+
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + days)
+  return date.toISOString().split('T')[0]
+}
+
+const today = () => new Date().toISOString().split('T')[0]
+
+// Join a doctor's waitlist from the booking form. The symptoms, contact
+// details, meeting type, appointment type and location already entered are
+// sent along so an accepted offer becomes a complete appointment request.
+const JoinWaitlistDialog = ({ open, doctor, booking, onClose, onJoined }) => {
+  const [fromDate, setFromDate] = useState('')
+  const [toDate, setToDate] = useState('')
+  const [timesOfDay, setTimesOfDay] = useState([])
+  const [error, setError] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const { preferredDate } = booking
+
+  useEffect(() => {
+    if (!open) return
+    const from =
+      preferredDate && preferredDate > today() ? preferredDate : today()
+    setFromDate(from)
+    setToDate(addDays(from, 7))
+    setTimesOfDay([])
+    setError('')
+  }, [open, preferredDate])
+
+  const toggleTime = (value) =>
+    setTimesOfDay((prev) =>
+      prev.includes(value)
+        ? prev.filter((time) => time !== value)
+        : [...prev, value]
+    )
+
+  const handleSubmit = () => {
+    setSubmitting(true)
+    setError('')
+    joinWaitlist({
+      doctorMedicalId: doctor.medicalId,
+      fromDate,
+      toDate,
+      timesOfDay,
+      symptoms: booking.symptoms,
+      contactInfo: booking.contactInfo,
+      meetingType: booking.meetingType,
+      appointmentTypeId: booking.appointmentTypeId || undefined,
+      locationId: booking.locationId || undefined,
+      assessment: booking.assessment,
+    })
+      .then((response) => onJoined(response.data.entry))
+      .catch((err) =>
+        setError(err.response?.data?.message || 'Failed to join the waitlist')
+      )
+      .finally(() => setSubmitting(false))
+  }
+
+  const missingDetails =
+    !booking.symptoms?.trim() || !booking.contactInfo?.trim()
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Join Dr. {doctor?.username}&apos;s waitlist</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          When a matching slot frees up we&apos;ll hold it for you and let you
+          know. Accept it before the hold runs out to send the request to the
+          doctor, or it goes to the next patient.
+        </DialogContentText>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {missingDetails && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Fill in your symptoms and contact information in the booking form
+            first.
+          </Alert>
+        )}
+        <Box display="flex" gap={2} mb={2}>
+          <TextField
+            type="date"
+            label="From"
+            value={fromDate}
+            onChange={(e) => setFromDate(e.target.value)}
+            inputProps={{ min: today() }}
+            InputLabelProps={{ shrink: true }}
+            fullWidth
+          />
+          <TextField
+            type="date"
+            label="To"
+            value={toDate}
+            onChange={(e) => setToDate(e.target.value)}
+            inputProps={{ min: fromDate }}
+            InputLabelProps={{ shrink: true }}
+            fullWidth
+          />
+        </Box>
+        <FormGroup>
+          {TIMES_OF_DAY.map(({ value, label }) => (
+            <FormControlLabel
+              key={value}
+              control={
+                <Checkbox
+                  checked={timesOfDay.includes(value)}
+                  onChange={() => toggleTime(value)}
+                />
+              }
+              label={label}
+            />
+          ))}
+        </FormGroup>
+        <FormHelperText>Leave all unticked for any time of day</FormHelperText>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={submitting || missingDetails || !fromDate || !toDate}
+        >
+          Join Waitlist
+        </Button>
+      </DialogActions>
+    </Dialog>
+  )
+}
+
+JoinWaitlistDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  doctor: PropTypes.shape({
+    medicalId: PropTypes.string,
+    username: PropTypes.string,
+  }),
+  booking: PropTypes.shape({
+    preferredDate: PropTypes.string,
+    symptoms: PropTypes.string,
+    contactInfo: PropTypes.string,
+    meetingType: PropTypes.string,
+    appointmentTypeId: PropTypes.string,
+    locationId: PropTypes.string,
+    assessment: PropTypes.object,
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onJoined: PropTypes.func.isRequired,
+}
+
+export default JoinWaitlistDialog
@@ -1,10 +1,20 @@
 import React, { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../../contexts/AuthContext'
 import {
   getPatientAppointmentRequests,
-  addMessageToRequest,
   cancelAppointment,
+  describeAppointmentType,
+  describeLocation,
 } from '../../services/api'
+import { subscribeToAppointmentUpdates } from '../../services/socket'
+import {
+  appointmentStart,
+  formatDate,
+  formatTime,
+  userTimeZone,
+} from '../../services/timeZone'
+import CancelAppointmentDialog from './CancelAppointmentDialog'
 import {
   Container,
   Typography,
@@ -14,23 +24,16 @@ import {
   Grid,
   CircularProgress,
   Chip,
-  Dialog,
-  DialogTitle,
-  DialogContent,
-  DialogActions,
-  TextField,
 } from '@mui/material'
-import { format } from 'date-fns'
 
 const PendingRequests = () => {
   const [pendingRequests, setPendingRequests] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
-  const [selectedRequest, setSelectedRequest] = useState(null)
-  const [chatOpen, setChatOpen] = useState(false)
-  const [message, setMessage] = useState('')
-  const [chatMessages, setChatMessages] = useState([])
+  const [cancelTarget, setCancelTarget] = useState(null)
   const { userData } = useAuth()
+  const navigate = useNavigate()
+  const timeZone = userTimeZone(userData)
 
   const fetchRequests = async () => {
     try {
@@ -38,7 +41,7 @@ const PendingRequests = () => {
       const response = await getPatientAppointmentRequests(userData.medicalId)
       // Filter only pending requests
       const pending = (response.data.requests || []).filter(
-        (req) => req.status === 'pending'
+        (req) => req.status === 'requested'
       )
       setPendingRequests(pending)
       setError(null)
@@ -53,46 +56,24 @@ const PendingRequests = () => {
   useEffect(() => {
     if (userData?.medicalId) {
       fetchRequests()
+      return subscribeToAppointmentUpdates(() => fetchRequests())
     }
   }, [userData])
 
-  const handleCancel = async (requestId) => {
+  const handleCancel = async (reason) => {
     try {
-      await cancelAppointment(requestId)
+      await cancelAppointment(cancelTarget._id, reason)
+      setCancelTarget(null)
       fetchRequests()
     } catch (error) {
       console.error('Error cancelling request:', error)
+      alert(error.response?.data?.message || 'Failed to cancel request')
     }
   }
 
-  const handleChat = async (request) => {
-    setSelectedRequest(request)
-    setChatMessages(request.messages || [])
-    setChatOpen(true)
-  }
-
-  const handleSendMessage = async () => {
-    if (!message.trim() || !selectedRequest) return
-
-    try {
-      await addMessageToRequest(selectedRequest._id, {
-        message: message.trim(),
-        senderMedicalId: userData.medicalId,
-        senderName: userData.username,
-      })
-      setMessage('')
-      fetchRequests()
-      // Update chat messages
-      const updatedRequest = pendingRequests.find(
-        (r) => r._id === selectedRequest._id
-      )
-      if (updatedRequest) {
-        setChatMessages(updatedRequest.messages || [])
-      }
-    } catch (error) {
-      console.error('Error sending message:', error)
-    }
-  }
+  // Messages about a request live in its conversation thread
+  const openConversation = (request) =>
+    navigate(`/patient/messages?appointment=${request._id}`)
 
   if (loading) {
     return (
@@ -163,11 +144,24 @@ const PendingRequests = () => {
                     />
                     <Typography variant="body1">
                       <strong>Date:</strong>{' '}
-                      {format(new Date(request.preferredDate), 'dd/MM/yyyy')}
+                      {formatDate(appointmentStart(request), timeZone)}
                     </Typography>
                     <Typography variant="body1">
-                      <strong>Time:</strong> {request.preferredTime}
+                      <strong>Time:</strong>{' '}
+                      {formatTime(appointmentStart(request), timeZone)}
                     </Typography>
+                    {request.appointmentType?.name && (
+                      <Typography variant="body1">
+                        <strong>Appointment:</strong>{' '}
+                        {describeAppointmentType(request.appointmentType)}
+                      </Typography>
+                    )}
+                    {request.location?.name && (
+                      <Typography variant="body1">
+                        <strong>Location:</strong>{' '}
+                        {describeLocation(request.location)}
+                      </Typography>
+                    )}
                     {request.symptoms && (
                       <Typography variant="body1">
                         <strong>Symptoms:</strong> {request.symptoms}
@@ -182,14 +176,14 @@ const PendingRequests = () => {
                     <Button
                       variant="outlined"
                       color="primary"
-                      onClick={() => handleChat(request)}
+                      onClick={() => openConversation(request)}
                     >
-                      CHAT ({request.messages?.length || 0})
+                      MESSAGE
                     </Button>
                     <Button
                       variant="contained"
                       color="error"
-                      onClick={() => handleCancel(request._id)}
+                      onClick={() => setCancelTarget(request)}
                     >
                       CANCEL
                     </Button>
@@ -201,60 +195,11 @@ const PendingRequests = () => {
         )}
       </Grid>
 
-      {/* Chat Dialog */}
-      <Dialog
-        open={chatOpen}
-        onClose={() => setChatOpen(false)}
-        maxWidth="sm"
-        fullWidth
-      >
-        <DialogTitle>Chat with Dr. {selectedRequest?.doctorName}</DialogTitle>
-        <DialogContent dividers>
-          <Box sx={{ mb: 2, maxHeight: '300px', overflowY: 'auto' }}>
-            {chatMessages.map((msg, index) => (
-              <Paper
-                key={index}
-                sx={{
-                  p: 1,
-                  mb: 1,
-                  bgcolor:
-                    msg.sender === userData.medicalId
-                      ? 'primary.light'
-                      : 'background.default',
-                  color:
-                    msg.sender === userData.medicalId
-                      ? 'primary.contrastText'
-                      : 'text.primary',
-                }}
-              >
-                <Typography variant="caption" display="block">
-                  {msg.senderName} -{' '}
-                  {format(new Date(msg.timestamp), 'MMM d, HH:mm')}
-                </Typography>
-                <Typography variant="body2">{msg.message}</Typography>
-              </Paper>
-            ))}
-          </Box>
-          <TextField
-            fullWidth
-            multiline
-            rows={2}
-            value={message}
-            onChange={(e) => setMessage(e.target.value)}
-            placeholder="Type your message here..."
-          />
-        </DialogContent>
-        <DialogActions>
-          <Button onClick={() => setChatOpen(false)}>Close</Button>
-          <Button
-            onClick={handleSendMessage}
-            variant="contained"
-            disabled={!message.trim()}
-          >
-            Send
-          </Button>
-        </DialogActions>
-      </Dialog>
+      <CancelAppointmentDialog
+        open={!!cancelTarget}
+        onClose={() => setCancelTarget(null)}
+        onSubmit={handleCancel}
+      />
     </Container>
   )
 }
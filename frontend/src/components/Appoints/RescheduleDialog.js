@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import { getAvailableSlots } from '../../services/api'
+import { useAuth } from '../../contexts/AuthContext'
+import { slotLabel, userTimeZone } from '../../services/timeZone'
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormHelperText,
+} from '@mui/material'
+
+// Pick a new date and free slot to propose for an appointment
+const RescheduleDialog = ({ open, appointment, title, onClose, onSubmit }) => {
+  const { userData } = useAuth()
+  const [date, setDate] = useState('')
+  const [time, setTime] = useState('')
+  const [reason, setReason] = useState('')
+  const [slots, setSlots] = useState([])
+  const [slotStarts, setSlotStarts] = useState({})
+  const [slotsLoading, setSlotsLoading] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+
+  const doctorMedicalId = appointment?.doctorMedicalId
+  const appointmentRequestId = appointment?._id
+
+  useEffect(() => {
+    if (open) {
+      setDate('')
+      setTime('')
+      setReason('')
+    }
+  }, [open])
+
+  useEffect(() => {
+    if (!doctorMedicalId || !date) {
+      setSlots([])
+      return
+    }
+
+    setSlotsLoading(true)
+    // Slots long enough for this appointment's type, at its location
+    getAvailableSlots(doctorMedicalId, date, { appointmentRequestId })
+      .then((response) => {
+        setSlots(response.data.slots || [])
+        setSlotStarts(response.data.startsAt || {})
+      })
+      .catch((error) => {
+        console.error('Error fetching available slots:', error)
+        setSlots([])
+      })
+      .finally(() => setSlotsLoading(false))
+  }, [doctorMedicalId, appointmentRequestId, date])
+
+  const handleSubmit = async () => {
+    setSubmitting(true)
+    try {
+      await onSubmit({ date, time, reason: reason.trim() })
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{title || 'Propose a New Time'}</DialogTitle>
+      <DialogContent>
+        <TextField
+          fullWidth
+          type="date"
+          label="New Date"
+          value={date}
+          onChange={(e) => {
+            setDate(e.target.value)
+            setTime('')
+          }}
+          InputLabelProps={{ shrink: true }}
+          inputProps={{ min: new Date().toISOString().split('T')[0] }}
+          sx={{ mt: 2, mb: 2 }}
+        />
+        <FormControl fullWidth sx={{ mb: 2 }} disabled={!date || slotsLoading}>
+          <InputLabel>New Time</InputLabel>
+          <Select
+            value={time}
+            label="New Time"
+            onChange={(e) => setTime(e.target.value)}
+          >
+            {slots.map((slot) => (
+              <MenuItem key={slot} value={slot}>
+                {slotLabel(slot, slotStarts[slot], userTimeZone(userData))}
+              </MenuItem>
+            ))}
+          </Select>
+          {date && !slotsLoading && slots.length === 0 && (
+            <FormHelperText>No free slots on this date</FormHelperText>
+          )}
+        </FormControl>
+        <TextField
+          fullWidth
+          multiline
+          rows={3}
+          label="Reason (optional)"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={!date || !time || submitting}
+        >
+          Send Proposal
+        </Button>
+      </DialogActions>
+    </Dialog>
+  )
+}
+
+RescheduleDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  appointment: PropTypes.shape({
+    _id: PropTypes.string,
+    doctorMedicalId: PropTypes.string,
+  }),
+  title: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+}
+
+export default RescheduleDialog
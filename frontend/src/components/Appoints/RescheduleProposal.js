@@ -0,0 +1,73 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { getPendingProposal } from '../../services/api'
+import { useAuth } from '../../contexts/AuthContext'
+import { formatDateTime, userTimeZone } from '../../services/timeZone'
+import { Alert, Box, Button } from '@mui/material'
+
+// Pending reschedule proposal on an appointment, with the responses open
+// to the side that didn't make it
+const RescheduleProposal = ({ appointment, role, onRespond, onCounter }) => {
+  const { userData } = useAuth()
+  const proposal = getPendingProposal(appointment)
+  if (!proposal) return null
+
+  // Proposals made before instants were stored only have the clinic's time
+  const when = proposal.startsAt
+    ? formatDateTime(proposal.startsAt, userTimeZone(userData))
+    : `${new Date(proposal.date).toLocaleDateString()} at ${proposal.time}`
+
+  if (proposal.proposedByRole === role) {
+    return (
+      <Alert severity="info" sx={{ mt: 2 }}>
+        You asked to move this appointment to {when}. Waiting for a response.
+      </Alert>
+    )
+  }
+
+  const proposer =
+    proposal.proposedByRole === 'doctor'
+      ? `Dr. ${appointment.doctorName}`
+      : appointment.patientName
+
+  return (
+    <Alert severity="warning" sx={{ mt: 2 }}>
+      {proposer} asked to move this appointment to {when}.
+      {proposal.reason && ` Reason: ${proposal.reason}`}
+      <Box display="flex" gap={1} sx={{ mt: 1 }}>
+        <Button
+          size="small"
+          variant="contained"
+          color="success"
+          onClick={() => onRespond(appointment, proposal, true)}
+        >
+          Accept
+        </Button>
+        <Button
+          size="small"
+          variant="outlined"
+          color="error"
+          onClick={() => onRespond(appointment, proposal, false)}
+        >
+          Decline
+        </Button>
+        <Button size="small" onClick={() => onCounter(appointment)}>
+          Suggest Another Time
+        </Button>
+      </Box>
+    </Alert>
+  )
+}
+
+RescheduleProposal.propTypes = {
+  appointment: PropTypes.shape({
+    doctorName: PropTypes.string,
+    patientName: PropTypes.string,
+    rescheduleProposals: PropTypes.array,
+  }).isRequired,
+  role: PropTypes.oneOf(['patient', 'doctor']).isRequired,
+  onRespond: PropTypes.func.isRequired,
+  onCounter: PropTypes.func.isRequired,
+}
+
+export default RescheduleProposal
@@ -1,31 +1,44 @@
 import React, { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../../contexts/AuthContext'
 import {
   getUpcomingAppointments,
-  addMessageToRequest,
   cancelAppointment,
+  proposeReschedule,
+  respondToReschedule,
+  getPendingProposal,
+  isActiveAppointment,
+  describeAppointmentType,
+  describeLocation,
 } from '../../services/api'
+import { subscribeToAppointmentUpdates } from '../../services/socket'
+import {
+  appointmentStart,
+  formatDate,
+  formatTime,
+  userTimeZone,
+} from '../../services/timeZone'
+import RescheduleDialog from './RescheduleDialog'
+import CancelAppointmentDialog from './CancelAppointmentDialog'
+import RescheduleProposal from './RescheduleProposal'
 import {
   Container,
   Typography,
   Paper,
   Box,
-  Button,
   Grid,
   Chip,
   CircularProgress,
-  Dialog,
-  DialogTitle,
-  DialogContent,
-  DialogActions,
-  TextField,
   Tooltip,
   IconButton,
+  Snackbar,
+  Alert,
 } from '@mui/material'
 import {
   Chat as ChatIcon,
   Cancel as CancelIcon,
   AccessTime as AccessTimeIcon,
+  EventRepeat as EventRepeatIcon,
 } from '@mui/icons-material'
 import { format, differenceInDays, differenceInHours } from 'date-fns'
 
@@ -33,11 +46,16 @@ const UpcomingAppointments = () => {
   const [appointments, setAppointments] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
-  const [selectedAppointment, setSelectedAppointment] = useState(null)
-  const [chatOpen, setChatOpen] = useState(false)
-  const [message, setMessage] = useState('')
-  const [chatMessages, setChatMessages] = useState([])
+  const [rescheduleTarget, setRescheduleTarget] = useState(null)
+  const [cancelTarget, setCancelTarget] = useState(null)
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: '',
+    severity: 'success',
+  })
   const { userData } = useAuth()
+  const navigate = useNavigate()
+  const timeZone = userTimeZone(userData)
 
   const fetchAppointments = async () => {
     try {
@@ -45,10 +63,10 @@ const UpcomingAppointments = () => {
       const response = await getUpcomingAppointments(userData.medicalId)
       console.log('Upcoming appointments response:', response.data) // Debug log
 
-      // Get only approved appointments
+      // Get only approved or rescheduled appointments
       const upcomingAppts = (response.data.requests || [])
-        .filter((req) => req.status === 'approved')
-        .sort((a, b) => new Date(a.preferredDate) - new Date(b.preferredDate))
+        .filter((req) => isActiveAppointment(req.status))
+        .sort((a, b) => appointmentStart(a) - appointmentStart(b))
 
       console.log('Filtered appointments:', upcomingAppts) // Debug log
       setAppointments(upcomingAppts)
@@ -64,49 +82,61 @@ const UpcomingAppointments = () => {
   useEffect(() => {
     if (userData?.medicalId) {
       fetchAppointments()
+      return subscribeToAppointmentUpdates(() => fetchAppointments())
     }
   }, [userData])
 
-  const handleCancel = async (appointmentId) => {
-    if (window.confirm('Are you sure you want to cancel this appointment?')) {
-      try {
-        await cancelAppointment(appointmentId)
-        fetchAppointments()
-      } catch (error) {
-        console.error('Error cancelling appointment:', error)
-      }
+  const showResult = (message, severity = 'success') =>
+    setSnackbar({ open: true, message, severity })
+
+  const handleCancel = async (reason) => {
+    try {
+      await cancelAppointment(cancelTarget._id, reason)
+      setCancelTarget(null)
+      showResult('Appointment cancelled')
+      fetchAppointments()
+    } catch (error) {
+      console.error('Error cancelling appointment:', error)
+      showResult(
+        error.response?.data?.message || 'Failed to cancel appointment',
+        'error'
+      )
     }
   }
 
-  const handleChat = (appointment) => {
-    setSelectedAppointment(appointment)
-    setChatMessages(appointment.messages || [])
-    setChatOpen(true)
+  const handleReschedule = async (data) => {
+    try {
+      await proposeReschedule(rescheduleTarget._id, data)
+      setRescheduleTarget(null)
+      showResult('Reschedule request sent to your doctor')
+      fetchAppointments()
+    } catch (error) {
+      console.error('Error proposing new time:', error)
+      showResult(
+        error.response?.data?.message || 'Failed to send reschedule request',
+        'error'
+      )
+    }
   }
 
-  const handleSendMessage = async () => {
-    if (!message.trim() || !selectedAppointment) return
-
+  const handleRespond = async (appointment, proposal, accept) => {
     try {
-      await addMessageToRequest(selectedAppointment._id, {
-        message: message.trim(),
-        senderMedicalId: userData.medicalId,
-        senderName: userData.username,
-      })
-      setMessage('')
+      await respondToReschedule(appointment._id, proposal._id, accept)
+      showResult(accept ? 'Appointment rescheduled' : 'Proposal declined')
       fetchAppointments()
-      // Update chat messages
-      const updatedAppointment = appointments.find(
-        (a) => a._id === selectedAppointment._id
-      )
-      if (updatedAppointment) {
-        setChatMessages(updatedAppointment.messages || [])
-      }
     } catch (error) {
-      console.error('Error sending message:', error)
+      console.error('Error responding to proposal:', error)
+      showResult(
+        error.response?.data?.message || 'Failed to respond to proposal',
+        'error'
+      )
     }
   }
 
+  // Messages about an appointment live in its conversation thread
+  const openConversation = (appointment) =>
+    navigate(`/patient/messages?appointment=${appointment._id}`)
+
   const getTimeUntilAppointment = (date) => {
     const now = new Date()
     const appointmentDate = new Date(date)
@@ -184,7 +214,11 @@ const UpcomingAppointments = () => {
                       Dr. {appointment.doctorName}
                     </Typography>
                     <Chip
-                      label="CONFIRMED"
+                      label={
+                        appointment.status === 'rescheduled'
+                          ? 'RESCHEDULED'
+                          : 'CONFIRMED'
+                      }
                       color="success"
                       size="small"
                       sx={{ mb: 2 }}
@@ -193,7 +227,7 @@ const UpcomingAppointments = () => {
                       <Chip
                         icon={<AccessTimeIcon />}
                         label={getTimeUntilAppointment(
-                          appointment.preferredDate
+                          appointmentStart(appointment)
                         )}
                         color="primary"
                         size="small"
@@ -202,14 +236,24 @@ const UpcomingAppointments = () => {
                     </Tooltip>
                     <Typography variant="body1">
                       <strong>Date:</strong>{' '}
-                      {format(
-                        new Date(appointment.preferredDate),
-                        'dd/MM/yyyy'
-                      )}
+                      {formatDate(appointmentStart(appointment), timeZone)}
                     </Typography>
                     <Typography variant="body1">
-                      <strong>Time:</strong> {appointment.preferredTime}
+                      <strong>Time:</strong>{' '}
+                      {formatTime(appointmentStart(appointment), timeZone)}
                     </Typography>
+                    {appointment.appointmentType?.name && (
+                      <Typography variant="body1">
+                        <strong>Appointment:</strong>{' '}
+                        {describeAppointmentType(appointment.appointmentType)}
+                      </Typography>
+                    )}
+                    {appointment.location?.name && (
+                      <Typography variant="body1">
+                        <strong>Location:</strong>{' '}
+                        {describeLocation(appointment.location)}
+                      </Typography>
+                    )}
                     {appointment.symptoms && (
                       <Typography variant="body1">
                         <strong>Symptoms:</strong> {appointment.symptoms}
@@ -246,94 +290,74 @@ const UpcomingAppointments = () => {
                   </Box>
 
                   <Box display="flex" gap={1} alignItems="center">
-                    <Tooltip title="Chat with doctor">
+                    <Tooltip title="Message your doctor">
                       <IconButton
                         color="primary"
-                        onClick={() => handleChat(appointment)}
+                        onClick={() => openConversation(appointment)}
                       >
                         <ChatIcon />
-                        <Typography variant="caption" sx={{ ml: 0.5 }}>
-                          ({appointment.messages?.length || 0})
-                        </Typography>
                       </IconButton>
                     </Tooltip>
+                    <Tooltip title="Request a new time">
+                      <span>
+                        <IconButton
+                          color="primary"
+                          disabled={!!getPendingProposal(appointment)}
+                          onClick={() => setRescheduleTarget(appointment)}
+                        >
+                          <EventRepeatIcon />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
                     <Tooltip title="Cancel appointment">
                       <IconButton
                         color="error"
-                        onClick={() => handleCancel(appointment._id)}
+                        onClick={() => setCancelTarget(appointment)}
                       >
                         <CancelIcon />
                       </IconButton>
                     </Tooltip>
                   </Box>
                 </Box>
+                <RescheduleProposal
+                  appointment={appointment}
+                  role="patient"
+                  onRespond={handleRespond}
+                  onCounter={setRescheduleTarget}
+                />
               </Paper>
             </Grid>
           ))
         )}
       </Grid>
 
-      {/* Chat Dialog */}
-      <Dialog
-        open={chatOpen}
-        onClose={() => setChatOpen(false)}
-        maxWidth="sm"
-        fullWidth
+      <RescheduleDialog
+        open={!!rescheduleTarget}
+        appointment={rescheduleTarget}
+        onClose={() => setRescheduleTarget(null)}
+        onSubmit={handleReschedule}
+      />
+
+      <CancelAppointmentDialog
+        open={!!cancelTarget}
+        onClose={() => setCancelTarget(null)}
+        onSubmit={handleCancel}
+      />
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
       >
-        <DialogTitle>
-          Chat with Dr. {selectedAppointment?.doctorName}
-        </DialogTitle>
-        <DialogContent dividers>
-          <Box sx={{ mb: 2, maxHeight: '300px', overflowY: 'auto' }}>
-            {chatMessages.map((msg, index) => (
-              <Paper
-                key={index}
-                sx={{
-                  p: 1,
-                  mb: 1,
-                  bgcolor:
-                    msg.sender === userData.medicalId
-                      ? 'primary.light'
-                      : 'background.default',
-                  color:
-                    msg.sender === userData.medicalId
-                      ? 'primary.contrastText'
-                      : 'text.primary',
-                }}
-              >
-                <Typography variant="caption" display="block">
-                  {msg.senderName} -{' '}
-                  {format(new Date(msg.timestamp), 'MMM d, HH:mm')}
-                </Typography>
-                <Typography variant="body2">{msg.message}</Typography>
-              </Paper>
-            ))}
-            {chatMessages.length === 0 && (
-              <Typography variant="body2" color="text.secondary" align="center">
-                No messages yet. Start the conversation!
-              </Typography>
-            )}
-          </Box>
-          <TextField
-            fullWidth
-            multiline
-            rows={2}
-            value={message}
-            onChange={(e) => setMessage(e.target.value)}
-            placeholder="Type your message here..."
-          />
-        </DialogContent>
-        <DialogActions>
-          <Button onClick={() => setChatOpen(false)}>Close</Button>
-          <Button
-            onClick={handleSendMessage}
-            variant="contained"
-            disabled={!message.trim()}
-          >
-            Send
-          </Button>
-        </DialogActions>
-      </Dialog>
+        <Alert
+          onClose={() => setSnackbar({ ...snackbar, open: false })}
+          severity={snackbar.severity}
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
     </Container>
   )
 }
@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import {
+  getMyWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  leaveWaitlist,
+  describeAppointmentType,
+  describeLocation,
+} from '../../services/api'
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Container,
+  Grid,
+  Paper,
+  Typography,
+} from '@mui/material'
+import { format } from 'date-fns'
+import { useAuth } from '../../contexts/AuthContext'
+import { formatDate, formatTime, userTimeZone } from '../../services/timeZone'
+
+const STATUS_CHIPS = {
+  waiting: { label: 'Waiting', color: 'info' },
+  offered: { label: 'Slot held for you', color: 'success' },
+  booked: { label: 'Requested', color: 'default' },
+  cancelled: { label: 'Left', color: 'default' },
+}
+
+const TIME_LABELS = {
+  morning: 'mornings',
+  afternoon: 'afternoons',
+  evening: 'evenings',
+}
+
+const formatDateKey = (dateKey) =>
+  format(new Date(`${dateKey}T00:00:00`), 'dd/MM/yyyy')
+
+const minutesLeft = (expiresAt, now) =>
+  Math.max(0, Math.ceil((new Date(expiresAt) - now) / (60 * 1000)))
+
+// The patient's waitlist entries. A held slot has to be accepted before the
+// hold runs out, otherwise it is offered to the next patient.
+const Waitlist = () => {
+  const navigate = useNavigate()
+  const { userData } = useAuth()
+  const timeZone = userTimeZone(userData)
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(null)
+  const [now, setNow] = useState(Date.now())
+
+  const fetchEntries = () =>
+    getMyWaitlist()
+      .then((response) => setEntries(response.data.entries || []))
+      .catch(() => setError('Failed to load your waitlist'))
+      .finally(() => setLoading(false))
+
+  useEffect(() => {
+    fetchEntries()
+    const timer = setInterval(() => setNow(Date.now()), 30 * 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const act = (entry, action, fallback) => {
+    setBusy(entry._id)
+    setError('')
+    return action(entry._id)
+      .catch((err) => {
+        setError(err.response?.data?.message || fallback)
+        throw err
+      })
+      .finally(() => {
+        setBusy(null)
+        fetchEntries()
+      })
+  }
+
+  const handleAccept = (entry) =>
+    act(entry, acceptWaitlistOffer, 'Failed to accept the slot')
+      .then(() => navigate('/patient/pending-requests'))
+      .catch(() => {})
+
+  const handleDecline = (entry) =>
+    act(entry, declineWaitlistOffer, 'Failed to decline the slot').catch(
+      () => {}
+    )
+
+  const handleLeave = (entry) => {
+    if (!window.confirm(`Leave Dr. ${entry.doctorName}'s waitlist?`)) return
+    act(entry, leaveWaitlist, 'Failed to leave the waitlist').catch(() => {})
+  }
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" py={6}>
+        <CircularProgress />
+      </Box>
+    )
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        My Waitlist
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        Join a doctor&apos;s waitlist from the booking page when they have no
+        free slots. When a matching slot opens up it is held for you for a short
+        time.
+      </Typography>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        {entries.map((entry) => {
+          const offer = entry.offers.find((o) => o.status === 'pending')
+          const status = STATUS_CHIPS[entry.status]
+          const active = ['waiting', 'offered'].includes(entry.status)
+          return (
+            <Grid item xs={12} key={entry._id}>
+              <Paper elevation={3} sx={{ p: 3 }}>
+                <Box
+                  display="flex"
+                  justifyContent="space-between"
+                  alignItems="flex-start"
+                  gap={2}
+                >
+                  <Box>
+                    <Typography variant="h6">Dr. {entry.doctorName}</Typography>
+                    <Chip
+                      label={status.label}
+                      color={status.color}
+                      size="small"
+                      sx={{ my: 1 }}
+                    />
+                    <Typography variant="body1">
+                      <strong>Dates:</strong> {formatDateKey(entry.fromDate)} –{' '}
+                      {formatDateKey(entry.toDate)}
+                    </Typography>
+                    <Typography variant="body1">
+                      <strong>Times:</strong>{' '}
+                      {entry.timesOfDay.length
+                        ? entry.timesOfDay
+                            .map((time) => TIME_LABELS[time])
+                            .join(', ')
+                        : 'any time'}
+                    </Typography>
+                    {entry.appointmentType?.name && (
+                      <Typography variant="body1">
+                        <strong>Appointment:</strong>{' '}
+                        {describeAppointmentType(entry.appointmentType)}
+                      </Typography>
+                    )}
+                    {entry.location?.name && (
+                      <Typography variant="body1">
+                        <strong>Location:</strong>{' '}
+                        {describeLocation(entry.location)}
+                      </Typography>
+                    )}
+                    {offer && (
+                      <Alert severity="success" sx={{ mt: 2 }}>
+                        {offer.startsAt
+                          ? `${formatDate(offer.startsAt, timeZone)} at ${formatTime(offer.startsAt, timeZone)}`
+                          : `${formatDateKey(offer.date)} at ${offer.time}`}{' '}
+                        is held for you for {minutesLeft(offer.expiresAt, now)}{' '}
+                        more minutes.
+                      </Alert>
+                    )}
+                  </Box>
+
+                  {active && (
+                    <Box display="flex" gap={1} flexShrink={0}>
+                      {offer && (
+                        <>
+                          <Button
+                            variant="contained"
+                            color="success"
+                            disabled={busy === entry._id}
+                            onClick={() => handleAccept(entry)}
+                          >
+                            Accept
+                          </Button>
+                          <Button
+                            variant="outlined"
+                            disabled={busy === entry._id}
+                            onClick={() => handleDecline(entry)}
+                          >
+                            Decline
+                          </Button>
+                        </>
+                      )}
+                      <Button
+                        color="error"
+                        disabled={busy === entry._id}
+                        onClick={() => handleLeave(entry)}
+                      >
+                        Leave
+                      </Button>
+                    </Box>
+                  )}
+                </Box>
+              </Paper>
+            </Grid>
+          )
+        })}
+
+        {entries.length === 0 && (
+          <Grid item xs={12}>
+            <Paper elevation={3} sx={{ p: 3, textAlign: 'center' }}>
+              <Typography variant="h6">
+                You aren&apos;t on any waitlists
+              </Typography>
+            </Paper>
+          </Grid>
+        )}
+      </Grid>
+    </Container>
+  )
+}
+
+export default Waitlist
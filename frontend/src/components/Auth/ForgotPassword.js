@@ -0,0 +1,118 @@
+import React, { useState } from 'react'
+import { Link as RouterLink } from 'react-router-dom'
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Container,
+  Link,
+  Paper,
+  TextField,
+  Typography,
+  useTheme,
+} from '@mui/material'
+import { forgotPassword } from '../../services/api'
+
+// Ask for a password reset link by email
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('')
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+  const theme = useTheme()
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    setError('')
+    setLoading(true)
+    forgotPassword(email)
+      .then((response) => setMessage(response.data.message))
+      .catch((err) =>
+        setError(err.response?.data?.message || 'Failed to send the email')
+      )
+      .finally(() => setLoading(false))
+  }
+
+  return (
+    <Container maxWidth="sm">
+      <Box sx={{ mt: 8, display: 'flex', justifyContent: 'center' }}>
+        <Paper
+          elevation={3}
+          sx={{
+            p: 4,
+            width: '100%',
+            background:
+              theme.palette.mode === 'dark'
+                ? 'rgba(255, 255, 255, 0.05)'
+                : 'rgba(255, 255, 255, 0.8)',
+            backdropFilter: 'blur(10px)',
+            borderRadius: 2,
+          }}
+        >
+          <Typography
+            variant="h4"
+            gutterBottom
+            align="center"
+            sx={{ fontWeight: 600, color: theme.palette.primary.main, mb: 1 }}
+          >
+            Forgot Password
+          </Typography>
+          <Typography
+            variant="body2"
+            color="textSecondary"
+            align="center"
+            sx={{ mb: 3 }}
+          >
+            Enter the email on your account and we&apos;ll send you a link to
+            choose a new password.
+          </Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {message ? (
+            <Alert severity="success" sx={{ mb: 2 }}>
+              {message}
+            </Alert>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              <TextField
+                label="Email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                fullWidth
+                margin="normal"
+                required
+                disabled={loading}
+                sx={{ mb: 3 }}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                disabled={loading}
+                sx={{ py: 1.5, mb: 2, fontWeight: 600 }}
+              >
+                {loading ? <CircularProgress size={24} /> : 'Send reset link'}
+              </Button>
+            </form>
+          )}
+
+          <Box sx={{ textAlign: 'center' }}>
+            <Link component={RouterLink} to="/login" variant="body2">
+              Back to login
+            </Link>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  )
+}
+
+export default ForgotPassword
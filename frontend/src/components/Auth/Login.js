@@ -13,13 +13,25 @@ import {
   Link,
   useTheme,
 } from '@mui/material'
-import { login as loginService } from '../../services/api'
+import {
+  login as loginService,
+  resendVerification,
+  setupLoginTwoFactor,
+  enableLoginTwoFactor,
+} from '../../services/api'
+import TwoFactorChallenge from './TwoFactorChallenge'
+import TwoFactorSetup from './TwoFactorSetup'
 
 const Login = () => {
   const [username, setUsername] = useState('')
   const [password, setPassword] = useState('')
   const [error, setError] = useState('')
   const [loading, setLoading] = useState(false)
+  // Set when the account exists but its email hasn't been confirmed yet
+  const [unverifiedEmail, setUnverifiedEmail] = useState('')
+  const [resendMessage, setResendMessage] = useState('')
+  // { token, setup } once the password is accepted but a second factor is due
+  const [challenge, setChallenge] = useState(null)
   const { login } = useAuth()
   const navigate = useNavigate()
   const theme = useTheme()
@@ -27,17 +39,25 @@ const Login = () => {
   const handleSubmit = async (e) => {
     e.preventDefault()
     setError('')
+    setUnverifiedEmail('')
+    setResendMessage('')
     setLoading(true)
 
     try {
       const response = await loginService({ username, password })
-      const { token, user } = response.data
-      const { role, ...userData } = user
-
-      login(role, userData, token)
-      navigate('/')
+      if (response.data.challengeToken) {
+        setChallenge({
+          token: response.data.challengeToken,
+          setup: Boolean(response.data.twoFactorSetupRequired),
+        })
+        return
+      }
+      startSession(response.data)
     } catch (error) {
       console.error('Login failed:', error)
+      if (error.response?.data?.code === 'email_unverified') {
+        setUnverifiedEmail(error.response.data.email)
+      }
       setError(
         error.response?.data?.message || 
         error.response?.data?.error || 
@@ -48,6 +68,28 @@ const Login = () => {
     }
   }
 
+  const startSession = ({ token, refreshToken, user }) => {
+    const { role, ...userData } = user
+    login(role, userData, token, refreshToken)
+    navigate('/')
+  }
+
+  const cancelChallenge = (message) => {
+    setChallenge(null)
+    setPassword('')
+    setError(message)
+  }
+
+  const handleResend = () => {
+    resendVerification(unverifiedEmail)
+      .then((response) => setResendMessage(response.data.message))
+      .catch((error) =>
+        setResendMessage(
+          error.response?.data?.message || 'Failed to send the email'
+        )
+      )
+  }
+
   return (
     <Container maxWidth="sm">
       <Box
@@ -81,64 +123,111 @@ const Login = () => {
               mb: 3,
             }}
           >
-            Welcome Back
+            {challenge ? 'Two-Factor Authentication' : 'Welcome Back'}
           </Typography>
 
           {error && (
-            <Alert severity="error" sx={{ mb: 2 }}>
+            <Alert
+              severity={unverifiedEmail ? 'warning' : 'error'}
+              sx={{ mb: 2 }}
+              action={
+                unverifiedEmail && (
+                  <Button color="inherit" size="small" onClick={handleResend}>
+                    Resend link
+                  </Button>
+                )
+              }
+            >
               {error}
             </Alert>
           )}
+          {resendMessage && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              {resendMessage}
+            </Alert>
+          )}
 
-          <form onSubmit={handleSubmit}>
-            <TextField
-              label="Username"
-              value={username}
-              onChange={(e) => setUsername(e.target.value)}
-              fullWidth
-              margin="normal"
-              variant="outlined"
-              required
-              disabled={loading}
-              sx={{ mb: 2 }}
-            />
-            <TextField
-              label="Password"
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              fullWidth
-              margin="normal"
-              variant="outlined"
-              required
-              disabled={loading}
-              sx={{ mb: 3 }}
+          {challenge?.setup && (
+            <>
+              <Alert severity="info" sx={{ mb: 2 }}>
+                Your account needs two-factor authentication. Set it up to
+                continue.
+              </Alert>
+              <TwoFactorSetup
+                start={() => setupLoginTwoFactor(challenge.token)}
+                enable={(code) => enableLoginTwoFactor(challenge.token, code)}
+                onComplete={startSession}
+              />
+            </>
+          )}
+          {challenge && !challenge.setup && (
+            <TwoFactorChallenge
+              challengeToken={challenge.token}
+              onSuccess={startSession}
+              onCancel={cancelChallenge}
             />
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              size="large"
-              disabled={loading}
-              sx={{
-                py: 1.5,
-                mb: 2,
-                fontWeight: 600,
-                position: 'relative',
-              }}
-            >
-              {loading ? <CircularProgress size={24} /> : 'Login'}
-            </Button>
-
-            <Box sx={{ textAlign: 'center' }}>
-              <Typography variant="body2" color="textSecondary">
-                Don&apos;t have an account?{' '}
-                <Link component={RouterLink} to="/signup" color="primary">
-                  Sign up
+          )}
+          {!challenge && (
+            <form onSubmit={handleSubmit}>
+              <TextField
+                label="Username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                fullWidth
+                margin="normal"
+                variant="outlined"
+                required
+                disabled={loading}
+                sx={{ mb: 2 }}
+              />
+              <TextField
+                label="Password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                fullWidth
+                margin="normal"
+                variant="outlined"
+                required
+                disabled={loading}
+                sx={{ mb: 1 }}
+              />
+              <Box sx={{ textAlign: 'right', mb: 2 }}>
+                <Link
+                  component={RouterLink}
+                  to="/forgot-password"
+                  variant="body2"
+                  color="primary"
+                >
+                  Forgot password?
                 </Link>
-              </Typography>
-            </Box>
-          </form>
+              </Box>
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                disabled={loading}
+                sx={{
+                  py: 1.5,
+                  mb: 2,
+                  fontWeight: 600,
+                  position: 'relative',
+                }}
+              >
+                {loading ? <CircularProgress size={24} /> : 'Login'}
+              </Button>
+
+              <Box sx={{ textAlign: 'center' }}>
+                <Typography variant="body2" color="textSecondary">
+                  Don&apos;t have an account?{' '}
+                  <Link component={RouterLink} to="/signup" color="primary">
+                    Sign up
+                  </Link>
+                </Typography>
+              </Box>
+            </form>
+          )}
         </Paper>
       </Box>
     </Container>
@@ -0,0 +1,55 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { Alert, Box, Button, Paper, Typography } from '@mui/material'
+
+// One-time display of freshly generated recovery codes
+const RecoveryCodes = ({ codes, onDone }) => {
+  const [copied, setCopied] = useState(false)
+
+  const handleCopy = () => {
+    navigator.clipboard
+      ?.writeText(codes.join('\n'))
+      .then(() => setCopied(true))
+      .catch(() => setCopied(false))
+  }
+
+  return (
+    <Box>
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        Save these recovery codes somewhere safe. Each one signs you in once if
+        you lose access to your authenticator app, and they won&apos;t be shown
+        again.
+      </Alert>
+      <Paper
+        variant="outlined"
+        sx={{
+          p: 2,
+          mb: 2,
+          display: 'grid',
+          gridTemplateColumns: 'repeat(2, 1fr)',
+          gap: 1,
+          fontFamily: 'monospace',
+        }}
+      >
+        {codes.map((code) => (
+          <Typography key={code} sx={{ fontFamily: 'inherit' }}>
+            {code}
+          </Typography>
+        ))}
+      </Paper>
+      <Box display="flex" gap={1} justifyContent="flex-end">
+        <Button onClick={handleCopy}>{copied ? 'Copied' : 'Copy'}</Button>
+        <Button variant="contained" onClick={onDone}>
+          I&apos;ve saved them
+        </Button>
+      </Box>
+    </Box>
+  )
+}
+
+RecoveryCodes.propTypes = {
+  codes: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onDone: PropTypes.func.isRequired,
+}
+
+export default RecoveryCodes
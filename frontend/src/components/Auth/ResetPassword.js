@@ -0,0 +1,141 @@
+import React, { useState } from 'react'
+import { Link as RouterLink, useSearchParams } from 'react-router-dom'
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Container,
+  Link,
+  Paper,
+  TextField,
+  Typography,
+  useTheme,
+} from '@mui/material'
+import { resetPassword } from '../../services/api'
+
+const MIN_PASSWORD_LENGTH = 8
+
+// Choose a new password from the link in a reset email (?token=)
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [password, setPassword] = useState('')
+  const [confirm, setConfirm] = useState('')
+  const [done, setDone] = useState(false)
+  const [error, setError] = useState(
+    token ? '' : 'This reset link is incomplete. Request a new one.'
+  )
+  const [loading, setLoading] = useState(false)
+  const theme = useTheme()
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (password !== confirm) {
+      setError('Passwords do not match')
+      return
+    }
+    setError('')
+    setLoading(true)
+    resetPassword(token, password)
+      .then(() => setDone(true))
+      .catch((err) =>
+        setError(err.response?.data?.message || 'Failed to reset password')
+      )
+      .finally(() => setLoading(false))
+  }
+
+  return (
+    <Container maxWidth="sm">
+      <Box sx={{ mt: 8, display: 'flex', justifyContent: 'center' }}>
+        <Paper
+          elevation={3}
+          sx={{
+            p: 4,
+            width: '100%',
+            background:
+              theme.palette.mode === 'dark'
+                ? 'rgba(255, 255, 255, 0.05)'
+                : 'rgba(255, 255, 255, 0.8)',
+            backdropFilter: 'blur(10px)',
+            borderRadius: 2,
+          }}
+        >
+          <Typography
+            variant="h4"
+            gutterBottom
+            align="center"
+            sx={{ fontWeight: 600, color: theme.palette.primary.main, mb: 3 }}
+          >
+            Choose a New Password
+          </Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {done ? (
+            <Box sx={{ textAlign: 'center' }}>
+              <Alert severity="success" sx={{ mb: 3, textAlign: 'left' }}>
+                Your password has been changed and every device has been signed
+                out. Log in with your new password.
+              </Alert>
+              <Button component={RouterLink} to="/login" variant="contained">
+                Go to login
+              </Button>
+            </Box>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              <TextField
+                label="New password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                fullWidth
+                margin="normal"
+                required
+                disabled={loading || !token}
+                inputProps={{ minLength: MIN_PASSWORD_LENGTH }}
+                helperText={`At least ${MIN_PASSWORD_LENGTH} characters`}
+              />
+              <TextField
+                label="Confirm new password"
+                type="password"
+                value={confirm}
+                onChange={(e) => setConfirm(e.target.value)}
+                fullWidth
+                margin="normal"
+                required
+                disabled={loading || !token}
+                sx={{ mb: 3 }}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                disabled={loading || !token}
+                sx={{ py: 1.5, mb: 2, fontWeight: 600 }}
+              >
+                {loading ? <CircularProgress size={24} /> : 'Change password'}
+              </Button>
+              <Box sx={{ textAlign: 'center' }}>
+                <Link
+                  component={RouterLink}
+                  to="/forgot-password"
+                  variant="body2"
+                >
+                  Request a new link
+                </Link>
+              </Box>
+            </form>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  )
+}
+
+export default ResetPassword
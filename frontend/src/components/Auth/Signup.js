@@ -1,15 +1,17 @@
-import React, { useState } from 'react'
-import { useNavigate, Link as RouterLink } from 'react-router-dom'
-import { signup } from '../../services/api'
+import React, { useState, useEffect } from 'react'
+import {
+  useNavigate,
+  useSearchParams,
+  Link as RouterLink,
+} from 'react-router-dom'
+import { signup, getInvitation } from '../../services/api'
+import { useAuth } from '../../contexts/AuthContext'
+import { browserTimeZone } from '../../services/timeZone'
 import {
   Container,
   TextField,
   Button,
   Typography,
-  MenuItem,
-  Select,
-  FormControl,
-  InputLabel,
   Paper,
   Box,
   Alert,
@@ -18,20 +20,50 @@ import {
   useTheme,
 } from '@mui/material'
 
+const ROLE_LABELS = { patient: 'Patient', doctor: 'Doctor', admin: 'Admin' }
+
+// Patients sign up freely; doctors and admins arrive with ?invite=<token>
+// from an invitation email, which fixes their email and role
 const Signup = () => {
+  const [searchParams] = useSearchParams()
+  const inviteToken = searchParams.get('invite')
+  const [invitation, setInvitation] = useState(null)
+  const [checkingInvite, setCheckingInvite] = useState(Boolean(inviteToken))
   const [formData, setFormData] = useState({
     username: '',
     email: '',
     password: '',
-    medicalId: '',
     role: 'patient',
     phoneNumber: '',
   })
   const [error, setError] = useState('')
   const [loading, setLoading] = useState(false)
+  // Address the confirmation link went to, once a patient has signed up
+  const [pendingEmail, setPendingEmail] = useState('')
+  const { login } = useAuth()
   const navigate = useNavigate()
   const theme = useTheme()
 
+  useEffect(() => {
+    if (!inviteToken) return
+    getInvitation(inviteToken)
+      .then((response) => {
+        setInvitation(response.data)
+        setFormData((prevData) => ({
+          ...prevData,
+          email: response.data.email,
+          role: response.data.role,
+        }))
+      })
+      .catch((error) => {
+        setError(
+          error.response?.data?.message ||
+            'This invitation is invalid or has expired'
+        )
+      })
+      .finally(() => setCheckingInvite(false))
+  }, [inviteToken])
+
   const handleChange = (e) => {
     const { name, value } = e.target
     setFormData((prevData) => ({ ...prevData, [name]: value }))
@@ -43,9 +75,20 @@ const Signup = () => {
     setLoading(true)
 
     try {
-      const response = await signup(formData)
-      console.log('Signup successful:', response.data)
-      navigate('/login')
+      // Start with this device's time zone; it can be changed on the profile
+      const data = { ...formData, timeZone: browserTimeZone() }
+      const response = await signup(
+        invitation ? { ...data, inviteToken } : data
+      )
+      // Patients confirm their email first; invitees get a session straight away
+      if (response.data.verificationRequired) {
+        setPendingEmail(response.data.user.email)
+        return
+      }
+      const { token, refreshToken, user } = response.data
+      const { role, ...userData } = user
+      login(role, userData, token, refreshToken)
+      navigate('/')
     } catch (error) {
       console.error('Signup failed:', error)
       setError(
@@ -95,109 +138,124 @@ const Signup = () => {
             Create Account
           </Typography>
 
+          {invitation && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              You&apos;ve been invited to join CareConnect as{' '}
+              {invitation.role === 'admin' ? 'an admin' : 'a doctor'}.
+            </Alert>
+          )}
+
           {error && (
             <Alert severity="error" sx={{ mb: 2 }}>
               {error}
             </Alert>
           )}
 
-          <form onSubmit={handleSubmit}>
-            <TextField
-              name="username"
-              label="Username"
-              value={formData.username}
-              onChange={handleChange}
-              fullWidth
-              margin="normal"
-              required
-              disabled={loading}
-              sx={{ mb: 2 }}
-            />
-            <TextField
-              name="email"
-              label="Email"
-              type="email"
-              value={formData.email}
-              onChange={handleChange}
-              fullWidth
-              margin="normal"
-              required
-              disabled={loading}
-              sx={{ mb: 2 }}
-            />
-            <TextField
-              name="password"
-              label="Password"
-              type="password"
-              value={formData.password}
-              onChange={handleChange}
-              fullWidth
-              margin="normal"
-              required
-              disabled={loading}
-              sx={{ mb: 2 }}
-            />
-            <TextField
-              name="medicalId"
-              label="Medical ID"
-              value={formData.medicalId}
-              onChange={handleChange}
-              fullWidth
-              margin="normal"
-              required
-              disabled={loading}
-              sx={{ mb: 2 }}
-            />
-            <TextField
-              name="phoneNumber"
-              label="Phone Number"
-              value={formData.phoneNumber}
-              onChange={handleChange}
-              fullWidth
-              margin="normal"
-              required
-              disabled={loading}
-              sx={{ mb: 2 }}
-            />
-            <FormControl fullWidth margin="normal" sx={{ mb: 3 }}>
-              <InputLabel>Role</InputLabel>
-              <Select
-                name="role"
-                value={formData.role}
+          {pendingEmail ? (
+            <Box sx={{ textAlign: 'center' }}>
+              <Alert severity="success" sx={{ mb: 3, textAlign: 'left' }}>
+                Account created. We&apos;ve sent a confirmation link to{' '}
+                <strong>{pendingEmail}</strong>. Follow it to activate your
+                account, then log in.
+              </Alert>
+              <Button component={RouterLink} to="/login" variant="contained">
+                Go to login
+              </Button>
+            </Box>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              <TextField
+                name="username"
+                label="Username"
+                value={formData.username}
                 onChange={handleChange}
-                label="Role"
+                fullWidth
+                margin="normal"
+                required
                 disabled={loading}
-              >
-                <MenuItem value="patient">Patient</MenuItem>
-                <MenuItem value="doctor">Doctor</MenuItem>
-              </Select>
-            </FormControl>
+                sx={{ mb: 2 }}
+              />
+              <TextField
+                name="email"
+                label="Email"
+                type="email"
+                value={formData.email}
+                onChange={handleChange}
+                fullWidth
+                margin="normal"
+                required
+                disabled={loading || checkingInvite}
+                InputProps={{ readOnly: Boolean(invitation) }}
+                helperText={
+                  invitation ? 'Invitations are tied to this email' : undefined
+                }
+                sx={{ mb: 2 }}
+              />
+              <TextField
+                name="password"
+                label="Password"
+                type="password"
+                value={formData.password}
+                onChange={handleChange}
+                fullWidth
+                margin="normal"
+                required
+                disabled={loading}
+                inputProps={{ minLength: 8 }}
+                helperText="At least 8 characters"
+                sx={{ mb: 2 }}
+              />
+              <TextField
+                name="phoneNumber"
+                label="Phone Number"
+                value={formData.phoneNumber}
+                onChange={handleChange}
+                fullWidth
+                margin="normal"
+                required
+                disabled={loading}
+                sx={{ mb: 2 }}
+              />
+              <TextField
+                label="Role"
+                value={ROLE_LABELS[formData.role]}
+                fullWidth
+                margin="normal"
+                disabled
+                helperText={
+                  invitation
+                    ? undefined
+                    : 'Doctor and admin accounts are created by invitation'
+                }
+                sx={{ mb: 3 }}
+              />
 
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              size="large"
-              disabled={loading}
-              sx={{
-                py: 1.5,
-                mb: 2,
-                fontWeight: 600,
-                position: 'relative',
-              }}
-            >
-              {loading ? <CircularProgress size={24} /> : 'Sign Up'}
-            </Button>
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                disabled={loading || checkingInvite}
+                sx={{
+                  py: 1.5,
+                  mb: 2,
+                  fontWeight: 600,
+                  position: 'relative',
+                }}
+              >
+                {loading ? <CircularProgress size={24} /> : 'Sign Up'}
+              </Button>
 
-            <Box sx={{ textAlign: 'center' }}>
-              <Typography variant="body2" color="textSecondary">
-                Already have an account?{' '}
-                <Link component={RouterLink} to="/login" color="primary">
-                  Login
-                </Link>
-              </Typography>
-            </Box>
-          </form>
+              <Box sx={{ textAlign: 'center' }}>
+                <Typography variant="body2" color="textSecondary">
+                  Already have an account?{' '}
+                  <Link component={RouterLink} to="/login" color="primary">
+                    Login
+                  </Link>
+                </Typography>
+              </Box>
+            </form>
+          )}
         </Paper>
       </Box>
     </Container>
@@ -0,0 +1,112 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Link,
+  TextField,
+  Typography,
+} from '@mui/material'
+import { verifyLoginTwoFactor } from '../../services/api'
+
+// Second login step: a code from the authenticator app, or a recovery code
+const TwoFactorChallenge = ({ challengeToken, onSuccess, onCancel }) => {
+  const [code, setCode] = useState('')
+  const [useRecovery, setUseRecovery] = useState(false)
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    setError('')
+    setLoading(true)
+    const answer = useRecovery
+      ? { recoveryCode: code.trim() }
+      : { code: code.trim() }
+    verifyLoginTwoFactor({ challengeToken, ...answer })
+      .then((response) => onSuccess(response.data))
+      .catch((err) => {
+        // Expired or too many wrong codes: back to the password step
+        if (err.response?.data?.code === 'challenge_expired') {
+          onCancel(err.response.data.message)
+          return
+        }
+        setError(err.response?.data?.message || 'Invalid authentication code')
+        setLoading(false)
+      })
+  }
+
+  const toggleRecovery = () => {
+    setUseRecovery((prev) => !prev)
+    setCode('')
+    setError('')
+  }
+
+  return (
+    <Box component="form" onSubmit={handleSubmit}>
+      <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+        {useRecovery
+          ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+          : 'Enter the 6-digit code from your authenticator app.'}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <TextField
+        label={useRecovery ? 'Recovery code' : 'Authentication code'}
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        fullWidth
+        required
+        autoFocus
+        autoComplete="one-time-code"
+        inputProps={useRecovery ? {} : { inputMode: 'numeric' }}
+        disabled={loading}
+        sx={{ mb: 3 }}
+      />
+      <Button
+        type="submit"
+        fullWidth
+        variant="contained"
+        size="large"
+        disabled={loading || !code.trim()}
+        sx={{ py: 1.5, mb: 2, fontWeight: 600 }}
+      >
+        {loading ? <CircularProgress size={24} /> : 'Verify'}
+      </Button>
+
+      <Box display="flex" justifyContent="space-between">
+        <Link
+          component="button"
+          type="button"
+          variant="body2"
+          onClick={toggleRecovery}
+        >
+          {useRecovery ? 'Use authenticator app' : 'Use a recovery code'}
+        </Link>
+        <Link
+          component="button"
+          type="button"
+          variant="body2"
+          onClick={() => onCancel('')}
+        >
+          Back to login
+        </Link>
+      </Box>
+    </Box>
+  )
+}
+
+TwoFactorChallenge.propTypes = {
+  challengeToken: PropTypes.string.isRequired,
+  onSuccess: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+}
+
+export default TwoFactorChallenge
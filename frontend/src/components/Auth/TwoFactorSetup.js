@@ -0,0 +1,123 @@
+import React, { useState, useEffect, useRef } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Link,
+  TextField,
+  Typography,
+} from '@mui/material'
+import RecoveryCodes from './RecoveryCodes'
+
+// "ABCD EFGH ..." is easier to type into an app than one long string
+const groupSecret = (secret) => secret.match(/.{1,4}/g).join(' ')
+
+// Enroll an authenticator app: show the key, confirm a first code, then
+// show the recovery codes. `start` and `enable` call the API, so the same
+// steps work from the profile page and from a login that requires 2FA.
+const TwoFactorSetup = ({ start, enable, onComplete }) => {
+  const [setup, setSetup] = useState(null)
+  const [code, setCode] = useState('')
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+  // Each start issues a new key, so only ask once even if the parent passes
+  // a new `start` function on every render
+  const started = useRef(false)
+
+  useEffect(() => {
+    if (started.current) return
+    started.current = true
+    start()
+      .then((response) => setSetup(response.data))
+      .catch((err) =>
+        setError(
+          err.response?.data?.message || 'Failed to start two-factor setup'
+        )
+      )
+  }, [start])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    setError('')
+    setLoading(true)
+    enable(code.trim())
+      .then((response) => setResult(response.data))
+      .catch((err) =>
+        setError(err.response?.data?.message || 'Invalid authentication code')
+      )
+      .finally(() => setLoading(false))
+  }
+
+  if (result) {
+    return (
+      <RecoveryCodes
+        codes={result.recoveryCodes}
+        onDone={() => onComplete(result)}
+      />
+    )
+  }
+
+  if (!setup) {
+    return error ? (
+      <Alert severity="error">{error}</Alert>
+    ) : (
+      <Box display="flex" justifyContent="center" p={2}>
+        <CircularProgress />
+      </Box>
+    )
+  }
+
+  return (
+    <Box component="form" onSubmit={handleSubmit}>
+      <Typography variant="body2" sx={{ mb: 2 }}>
+        Add CareConnect to an authenticator app such as Google Authenticator,
+        1Password or Authy. On a phone,{' '}
+        <Link href={setup.otpauthUrl}>open it in your app</Link>; otherwise
+        enter this key by hand:
+      </Typography>
+      <Typography
+        align="center"
+        sx={{ fontFamily: 'monospace', fontSize: '1.1rem', mb: 2 }}
+      >
+        {groupSecret(setup.secret)}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <TextField
+        label="6-digit code from the app"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        fullWidth
+        required
+        autoComplete="one-time-code"
+        inputProps={{ inputMode: 'numeric', pattern: '[0-9 ]*' }}
+        disabled={loading}
+        sx={{ mb: 2 }}
+      />
+      <Button
+        type="submit"
+        fullWidth
+        variant="contained"
+        disabled={loading || !code.trim()}
+      >
+        {loading ? <CircularProgress size={24} /> : 'Turn on two-factor'}
+      </Button>
+    </Box>
+  )
+}
+
+TwoFactorSetup.propTypes = {
+  start: PropTypes.func.isRequired,
+  enable: PropTypes.func.isRequired,
+  onComplete: PropTypes.func.isRequired,
+}
+
+export default TwoFactorSetup
@@ -0,0 +1,91 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { Link as RouterLink, useSearchParams } from 'react-router-dom'
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Container,
+  Paper,
+  Typography,
+  useTheme,
+} from '@mui/material'
+import { verifyEmail } from '../../services/api'
+
+// Landing page for the confirmation link sent after signup (?token=)
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [status, setStatus] = useState(token ? 'verifying' : 'error')
+  const [message, setMessage] = useState(
+    token ? '' : 'This confirmation link is incomplete.'
+  )
+  const theme = useTheme()
+  // Tokens are single use, so don't submit twice under StrictMode
+  const submitted = useRef(false)
+
+  useEffect(() => {
+    if (!token || submitted.current) return
+    submitted.current = true
+    verifyEmail(token)
+      .then((response) => {
+        setStatus('verified')
+        setMessage(response.data.message)
+      })
+      .catch((err) => {
+        setStatus('error')
+        setMessage(
+          err.response?.data?.message || 'This link is invalid or has expired'
+        )
+      })
+  }, [token])
+
+  return (
+    <Container maxWidth="sm">
+      <Box sx={{ mt: 8, display: 'flex', justifyContent: 'center' }}>
+        <Paper
+          elevation={3}
+          sx={{
+            p: 4,
+            width: '100%',
+            textAlign: 'center',
+            background:
+              theme.palette.mode === 'dark'
+                ? 'rgba(255, 255, 255, 0.05)'
+                : 'rgba(255, 255, 255, 0.8)',
+            backdropFilter: 'blur(10px)',
+            borderRadius: 2,
+          }}
+        >
+          <Typography
+            variant="h4"
+            gutterBottom
+            sx={{ fontWeight: 600, color: theme.palette.primary.main, mb: 3 }}
+          >
+            Confirm Email
+          </Typography>
+
+          {status === 'verifying' ? (
+            <CircularProgress />
+          ) : (
+            <>
+              <Alert
+                severity={status === 'verified' ? 'success' : 'error'}
+                sx={{ mb: 3, textAlign: 'left' }}
+              >
+                {message}
+                {status === 'error' &&
+                  ' You can ask for a new link by trying to log in.'}
+              </Alert>
+              <Button component={RouterLink} to="/login" variant="contained">
+                Go to login
+              </Button>
+            </>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  )
+}
+
+export default VerifyEmail
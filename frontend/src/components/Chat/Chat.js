@@ -1,28 +1,250 @@
-import React from 'react'
-import PropTypes from 'prop-types'
-import { Container, Typography, Paper, Box } from '@mui/material'
+import React, { useState, useEffect, useCallback } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { formatDistanceToNow } from 'date-fns'
+import { useAuth } from '../../contexts/AuthContext'
+import { getConversations, startConversation } from '../../services/api'
+import { subscribeToMessages } from '../../services/socket'
+import {
+  Avatar,
+  Badge,
+  Box,
+  CircularProgress,
+  Container,
+  Divider,
+  List,
+  ListItemAvatar,
+  ListItemButton,
+  ListItemText,
+  Paper,
+  Typography,
+} from '@mui/material'
 import ChatMessages from './ChatMessages'
 import ChatInput from './ChatInput'
 
-const Chat = ({ userId1, userId2 }) => {
+// The participant on the other side of a conversation
+const otherParticipant = (conversation, role) =>
+  role === 'patient' ? conversation.doctor : conversation.patient
+
+const displayName = (user) =>
+  user?.role === 'doctor' ? `Dr. ${user.username}` : user?.username || 'Unknown'
+
+// Inbox of the user's conversations with the selected thread beside it.
+// ?conversation=<id> opens a thread; ?appointment=<id> opens (or starts)
+// the thread about that appointment.
+const Chat = () => {
+  const { userData, userRole } = useAuth()
+  const userId = userData?.id
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [conversations, setConversations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const selectedId = searchParams.get('conversation')
+  const appointmentId = searchParams.get('appointment')
+
+  const selectConversation = useCallback(
+    (conversationId) => setSearchParams({ conversation: conversationId }),
+    [setSearchParams]
+  )
+
+  const fetchConversations = useCallback(
+    () =>
+      getConversations({ limit: 50 })
+        .then((response) => setConversations(response.data.conversations))
+        .catch((error) => console.error('Error fetching conversations:', error))
+        .finally(() => setLoading(false)),
+    []
+  )
+
+  useEffect(() => {
+    if (userId) fetchConversations()
+  }, [userId, fetchConversations])
+
+  useEffect(() => {
+    if (!appointmentId) return
+    startConversation({ appointmentRequestId: appointmentId })
+      .then((response) => {
+        const { conversation } = response.data
+        setConversations((prev) =>
+          prev.some((c) => c._id === conversation._id)
+            ? prev
+            : [conversation, ...prev]
+        )
+        selectConversation(conversation._id)
+      })
+      .catch((error) => console.error('Error opening conversation:', error))
+  }, [appointmentId, selectConversation])
+
+  // Move threads with new messages to the top and count unread ones
+  useEffect(() => {
+    return subscribeToMessages((message) => {
+      const conversation = conversations.find(
+        (c) => c._id === message.conversation
+      )
+      if (!conversation) {
+        fetchConversations()
+        return
+      }
+      const incoming =
+        message.sender !== userId && message.conversation !== selectedId
+      const updated = {
+        ...conversation,
+        lastMessage: {
+          body: message.body || 'Sent an attachment',
+          sender: message.sender,
+          sentAt: message.createdAt,
+        },
+        unreadCount: conversation.unreadCount + (incoming ? 1 : 0),
+      }
+      setConversations((prev) => [
+        updated,
+        ...prev.filter((c) => c._id !== conversation._id),
+      ])
+    })
+  }, [conversations, userId, selectedId, fetchConversations])
+
+  const handleRead = useCallback((conversationId) => {
+    setConversations((prev) =>
+      prev.map((c) => (c._id === conversationId ? { ...c, unreadCount: 0 } : c))
+    )
+  }, [])
+
+  const selected = conversations.find((c) => c._id === selectedId)
+  const selectedName = selected
+    ? displayName(otherParticipant(selected, userRole))
+    : ''
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" mt={4}>
+        <CircularProgress />
+      </Box>
+    )
+  }
+
   return (
-    <Container maxWidth="md" sx={{ mt: 4 }}>
-      <Paper elevation={3} sx={{ p: 4 }}>
-        <Typography variant="h4" gutterBottom align="center">
-          Chat
-        </Typography>
-        <ChatMessages userId1={userId1} userId2={userId2} />
-        <Box mt={2}>
-          <ChatInput receiver={userId2} />
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Messages
+      </Typography>
+      <Paper elevation={3} sx={{ display: 'flex', height: '70vh' }}>
+        <Box
+          sx={{
+            width: 320,
+            flexShrink: 0,
+            borderRight: 1,
+            borderColor: 'divider',
+            overflowY: 'auto',
+          }}
+        >
+          {conversations.length === 0 ? (
+            <Typography
+              variant="body2"
+              color="text.secondary"
+              align="center"
+              sx={{ mt: 4, px: 2 }}
+            >
+              No conversations yet. Use the Message button on an appointment to
+              start one.
+            </Typography>
+          ) : (
+            <List disablePadding>
+              {conversations.map((conversation) => {
+                const other = otherParticipant(conversation, userRole)
+                return (
+                  <React.Fragment key={conversation._id}>
+                    <ListItemButton
+                      selected={conversation._id === selectedId}
+                      onClick={() => selectConversation(conversation._id)}
+                    >
+                      <ListItemAvatar>
+                        <Badge
+                          badgeContent={conversation.unreadCount}
+                          color="error"
+                        >
+                          <Avatar src={other?.profilePicture || undefined}>
+                            {other?.username?.[0]?.toUpperCase()}
+                          </Avatar>
+                        </Badge>
+                      </ListItemAvatar>
+                      <ListItemText
+                        primary={displayName(other)}
+                        primaryTypographyProps={{
+                          fontWeight: conversation.unreadCount ? 600 : 400,
+                        }}
+                        secondary={
+                          <>
+                            {conversation.subject && (
+                              <Typography
+                                component="span"
+                                variant="caption"
+                                display="block"
+                              >
+                                {conversation.subject}
+                              </Typography>
+                            )}
+                            <Typography
+                              component="span"
+                              variant="body2"
+                              color="text.secondary"
+                              noWrap
+                              display="block"
+                            >
+                              {conversation.lastMessage?.body || 'No messages'}
+                            </Typography>
+                            {conversation.lastMessage?.sentAt && (
+                              <Typography component="span" variant="caption">
+                                {formatDistanceToNow(
+                                  new Date(conversation.lastMessage.sentAt),
+                                  { addSuffix: true }
+                                )}
+                              </Typography>
+                            )}
+                          </>
+                        }
+                      />
+                    </ListItemButton>
+                    <Divider component="li" />
+                  </React.Fragment>
+                )
+              })}
+            </List>
+          )}
+        </Box>
+
+        <Box sx={{ flexGrow: 1, display: 'flex', flexDirection: 'column' }}>
+          {selected ? (
+            <>
+              <Box sx={{ p: 2, borderBottom: 1, borderColor: 'divider' }}>
+                <Typography variant="h6">{selectedName}</Typography>
+                {selected.subject && (
+                  <Typography variant="body2" color="text.secondary">
+                    {selected.subject}
+                  </Typography>
+                )}
+              </Box>
+              <ChatMessages
+                conversationId={selected._id}
+                currentUserId={userId}
+                otherName={selectedName}
+                onRead={handleRead}
+              />
+              <ChatInput conversationId={selected._id} />
+            </>
+          ) : (
+            <Box
+              display="flex"
+              alignItems="center"
+              justifyContent="center"
+              flexGrow={1}
+            >
+              <Typography color="text.secondary">
+                Select a conversation
+              </Typography>
+            </Box>
+          )}
         </Box>
       </Paper>
     </Container>
   )
 }
 
-Chat.propTypes = {
-  userId1: PropTypes.string.isRequired,
-  userId2: PropTypes.string.isRequired,
-}
-
 export default Chat
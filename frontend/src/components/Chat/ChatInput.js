@@ -1,51 +1,157 @@
-import React, { useState } from 'react'
+import React, { useState, useRef, useEffect, useCallback } from 'react'
 import PropTypes from 'prop-types'
-import { sendMessageSocket } from '../../services/socket'
-import { sendMessage } from '../../services/api'
-import { TextField, Button, Box, Paper } from '@mui/material'
+import { sendConversationMessage } from '../../services/api'
+import { sendTyping } from '../../services/socket'
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  TextField,
+  Tooltip,
+} from '@mui/material'
+import { AttachFile as AttachFileIcon } from '@mui/icons-material'
 
-const ChatInput = ({ receiver }) => {
+const MAX_ATTACHMENTS = 5
+const ACCEPTED_TYPES =
+  'image/jpeg,image/png,image/gif,image/webp,application/pdf,text/plain'
+
+// Stop showing "typing" this long after the last keystroke
+const TYPING_IDLE_MS = 3000
+
+const ChatInput = ({ conversationId }) => {
   const [message, setMessage] = useState('')
+  const [files, setFiles] = useState([])
+  const [sending, setSending] = useState(false)
+  const [error, setError] = useState('')
+  const fileInput = useRef(null)
+  const typingTimer = useRef(null)
+  const typing = useRef(false)
+
+  const stopTyping = useCallback(() => {
+    clearTimeout(typingTimer.current)
+    if (typing.current) {
+      typing.current = false
+      sendTyping(conversationId, false)
+    }
+  }, [conversationId])
+
+  // Stop the indicator when switching conversations or leaving the page
+  useEffect(() => {
+    setMessage('')
+    setFiles([])
+    setError('')
+    return stopTyping
+  }, [stopTyping])
+
+  const handleChange = (e) => {
+    setMessage(e.target.value)
+    if (!typing.current) {
+      typing.current = true
+      sendTyping(conversationId, true)
+    }
+    clearTimeout(typingTimer.current)
+    typingTimer.current = setTimeout(stopTyping, TYPING_IDLE_MS)
+  }
+
+  const handleFiles = (e) => {
+    const chosen = Array.from(e.target.files || [])
+    setFiles((prev) => [...prev, ...chosen].slice(0, MAX_ATTACHMENTS))
+    e.target.value = ''
+  }
 
   const handleSendMessage = () => {
-    const data = { receiver, message }
-    sendMessageSocket(data)
-    sendMessage(data)
+    if (!message.trim() && files.length === 0) return
+
+    setSending(true)
+    setError('')
+    stopTyping()
+    // The server pushes the saved message to both participants
+    sendConversationMessage(conversationId, message.trim(), files)
       .then(() => {
         setMessage('')
+        setFiles([])
       })
-      .catch((error) => {
-        console.error(error) // eslint-disable-line no-console
+      .catch((err) => {
+        setError(err.response?.data?.message || 'Failed to send message')
       })
+      .finally(() => setSending(false))
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault()
+      handleSendMessage()
+    }
   }
 
   return (
-    <Paper elevation={3} sx={{ p: 2, mt: 2 }}>
-      <Box display="flex" alignItems="center">
+    <Box sx={{ p: 2, borderTop: 1, borderColor: 'divider' }}>
+      {error && (
+        <Alert severity="error" sx={{ mb: 1 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {files.length > 0 && (
+        <Box mb={1}>
+          {files.map((file, index) => (
+            <Chip
+              key={`${file.name}-${index}`}
+              label={file.name}
+              size="small"
+              onDelete={() =>
+                setFiles((prev) => prev.filter((_, i) => i !== index))
+              }
+              sx={{ mr: 0.5, mb: 0.5 }}
+            />
+          ))}
+        </Box>
+      )}
+      <Box display="flex" alignItems="flex-end" gap={1}>
+        <input
+          ref={fileInput}
+          type="file"
+          multiple
+          hidden
+          accept={ACCEPTED_TYPES}
+          onChange={handleFiles}
+        />
+        <Tooltip title="Attach files (images, PDFs, text; up to 10 MB each)">
+          <span>
+            <IconButton
+              onClick={() => fileInput.current?.click()}
+              disabled={files.length >= MAX_ATTACHMENTS}
+            >
+              <AttachFileIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
         <TextField
-          label="Message"
+          placeholder="Type your message here..."
           value={message}
-          onChange={(e) => setMessage(e.target.value)}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
           fullWidth
-          variant="outlined"
-          margin="normal"
-          sx={{ flexGrow: 1 }}
+          multiline
+          maxRows={4}
+          size="small"
         />
         <Button
           onClick={handleSendMessage}
           variant="contained"
           color="primary"
-          sx={{ ml: 2, height: 'fit-content', alignSelf: 'flex-end' }}
+          disabled={sending || (!message.trim() && files.length === 0)}
         >
           Send
         </Button>
       </Box>
-    </Paper>
+    </Box>
   )
 }
 
 ChatInput.propTypes = {
-  receiver: PropTypes.string.isRequired,
+  conversationId: PropTypes.string.isRequired,
 }
 
 export default ChatInput
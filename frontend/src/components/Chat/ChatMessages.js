@@ -1,77 +1,233 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef, useCallback } from 'react'
 import PropTypes from 'prop-types'
-import { getMessages } from '../../services/api'
-import { subscribeToMessages } from '../../services/socket'
+import { format } from 'date-fns'
 import {
-  Container,
-  List,
-  ListItem,
-  ListItemText,
+  getConversationMessages,
+  markConversationRead,
+  downloadAttachment,
+} from '../../services/api'
+import {
+  subscribeToMessages,
+  subscribeToReadReceipts,
+  subscribeToTyping,
+} from '../../services/socket'
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
   Paper,
   Typography,
-  Box,
 } from '@mui/material'
+import {
+  AttachFile as AttachFileIcon,
+  Done as DoneIcon,
+  DoneAll as DoneAllIcon,
+} from '@mui/icons-material'
+
+const PAGE_SIZE = 30
+
+// Hide the typing indicator if the stop event never arrives
+const TYPING_TIMEOUT_MS = 5000
+
+const ChatMessages = ({ conversationId, currentUserId, otherName, onRead }) => {
+  const [messages, setMessages] = useState([])
+  const [hasMore, setHasMore] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [loadingOlder, setLoadingOlder] = useState(false)
+  const [otherTyping, setOtherTyping] = useState(false)
+  const bottomRef = useRef(null)
+  const typingTimer = useRef(null)
 
-const ChatMessages = ({ userId1, userId2 }) => {
-  const [messages, setMessages] = useState([
-    { _id: '', message: '', sender: '', receiver: '' },
-  ])
+  const markRead = useCallback(() => {
+    markConversationRead(conversationId)
+      .then(() => onRead?.(conversationId))
+      .catch((error) => console.error('Error marking messages read:', error))
+  }, [conversationId, onRead])
 
   useEffect(() => {
-    getMessages(userId1, userId2)
+    setLoading(true)
+    setMessages([])
+    getConversationMessages(conversationId, { limit: PAGE_SIZE })
       .then((response) => {
-        setMessages(response.data)
-      })
-      .catch((error) => {
-        console.error(error) // eslint-disable-line no-console
+        setMessages(response.data.messages)
+        setHasMore(response.data.hasMore)
+        markRead()
       })
+      .catch((error) => console.error('Error fetching messages:', error))
+      .finally(() => setLoading(false))
+  }, [conversationId, markRead])
+
+  useEffect(() => {
+    const unsubscribeMessages = subscribeToMessages((message) => {
+      if (message.conversation !== conversationId) return
+      setMessages((prev) =>
+        prev.some((m) => m._id === message._id) ? prev : [...prev, message]
+      )
+      if (message.sender !== currentUserId) {
+        setOtherTyping(false)
+        markRead()
+      }
+    })
+
+    const unsubscribeReceipts = subscribeToReadReceipts((receipt) => {
+      if (receipt.conversationId !== conversationId) return
+      setMessages((prev) =>
+        prev.map((m) =>
+          m.sender === currentUserId && !m.readAt
+            ? { ...m, readAt: receipt.readAt }
+            : m
+        )
+      )
+    })
 
-    subscribeToMessages((message) => {
-      if (
-        (message.sender === userId1 && message.receiver === userId2) ||
-        (message.sender === userId2 && message.receiver === userId1)
-      ) {
-        setMessages((prevMessages) => [...prevMessages, message])
+    const unsubscribeTyping = subscribeToTyping((event) => {
+      if (event.conversationId !== conversationId) return
+      clearTimeout(typingTimer.current)
+      setOtherTyping(event.typing)
+      if (event.typing) {
+        typingTimer.current = setTimeout(
+          () => setOtherTyping(false),
+          TYPING_TIMEOUT_MS
+        )
       }
     })
-  }, [userId1, userId2])
+
+    return () => {
+      unsubscribeMessages()
+      unsubscribeReceipts()
+      unsubscribeTyping()
+      clearTimeout(typingTimer.current)
+    }
+  }, [conversationId, currentUserId, markRead])
+
+  // Keep the newest message in view, but not when loading older ones
+  const lastMessageId = messages[messages.length - 1]?._id
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth' })
+  }, [lastMessageId, otherTyping])
+
+  const loadOlder = () => {
+    setLoadingOlder(true)
+    getConversationMessages(conversationId, {
+      limit: PAGE_SIZE,
+      before: messages[0]?._id,
+    })
+      .then((response) => {
+        setMessages((prev) => [...response.data.messages, ...prev])
+        setHasMore(response.data.hasMore)
+      })
+      .catch((error) => console.error('Error fetching messages:', error))
+      .finally(() => setLoadingOlder(false))
+  }
+
+  // Attachments need the auth header, so fetch them and open a blob URL
+  const openAttachment = (message, attachment) => {
+    downloadAttachment(conversationId, message._id, attachment._id)
+      .then((response) => {
+        const url = URL.createObjectURL(response.data)
+        const link = document.createElement('a')
+        link.href = url
+        link.download = attachment.originalName
+        link.click()
+        URL.revokeObjectURL(url)
+      })
+      .catch((error) => console.error('Error downloading attachment:', error))
+  }
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" p={4}>
+        <CircularProgress />
+      </Box>
+    )
+  }
 
   return (
-    <Container maxWidth="md" sx={{ mt: 4 }}>
-      <Paper elevation={3} sx={{ maxHeight: '400px', overflow: 'auto', p: 2 }}>
-        <Typography variant="h6" gutterBottom>
-          Chat Messages
+    <Box sx={{ flexGrow: 1, overflowY: 'auto', p: 2 }}>
+      {hasMore && (
+        <Box textAlign="center" mb={2}>
+          <Button size="small" onClick={loadOlder} disabled={loadingOlder}>
+            Load earlier messages
+          </Button>
+        </Box>
+      )}
+
+      {messages.length === 0 && (
+        <Typography variant="body2" color="text.secondary" align="center">
+          No messages yet. Start the conversation!
         </Typography>
-        <List>
-          {messages.length > 0 ? (
-            messages.map((msg) => (
-              <ListItem
-                key={msg._id}
-                sx={{ mb: 1, borderRadius: 1, bgcolor: 'background.paper' }}
-              >
-                <ListItemText
-                  primary={msg.message}
-                  secondary={`From: ${msg.sender} To: ${msg.receiver}`}
-                  sx={{ wordBreak: 'break-word' }}
+      )}
+
+      {messages.map((message) => {
+        const own = message.sender === currentUserId
+        return (
+          <Box
+            key={message._id}
+            display="flex"
+            justifyContent={own ? 'flex-end' : 'flex-start'}
+            mb={1}
+          >
+            <Paper
+              sx={{
+                p: 1.5,
+                maxWidth: '75%',
+                bgcolor: own ? 'primary.light' : 'background.default',
+                color: own ? 'primary.contrastText' : 'text.primary',
+              }}
+            >
+              {message.body && (
+                <Typography variant="body2" sx={{ wordBreak: 'break-word' }}>
+                  {message.body}
+                </Typography>
+              )}
+              {message.attachments?.map((attachment) => (
+                <Chip
+                  key={attachment._id}
+                  icon={<AttachFileIcon />}
+                  label={attachment.originalName}
+                  size="small"
+                  onClick={() => openAttachment(message, attachment)}
+                  sx={{ mt: 0.5, mr: 0.5 }}
                 />
-              </ListItem>
-            ))
-          ) : (
-            <Box textAlign="center" mt={2}>
-              <Typography variant="body1" color="text.secondary">
-                No messages yet.
-              </Typography>
-            </Box>
-          )}
-        </List>
-      </Paper>
-    </Container>
+              ))}
+              <Box
+                display="flex"
+                alignItems="center"
+                justifyContent="flex-end"
+                gap={0.5}
+                mt={0.5}
+              >
+                <Typography variant="caption">
+                  {format(new Date(message.createdAt), 'MMM d, HH:mm')}
+                </Typography>
+                {own &&
+                  (message.readAt ? (
+                    <DoneAllIcon sx={{ fontSize: 14 }} titleAccess="Read" />
+                  ) : (
+                    <DoneIcon sx={{ fontSize: 14 }} titleAccess="Sent" />
+                  ))}
+              </Box>
+            </Paper>
+          </Box>
+        )
+      })}
+
+      {otherTyping && (
+        <Typography variant="caption" color="text.secondary">
+          {otherName} is typing...
+        </Typography>
+      )}
+      <div ref={bottomRef} />
+    </Box>
   )
 }
 
 ChatMessages.propTypes = {
-  userId1: PropTypes.string.isRequired,
-  userId2: PropTypes.string.isRequired,
+  conversationId: PropTypes.string.isRequired,
+  currentUserId: PropTypes.string.isRequired,
+  otherName: PropTypes.string.isRequired,
+  onRead: PropTypes.func,
 }
 
 export default ChatMessages
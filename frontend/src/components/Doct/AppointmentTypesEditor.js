@@ -0,0 +1,161 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import {
+  Box,
+  Button,
+  Checkbox,
+  FormControlLabel,
+  Grid,
+  Paper,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material'
+
+const MEETING_TYPES = [
+  { value: 'offline', label: 'In person' },
+  { value: 'online', label: 'Video call' },
+]
+
+const NEW_TYPE = {
+  name: '',
+  duration: 30,
+  bufferBefore: 0,
+  bufferAfter: 0,
+  price: 0,
+  meetingTypes: ['offline', 'online'],
+  active: true,
+}
+
+// The kinds of appointment a doctor offers. Patients pick one when booking
+// and it decides how long the slot is.
+const AppointmentTypesEditor = ({ types, onChange }) => {
+  const update = (index, fields) =>
+    onChange(
+      types.map((type, i) => (i === index ? { ...type, ...fields } : type))
+    )
+
+  const toggleMeetingType = (index, value) => {
+    const { meetingTypes } = types[index]
+    update(index, {
+      meetingTypes: meetingTypes.includes(value)
+        ? meetingTypes.filter((type) => type !== value)
+        : [...meetingTypes, value],
+    })
+  }
+
+  const numberField = (index, field, label, max) => (
+    <TextField
+      type="number"
+      label={label}
+      size="small"
+      fullWidth
+      value={types[index][field]}
+      onChange={(e) => update(index, { [field]: e.target.value })}
+      inputProps={{ min: 0, max, step: 5 }}
+    />
+  )
+
+  return (
+    <Box>
+      {types.length === 0 && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          No appointment types yet. Every booking is one slot long.
+        </Typography>
+      )}
+      {types.map((type, index) => (
+        <Paper
+          key={type._id || index}
+          variant="outlined"
+          sx={{ p: 2, mb: 2, opacity: type.active ? 1 : 0.6 }}
+        >
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="Name"
+                size="small"
+                fullWidth
+                required
+                placeholder="e.g. New consultation"
+                value={type.name}
+                onChange={(e) => update(index, { name: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              {numberField(index, 'duration', 'Minutes', 480)}
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              {numberField(index, 'price', 'Price')}
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              {numberField(index, 'bufferBefore', 'Buffer before', 120)}
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              {numberField(index, 'bufferAfter', 'Buffer after', 120)}
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              {MEETING_TYPES.map(({ value, label }) => (
+                <FormControlLabel
+                  key={value}
+                  control={
+                    <Checkbox
+                      checked={type.meetingTypes.includes(value)}
+                      onChange={() => toggleMeetingType(index, value)}
+                    />
+                  }
+                  label={label}
+                />
+              ))}
+            </Grid>
+            <Grid item xs={12}>
+              <Box display="flex" justifyContent="space-between">
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={type.active}
+                      onChange={(e) =>
+                        update(index, { active: e.target.checked })
+                      }
+                    />
+                  }
+                  label={type.active ? 'Bookable' : 'Not bookable'}
+                />
+                <Button
+                  size="small"
+                  color="error"
+                  onClick={() => onChange(types.filter((_, i) => i !== index))}
+                >
+                  Remove
+                </Button>
+              </Box>
+            </Grid>
+          </Grid>
+        </Paper>
+      ))}
+      <Button
+        variant="outlined"
+        onClick={() => onChange([...types, { ...NEW_TYPE }])}
+      >
+        Add Appointment Type
+      </Button>
+    </Box>
+  )
+}
+
+AppointmentTypesEditor.propTypes = {
+  types: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string,
+      name: PropTypes.string,
+      duration: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+      bufferBefore: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+      bufferAfter: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+      price: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+      meetingTypes: PropTypes.arrayOf(PropTypes.string),
+      active: PropTypes.bool,
+    })
+  ).isRequired,
+  onChange: PropTypes.func.isRequired,
+}
+
+export default AppointmentTypesEditor
@@ -0,0 +1,92 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import {
+  IconButton,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  Typography,
+} from '@mui/material'
+import DescriptionIcon from '@mui/icons-material/Description'
+import DeleteIcon from '@mui/icons-material/Delete'
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.ceil(bytes / 1024)} KB`
+
+// A doctor's uploaded credential documents. They need the auth header, so
+// `download` fetches one as a blob and it is saved from a blob URL.
+const CredentialDocuments = ({ documents, download, onRemove }) => {
+  const handleOpen = (document) => {
+    download(document)
+      .then((response) => {
+        const url = URL.createObjectURL(response.data)
+        const link = window.document.createElement('a')
+        link.href = url
+        link.download = document.originalName
+        link.click()
+        URL.revokeObjectURL(url)
+      })
+      .catch((error) => console.error('Error downloading document:', error))
+  }
+
+  if (!documents.length) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No documents uploaded
+      </Typography>
+    )
+  }
+
+  return (
+    <List dense disablePadding>
+      {documents.map((document) => (
+        <ListItem
+          key={document._id}
+          disablePadding
+          secondaryAction={
+            onRemove && (
+              <IconButton
+                edge="end"
+                aria-label={`Remove ${document.originalName}`}
+                onClick={() => onRemove(document)}
+              >
+                <DeleteIcon />
+              </IconButton>
+            )
+          }
+        >
+          <ListItemButton onClick={() => handleOpen(document)}>
+            <ListItemIcon>
+              <DescriptionIcon />
+            </ListItemIcon>
+            <ListItemText
+              primary={document.originalName}
+              secondary={`${formatSize(document.size)} · uploaded ${new Date(
+                document.uploadedAt
+              ).toLocaleDateString()}`}
+            />
+          </ListItemButton>
+        </ListItem>
+      ))}
+    </List>
+  )
+}
+
+CredentialDocuments.propTypes = {
+  documents: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      originalName: PropTypes.string.isRequired,
+      size: PropTypes.number,
+      uploadedAt: PropTypes.string,
+    })
+  ).isRequired,
+  download: PropTypes.func.isRequired,
+  onRemove: PropTypes.func,
+}
+
+export default CredentialDocuments
@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from 'react'
+import {
+  getMyCredentials,
+  submitCredentials,
+  deleteCredentialDocument,
+  downloadCredentialDocument,
+  CREDENTIAL_STATUSES,
+} from '../../services/api'
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Container,
+  Divider,
+  Paper,
+  TextField,
+  Typography,
+} from '@mui/material'
+import UploadFileIcon from '@mui/icons-material/UploadFile'
+import CredentialDocuments from './CredentialDocuments'
+
+const MAX_DOCUMENTS = 5
+
+const STATUS_MESSAGES = {
+  unsubmitted: {
+    severity: 'info',
+    text: 'Patients can find and book you once an admin has verified your credentials. Submit your license details and supporting documents to get started.',
+  },
+  pending: {
+    severity: 'warning',
+    text: "Your credentials are waiting for an admin to review them. Patients can't find or book you until they are verified.",
+  },
+  verified: {
+    severity: 'success',
+    text: "Your credentials are verified. Submitting changes sends them back for review, and patients can't book you until they are verified again.",
+  },
+  rejected: {
+    severity: 'error',
+    text: 'Your credentials could not be verified. Update your details or documents and submit them again.',
+  },
+}
+
+// A doctor's license, qualifications and supporting documents, and where
+// the admin review stands
+const Credentials = () => {
+  const [credentials, setCredentials] = useState(null)
+  const [form, setForm] = useState({
+    licenseNumber: '',
+    issuingAuthority: '',
+    qualifications: '',
+  })
+  const [files, setFiles] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+
+  const showCredentials = (data) => {
+    setCredentials(data)
+    setForm({
+      licenseNumber: data.licenseNumber || '',
+      issuingAuthority: data.issuingAuthority || '',
+      qualifications: (data.qualifications || []).join(', '),
+    })
+  }
+
+  useEffect(() => {
+    getMyCredentials()
+      .then((response) => showCredentials(response.data))
+      .catch(() => setError('Failed to load your credentials'))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setForm((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const handleFiles = (e) => {
+    setFiles(Array.from(e.target.files).slice(0, MAX_DOCUMENTS))
+    e.target.value = ''
+  }
+
+  const handleRemove = (document) => {
+    if (!window.confirm(`Remove ${document.originalName}?`)) return
+    deleteCredentialDocument(document._id)
+      .then((response) => setCredentials(response.data))
+      .catch((err) =>
+        setError(err.response?.data?.message || 'Failed to remove document')
+      )
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (
+      credentials.status === 'verified' &&
+      !window.confirm(
+        "Patients won't be able to book you until your changes are verified. Submit anyway?"
+      )
+    )
+      return
+    setSaving(true)
+    setError('')
+    setSuccess('')
+    submitCredentials(form, files)
+      .then((response) => {
+        showCredentials(response.data)
+        setFiles([])
+        setSuccess('Submitted for review')
+      })
+      .catch((err) =>
+        setError(err.response?.data?.message || 'Failed to submit credentials')
+      )
+      .finally(() => setSaving(false))
+  }
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" py={6}>
+        <CircularProgress />
+      </Box>
+    )
+  }
+
+  const status = credentials?.status || 'unsubmitted'
+  const message = STATUS_MESSAGES[status]
+  const documents = credentials?.documents || []
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Paper sx={{ p: 4 }}>
+        <Box display="flex" alignItems="center" gap={2} mb={2}>
+          <Typography variant="h5" sx={{ color: '#185a9d', fontWeight: 700 }}>
+            My Credentials
+          </Typography>
+          <Chip
+            label={CREDENTIAL_STATUSES[status].label}
+            color={CREDENTIAL_STATUSES[status].color}
+            size="small"
+          />
+        </Box>
+
+        <Alert severity={message.severity} sx={{ mb: 2 }}>
+          {message.text}
+          {credentials?.reviewNotes && (
+            <Box mt={1}>
+              <strong>Reviewer notes:</strong> {credentials.reviewNotes}
+            </Box>
+          )}
+        </Alert>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+        {success && (
+          <Alert
+            severity="success"
+            sx={{ mb: 2 }}
+            onClose={() => setSuccess('')}
+          >
+            {success}
+          </Alert>
+        )}
+
+        <Box component="form" onSubmit={handleSubmit}>
+          <TextField
+            name="licenseNumber"
+            label="License number"
+            value={form.licenseNumber}
+            onChange={handleChange}
+            required
+            fullWidth
+            margin="normal"
+          />
+          <TextField
+            name="issuingAuthority"
+            label="Issuing authority"
+            placeholder="e.g. State Medical Board"
+            value={form.issuingAuthority}
+            onChange={handleChange}
+            required
+            fullWidth
+            margin="normal"
+          />
+          <TextField
+            name="qualifications"
+            label="Qualifications"
+            placeholder="e.g. MBBS, MD (Cardiology)"
+            helperText="Separate qualifications with commas"
+            value={form.qualifications}
+            onChange={handleChange}
+            required
+            fullWidth
+            margin="normal"
+          />
+
+          <Divider sx={{ my: 3 }} />
+          <Typography variant="h6" gutterBottom>
+            Supporting documents
+          </Typography>
+          <CredentialDocuments
+            documents={documents}
+            download={(document) => downloadCredentialDocument(document._id)}
+            onRemove={status === 'verified' ? undefined : handleRemove}
+          />
+          <Box mt={2}>
+            <Button
+              component="label"
+              variant="outlined"
+              startIcon={<UploadFileIcon />}
+            >
+              Add documents
+              <input
+                type="file"
+                hidden
+                multiple
+                accept=".pdf,.jpg,.jpeg,.png"
+                onChange={handleFiles}
+              />
+            </Button>
+            <Typography variant="caption" display="block" mt={1}>
+              PDFs or JPEG/PNG images, up to {MAX_DOCUMENTS} at a time and 10 MB
+              each, e.g. your license certificate and degree certificates.
+            </Typography>
+            {files.map((file) => (
+              <Chip
+                key={file.name}
+                label={file.name}
+                onDelete={() =>
+                  setFiles((prev) => prev.filter((f) => f !== file))
+                }
+                sx={{ mr: 1, mt: 1 }}
+              />
+            ))}
+          </Box>
+
+          <Box mt={4} textAlign="right">
+            <Button
+              type="submit"
+              variant="contained"
+              disabled={saving || (!documents.length && !files.length)}
+            >
+              {status === 'unsubmitted' ? 'Submit for review' : 'Resubmit'}
+            </Button>
+          </Box>
+        </Box>
+      </Paper>
+    </Container>
+  )
+}
+
+export default Credentials
@@ -1,10 +1,19 @@
 import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../../contexts/AuthContext'
 import {
-  getDoctorAppointmentRequests,
+  getDoctorTriageQueue,
   updateAppointmentRequestStatus,
-  addMessageToRequest,
+  getAvailableSlots,
+  URGENCY_COLORS,
+  describeAppointmentType,
+  describeLocation,
 } from '../../services/api'
+import {
+  subscribeToAppointmentUpdates,
+  subscribeToAvailability,
+} from '../../services/socket'
 import {
   Container,
   Paper,
@@ -19,17 +28,69 @@ import {
   Grid,
   Chip,
   CircularProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormHelperText,
 } from '@mui/material'
 import { format } from 'date-fns'
+import {
+  appointmentStart,
+  formatDate,
+  formatTime,
+  slotLabel,
+  userTimeZone,
+} from '../../services/timeZone'
+
+const MINUTE = 60 * 1000
+
+const formatDuration = (ms) => {
+  const minutes = Math.max(1, Math.round(Math.abs(ms) / MINUTE))
+  if (minutes < 60) return `${minutes}m`
+  if (minutes < 24 * 60) {
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+  }
+  return `${Math.floor(minutes / (24 * 60))}d ${Math.floor(
+    (minutes % (24 * 60)) / 60
+  )}h`
+}
+
+// Time left to answer a request within its urgency tier's SLA
+const SlaCountdown = ({ dueAt, now }) => {
+  const remaining = new Date(dueAt) - now
+  return remaining > 0 ? (
+    <Chip
+      label={`Respond within ${formatDuration(remaining)}`}
+      variant="outlined"
+      size="small"
+    />
+  ) : (
+    <Chip
+      label={`Overdue by ${formatDuration(remaining)}`}
+      color="error"
+      size="small"
+    />
+  )
+}
 
+SlaCountdown.propTypes = {
+  dueAt: PropTypes.string.isRequired,
+  now: PropTypes.number.isRequired,
+}
+
+// Unanswered requests in triage order: most urgent first, then whoever has
+// waited longest
 const DoctorPendingRequests = () => {
   const { userData } = useAuth()
+  const timeZone = userTimeZone(userData)
+  const navigate = useNavigate()
   const [requests, setRequests] = useState([])
+  const [overdue, setOverdue] = useState(0)
   const [loading, setLoading] = useState(true)
-  const [selectedRequest, setSelectedRequest] = useState(null)
-  const [chatOpen, setChatOpen] = useState(false)
-  const [message, setMessage] = useState('')
-  const [chatMessages, setChatMessages] = useState([])
+  // Server time minus local time, so countdowns match the server's SLA clock
+  const [clockOffset, setClockOffset] = useState(0)
+  const [now, setNow] = useState(Date.now())
 
   // Add state for approval dialog
   const [approvalDialogOpen, setApprovalDialogOpen] = useState(false)
@@ -38,23 +99,32 @@ const DoctorPendingRequests = () => {
   const [scheduledTime, setScheduledTime] = useState('')
   const [doctorResponse, setDoctorResponse] = useState('')
   const [rejectionReason, setRejectionReason] = useState('')
-  const [approvalRequestId, setApprovalRequestId] = useState(null)
+  const [approvalRequest, setApprovalRequest] = useState(null)
+  const [availableSlots, setAvailableSlots] = useState([])
+  // When each free slot starts, to show it in the doctor's own time too
+  const [slotStarts, setSlotStarts] = useState({})
+  const [slotsVersion, setSlotsVersion] = useState(0)
   const [rejectionRequestId, setRejectionRequestId] = useState(null)
 
   useEffect(() => {
     if (userData?.medicalId) {
       fetchRequests()
+      return subscribeToAppointmentUpdates(() => fetchRequests())
     }
   }, [userData])
 
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30 * 1000)
+    return () => clearInterval(timer)
+  }, [])
+
   const fetchRequests = async () => {
     try {
-      const response = await getDoctorAppointmentRequests(userData.medicalId)
-      // Filter only pending requests
-      const pendingRequests = (response.data.requests || []).filter(
-        (req) => req.status === 'pending'
-      )
-      setRequests(pendingRequests)
+      const response = await getDoctorTriageQueue(userData.medicalId)
+      setRequests(response.data.requests || [])
+      setOverdue(response.data.overdue || 0)
+      setClockOffset(new Date(response.data.now) - Date.now() || 0)
+      setNow(Date.now())
     } catch (error) {
       console.error('Error fetching requests:', error)
     } finally {
@@ -62,14 +132,61 @@ const DoctorPendingRequests = () => {
     }
   }
 
-  const handleApprove = (requestId) => {
-    console.log('Approve clicked for request:', requestId) // Debug log
-    setApprovalRequestId(requestId)
-    setScheduledDate('')
-    setScheduledTime('')
+  // Free slots for the date picked in the approval dialog. The slot the
+  // patient requested is already held by this request, so offer it too.
+  useEffect(() => {
+    if (!approvalDialogOpen || !scheduledDate || !approvalRequest) {
+      setAvailableSlots([])
+      setSlotStarts({})
+      return
+    }
+
+    getAvailableSlots(userData.medicalId, scheduledDate, {
+      appointmentRequestId: approvalRequest._id,
+    })
+      .then((response) => {
+        const slots = response.data.slots || []
+        const starts = { ...response.data.startsAt }
+        const preferredDate = approvalRequest.preferredDate.split('T')[0]
+        if (
+          preferredDate === scheduledDate &&
+          !slots.includes(approvalRequest.preferredTime)
+        ) {
+          slots.push(approvalRequest.preferredTime)
+          starts[approvalRequest.preferredTime] = approvalRequest.preferredAt
+        }
+        setAvailableSlots(slots.sort())
+        setSlotStarts(starts)
+      })
+      .catch((error) => {
+        console.error('Error fetching available slots:', error)
+        setAvailableSlots([])
+        setSlotStarts({})
+      })
+  }, [
+    approvalDialogOpen,
+    scheduledDate,
+    approvalRequest,
+    userData,
+    slotsVersion,
+  ])
+
+  // Reload the slots if one is booked or freed while the dialog is open
+  useEffect(() => {
+    if (!approvalDialogOpen || !userData?.medicalId) return
+    return subscribeToAvailability(userData.medicalId, (update) => {
+      if (!update.date || update.date === scheduledDate) {
+        setSlotsVersion((version) => version + 1)
+      }
+    })
+  }, [approvalDialogOpen, scheduledDate, userData])
+
+  const handleApprove = (request) => {
+    setApprovalRequest(request)
+    setScheduledDate(request.preferredDate.split('T')[0])
+    setScheduledTime(request.preferredTime)
     setDoctorResponse('')
     setApprovalDialogOpen(true)
-    console.log('Approval dialog should be open now') // Debug log
   }
 
   const confirmApproval = async () => {
@@ -79,7 +196,7 @@ const DoctorPendingRequests = () => {
     }
 
     try {
-      await updateAppointmentRequestStatus(approvalRequestId, {
+      await updateAppointmentRequestStatus(approvalRequest._id, {
         status: 'approved',
         doctorResponse: doctorResponse || 'Appointment approved',
         scheduledDate,
@@ -89,7 +206,10 @@ const DoctorPendingRequests = () => {
       fetchRequests()
     } catch (error) {
       console.error('Error approving request:', error)
-      alert('Failed to approve appointment. Please try again.')
+      alert(
+        error.response?.data?.message ||
+          'Failed to approve appointment. Please try again.'
+      )
     }
   }
 
@@ -118,27 +238,9 @@ const DoctorPendingRequests = () => {
     }
   }
 
-  const handleChat = async (request) => {
-    setSelectedRequest(request)
-    setChatMessages(request.messages || [])
-    setChatOpen(true)
-  }
-
-  const handleSendMessage = async () => {
-    if (!message.trim() || !selectedRequest) return
-
-    try {
-      await addMessageToRequest(selectedRequest._id, {
-        message: message.trim(),
-        senderMedicalId: userData.medicalId,
-        senderName: userData.username,
-      })
-      setMessage('')
-      fetchRequests()
-    } catch (error) {
-      console.error('Error sending message:', error)
-    }
-  }
+  // Messages about a request live in its conversation thread
+  const openConversation = (request) =>
+    navigate(`/doctor/messages?appointment=${request._id}`)
 
   if (loading) {
     return (
@@ -155,9 +257,16 @@ const DoctorPendingRequests = () => {
 
   return (
     <Container maxWidth="lg" sx={{ py: 4 }}>
-      <Typography variant="h4" gutterBottom sx={{ mb: 4 }}>
+      <Typography variant="h4" gutterBottom>
         Appointment Requests
       </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 4 }}>
+        Most urgent first, based on the patient&apos;s symptom assessment.
+        {overdue > 0 &&
+          ` ${overdue} ${
+            overdue === 1 ? 'request is' : 'requests are'
+          } past the response time for their urgency.`}
+      </Typography>
 
       <Grid container spacing={3}>
         {requests.map((request) => (
@@ -166,6 +275,11 @@ const DoctorPendingRequests = () => {
               elevation={3}
               sx={{
                 p: 3,
+                borderLeft: 6,
+                borderColor:
+                  URGENCY_COLORS[request.triage.urgency] === 'default'
+                    ? 'grey.400'
+                    : `${URGENCY_COLORS[request.triage.urgency]}.main`,
                 '&:hover': {
                   boxShadow: 6,
                 },
@@ -180,27 +294,67 @@ const DoctorPendingRequests = () => {
                   <Typography variant="h5" gutterBottom>
                     {request.patientName}
                   </Typography>
-                  <Chip
-                    label="PENDING"
-                    color="warning"
-                    size="small"
-                    sx={{ mb: 2 }}
-                  />
+                  <Box display="flex" gap={1} flexWrap="wrap" mb={2}>
+                    <Chip
+                      label={`${request.triage.urgency.toUpperCase()}${
+                        request.assessment?.severityScore !== undefined
+                          ? ` · ${request.assessment.severityScore}/10`
+                          : ''
+                      }`}
+                      color={URGENCY_COLORS[request.triage.urgency]}
+                      size="small"
+                    />
+                    <SlaCountdown
+                      dueAt={request.triage.dueAt}
+                      now={now + clockOffset}
+                    />
+                    {request.escalatedAt && (
+                      <Chip label="Escalated" color="error" size="small" />
+                    )}
+                  </Box>
+                  <Typography variant="body2" color="text.secondary">
+                    Waiting since{' '}
+                    {format(new Date(request.createdAt), 'dd/MM/yyyy HH:mm')}
+                  </Typography>
                   <Typography variant="body1" sx={{ mt: 1 }}>
                     <strong>Medical ID:</strong> {request.patientMedicalId}
                   </Typography>
                   <Typography variant="body1">
                     <strong>Preferred Date:</strong>{' '}
-                    {format(new Date(request.preferredDate), 'dd/MM/yyyy')}
+                    {formatDate(appointmentStart(request), timeZone)}
                   </Typography>
                   <Typography variant="body1">
-                    <strong>Preferred Time:</strong> {request.preferredTime}
+                    <strong>Preferred Time:</strong>{' '}
+                    {formatTime(appointmentStart(request), timeZone)}
                   </Typography>
+                  {request.appointmentType?.name && (
+                    <Typography variant="body1">
+                      <strong>Appointment:</strong>{' '}
+                      {describeAppointmentType(request.appointmentType)}
+                    </Typography>
+                  )}
+                  {request.location?.name && (
+                    <Typography variant="body1">
+                      <strong>Location:</strong>{' '}
+                      {describeLocation(request.location)}
+                    </Typography>
+                  )}
                   {request.symptoms && (
                     <Typography variant="body1">
                       <strong>Symptoms:</strong> {request.symptoms}
                     </Typography>
                   )}
+                  {request.assessment?.summary && (
+                    <Typography variant="body1">
+                      <strong>Assessment:</strong> {request.assessment.summary}
+                    </Typography>
+                  )}
+                  {request.assessment?.recommendedAction && (
+                    <Typography variant="body1">
+                      <strong>Recommended Action:</strong>{' '}
+                      {request.assessment.recommendedAction}
+                    </Typography>
+                  )}
                   <Typography variant="body1">
                     <strong>Contact:</strong> {request.contactInfo}
                   </Typography>
@@ -216,14 +370,14 @@ const DoctorPendingRequests = () => {
                   <Button
                     variant="outlined"
                     color="primary"
-                    onClick={() => handleChat(request)}
+                    onClick={() => openConversation(request)}
                   >
-                    CHAT ({request.messages?.length || 0})
+                    MESSAGE
                   </Button>
                   <Button
                     variant="contained"
                     color="success"
-                    onClick={() => handleApprove(request._id)}
+                    onClick={() => handleApprove(request)}
                     sx={{ ml: 1 }}
                   >
                     APPROVE
@@ -268,25 +422,38 @@ const DoctorPendingRequests = () => {
               label="Scheduled Date"
               type="date"
               value={scheduledDate}
-              onChange={(e) => setScheduledDate(e.target.value)}
-              InputLabelProps={{
-                shrink: true,
+              onChange={(e) => {
+                setScheduledDate(e.target.value)
+                setScheduledTime('')
               }}
-              sx={{ mb: 2 }}
-              required
-            />
-            <TextField
-              fullWidth
-              label="Scheduled Time"
-              type="time"
-              value={scheduledTime}
-              onChange={(e) => setScheduledTime(e.target.value)}
               InputLabelProps={{
                 shrink: true,
               }}
               sx={{ mb: 2 }}
               required
             />
+            <FormControl fullWidth sx={{ mb: 2 }} required>
+              <InputLabel>Scheduled Time</InputLabel>
+              <Select
+                value={
+                  availableSlots.includes(scheduledTime) ? scheduledTime : ''
+                }
+                onChange={(e) => setScheduledTime(e.target.value)}
+                label="Scheduled Time"
+              >
+                {availableSlots.map((slot) => (
+                  <MenuItem key={slot} value={slot}>
+                    {slotLabel(slot, slotStarts[slot], timeZone)}
+                  </MenuItem>
+                ))}
+              </Select>
+              {availableSlots.length === 0 && (
+                <FormHelperText>
+                  No free slots on this date. Add availability or pick another
+                  day.
+                </FormHelperText>
+              )}
+            </FormControl>
             <TextField
               fullWidth
               label="Doctor's Response (Optional)"
@@ -336,61 +503,6 @@ const DoctorPendingRequests = () => {
           </Button>
         </DialogActions>
       </Dialog>
-
-      {/* Chat Dialog */}
-      <Dialog
-        open={chatOpen}
-        onClose={() => setChatOpen(false)}
-        maxWidth="sm"
-        fullWidth
-      >
-        <DialogTitle>Chat with {selectedRequest?.patientName}</DialogTitle>
-        <DialogContent dividers>
-          <Box sx={{ mb: 2, maxHeight: '300px', overflowY: 'auto' }}>
-            {chatMessages.map((msg, index) => (
-              <Paper
-                key={index}
-                sx={{
-                  p: 1,
-                  mb: 1,
-                  bgcolor:
-                    msg.sender === userData.medicalId
-                      ? 'primary.light'
-                      : 'background.default',
-                  color:
-                    msg.sender === userData.medicalId
-                      ? 'primary.contrastText'
-                      : 'text.primary',
-                }}
-              >
-                <Typography variant="caption" display="block">
-                  {msg.senderName} -{' '}
-                  {format(new Date(msg.timestamp), 'MMM d, HH:mm')}
-                </Typography>
-                <Typography variant="body2">{msg.message}</Typography>
-              </Paper>
-            ))}
-          </Box>
-          <TextField
-            fullWidth
-            multiline
-            rows={2}
-            value={message}
-            onChange={(e) => setMessage(e.target.value)}
-            placeholder="Type your message here..."
-          />
-        </DialogContent>
-        <DialogActions>
-          <Button onClick={() => setChatOpen(false)}>Close</Button>
-          <Button
-            onClick={handleSendMessage}
-            variant="contained"
-            disabled={!message.trim()}
-          >
-            Send
-          </Button>
-        </DialogActions>
-      </Dialog>
     </Container>
   )
 }
@@ -1,34 +1,42 @@
 import React, { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../../contexts/AuthContext'
 import {
   getDoctorAppointmentRequests,
-  addMessageToRequest,
+  completeAppointment,
+  markAppointmentNoShow,
+  cancelAppointment,
+  proposeReschedule,
+  respondToReschedule,
+  getPendingProposal,
+  isActiveAppointment,
 } from '../../services/api'
+import { subscribeToAppointmentUpdates } from '../../services/socket'
+import {
+  appointmentStart,
+  formatDateTime,
+  userTimeZone,
+} from '../../services/timeZone'
+import RescheduleDialog from '../Appoints/RescheduleDialog'
+import CancelAppointmentDialog from '../Appoints/CancelAppointmentDialog'
+import RescheduleProposal from '../Appoints/RescheduleProposal'
 import {
   Container,
   Paper,
   Typography,
   Chip,
   Box,
-  TextField,
   Button,
-  Dialog,
-  DialogTitle,
-  DialogContent,
-  DialogActions,
-  Divider,
-  Card,
-  CardContent,
   Grid,
 } from '@mui/material'
 
 const DoctorUpcomingAppointments = () => {
   const { userData, isLoading: authLoading } = useAuth()
+  const navigate = useNavigate()
   const [appointments, setAppointments] = useState([])
   const [loading, setLoading] = useState(true)
-  const [selectedAppointment, setSelectedAppointment] = useState(null)
-  const [newMessage, setNewMessage] = useState('')
-  const [chatDialogOpen, setChatDialogOpen] = useState(false)
+  const [rescheduleTarget, setRescheduleTarget] = useState(null)
+  const [cancelTarget, setCancelTarget] = useState(null)
 
   // Helper function to safely render values
   const safeRender = (value, fallback = 'N/A') => {
@@ -49,6 +57,7 @@ const DoctorUpcomingAppointments = () => {
         userData.medicalId
       ) // Debug log
       fetchAppointments()
+      return subscribeToAppointmentUpdates(() => fetchAppointments())
     } else {
       console.log('No medical ID found in userData') // Debug log
       setLoading(false)
@@ -64,9 +73,9 @@ const DoctorUpcomingAppointments = () => {
       const response = await getDoctorAppointmentRequests(userData.medicalId)
       console.log('Doctor API response:', response.data) // Debug log
 
-      // Filter only approved appointments
+      // Filter only approved or rescheduled appointments
       const approvedAppointments = (response.data.requests || []).filter(
-        (req) => req.status === 'approved'
+        (req) => isActiveAppointment(req.status)
       )
       setAppointments(approvedAppointments)
       setLoading(false)
@@ -77,48 +86,63 @@ const DoctorUpcomingAppointments = () => {
     }
   }
 
-  const handleSendMessage = async () => {
-    if (!newMessage.trim() || !selectedAppointment) return
+  const handleOutcome = async (appointmentId, outcome) => {
+    const label = outcome === 'completed' ? 'completed' : 'a no-show'
+    if (!window.confirm(`Mark this appointment as ${label}?`)) return
 
     try {
-      await addMessageToRequest(selectedAppointment._id, {
-        message: newMessage,
-        senderMedicalId: userData.medicalId,
-        senderName: userData.username,
-      })
-      setNewMessage('')
+      if (outcome === 'completed') {
+        await completeAppointment(appointmentId)
+      } else {
+        await markAppointmentNoShow(appointmentId)
+      }
       fetchAppointments()
-      // Update the selected appointment
-      const updatedResponse = await getDoctorAppointmentRequests(
-        userData.medicalId
-      )
-      const approvedAppointments = (updatedResponse.data.requests || []).filter(
-        (req) => req.status === 'approved'
-      )
-      const updatedAppointment = approvedAppointments.find(
-        (r) => r._id === selectedAppointment._id
-      )
-      setSelectedAppointment(updatedAppointment)
     } catch (error) {
-      console.error('Error sending message:', error)
-      alert('Failed to send message')
+      console.error('Error updating appointment:', error)
+      alert(error.response?.data?.message || 'Failed to update appointment')
     }
   }
 
-  const openChat = (appointment) => {
-    setSelectedAppointment(appointment)
-    setChatDialogOpen(true)
+  const handleCancel = async (reason) => {
+    try {
+      await cancelAppointment(cancelTarget._id, reason)
+      setCancelTarget(null)
+      fetchAppointments()
+    } catch (error) {
+      console.error('Error cancelling appointment:', error)
+      alert(error.response?.data?.message || 'Failed to cancel appointment')
+    }
   }
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString()
+  const handleReschedule = async (data) => {
+    try {
+      await proposeReschedule(rescheduleTarget._id, data)
+      setRescheduleTarget(null)
+      fetchAppointments()
+    } catch (error) {
+      console.error('Error proposing new time:', error)
+      alert(error.response?.data?.message || 'Failed to propose a new time')
+    }
   }
 
-  const isUpcoming = (dateString, timeString) => {
-    const appointmentDateTime = new Date(`${dateString} ${timeString}`)
-    return appointmentDateTime > new Date()
+  const handleRespond = async (appointment, proposal, accept) => {
+    try {
+      await respondToReschedule(appointment._id, proposal._id, accept)
+      fetchAppointments()
+    } catch (error) {
+      console.error('Error responding to proposal:', error)
+      alert(error.response?.data?.message || 'Failed to respond to proposal')
+    }
   }
 
+  // Messages about an appointment live in its conversation thread
+  const openConversation = (appointment) =>
+    navigate(`/doctor/messages?appointment=${appointment._id}`)
+
+  const timeZone = userTimeZone(userData)
+
+  const isUpcoming = (appointment) => appointmentStart(appointment) > new Date()
+
   if (loading) {
     return (
       <Container maxWidth="lg" sx={{ mt: 4 }}>
@@ -181,7 +205,11 @@ const DoctorUpcomingAppointments = () => {
                   <Typography variant="h6">
                     {safeRender(appointment.patientName, 'Unknown Patient')}
                   </Typography>
-                  <Chip label="APPROVED" color="success" size="small" />
+                  <Chip
+                    label={appointment.status.toUpperCase()}
+                    color="success"
+                    size="small"
+                  />
                 </Box>
 
                 <Typography variant="body2" color="textSecondary">
@@ -203,13 +231,9 @@ const DoctorUpcomingAppointments = () => {
                       sx={{ color: 'success.contrastText' }}
                     >
                       <strong>Scheduled:</strong>{' '}
-                      {formatDate(appointment.scheduledDate)} at{' '}
-                      {appointment.scheduledTime}
+                      {formatDateTime(appointmentStart(appointment), timeZone)}
                     </Typography>
-                    {!isUpcoming(
-                      appointment.scheduledDate,
-                      appointment.scheduledTime
-                    ) && (
+                    {!isUpcoming(appointment) && (
                       <Typography
                         variant="caption"
                         sx={{ color: 'warning.contrastText', display: 'block' }}
@@ -251,73 +275,68 @@ const DoctorUpcomingAppointments = () => {
                   <Button
                     variant="outlined"
                     size="small"
-                    onClick={() => openChat(appointment)}
+                    onClick={() => openConversation(appointment)}
                   >
-                    Chat ({appointment.messages?.length || 0})
+                    Message
+                  </Button>
+                  <Button
+                    variant="outlined"
+                    size="small"
+                    color="success"
+                    onClick={() => handleOutcome(appointment._id, 'completed')}
+                  >
+                    Mark Completed
+                  </Button>
+                  <Button
+                    variant="outlined"
+                    size="small"
+                    color="warning"
+                    onClick={() => handleOutcome(appointment._id, 'no-show')}
+                  >
+                    No-show
+                  </Button>
+                  <Button
+                    variant="outlined"
+                    size="small"
+                    disabled={!!getPendingProposal(appointment)}
+                    onClick={() => setRescheduleTarget(appointment)}
+                  >
+                    Reschedule
+                  </Button>
+                  <Button
+                    variant="outlined"
+                    size="small"
+                    color="error"
+                    onClick={() => setCancelTarget(appointment)}
+                  >
+                    Cancel
                   </Button>
                 </Box>
+                <RescheduleProposal
+                  appointment={appointment}
+                  role="doctor"
+                  onRespond={handleRespond}
+                  onCounter={setRescheduleTarget}
+                />
               </Paper>
             </Grid>
           ))}
         </Grid>
       )}
 
-      {/* Chat Dialog */}
-      <Dialog
-        open={chatDialogOpen}
-        onClose={() => setChatDialogOpen(false)}
-        maxWidth="sm"
-        fullWidth
-      >
-        <DialogTitle>
-          Chat with {selectedAppointment?.patientName || 'Patient'}
-        </DialogTitle>
-        <DialogContent>
-          <Box sx={{ maxHeight: 300, overflowY: 'auto', mb: 2 }}>
-            {selectedAppointment?.messages?.map((message, index) => (
-              <Card key={index} sx={{ mb: 1 }}>
-                <CardContent sx={{ py: 1 }}>
-                  <Typography variant="subtitle2" color="primary">
-                    {message.senderName || 'Unknown User'}
-                  </Typography>
-                  <Typography variant="body2">
-                    {message.message || 'No message content'}
-                  </Typography>
-                  <Typography variant="caption" color="textSecondary">
-                    {message.timestamp
-                      ? new Date(message.timestamp).toLocaleString()
-                      : 'Unknown time'}
-                  </Typography>
-                </CardContent>
-              </Card>
-            )) || (
-              <Typography variant="body2" color="textSecondary">
-                No messages yet
-              </Typography>
-            )}
-          </Box>
-          <Divider sx={{ my: 2 }} />
-          <TextField
-            fullWidth
-            multiline
-            rows={3}
-            placeholder="Type your message..."
-            value={newMessage}
-            onChange={(e) => setNewMessage(e.target.value)}
-            variant="outlined"
-          />
-        </DialogContent>
-        <DialogActions>
-          <Button onClick={() => setChatDialogOpen(false)}>Close</Button>
-          <Button
-            variant="contained"
-            onClick={handleSendMessage}
-            disabled={!newMessage.trim()}
-          >
-            Send Message
-          </Button>
-        </DialogActions>
-      </Dialog>
+      <RescheduleDialog
+        open={!!rescheduleTarget}
+        appointment={rescheduleTarget}
+        title="Propose a New Time to the Patient"
+        onClose={() => setRescheduleTarget(null)}
+        onSubmit={handleReschedule}
+      />
+
+      <CancelAppointmentDialog
+        open={!!cancelTarget}
+        onClose={() => setCancelTarget(null)}
+        onSubmit={handleCancel}
+      />
     </Container>
   )
 }
@@ -0,0 +1,224 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import {
+  Box,
+  Button,
+  Chip,
+  FormControlLabel,
+  Grid,
+  MenuItem,
+  Paper,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material'
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const NEW_LOCATION = {
+  name: '',
+  address: '',
+  city: '',
+  weeklyHours: [],
+  active: true,
+}
+
+const sortHours = (hours) =>
+  [...hours].sort(
+    (a, b) => a.dayOfWeek - b.dayOfWeek || a.start.localeCompare(b.start)
+  )
+
+// Adds a range of opening hours to one location
+const HoursPicker = ({ onAdd }) => {
+  const [dayOfWeek, setDayOfWeek] = useState(1)
+  const [start, setStart] = useState('09:00')
+  const [end, setEnd] = useState('17:00')
+
+  return (
+    <Box display="flex" alignItems="center" flexWrap="wrap" gap={1}>
+      <TextField
+        select
+        size="small"
+        label="Day"
+        value={dayOfWeek}
+        onChange={(e) => setDayOfWeek(Number(e.target.value))}
+      >
+        {DAYS.map((day, index) => (
+          <MenuItem key={day} value={index}>
+            {day}
+          </MenuItem>
+        ))}
+      </TextField>
+      <TextField
+        type="time"
+        size="small"
+        label="Opens"
+        value={start}
+        onChange={(e) => setStart(e.target.value)}
+        InputLabelProps={{ shrink: true }}
+      />
+      <TextField
+        type="time"
+        size="small"
+        label="Closes"
+        value={end}
+        onChange={(e) => setEnd(e.target.value)}
+        InputLabelProps={{ shrink: true }}
+      />
+      <Button
+        size="small"
+        disabled={!start || !end || start >= end}
+        onClick={() => onAdd({ dayOfWeek, start, end })}
+      >
+        Add Hours
+      </Button>
+    </Box>
+  )
+}
+
+HoursPicker.propTypes = {
+  onAdd: PropTypes.func.isRequired,
+}
+
+// The practices a doctor works from, each with its own weekly hours. With
+// any active location the weekly slot template is no longer used.
+const PracticeLocationsEditor = ({ locations, onChange }) => {
+  const update = (index, fields) =>
+    onChange(
+      locations.map((location, i) =>
+        i === index ? { ...location, ...fields } : location
+      )
+    )
+
+  return (
+    <Box>
+      {locations.length === 0 && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          No practice locations yet. Patients book from your weekly schedule
+          above.
+        </Typography>
+      )}
+      {locations.map((location, index) => (
+        <Paper
+          key={location._id || index}
+          variant="outlined"
+          sx={{ p: 2, mb: 2, opacity: location.active ? 1 : 0.6 }}
+        >
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                label="Name"
+                size="small"
+                fullWidth
+                required
+                placeholder="e.g. Riverside Clinic"
+                value={location.name}
+                onChange={(e) => update(index, { name: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} sm={5}>
+              <TextField
+                label="Address"
+                size="small"
+                fullWidth
+                value={location.address || ''}
+                onChange={(e) => update(index, { address: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} sm={3}>
+              <TextField
+                label="City"
+                size="small"
+                fullWidth
+                required
+                value={location.city}
+                onChange={(e) => update(index, { city: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <Box display="flex" flexWrap="wrap" gap={1} mb={1}>
+                {location.weeklyHours.length === 0 && (
+                  <Typography variant="body2" color="text.secondary">
+                    No opening hours
+                  </Typography>
+                )}
+                {location.weeklyHours.map((range, i) => (
+                  <Chip
+                    key={`${range.dayOfWeek}-${range.start}`}
+                    label={`${DAYS[range.dayOfWeek]} ${range.start}–${range.end}`}
+                    onDelete={() =>
+                      update(index, {
+                        weeklyHours: location.weeklyHours.filter(
+                          (_, j) => j !== i
+                        ),
+                      })
+                    }
+                  />
+                ))}
+              </Box>
+              <HoursPicker
+                onAdd={(range) =>
+                  update(index, {
+                    weeklyHours: sortHours([...location.weeklyHours, range]),
+                  })
+                }
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <Box display="flex" justifyContent="space-between">
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={location.active}
+                      onChange={(e) =>
+                        update(index, { active: e.target.checked })
+                      }
+                    />
+                  }
+                  label={location.active ? 'Open for bookings' : 'Closed'}
+                />
+                <Button
+                  size="small"
+                  color="error"
+                  onClick={() =>
+                    onChange(locations.filter((_, i) => i !== index))
+                  }
+                >
+                  Remove
+                </Button>
+              </Box>
+            </Grid>
+          </Grid>
+        </Paper>
+      ))}
+      <Button
+        variant="outlined"
+        onClick={() => onChange([...locations, { ...NEW_LOCATION }])}
+      >
+        Add Location
+      </Button>
+    </Box>
+  )
+}
+
+PracticeLocationsEditor.propTypes = {
+  locations: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string,
+      name: PropTypes.string,
+      address: PropTypes.string,
+      city: PropTypes.string,
+      weeklyHours: PropTypes.arrayOf(
+        PropTypes.shape({
+          dayOfWeek: PropTypes.number,
+          start: PropTypes.string,
+          end: PropTypes.string,
+        })
+      ),
+      active: PropTypes.bool,
+    })
+  ).isRequired,
+  onChange: PropTypes.func.isRequired,
+}
+
+export default PracticeLocationsEditor
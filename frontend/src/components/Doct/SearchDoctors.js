@@ -1,7 +1,12 @@
-import React, { useState } from 'react'
-import { searchDoctors } from '../../services/api'
+import React, { useState, useEffect } from 'react'
+import {
+  searchDoctors,
+  getPracticeCities,
+  describeLocation,
+} from '../../services/api'
 import {
   TextField,
+  MenuItem,
   Button,
   Typography,
   Grid,
@@ -40,7 +45,8 @@ const specialties = [
 const SearchDoctors = () => {
   const [name, setName] = useState('')
   const [specialty, setSpecialty] = useState('')
-  const [location, setLocation] = useState('')
+  const [city, setCity] = useState('')
+  const [cities, setCities] = useState([])
   const [doctors, setDoctors] = useState([])
   const [loading, setLoading] = useState(false)
   const [snackbar, setSnackbar] = useState({
@@ -49,10 +55,17 @@ const SearchDoctors = () => {
     severity: 'success',
   })
 
+  // Cities where doctors have a practice, for the location filter
+  useEffect(() => {
+    getPracticeCities()
+      .then((response) => setCities(response.data.cities || []))
+      .catch((error) => console.error('Error fetching cities:', error))
+  }, [])
+
   const clearSearch = () => {
     setName('')
     setSpecialty('')
-    setLocation('')
+    setCity('')
   }
 
   const handleSearch = () => {
@@ -60,7 +73,7 @@ const SearchDoctors = () => {
     setDoctors([]) // Clear previous results
 
     // Don't search if all fields are empty
-    if (!name && !specialty && !location) {
+    if (!name && !specialty && !city) {
       setSnackbar({
         open: true,
         message: 'Please enter at least one search criteria',
@@ -70,7 +83,7 @@ const SearchDoctors = () => {
       return
     }
 
-    const params = { name, specialty, location }
+    const params = { name, specialty, city }
 
     searchDoctors(params)
       .then((response) => {
@@ -82,7 +95,7 @@ const SearchDoctors = () => {
         if (doctorsList.length === 0) {
           setSnackbar({
             open: true,
-            message: `No doctors found matching "${name}"${specialty ? ` in ${specialty}` : ''}${location ? ` at ${location}` : ''}`,
+            message: `No doctors found matching "${name}"${specialty ? ` in ${specialty}` : ''}${city ? ` in ${city}` : ''}`,
             severity: 'info',
           })
         }
@@ -140,7 +153,7 @@ const SearchDoctors = () => {
           }}
         >
           Search for qualified healthcare professionals by name, specialty, or
-          location
+          city
         </Typography>
 
         <Card
@@ -210,12 +223,12 @@ const SearchDoctors = () => {
               </Grid>
               <Grid item xs={12} md={3}>
                 <TextField
-                  label="Location"
-                  value={location}
-                  onChange={(e) => setLocation(e.target.value)}
+                  select
+                  label="City"
+                  value={city}
+                  onChange={(e) => setCity(e.target.value)}
                   fullWidth
                   variant="outlined"
-                  placeholder="City or Hospital"
                   InputProps={{
                     startAdornment: (
                       <InputAdornment position="start">
@@ -233,7 +246,14 @@ const SearchDoctors = () => {
                       },
                     },
                   }}
-                />
+                >
+                  <MenuItem value="">Any city</MenuItem>
+                  {cities.map((option) => (
+                    <MenuItem key={option} value={option}>
+                      {option}
+                    </MenuItem>
+                  ))}
+                </TextField>
               </Grid>
               <Grid item xs={12} md={3}>
                 <Box sx={{ display: 'flex', gap: 1 }}>
@@ -367,13 +387,23 @@ const SearchDoctors = () => {
                       </Typography>
                     </Box>
 
-                    <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
-                      <LocationOnIcon
-                        sx={{ color: '#43cea2', mr: 1, fontSize: 20 }}
-                      />
-                      <Typography variant="body1" sx={{ color: '#666' }}>
-                        {doctor.location}
-                      </Typography>
+                    <Box sx={{ mb: 2 }}>
+                      {(doctor.locations.length
+                        ? doctor.locations.map(describeLocation)
+                        : [doctor.location]
+                      ).map((place) => (
+                        <Box
+                          key={place}
+                          sx={{ display: 'flex', alignItems: 'center' }}
+                        >
+                          <LocationOnIcon
+                            sx={{ color: '#43cea2', mr: 1, fontSize: 20 }}
+                          />
+                          <Typography variant="body1" sx={{ color: '#666' }}>
+                            {place}
+                          </Typography>
+                        </Box>
+                      ))}
                     </Box>
 
                     <Button
@@ -1,6 +1,9 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect } from 'react'
 import { useAuth } from '../../contexts/AuthContext'
-import { updateAvailability } from '../../services/api'
+import { getDoctorSchedule, updateAvailability } from '../../services/api'
+import AppointmentTypesEditor from './AppointmentTypesEditor'
+import PracticeLocationsEditor from './PracticeLocationsEditor'
+import { browserTimeZone, timeZoneOptions } from '../../services/timeZone'
 import {
   Container,
   TextField,
@@ -9,85 +12,396 @@ import {
   Grid,
   Paper,
   Box,
+  Chip,
+  Divider,
+  MenuItem,
+  Switch,
+  FormControlLabel,
+  CircularProgress,
+  Alert,
+  Snackbar,
 } from '@mui/material'
 
+const DAYS = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+]
+
+const sortSlots = (slots) => [...new Set(slots)].sort()
+
 const UpdateAvailability = () => {
   const { userData } = useAuth()
-  const doctorId = userData?.id
+  const doctorMedicalId = userData?.medicalId
+
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [slotDuration, setSlotDuration] = useState(30)
+  const [timeZone, setTimeZone] = useState(browserTimeZone())
+  // Slots per weekday, indexed 0 (Sunday) to 6 (Saturday)
+  const [weekly, setWeekly] = useState(DAYS.map(() => []))
+  const [newWeeklySlot, setNewWeeklySlot] = useState(DAYS.map(() => ''))
+  const [overrides, setOverrides] = useState([])
+  const [overrideDate, setOverrideDate] = useState('')
+  const [overrideDayOff, setOverrideDayOff] = useState(true)
+  const [overrideSlot, setOverrideSlot] = useState('')
+  const [overrideSlots, setOverrideSlots] = useState([])
+  const [appointmentTypes, setAppointmentTypes] = useState([])
+  const [locations, setLocations] = useState([])
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: '',
+    severity: 'success',
+  })
+
+  useEffect(() => {
+    if (!doctorMedicalId) return
+
+    getDoctorSchedule(doctorMedicalId)
+      .then((response) => {
+        const { schedule } = response.data
+        setSlotDuration(schedule.slotDuration || 30)
+        setTimeZone(schedule.timeZone || browserTimeZone())
+        setWeekly(
+          DAYS.map((_, dayOfWeek) => {
+            const day = schedule.weeklyAvailability.find(
+              (d) => d.dayOfWeek === dayOfWeek
+            )
+            return day ? sortSlots(day.slots) : []
+          })
+        )
+        setOverrides(schedule.dateOverrides || [])
+        setAppointmentTypes(schedule.appointmentTypes || [])
+        setLocations(schedule.locations || [])
+      })
+      .catch((error) => {
+        console.error('Error fetching availability:', error)
+      })
+      .finally(() => setLoading(false))
+  }, [doctorMedicalId])
+
+  const addWeeklySlot = (dayOfWeek) => {
+    const slot = newWeeklySlot[dayOfWeek]
+    if (!slot) return
+    setWeekly((prev) =>
+      prev.map((slots, i) =>
+        i === dayOfWeek ? sortSlots([...slots, slot]) : slots
+      )
+    )
+    setNewWeeklySlot((prev) => prev.map((s, i) => (i === dayOfWeek ? '' : s)))
+  }
+
+  const removeWeeklySlot = (dayOfWeek, slot) => {
+    setWeekly((prev) =>
+      prev.map((slots, i) =>
+        i === dayOfWeek ? slots.filter((s) => s !== slot) : slots
+      )
+    )
+  }
 
-  const [date, setDate] = useState('')
-  const [slots, setSlots] = useState([''])
+  const addOverrideSlot = () => {
+    if (!overrideSlot) return
+    setOverrideSlots((prev) => sortSlots([...prev, overrideSlot]))
+    setOverrideSlot('')
+  }
 
-  const handleSlotChange = (index, value) => {
-    const newSlots = [...slots]
-    newSlots[index] = value
-    setSlots(newSlots)
+  const addOverride = () => {
+    if (!overrideDate) return
+    const slots = overrideDayOff ? [] : overrideSlots
+    setOverrides((prev) =>
+      [
+        ...prev.filter((o) => o.date !== overrideDate),
+        { date: overrideDate, slots },
+      ].sort((a, b) => a.date.localeCompare(b.date))
+    )
+    setOverrideDate('')
+    setOverrideSlots([])
+    setOverrideDayOff(true)
   }
 
-  const addSlot = () => {
-    setSlots([...slots, ''])
+  const removeOverride = (date) => {
+    setOverrides((prev) => prev.filter((o) => o.date !== date))
   }
 
   const handleSubmit = (e) => {
     e.preventDefault()
-    const data = { doctorId, date, slots }
+    setSaving(true)
+    const data = {
+      doctorMedicalId,
+      slotDuration: Number(slotDuration),
+      timeZone,
+      weeklyAvailability: weekly
+        .map((slots, dayOfWeek) => ({ dayOfWeek, slots }))
+        .filter((day) => day.slots.length > 0),
+      dateOverrides: overrides,
+      appointmentTypes: appointmentTypes.map((type) => ({
+        ...type,
+        duration: Number(type.duration),
+        bufferBefore: Number(type.bufferBefore) || 0,
+        bufferAfter: Number(type.bufferAfter) || 0,
+        price: Number(type.price) || 0,
+      })),
+      locations,
+    }
     updateAvailability(data)
-      .then((response) => {
-        console.log(response.data) // eslint-disable-line no-console
-        alert('Availability updated successfully')
+      .then(() => {
+        setSnackbar({
+          open: true,
+          message: 'Availability updated successfully',
+          severity: 'success',
+        })
       })
       .catch((error) => {
         console.error(error) // eslint-disable-line no-console
-        alert('Failed to update availability')
+        setSnackbar({
+          open: true,
+          message:
+            error.response?.data?.message || 'Failed to update availability',
+          severity: 'error',
+        })
       })
+      .finally(() => setSaving(false))
+  }
+
+  if (loading) {
+    return (
+      <Box
+        display="flex"
+        justifyContent="center"
+        alignItems="center"
+        minHeight="400px"
+      >
+        <CircularProgress />
+      </Box>
+    )
   }
 
   return (
-    <Container maxWidth="sm" sx={{ mt: 4 }}>
+    <Container maxWidth="md" sx={{ mt: 4, mb: 4 }}>
       <Paper elevation={3} sx={{ p: 4 }}>
         <Typography variant="h4" gutterBottom align="center">
           Update Availability
         </Typography>
         <form onSubmit={handleSubmit}>
           <TextField
-            type="date"
-            label="Date"
-            value={date}
-            onChange={(e) => setDate(e.target.value)}
-            fullWidth
+            type="number"
+            label="Slot Length (minutes)"
+            value={slotDuration}
+            onChange={(e) => setSlotDuration(e.target.value)}
+            inputProps={{ min: 5, max: 240, step: 5 }}
             margin="normal"
-            InputLabelProps={{ shrink: true }}
             variant="outlined"
+            helperText="Appointments can start every this many minutes"
           />
+          <TextField
+            select
+            label="Clinic Time Zone"
+            value={timeZone}
+            onChange={(e) => setTimeZone(e.target.value)}
+            margin="normal"
+            variant="outlined"
+            fullWidth
+            helperText="All times on this page are in this time zone"
+          >
+            {timeZoneOptions(timeZone).map((zone) => (
+              <MenuItem key={zone} value={zone}>
+                {zone.replace(/_/g, ' ')}
+              </MenuItem>
+            ))}
+          </TextField>
+
+          <Typography variant="h6" sx={{ mt: 3, mb: 1 }}>
+            Appointment Types
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Buffers keep time free before and after an appointment.
+          </Typography>
+          <AppointmentTypesEditor
+            types={appointmentTypes}
+            onChange={setAppointmentTypes}
+          />
+
+          <Divider sx={{ my: 3 }} />
+
+          <Typography variant="h6" sx={{ mt: 3, mb: 1 }}>
+            Weekly Schedule
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            These slots repeat every week unless a date override replaces them.
+            Once you add a practice location, its opening hours are used
+            instead.
+          </Typography>
           <Grid container spacing={2}>
-            {slots.map((slot, index) => (
-              <Grid item xs={12} key={index}>
-                <TextField
-                  label={`Slot ${index + 1}`}
-                  value={slot}
-                  onChange={(e) => handleSlotChange(index, e.target.value)}
-                  fullWidth
-                  margin="normal"
-                  variant="outlined"
-                />
+            {DAYS.map((day, dayOfWeek) => (
+              <Grid item xs={12} key={day}>
+                <Box display="flex" alignItems="center" flexWrap="wrap" gap={1}>
+                  <Typography sx={{ width: 110, fontWeight: 500 }}>
+                    {day}
+                  </Typography>
+                  {weekly[dayOfWeek].length === 0 && (
+                    <Typography variant="body2" color="text.secondary">
+                      Unavailable
+                    </Typography>
+                  )}
+                  {weekly[dayOfWeek].map((slot) => (
+                    <Chip
+                      key={slot}
+                      label={slot}
+                      onDelete={() => removeWeeklySlot(dayOfWeek, slot)}
+                    />
+                  ))}
+                  <TextField
+                    type="time"
+                    size="small"
+                    value={newWeeklySlot[dayOfWeek]}
+                    onChange={(e) =>
+                      setNewWeeklySlot((prev) =>
+                        prev.map((s, i) =>
+                          i === dayOfWeek ? e.target.value : s
+                        )
+                      )
+                    }
+                    InputLabelProps={{ shrink: true }}
+                  />
+                  <Button size="small" onClick={() => addWeeklySlot(dayOfWeek)}>
+                    Add
+                  </Button>
+                </Box>
               </Grid>
             ))}
           </Grid>
-          <Box mt={2} display="flex" justifyContent="center">
+
+          <Divider sx={{ my: 3 }} />
+
+          <Typography variant="h6" sx={{ mb: 1 }}>
+            Practice Locations
+          </Typography>
+          <PracticeLocationsEditor
+            locations={locations}
+            onChange={setLocations}
+          />
+
+          <Divider sx={{ my: 3 }} />
+
+          <Typography variant="h6" sx={{ mb: 1 }}>
+            Date Overrides
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Mark a day off or offer different slots on a specific date, at every
+            location.
+          </Typography>
+          <Box display="flex" alignItems="center" flexWrap="wrap" gap={2}>
+            <TextField
+              type="date"
+              label="Date"
+              value={overrideDate}
+              onChange={(e) => setOverrideDate(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              size="small"
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={overrideDayOff}
+                  onChange={(e) => setOverrideDayOff(e.target.checked)}
+                />
+              }
+              label="Day off"
+            />
+            {!overrideDayOff && (
+              <>
+                <TextField
+                  type="time"
+                  size="small"
+                  value={overrideSlot}
+                  onChange={(e) => setOverrideSlot(e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                />
+                <Button size="small" onClick={addOverrideSlot}>
+                  Add Slot
+                </Button>
+                {overrideSlots.map((slot) => (
+                  <Chip
+                    key={slot}
+                    label={slot}
+                    onDelete={() =>
+                      setOverrideSlots((prev) => prev.filter((s) => s !== slot))
+                    }
+                  />
+                ))}
+              </>
+            )}
             <Button
-              onClick={addSlot}
-              variant="contained"
-              color="secondary"
-              sx={{ mr: 2 }}
+              variant="outlined"
+              onClick={addOverride}
+              disabled={!overrideDate}
             >
-              Add Slot
+              Add Override
             </Button>
-            <Button type="submit" variant="contained" color="primary">
-              Update Availability
+          </Box>
+
+          <Box sx={{ mt: 2 }}>
+            {overrides.map((override) => (
+              <Box
+                key={override.date}
+                display="flex"
+                alignItems="center"
+                flexWrap="wrap"
+                gap={1}
+                sx={{ mb: 1 }}
+              >
+                <Typography sx={{ width: 110, fontWeight: 500 }}>
+                  {override.date}
+                </Typography>
+                {override.slots.length === 0 ? (
+                  <Chip label="Day off" color="warning" size="small" />
+                ) : (
+                  override.slots.map((slot) => (
+                    <Chip key={slot} label={slot} size="small" />
+                  ))
+                )}
+                <Button
+                  size="small"
+                  color="error"
+                  onClick={() => removeOverride(override.date)}
+                >
+                  Remove
+                </Button>
+              </Box>
+            ))}
+          </Box>
+
+          <Box mt={4} display="flex" justifyContent="center">
+            <Button
+              type="submit"
+              variant="contained"
+              color="primary"
+              disabled={saving}
+            >
+              {saving ? 'Saving...' : 'Save Availability'}
             </Button>
           </Box>
         </form>
       </Paper>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={() => setSnackbar({ ...snackbar, open: false })}
+          severity={snackbar.severity}
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
     </Container>
   )
 }
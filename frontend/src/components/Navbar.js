@@ -11,6 +11,7 @@ import { Link, useLocation } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { useTheme } from '../contexts/ThemeContext'
 import ToggleColorMode from './ToggleColorMode'
+import NotificationBell from './Notifications/NotificationBell'
 import HomeIcon from '@mui/icons-material/Home'
 import InfoIcon from '@mui/icons-material/Info'
 import LogoutIcon from '@mui/icons-material/Logout'
@@ -26,6 +27,7 @@ const Navbar = () => {
 
   const adminItems = [
     { label: 'Users', link: '/admin/users' },
+    { label: 'Invitations', link: '/admin/invitations' },
     { label: 'Doctors', link: '/admin/doctors' },
     { label: 'Appointments', link: '/admin/appointments' },
     { label: 'Analytics', link: '/admin/analytics' },
@@ -36,6 +38,9 @@ const Navbar = () => {
     { label: 'Pending Requests', link: '/doctor/pending-requests' },
     { label: 'Upcoming Appointments', link: '/doctor/upcoming-appointments' },
     { label: 'Appointment History', link: '/doctor/appointment-history' },
+    { label: 'Availability', link: '/doctor/availability' },
+    { label: 'Credentials', link: '/doctor/credentials' },
+    { label: 'Messages', link: '/doctor/messages' },
     { label: 'My Feedback', link: '/doctor/feedback' },
   ]
 
@@ -43,6 +48,7 @@ const Navbar = () => {
     { label: 'Symptom Checker', link: '/patient/symptom-checker' },
     { label: 'Search Doctors', link: '/patient/search-doctors' },
     { label: 'Appointments', link: '/patient/appointments-hub' },
+    { label: 'Messages', link: '/patient/messages' },
     { label: 'Feedback', link: '/patient/feedback-hub' },
   ]
 
@@ -182,6 +188,7 @@ const Navbar = () => {
                     {item.label}
                   </Button>
                 ))}
+              <NotificationBell />
               <Button
                 onClick={logout}
                 startIcon={<LogoutIcon />}
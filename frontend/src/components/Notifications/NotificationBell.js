@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { formatDistanceToNow } from 'date-fns'
+import { useAuth } from '../../contexts/AuthContext'
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+} from '../../services/api'
+import { connectSocket, subscribeToNotifications } from '../../services/socket'
+import {
+  Badge,
+  Box,
+  Button,
+  Divider,
+  Drawer,
+  IconButton,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  Tooltip,
+  Typography,
+} from '@mui/material'
+import NotificationsIcon from '@mui/icons-material/Notifications'
+import DeleteIcon from '@mui/icons-material/Delete'
+
+const NotificationBell = () => {
+  const { userData } = useAuth()
+  const userId = userData?.id
+  const navigate = useNavigate()
+  const [open, setOpen] = useState(false)
+  const [notifications, setNotifications] = useState([])
+  const [unreadCount, setUnreadCount] = useState(0)
+
+  const fetchNotifications = useCallback(() => {
+    getNotifications({ limit: 50 })
+      .then((response) => {
+        setNotifications(response.data.notifications || [])
+        setUnreadCount(response.data.unreadCount || 0)
+      })
+      .catch((error) => console.error('Error fetching notifications:', error))
+  }, [])
+
+  useEffect(() => {
+    if (!userId) return
+
+    fetchNotifications()
+    connectSocket()
+    return subscribeToNotifications((notification) => {
+      setNotifications((prev) => [notification, ...prev])
+      setUnreadCount((count) => count + 1)
+    })
+  }, [userId, fetchNotifications])
+
+  const markRead = (notification) => {
+    if (notification.read) return Promise.resolve()
+    return markNotificationRead(notification._id).then(() => {
+      setNotifications((prev) =>
+        prev.map((n) => (n._id === notification._id ? { ...n, read: true } : n))
+      )
+      setUnreadCount((count) => Math.max(count - 1, 0))
+    })
+  }
+
+  const handleOpen = (notification) => {
+    markRead(notification).catch((error) =>
+      console.error('Error marking notification read:', error)
+    )
+    if (notification.link) {
+      setOpen(false)
+      navigate(notification.link)
+    }
+  }
+
+  const handleMarkAll = () => {
+    markAllNotificationsRead()
+      .then(() => {
+        setNotifications((prev) => prev.map((n) => ({ ...n, read: true })))
+        setUnreadCount(0)
+      })
+      .catch((error) =>
+        console.error('Error marking notifications read:', error)
+      )
+  }
+
+  const handleDelete = (notification) => {
+    deleteNotification(notification._id)
+      .then(() => {
+        setNotifications((prev) =>
+          prev.filter((n) => n._id !== notification._id)
+        )
+        if (!notification.read) {
+          setUnreadCount((count) => Math.max(count - 1, 0))
+        }
+      })
+      .catch((error) => console.error('Error deleting notification:', error))
+  }
+
+  return (
+    <>
+      <Tooltip title="Notifications">
+        <IconButton onClick={() => setOpen(true)} sx={{ color: '#666' }}>
+          <Badge badgeContent={unreadCount} color="error" max={99}>
+            <NotificationsIcon />
+          </Badge>
+        </IconButton>
+      </Tooltip>
+
+      <Drawer anchor="right" open={open} onClose={() => setOpen(false)}>
+        <Box sx={{ width: 360, p: 2 }}>
+          <Box
+            display="flex"
+            justifyContent="space-between"
+            alignItems="center"
+            mb={1}
+          >
+            <Typography variant="h6">Notifications</Typography>
+            <Button
+              size="small"
+              onClick={handleMarkAll}
+              disabled={unreadCount === 0}
+              sx={{ textTransform: 'none' }}
+            >
+              Mark all as read
+            </Button>
+          </Box>
+          <Divider />
+
+          {notifications.length === 0 ? (
+            <Typography
+              variant="body2"
+              color="text.secondary"
+              align="center"
+              sx={{ mt: 4 }}
+            >
+              You&apos;re all caught up
+            </Typography>
+          ) : (
+            <List disablePadding>
+              {notifications.map((notification) => (
+                <ListItem
+                  key={notification._id}
+                  disablePadding
+                  secondaryAction={
+                    <IconButton
+                      edge="end"
+                      size="small"
+                      onClick={() => handleDelete(notification)}
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  }
+                  sx={{
+                    bgcolor: notification.read
+                      ? 'transparent'
+                      : 'rgba(67, 206, 162, 0.08)',
+                  }}
+                >
+                  <ListItemButton onClick={() => handleOpen(notification)}>
+                    <ListItemText
+                      primary={notification.title}
+                      primaryTypographyProps={{
+                        fontWeight: notification.read ? 400 : 600,
+                      }}
+                      secondary={
+                        <>
+                          {notification.message}
+                          <br />
+                          {formatDistanceToNow(
+                            new Date(notification.createdAt),
+                            { addSuffix: true }
+                          )}
+                        </>
+                      }
+                    />
+                  </ListItemButton>
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </Box>
+      </Drawer>
+    </>
+  )
+}
+
+export default NotificationBell
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react'
+import { format } from 'date-fns'
+import {
+  getCalendarFeed,
+  createCalendarFeed,
+  deleteCalendarFeed,
+} from '../../services/api'
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  TextField,
+  Typography,
+} from '@mui/material'
+
+// A secret link calendar apps can subscribe to. Anyone with the link can see
+// the appointments, so it is only shown once and can be replaced at any time.
+const CalendarFeed = () => {
+  const [status, setStatus] = useState(null)
+  const [url, setUrl] = useState('')
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    getCalendarFeed()
+      .then((response) => setStatus(response.data))
+      .catch(() => setError('Failed to load your calendar link'))
+  }, [])
+
+  const handleCreate = () => {
+    if (
+      status?.enabled &&
+      !window.confirm(
+        'Replace your calendar link? The old one will stop working.'
+      )
+    ) {
+      return
+    }
+    setBusy(true)
+    setError('')
+    setMessage('')
+    createCalendarFeed()
+      .then((response) => {
+        setUrl(response.data.url)
+        setStatus({ enabled: true, createdAt: response.data.createdAt })
+      })
+      .catch(() => setError('Failed to create a calendar link'))
+      .finally(() => setBusy(false))
+  }
+
+  const handleDelete = () => {
+    setBusy(true)
+    setError('')
+    deleteCalendarFeed()
+      .then(() => {
+        setUrl('')
+        setStatus({ enabled: false, createdAt: null })
+        setMessage('Calendar link turned off')
+      })
+      .catch(() => setError('Failed to turn off the calendar link'))
+      .finally(() => setBusy(false))
+  }
+
+  const handleCopy = () => {
+    navigator.clipboard
+      .writeText(url)
+      .then(() => setMessage('Link copied'))
+      .catch(() => setError('Copy the link by hand'))
+  }
+
+  if (!status && !error) {
+    return (
+      <Box display="flex" justifyContent="center" minHeight="400px">
+        <CircularProgress />
+      </Box>
+    )
+  }
+
+  return (
+    <Card
+      sx={{
+        background: 'rgba(255,255,255,0.9)',
+        backdropFilter: 'blur(10px)',
+        borderRadius: '20px',
+        boxShadow: '0 8px 32px rgba(24,90,157,0.1)',
+      }}
+    >
+      <CardContent sx={{ p: 4 }}>
+        <Typography
+          variant="h5"
+          sx={{ color: '#185a9d', fontWeight: 700, mb: 1, textAlign: 'center' }}
+        >
+          Calendar
+        </Typography>
+        <Typography
+          variant="body2"
+          color="text.secondary"
+          sx={{ mb: 3, textAlign: 'center' }}
+        >
+          Subscribe to your appointments from Google Calendar, Outlook or Apple
+          Calendar. New, moved and cancelled appointments show up there
+          automatically.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert
+            severity="success"
+            sx={{ mb: 2 }}
+            onClose={() => setMessage('')}
+          >
+            {message}
+          </Alert>
+        )}
+
+        {url && (
+          <Box sx={{ mb: 3 }}>
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Anyone with this link can see your appointments. It won&apos;t be
+              shown again, so add it to your calendar app now.
+            </Alert>
+            <TextField
+              value={url}
+              label="Calendar link"
+              fullWidth
+              InputProps={{ readOnly: true }}
+              onFocus={(e) => e.target.select()}
+            />
+            <Box display="flex" gap={1} mt={1}>
+              <Button onClick={handleCopy}>Copy link</Button>
+              <Button href={url.replace(/^https?:/, 'webcal:')}>
+                Open in calendar app
+              </Button>
+            </Box>
+          </Box>
+        )}
+
+        {status?.enabled && !url && (
+          <Typography variant="body1" sx={{ mb: 2, textAlign: 'center' }}>
+            Your calendar link was created on{' '}
+            {format(new Date(status.createdAt), 'dd/MM/yyyy')}.
+          </Typography>
+        )}
+
+        <Box display="flex" justifyContent="center" gap={2}>
+          <Button variant="contained" onClick={handleCreate} disabled={busy}>
+            {status?.enabled ? 'Replace link' : 'Create link'}
+          </Button>
+          {status?.enabled && (
+            <Button color="error" onClick={handleDelete} disabled={busy}>
+              Turn off
+            </Button>
+          )}
+        </Box>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default CalendarFeed
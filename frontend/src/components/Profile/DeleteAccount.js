@@ -0,0 +1,123 @@
+import React, { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import {
+  Alert,
+  Button,
+  Card,
+  CardContent,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  TextField,
+  Typography,
+} from '@mui/material'
+import { deleteOwnAccount } from '../../services/api'
+import { useAuth } from '../../contexts/AuthContext'
+
+// Lets a patient close their own account after confirming their password
+const DeleteAccount = () => {
+  const [open, setOpen] = useState(false)
+  const [password, setPassword] = useState('')
+  const [reason, setReason] = useState('')
+  const [error, setError] = useState('')
+  const [deleting, setDeleting] = useState(false)
+  const { logout } = useAuth()
+  const navigate = useNavigate()
+
+  const handleClose = () => {
+    setOpen(false)
+    setPassword('')
+    setReason('')
+    setError('')
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    setDeleting(true)
+    setError('')
+    deleteOwnAccount(password, reason.trim())
+      .then(() => {
+        logout()
+        navigate('/')
+      })
+      .catch((err) => {
+        setError(err.response?.data?.message || 'Failed to delete account')
+        setDeleting(false)
+      })
+  }
+
+  return (
+    <Card
+      sx={{
+        background: 'rgba(255,255,255,0.9)',
+        backdropFilter: 'blur(10px)',
+        borderRadius: '20px',
+        boxShadow: '0 8px 32px rgba(24,90,157,0.1)',
+      }}
+    >
+      <CardContent sx={{ p: 4 }}>
+        <Typography variant="h5" sx={{ color: '#c62828', fontWeight: 700 }}>
+          Delete my account
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ my: 2 }}>
+          You will be signed out everywhere and your upcoming appointments will
+          be cancelled. Your personal details are removed permanently after a
+          grace period; until then the health center can restore your account.
+        </Typography>
+        <Button variant="outlined" color="error" onClick={() => setOpen(true)}>
+          Delete my account
+        </Button>
+      </CardContent>
+
+      <Dialog open={open} onClose={handleClose} fullWidth maxWidth="xs">
+        <form onSubmit={handleSubmit}>
+          <DialogTitle>Delete your account?</DialogTitle>
+          <DialogContent>
+            <DialogContentText sx={{ mb: 2 }}>
+              Enter your password to confirm.
+            </DialogContentText>
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+            <TextField
+              label="Password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              fullWidth
+              margin="dense"
+              autoFocus
+            />
+            <TextField
+              label="Reason (optional)"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              fullWidth
+              margin="dense"
+              multiline
+              minRows={2}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleClose}>Cancel</Button>
+            <Button
+              type="submit"
+              variant="contained"
+              color="error"
+              disabled={deleting || !password}
+            >
+              Delete
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </Card>
+  )
+}
+
+export default DeleteAccount
@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { formatDistanceToNow } from 'date-fns'
+import {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from '../../services/api'
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Divider,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Typography,
+} from '@mui/material'
+import ComputerIcon from '@mui/icons-material/Computer'
+import SmartphoneIcon from '@mui/icons-material/Smartphone'
+
+const BROWSERS = [
+  ['Edg/', 'Edge'],
+  ['OPR/', 'Opera'],
+  ['Chrome/', 'Chrome'],
+  ['Firefox/', 'Firefox'],
+  ['Safari/', 'Safari'],
+]
+const SYSTEMS = [
+  ['Android', 'Android'],
+  ['iPhone', 'iOS'],
+  ['iPad', 'iPadOS'],
+  ['Windows', 'Windows'],
+  ['Mac OS', 'macOS'],
+  ['Linux', 'Linux'],
+]
+
+// "Chrome on Windows" from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token))
+  const system = SYSTEMS.find(([token]) => userAgent.includes(token))
+  if (!browser && !system) return userAgent || 'Unknown device'
+  return [browser?.[1], system?.[1]].filter(Boolean).join(' on ')
+}
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad/.test(userAgent)
+
+// Devices signed in to this account, each of which can be signed out
+const Sessions = () => {
+  const [sessions, setSessions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const fetchSessions = useCallback(() => {
+    getSessions()
+      .then((response) => setSessions(response.data))
+      .catch(() => setError('Failed to load sessions'))
+      .finally(() => setLoading(false))
+  }, [])
+
+  useEffect(() => {
+    fetchSessions()
+  }, [fetchSessions])
+
+  const handleRevoke = (sessionId) => {
+    revokeSession(sessionId)
+      .then(() =>
+        setSessions((prev) => prev.filter((s) => s._id !== sessionId))
+      )
+      .catch(() => setError('Failed to sign out that device'))
+  }
+
+  const handleRevokeOthers = () => {
+    revokeOtherSessions()
+      .then(() => setSessions((prev) => prev.filter((s) => s.current)))
+      .catch(() => setError('Failed to sign out other devices'))
+  }
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" minHeight="400px">
+        <CircularProgress />
+      </Box>
+    )
+  }
+
+  return (
+    <Card
+      sx={{
+        background: 'rgba(255,255,255,0.9)',
+        backdropFilter: 'blur(10px)',
+        borderRadius: '20px',
+        boxShadow: '0 8px 32px rgba(24,90,157,0.1)',
+      }}
+    >
+      <CardContent sx={{ p: 4 }}>
+        <Typography
+          variant="h5"
+          sx={{ color: '#185a9d', fontWeight: 700, mb: 1, textAlign: 'center' }}
+        >
+          Sessions
+        </Typography>
+        <Typography
+          variant="body2"
+          color="text.secondary"
+          sx={{ mb: 3, textAlign: 'center' }}
+        >
+          Devices currently signed in to your account. Sign out any you
+          don&apos;t recognise.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        <List>
+          {sessions.map((session, index) => (
+            <React.Fragment key={session._id}>
+              {index > 0 && <Divider component="li" />}
+              <ListItem
+                secondaryAction={
+                  !session.current && (
+                    <Button
+                      color="error"
+                      size="small"
+                      onClick={() => handleRevoke(session._id)}
+                    >
+                      Sign out
+                    </Button>
+                  )
+                }
+              >
+                <ListItemIcon>
+                  {isMobile(session.userAgent) ? (
+                    <SmartphoneIcon />
+                  ) : (
+                    <ComputerIcon />
+                  )}
+                </ListItemIcon>
+                <ListItemText
+                  primary={
+                    <>
+                      {describeDevice(session.userAgent)}
+                      {session.current && (
+                        <Chip
+                          label="This device"
+                          size="small"
+                          color="success"
+                          sx={{ ml: 1 }}
+                        />
+                      )}
+                    </>
+                  }
+                  secondary={`${session.ip || 'Unknown IP'} · active ${formatDistanceToNow(
+                    new Date(session.lastUsedAt),
+                    { addSuffix: true }
+                  )} · signed in ${formatDistanceToNow(
+                    new Date(session.createdAt),
+                    { addSuffix: true }
+                  )}`}
+                />
+              </ListItem>
+            </React.Fragment>
+          ))}
+        </List>
+
+        {sessions.some((session) => !session.current) && (
+          <Box textAlign="center" mt={2}>
+            <Button
+              variant="outlined"
+              color="error"
+              onClick={handleRevokeOthers}
+            >
+              Sign out all other devices
+            </Button>
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default Sessions
@@ -0,0 +1,286 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { format } from 'date-fns'
+import {
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} from '../../services/api'
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Divider,
+  TextField,
+  Typography,
+} from '@mui/material'
+import TwoFactorSetup from '../Auth/TwoFactorSetup'
+import RecoveryCodes from '../Auth/RecoveryCodes'
+
+// Turn the authenticator-app second factor on or off and manage recovery codes
+const TwoFactor = () => {
+  const [status, setStatus] = useState(null)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+  // 'setup' | 'regenerate' | 'disable' while one of those forms is open
+  const [mode, setMode] = useState(null)
+  const [form, setForm] = useState({ password: '', code: '' })
+  const [newCodes, setNewCodes] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  const fetchStatus = useCallback(() => {
+    getTwoFactorStatus()
+      .then((response) => setStatus(response.data))
+      .catch(() => setError('Failed to load two-factor settings'))
+  }, [])
+
+  useEffect(() => {
+    fetchStatus()
+  }, [fetchStatus])
+
+  const openMode = (next) => {
+    setMode(next)
+    setForm({ password: '', code: '' })
+    setError('')
+    setMessage('')
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setForm((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const handleRegenerate = (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    setError('')
+    regenerateRecoveryCodes(form.code.trim())
+      .then((response) => {
+        setNewCodes(response.data.recoveryCodes)
+        setMode(null)
+      })
+      .catch((err) =>
+        setError(err.response?.data?.message || 'Invalid authentication code')
+      )
+      .finally(() => setSubmitting(false))
+  }
+
+  const handleDisable = (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    setError('')
+    disableTwoFactor({ password: form.password, code: form.code.trim() })
+      .then(() => {
+        setMode(null)
+        setMessage('Two-factor authentication is off')
+        fetchStatus()
+      })
+      .catch((err) =>
+        setError(
+          err.response?.data?.message ||
+            'Failed to turn off two-factor authentication'
+        )
+      )
+      .finally(() => setSubmitting(false))
+  }
+
+  if (!status) {
+    return error ? (
+      <Alert severity="error">{error}</Alert>
+    ) : (
+      <Box display="flex" justifyContent="center" minHeight="400px">
+        <CircularProgress />
+      </Box>
+    )
+  }
+
+  return (
+    <Card
+      sx={{
+        background: 'rgba(255,255,255,0.9)',
+        backdropFilter: 'blur(10px)',
+        borderRadius: '20px',
+        boxShadow: '0 8px 32px rgba(24,90,157,0.1)',
+      }}
+    >
+      <CardContent sx={{ p: 4, maxWidth: 560, mx: 'auto' }}>
+        <Typography
+          variant="h5"
+          sx={{ color: '#185a9d', fontWeight: 700, mb: 1, textAlign: 'center' }}
+        >
+          Two-Factor Authentication
+        </Typography>
+        <Typography
+          variant="body2"
+          color="text.secondary"
+          sx={{ mb: 3, textAlign: 'center' }}
+        >
+          Ask for a code from an authenticator app as well as your password when
+          you log in.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert
+            severity="success"
+            sx={{ mb: 2 }}
+            onClose={() => setMessage('')}
+          >
+            {message}
+          </Alert>
+        )}
+
+        {!status.available && (
+          <Alert severity="info">
+            Two-factor authentication is available to doctors and admins.
+          </Alert>
+        )}
+
+        {status.available && newCodes && (
+          <RecoveryCodes codes={newCodes} onDone={() => setNewCodes(null)} />
+        )}
+
+        {status.available && !newCodes && !status.enabled && (
+          <>
+            {status.required && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Two-factor authentication is required for your role.
+              </Alert>
+            )}
+            {mode === 'setup' ? (
+              <TwoFactorSetup
+                start={startTwoFactorSetup}
+                enable={enableTwoFactor}
+                onComplete={() => {
+                  setMode(null)
+                  setMessage('Two-factor authentication is on')
+                  fetchStatus()
+                }}
+              />
+            ) : (
+              <Box textAlign="center">
+                <Button variant="contained" onClick={() => openMode('setup')}>
+                  Set up authenticator app
+                </Button>
+              </Box>
+            )}
+          </>
+        )}
+
+        {status.available && !newCodes && status.enabled && (
+          <>
+            <Box display="flex" alignItems="center" gap={1} mb={1}>
+              <Chip label="On" color="success" size="small" />
+              <Typography variant="body2">
+                Since {format(new Date(status.enabledAt), 'MMM d, yyyy')}
+                {status.required && ' · required for your role'}
+              </Typography>
+            </Box>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {status.recoveryCodesRemaining} of 10 recovery codes left
+            </Typography>
+            <Divider sx={{ mb: 2 }} />
+
+            {mode === 'regenerate' && (
+              <Box component="form" onSubmit={handleRegenerate} mb={2}>
+                <Typography variant="body2" sx={{ mb: 1 }}>
+                  New codes replace all of your current ones.
+                </Typography>
+                <TextField
+                  name="code"
+                  label="Code from your app"
+                  value={form.code}
+                  onChange={handleChange}
+                  required
+                  fullWidth
+                  size="small"
+                  autoComplete="one-time-code"
+                  sx={{ mb: 1 }}
+                />
+                <Box display="flex" gap={1} justifyContent="flex-end">
+                  <Button onClick={() => setMode(null)}>Cancel</Button>
+                  <Button
+                    type="submit"
+                    variant="contained"
+                    disabled={submitting}
+                  >
+                    Generate new codes
+                  </Button>
+                </Box>
+              </Box>
+            )}
+
+            {mode === 'disable' && (
+              <Box component="form" onSubmit={handleDisable} mb={2}>
+                <TextField
+                  name="password"
+                  label="Password"
+                  type="password"
+                  value={form.password}
+                  onChange={handleChange}
+                  required
+                  fullWidth
+                  size="small"
+                  sx={{ mb: 1 }}
+                />
+                <TextField
+                  name="code"
+                  label="Code from your app"
+                  value={form.code}
+                  onChange={handleChange}
+                  required
+                  fullWidth
+                  size="small"
+                  autoComplete="one-time-code"
+                  sx={{ mb: 1 }}
+                />
+                <Box display="flex" gap={1} justifyContent="flex-end">
+                  <Button onClick={() => setMode(null)}>Cancel</Button>
+                  <Button
+                    type="submit"
+                    variant="contained"
+                    color="error"
+                    disabled={submitting}
+                  >
+                    Turn off
+                  </Button>
+                </Box>
+              </Box>
+            )}
+
+            {!mode && (
+              <Box display="flex" gap={1} justifyContent="center">
+                <Button
+                  variant="outlined"
+                  onClick={() => openMode('regenerate')}
+                >
+                  New recovery codes
+                </Button>
+                {!status.required && (
+                  <Button
+                    variant="outlined"
+                    color="error"
+                    onClick={() => openMode('disable')}
+                  >
+                    Turn off
+                  </Button>
+                )}
+              </Box>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default TwoFactor
@@ -2,8 +2,10 @@ import React, { useState, useEffect } from 'react'
 import { fetchProfile } from './profileUtils'
 import { useAuth } from '../../contexts/AuthContext'
 import { updateProfile } from '../../services/api'
+import { browserTimeZone, timeZoneOptions } from '../../services/timeZone'
 import {
   Grid,
+  MenuItem,
   TextField,
   Button,
   Typography,
@@ -17,10 +19,8 @@ import {
 } from '@mui/material'
 import SaveIcon from '@mui/icons-material/Save'
 
-const API_URL = 'http://localhost:5001/api'
-
 const UpdateProfile = () => {
-  const { userData, isLoading: authLoading } = useAuth()
+  const { userData, setUserData, isLoading: authLoading } = useAuth()
   const userId = userData?.id
   const [snackbar, setSnackbar] = useState({
     open: false,
@@ -35,6 +35,7 @@ const UpdateProfile = () => {
     medicalId: '',
     specialty: '',
     location: '',
+    timeZone: '',
   })
   const [profile, setProfile] = useState({
     username: '',
@@ -50,7 +51,7 @@ const UpdateProfile = () => {
 
   useEffect(() => {
     if (authLoading) return
-    fetchProfile(userData, setLoading, setProfile, API_URL)
+    fetchProfile(userData, setLoading, setProfile)
   }, [userData, authLoading])
 
   useEffect(() => {
@@ -63,6 +64,7 @@ const UpdateProfile = () => {
         medicalId: profile.medicalId,
         specialty: profile.specialty || '',
         location: profile.location || '',
+        timeZone: profile.timeZone || browserTimeZone(),
       })
     }
   }, [profile, userId])
@@ -89,7 +91,12 @@ const UpdateProfile = () => {
           medicalId: formData.medicalId,
           specialty: formData.specialty,
           location: formData.location,
+          timeZone: formData.timeZone,
         })
+        // Appointment times are shown in the saved time zone from now on
+        const updated = { ...userData, timeZone: formData.timeZone }
+        setUserData(updated)
+        localStorage.setItem('userData', JSON.stringify(updated))
       })
       .catch((error) => {
         console.error(error)
@@ -200,7 +207,8 @@ const UpdateProfile = () => {
                 label="Medical ID"
                 name="medicalId"
                 value={formData.medicalId}
-                onChange={handleChange}
+                InputProps={{ readOnly: true }}
+                helperText="Issued by CareConnect and can't be changed"
                 fullWidth
                 variant="outlined"
                 sx={{
@@ -215,6 +223,34 @@ const UpdateProfile = () => {
                 }}
               />
             </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                select
+                label="Time Zone"
+                name="timeZone"
+                value={formData.timeZone}
+                onChange={handleChange}
+                helperText="Appointment times and emails use this time zone"
+                fullWidth
+                variant="outlined"
+                sx={{
+                  '& .MuiOutlinedInput-root': {
+                    '&:hover fieldset': {
+                      borderColor: '#185a9d',
+                    },
+                    '&.Mui-focused fieldset': {
+                      borderColor: '#43cea2',
+                    },
+                  },
+                }}
+              >
+                {timeZoneOptions(formData.timeZone || undefined).map((zone) => (
+                  <MenuItem key={zone} value={zone}>
+                    {zone.replace(/_/g, ' ')}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
           </Grid>
 
           {profile.role === 'doctor' && (
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react'
 import PropTypes from 'prop-types'
 import { fetchProfile } from './profileUtils'
 import { useAuth } from '../../contexts/AuthContext'
+import DeleteAccount from './DeleteAccount'
 import {
   Box,
   Typography,
@@ -21,8 +22,6 @@ import BadgeIcon from '@mui/icons-material/Badge'
 import LocalHospitalIcon from '@mui/icons-material/LocalHospital'
 import LocationOnIcon from '@mui/icons-material/LocationOn'
 
-const API_URL = 'http://localhost:5001/api'
-
 const ProfileField = ({ icon, label, value }) => (
   <Box sx={{ display: 'flex', alignItems: 'center', mb: 3, gap: 2 }}>
     {icon}
@@ -60,7 +59,7 @@ const UserProfile = () => {
 
   useEffect(() => {
     if (authLoading) return
-    fetchProfile(userData, setLoading, setProfile, API_URL)
+    fetchProfile(userData, setLoading, setProfile)
   }, [userData, userRole, authLoading])
 
   if (loading) {
@@ -235,6 +234,12 @@ const UserProfile = () => {
           </CardContent>
         </Card>
       </Grid>
+
+      {profile.role === 'patient' && (
+        <Grid item xs={12}>
+          <DeleteAccount />
+        </Grid>
+      )}
     </Grid>
   )
 }
@@ -1,11 +1,14 @@
 import axios from 'axios'
+import { getProfile } from '../../services/api'
 
-export const fetchProfile = async (
-  userData,
-  setLoading,
-  setProfile,
-  API_URL
-) => {
+// Profile endpoints require the signed-in user's token
+const authHeaders = () => {
+  const token = localStorage.getItem('token')
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
+
+// Goes through the shared API client so an expired token is refreshed
+export const fetchProfile = async (userData, setLoading, setProfile) => {
   if (!userData?.id) {
     // If userData or userData.id is null, exit early
     setLoading(false)
@@ -13,7 +16,7 @@ export const fetchProfile = async (
   }
 
   try {
-    const response = await axios.get(`${API_URL}/profile/${userData.id}`)
+    const response = await getProfile(userData.id)
     setProfile(response.data.user)
     setLoading(false)
   } catch (error) {
@@ -24,7 +27,9 @@ export const fetchProfile = async (
 
 export const updateProfile = async (formData, API_URL) => {
   try {
-    const response = await axios.put(`${API_URL}/profile`, formData)
+    const response = await axios.put(`${API_URL}/profile`, formData, {
+      headers: authHeaders(),
+    })
     return response
   } catch (error) {
     console.error('Error updating profile:', error)
@@ -93,6 +93,8 @@ const SymptomChecker = () => {
           symptoms: selectedSymptoms.join(', '),
           severityScore: severityScore,
           urgencyLevel: urgencyLevel,
+          recommendedAction: analysisResult.recommendedAction,
+          summary: analysisResult.summary,
           fromSymptomChecker: true,
         },
       });
@@ -133,7 +135,11 @@ const SymptomChecker = () => {
       console.error('Error checking symptoms:', error);
       setSnackbar({
         open: true,
-        message: 'Failed to analyze symptoms',
+        // Checks are rate limited; the server says when to try again
+        message:
+          error.response?.status === 429
+            ? error.response.data.message
+            : 'Failed to analyze symptoms',
         severity: 'error',
       });
       setLoading(false);
@@ -1,5 +1,11 @@
 import React, { createContext, useState, useContext, useEffect } from 'react'
 import PropTypes from 'prop-types'
+import { disconnectSocket } from '../services/socket'
+import {
+  clearStoredSession,
+  logout as logoutRequest,
+  refreshSession,
+} from '../services/api'
 
 // Utility function to decode JWT token
 const decodeToken = (token) => {
@@ -10,13 +16,16 @@ const decodeToken = (token) => {
   }
 }
 
-// Utility function to check if token is expired
-const isTokenExpired = (token) => {
+// Utility function to check if token is expired, or will be within `margin` ms
+const isTokenExpired = (token, margin = 0) => {
   const decoded = decodeToken(token)
   if (!decoded) return true
-  return decoded.exp * 1000 < Date.now()
+  return decoded.exp * 1000 < Date.now() + margin
 }
 
+// Renew the access token this long before it expires
+const REFRESH_MARGIN_MS = 60000
+
 const AuthContext = createContext({
   isAuthenticated: false,
   userRole: null,
@@ -43,37 +52,53 @@ export const AuthProvider = ({ children }) => {
     const storedUser = localStorage.getItem('userData')
     const storedRole = localStorage.getItem('userRole')
 
-    if (storedToken && storedUser && storedRole) {
-      // Check if token is expired
-      if (isTokenExpired(storedToken)) {
-        // Token is expired, clear storage
-        localStorage.removeItem('token')
-        localStorage.removeItem('userData')
-        localStorage.removeItem('userRole')
-      } else {
-        setToken(storedToken)
-        setUserData(JSON.parse(storedUser))
-        setUserRole(storedRole)
-        setIsAuthenticated(true)
-      }
+    const restore = (accessToken) => {
+      setToken(accessToken)
+      setUserData(JSON.parse(storedUser))
+      setUserRole(storedRole)
+      setIsAuthenticated(true)
     }
-    setIsLoading(false) // Set loading to false after checking
+
+    if (!storedToken || !storedUser || !storedRole) {
+      setIsLoading(false)
+      return
+    }
+
+    if (!isTokenExpired(storedToken)) {
+      restore(storedToken)
+      setIsLoading(false)
+      return
+    }
+
+    // The access token expired while the app was closed; the refresh token
+    // may still be good
+    refreshSession()
+      .then(restore)
+      .catch(() => clearStoredSession())
+      .finally(() => setIsLoading(false))
   }, [])
 
-  // Periodic token validation
+  // Renew the access token shortly before it expires so the socket and
+  // requests never run on a stale one
   useEffect(() => {
-    if (!isAuthenticated || !token) return
+    if (!isAuthenticated) return
 
     const interval = setInterval(() => {
-      if (isTokenExpired(token)) {
-        logout()
+      const current = localStorage.getItem('token')
+      if (current !== token) {
+        // Refreshed elsewhere (interceptor or another tab)
+        setToken(current)
+      } else if (isTokenExpired(current, REFRESH_MARGIN_MS)) {
+        refreshSession()
+          .then(setToken)
+          .catch(() => logout())
       }
-    }, 60000) // Check every minute
+    }, 30000)
 
     return () => clearInterval(interval)
   }, [isAuthenticated, token])
 
-  const login = (role, user, authToken) => {
+  const login = (role, user, authToken, refreshToken) => {
     setIsAuthenticated(true)
     setUserRole(role)
     setUserData(user)
@@ -82,6 +107,7 @@ export const AuthProvider = ({ children }) => {
 
     // Store in localStorage for persistence
     localStorage.setItem('token', authToken)
+    localStorage.setItem('refreshToken', refreshToken)
     localStorage.setItem('userData', JSON.stringify(user))
     localStorage.setItem('userRole', role)
   }
@@ -93,10 +119,17 @@ export const AuthProvider = ({ children }) => {
     setToken(null)
     setIsLoading(false) // Ensure loading is false after logout
 
-    // Clear localStorage
-    localStorage.removeItem('token')
-    localStorage.removeItem('userData')
-    localStorage.removeItem('userRole')
+    // Revoke this device's session on the server, then forget it locally
+    const refreshToken = localStorage.getItem('refreshToken')
+    if (refreshToken) {
+      logoutRequest(refreshToken).catch((error) =>
+        console.error('Error signing out:', error)
+      )
+    }
+    clearStoredSession()
+
+    // Stop receiving the previous user's events
+    disconnectSocket()
   }
 
   return (
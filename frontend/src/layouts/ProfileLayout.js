@@ -6,10 +6,17 @@ import PageTemplate from '../components/PageTemplate'
 import AccountCircleIcon from '@mui/icons-material/AccountCircle'
 import EditIcon from '@mui/icons-material/Edit'
 import PhotoCameraIcon from '@mui/icons-material/PhotoCamera'
+import DevicesIcon from '@mui/icons-material/Devices'
+import SecurityIcon from '@mui/icons-material/Security'
+import EventIcon from '@mui/icons-material/Event'
+import { useAuth } from '../contexts/AuthContext'
 
 const ProfileLayout = () => {
   const location = useLocation()
   const currentTab = location.pathname.split('/').pop() || 'profile'
+  const { userRole } = useAuth()
+  // Only doctors and admins can use an authenticator app
+  const showTwoFactor = userRole === 'doctor' || userRole === 'admin'
 
   return (
     <PageTemplate>
@@ -92,6 +99,47 @@ const ProfileLayout = () => {
                 gap: 1,
               }}
             />
+            <Tab
+              label="Sessions"
+              icon={<DevicesIcon />}
+              value="sessions"
+              component={Link}
+              to="/profile/sessions"
+              sx={{
+                display: 'flex',
+                flexDirection: 'row',
+                alignItems: 'center',
+                gap: 1,
+              }}
+            />
+            <Tab
+              label="Calendar"
+              icon={<EventIcon />}
+              value="calendar"
+              component={Link}
+              to="/profile/calendar"
+              sx={{
+                display: 'flex',
+                flexDirection: 'row',
+                alignItems: 'center',
+                gap: 1,
+              }}
+            />
+            {showTwoFactor && (
+              <Tab
+                label="Two-Factor"
+                icon={<SecurityIcon />}
+                value="two-factor"
+                component={Link}
+                to="/profile/two-factor"
+                sx={{
+                  display: 'flex',
+                  flexDirection: 'row',
+                  alignItems: 'center',
+                  gap: 1,
+                }}
+              />
+            )}
           </Tabs>
         </Paper>
         <Box>
@@ -15,6 +15,7 @@ import {
   Schedule as ScheduleIcon,
   History as HistoryIcon,
   Pending as PendingIcon,
+  HourglassEmpty as HourglassEmptyIcon,
 } from '@mui/icons-material'
 
 const StyledCard = styled(Card)(({ theme }) => ({
@@ -82,6 +83,12 @@ const AppointmentsHub = () => {
       icon: <PendingIcon sx={{ fontSize: 36 }} />,
       path: '/patient/pending-requests',
     },
+    {
+      title: 'Waitlist',
+      description: 'Answer slots held for you by fully booked doctors',
+      icon: <HourglassEmptyIcon sx={{ fontSize: 36 }} />,
+      path: '/patient/waitlist',
+    },
     {
       title: 'Appointment History',
       description: 'Access your past appointments and medical records',
@@ -21,32 +21,75 @@ api.interceptors.request.use(
   }
 )
 
+const SESSION_KEYS = ['token', 'refreshToken', 'userData', 'userRole']
+
+export const clearStoredSession = () =>
+  SESSION_KEYS.forEach((key) => localStorage.removeItem(key))
+
+// Only one refresh runs at a time: refresh tokens rotate, so a second
+// request with the same token would look like a stolen token being reused
+let refreshPromise = null
+
+// Swap the stored refresh token for a new access/refresh token pair.
+// Resolves with the new access token.
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken')
+    refreshPromise = axios
+      .post(`${API_URL}/refresh-token`, { refreshToken })
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken, user } = response.data
+        localStorage.setItem('token', token)
+        localStorage.setItem('refreshToken', nextRefreshToken)
+        localStorage.setItem('userData', JSON.stringify(user))
+        return token
+      })
+      .catch((error) => {
+        // Another tab refreshed first and stored the new tokens
+        const current = localStorage.getItem('refreshToken')
+        if (current && current !== refreshToken) {
+          return localStorage.getItem('token')
+        }
+        throw error
+      })
+      .finally(() => {
+        refreshPromise = null
+      })
+  }
+  return refreshPromise
+}
+
+const AUTH_ENDPOINTS = [
+  '/login',
+  '/login/2fa',
+  '/login/2fa/setup',
+  '/login/2fa/enable',
+  '/signup',
+  '/refresh-token',
+  '/logout',
+]
+
 // Response interceptor to handle token expiration
 api.interceptors.response.use(
   (response) => response,
   async (error) => {
     const originalRequest = error.config
 
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    if (
+      error.response?.status === 401 &&
+      !originalRequest._retry &&
+      !AUTH_ENDPOINTS.includes(originalRequest.url) &&
+      localStorage.getItem('refreshToken')
+    ) {
       originalRequest._retry = true
 
       try {
-        const response = await api.post('/refresh-token')
-        const { token, user } = response.data
-
-        // Update localStorage
-        localStorage.setItem('token', token)
-        localStorage.setItem('userData', JSON.stringify(user))
-
-        // Update the original request with new token
+        const token = await refreshSession()
         originalRequest.headers.Authorization = `Bearer ${token}`
-
         return api(originalRequest)
       } catch (refreshError) {
         // Refresh failed, redirect to login
-        localStorage.removeItem('token')
-        localStorage.removeItem('userData')
-        localStorage.removeItem('userRole')
+        clearStoredSession()
         window.location.href = '/login'
         return Promise.reject(refreshError)
       }
@@ -57,21 +100,49 @@ api.interceptors.response.use(
 )
 
 // Admin
-export const getUsers = () => api.get('/users')
-export const getDoctors = () => api.get('/doctors')
+export const getUsers = (params) => api.get('/users', { params })
+export const getCredentialQueue = (params) =>
+  api.get('/admin/doctors', { params })
+export const reviewCredentials = (userId, status, notes) =>
+  api.post(`/admin/doctors/${userId}/credentials/review`, { status, notes })
+export const downloadDoctorCredentialDocument = (userId, documentId) =>
+  api.get(`/admin/doctors/${userId}/credentials/documents/${documentId}`, {
+    responseType: 'blob',
+  })
 export const getAppointments = () => api.get('/appointments')
-export const updateUser = (user) => api.put('/user', user)
-export const deleteUser = (userId) => api.delete(`/user/${userId}`)
+export const updateUser = (userId, fields) =>
+  api.put(`/admin/users/${userId}`, fields)
+export const suspendUser = (userId, reason) =>
+  api.post(`/admin/users/${userId}/suspend`, { reason })
+export const reactivateUser = (userId) =>
+  api.post(`/admin/users/${userId}/reactivate`)
+export const deleteUser = (userId, reason) =>
+  api.delete(`/user/${userId}`, { data: { reason } })
+export const restoreUser = (userId) =>
+  api.post(`/admin/users/${userId}/restore`)
+export const changeUserRole = (userId, role) =>
+  api.put(`/admin/users/${userId}/role`, { role })
+export const reissueMedicalId = (userId) =>
+  api.post(`/admin/users/${userId}/medical-id`)
+export const getTwoFactorPolicy = () => api.get('/admin/two-factor')
+export const updateTwoFactorPolicy = (requiredRoles) =>
+  api.put('/admin/two-factor', { requiredRoles })
+export const unlockUser = (userId) => api.post(`/admin/users/${userId}/unlock`)
+export const resetUserTwoFactor = (userId) =>
+  api.delete(`/admin/users/${userId}/two-factor`)
+export const getInvitations = () => api.get('/admin/invitations')
+export const createInvitation = (data) => api.post('/admin/invitations', data)
+export const revokeInvitation = (invitationId) =>
+  api.delete(`/admin/invitations/${invitationId}`)
 export const updateAppointment = (appointment) =>
   api.put('/appointment', appointment)
 export const deleteAppointment = (appointmentId) =>
   api.delete(`/appointment/${appointmentId}`)
 
 export const getAnalyticsData = () => api.get('/analytics/data')
-export const getActivityLogs = () => api.get('/activityLogs')
+export const getActivityLogs = (params) => api.get('/activityLogs', { params })
 
 //Appointments
-export const bookAppointment = (data) => api.post('/book', data)
 export const getAppointmentHistory = (userMedicalId) =>
   api.get('/history', { params: { userMedicalId } })
 export const getAllDoctors = () => api.get('/doctors')
@@ -80,6 +151,8 @@ export const getAllPatients = () => api.get('/patients')
 //profile
 export const getProfile = (userId) => api.get(`/profile/${userId}`)
 export const updateProfile = (data) => api.post('/profile/update', data)
+export const deleteOwnAccount = (password, reason) =>
+  api.delete('/profile', { data: { password, reason } })
 export const uploadProfilePicture = (userId, formData) =>
   api.post(`/profile/uploadProfilePicture/${userId}`, formData, {
     headers: { 'Content-Type': 'multipart/form-data' },
@@ -88,12 +161,55 @@ export const uploadProfilePicture = (userId, formData) =>
 // Auth
 export const signup = (data) => api.post('/signup', data)
 export const login = (data) => api.post('/login', data)
-export const refreshToken = () => api.post('/refresh-token')
+export const verifyLoginTwoFactor = (data) => api.post('/login/2fa', data)
+export const setupLoginTwoFactor = (challengeToken) =>
+  api.post('/login/2fa/setup', { challengeToken })
+export const enableLoginTwoFactor = (challengeToken, code) =>
+  api.post('/login/2fa/enable', { challengeToken, code })
+export const logout = (refreshToken) => api.post('/logout', { refreshToken })
+export const getTwoFactorStatus = () => api.get('/two-factor')
+export const startTwoFactorSetup = () => api.post('/two-factor/setup')
+export const enableTwoFactor = (code) =>
+  api.post('/two-factor/enable', { code })
+export const regenerateRecoveryCodes = (code) =>
+  api.post('/two-factor/recovery-codes', { code })
+export const disableTwoFactor = (data) => api.post('/two-factor/disable', data)
+export const getSessions = () => api.get('/sessions')
+export const revokeSession = (sessionId) => api.delete(`/sessions/${sessionId}`)
+export const revokeOtherSessions = () => api.delete('/sessions')
+export const getCalendarFeed = () => api.get('/calendar/feed')
+export const createCalendarFeed = () => api.post('/calendar/feed')
+export const deleteCalendarFeed = () => api.delete('/calendar/feed')
+export const getInvitation = (token) => api.get(`/invitations/${token}`)
+export const verifyEmail = (token) => api.post('/verify-email', { token })
+export const resendVerification = (email) =>
+  api.post('/verify-email/resend', { email })
+export const forgotPassword = (email) => api.post('/forgot-password', { email })
+export const resetPassword = (token, password) =>
+  api.post('/reset-password', { token, password })
 
-// Chat
-export const sendMessage = (data) => api.post('/chat/send', data)
-export const getMessages = (userId1, userId2) =>
-  api.get(`/chat/messages/${userId1}/${userId2}`)
+// Conversations
+export const getConversations = (params) =>
+  api.get('/conversations', { params })
+// Pass { appointmentRequestId } or { participantId }
+export const startConversation = (data) => api.post('/conversations', data)
+export const getConversationMessages = (conversationId, params) =>
+  api.get(`/conversations/${conversationId}/messages`, { params })
+export const sendConversationMessage = (conversationId, body, files = []) => {
+  const formData = new FormData()
+  formData.append('body', body)
+  files.forEach((file) => formData.append('attachments', file))
+  return api.post(`/conversations/${conversationId}/messages`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  })
+}
+export const markConversationRead = (conversationId) =>
+  api.put(`/conversations/${conversationId}/read`)
+export const downloadAttachment = (conversationId, messageId, attachmentId) =>
+  api.get(
+    `/conversations/${conversationId}/messages/${messageId}/attachments/${attachmentId}`,
+    { responseType: 'blob' }
+  )
 
 // Feedback APIs
 export const createFeedback = async (data) => {
@@ -135,11 +251,47 @@ export const deleteFeedback = async (feedbackId, patientMedicalId) => {
 }
 
 // Notifications
-export const sendReminder = (data) =>
-  api.post('/notifications/send-reminder', data)
+export const getNotifications = (params) =>
+  api.get('/notifications', { params })
+export const markNotificationRead = (notificationId) =>
+  api.put(`/notifications/${notificationId}/read`)
+export const markAllNotificationsRead = () => api.put('/notifications/read-all')
+export const deleteNotification = (notificationId) =>
+  api.delete(`/notifications/${notificationId}`)
+
+// Background jobs (admin). Appointment reminders are queued by the server.
+export const getJobs = (params) => api.get('/admin/jobs', { params })
+export const retryJob = (jobId) => api.post(`/admin/jobs/${jobId}/retry`)
+export const cancelJob = (jobId) => api.post(`/admin/jobs/${jobId}/cancel`)
 
 // Doctor
 export const searchDoctors = (params) => api.get('/doctors/search', { params })
+export const getPracticeCities = () => api.get('/doctors/cities')
+export const getDoctorSchedule = (doctorMedicalId) =>
+  api.get(`/doctors/${doctorMedicalId}/availability`)
+export const updateAvailability = (data) =>
+  api.post('/doctors/update-availability', data)
+// booking is { appointmentTypeId, locationId } for a new appointment, or
+// { appointmentRequestId } to move an existing one
+export const getAvailableSlots = (doctorMedicalId, date, booking = {}) =>
+  api.get('/availability', { params: { doctorMedicalId, date, ...booking } })
+export const getMyCredentials = () => api.get('/doctors/credentials')
+export const submitCredentials = (details, files = []) => {
+  const formData = new FormData()
+  formData.append('licenseNumber', details.licenseNumber)
+  formData.append('issuingAuthority', details.issuingAuthority)
+  formData.append('qualifications', details.qualifications)
+  files.forEach((file) => formData.append('documents', file))
+  return api.put('/doctors/credentials', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  })
+}
+export const deleteCredentialDocument = (documentId) =>
+  api.delete(`/doctors/credentials/documents/${documentId}`)
+export const downloadCredentialDocument = (documentId) =>
+  api.get(`/doctors/credentials/documents/${documentId}`, {
+    responseType: 'blob',
+  })
 
 // Symptoms
 export const checkSymptoms = (data) => api.post('/symptoms/check', data)
@@ -149,17 +301,26 @@ export const createAppointmentRequest = (data) =>
   api.post('/appointment-requests', data)
 export const getDoctorAppointmentRequests = (doctorMedicalId) =>
   api.get(`/appointment-requests/doctor/${doctorMedicalId}`)
+export const getDoctorTriageQueue = (doctorMedicalId) =>
+  api.get(`/appointment-requests/doctor/${doctorMedicalId}/triage`)
 export const getPatientAppointmentRequests = (patientMedicalId) => {
   console.log('Fetching appointment requests for patient:', patientMedicalId)
   return api.get(`/appointment-requests/patient/${patientMedicalId}`)
 }
 export const updateAppointmentRequestStatus = (requestId, data) =>
   api.put(`/appointment-requests/${requestId}/status`, data)
-export const addMessageToRequest = (requestId, data) =>
-  api.post(`/appointment-requests/${requestId}/messages`, data)
 export const getAppointmentRequestById = (requestId) =>
   api.get(`/appointment-requests/${requestId}`)
 
+// Waitlist
+export const joinWaitlist = (data) => api.post('/waitlist', data)
+export const getMyWaitlist = () => api.get('/waitlist')
+export const acceptWaitlistOffer = (entryId) =>
+  api.post(`/waitlist/${entryId}/accept`)
+export const declineWaitlistOffer = (entryId) =>
+  api.post(`/waitlist/${entryId}/decline`)
+export const leaveWaitlist = (entryId) => api.delete(`/waitlist/${entryId}`)
+
 // Appointment Management
 export const getPendingRequests = (medicalId) =>
   api.get(`/appointments/pending/${medicalId}`)
@@ -169,13 +330,64 @@ export const acceptAppointment = (requestId) =>
   api.put(`/appointment-requests/${requestId}/status`, { status: 'approved' })
 export const rejectAppointment = (requestId) =>
   api.put(`/appointment-requests/${requestId}/status`, { status: 'rejected' })
-export const cancelAppointment = (requestId) =>
-  api.put(`/appointment-requests/${requestId}/status`, { status: 'cancelled' })
+export const cancelAppointment = (requestId, reason) =>
+  api.post(`/appointment-requests/${requestId}/cancel`, { reason })
+export const proposeReschedule = (requestId, data) =>
+  api.post(`/appointment-requests/${requestId}/reschedule`, data)
+export const respondToReschedule = (requestId, proposalId, accept) =>
+  api.post(
+    `/appointment-requests/${requestId}/reschedule/${proposalId}/respond`,
+    { accept }
+  )
+export const completeAppointment = (requestId) =>
+  api.put(`/appointment-requests/${requestId}/status`, { status: 'completed' })
+export const markAppointmentNoShow = (requestId) =>
+  api.put(`/appointment-requests/${requestId}/status`, { status: 'no-show' })
+
+// Appointment lifecycle, mirroring the backend AppointmentRequest model
+export const APPOINTMENT_STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['completed', 'no-show', 'cancelled', 'rescheduled'],
+  rescheduled: ['completed', 'no-show', 'cancelled', 'rescheduled'],
+  rejected: [],
+  cancelled: [],
+  completed: [],
+  'no-show': [],
+}
+
+// Approved and rescheduled appointments are confirmed to take place
+export const isActiveAppointment = (status) =>
+  status === 'approved' || status === 'rescheduled'
 
-// Appointment endpoints with urgency score
-export const bookAppointmentWithUrgency = (data) =>
-  api.post('/appointments/book', data)
-export const getDoctorsAvailable = () => api.get('/doctors/available')
+export const getPendingProposal = (appointment) =>
+  (appointment.rescheduleProposals || []).find(
+    (proposal) => proposal.status === 'pending'
+  )
+
+export const getStatusColor = (status) => {
+  if (isActiveAppointment(status)) return 'success'
+  if (status === 'requested') return 'warning'
+  if (status === 'completed') return 'info'
+  if (status === 'rejected' || status === 'no-show') return 'error'
+  return 'default'
+}
+
+// Doctor credential review, mirroring the backend User model
+export const CREDENTIAL_STATUSES = {
+  unsubmitted: { label: 'Not submitted', color: 'default' },
+  pending: { label: 'Pending review', color: 'warning' },
+  verified: { label: 'Verified', color: 'success' },
+  rejected: { label: 'Rejected', color: 'error' },
+}
+
+// Badge colours for the backend's urgency tiers
+export const URGENCY_COLORS = {
+  Emergency: 'error',
+  Urgent: 'warning',
+  'Same Day': 'info',
+  'Non-Urgent': 'default',
+  Routine: 'default',
+}
 
 // Function to convert severity score to urgency level
 export const getUrgencyFromSeverity = (severityScore) => {
@@ -184,3 +396,11 @@ export const getUrgencyFromSeverity = (severityScore) => {
   if (severityScore >= 4) return 'Same Day'
   return 'Routine'
 }
+
+// One-line labels for a doctor's appointment types and practice locations,
+// or the copies kept on an appointment
+export const describeAppointmentType = ({ name, duration, price }) =>
+  `${name} · ${duration} min${price ? ` · ${price}` : ''}`
+
+export const describeLocation = ({ name, address, city }) =>
+  [name, address, city].filter(Boolean).join(', ')
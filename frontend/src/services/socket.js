@@ -1,16 +1,108 @@
 import { io } from 'socket.io-client'
 import process from 'process'
+import { refreshSession, clearStoredSession } from './api'
 
 const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5001'
+const LAST_EVENT_KEY = 'lastSocketEventId'
 
-export const socket = io(SOCKET_URL)
+// Event names sent by the backend gateway (backend/socket.js)
+export const EVENTS = {
+  CHAT_MESSAGE: 'chat:message',
+  CHAT_TYPING: 'chat:typing',
+  CHAT_READ: 'chat:read',
+  AVAILABILITY_UPDATED: 'availability:updated',
+  APPOINTMENT_UPDATED: 'appointment:updated',
+  NOTIFICATION_CREATED: 'notification:created',
+  SESSION_EXPIRED: 'session:expired',
+}
 
-export const subscribeToMessages = (callback) => {
-  socket.on('receiveMessage', (message) => {
-    callback(message)
-  })
+// Auth is read on every (re)connect, so a refreshed token is picked up and
+// the server can replay events sent since the last one we saw
+export const socket = io(SOCKET_URL, {
+  autoConnect: false,
+  auth: (cb) =>
+    cb({
+      token: localStorage.getItem('token'),
+      lastEventId: localStorage.getItem(LAST_EVENT_KEY),
+    }),
+})
+
+socket.onAny((event, payload, meta) => {
+  if (meta?.id) {
+    localStorage.setItem(LAST_EVENT_KEY, meta.id)
+  }
+})
+
+// Refresh an expired token once, then try again
+let refreshAttempted = false
+socket.on('connect', () => {
+  refreshAttempted = false
+})
+socket.on('connect_error', async (error) => {
+  if (error.message !== 'Authentication failed' || refreshAttempted) return
+  refreshAttempted = true
+  try {
+    await refreshSession()
+    socket.connect()
+  } catch (refreshError) {
+    // The session was signed out or revoked
+    console.error('Socket re-authentication failed:', refreshError)
+    clearStoredSession()
+    window.location.href = '/login'
+  }
+})
+
+// The server disconnects us when the token expires, and when the session is
+// revoked; in that case reconnecting fails and the refresh sends us to login
+socket.on('disconnect', (reason) => {
+  if (reason === 'io server disconnect' && localStorage.getItem('token')) {
+    socket.connect()
+  }
+})
+
+export const connectSocket = () => {
+  if (!socket.connected) {
+    socket.connect()
+  }
+}
+
+export const disconnectSocket = () => {
+  socket.disconnect()
+  localStorage.removeItem(LAST_EVENT_KEY)
 }
 
-export const sendMessageSocket = (message) => {
-  socket.emit('sendMessage', message)
+// Listen for one event. Returns a function that removes the listener, so it
+// can be returned straight from a useEffect.
+export const subscribe = (event, callback) => {
+  const handler = (payload) => callback(payload)
+  socket.on(event, handler)
+  return () => socket.off(event, handler)
 }
+
+export const subscribeToMessages = (callback) =>
+  subscribe(EVENTS.CHAT_MESSAGE, callback)
+
+export const subscribeToTyping = (callback) =>
+  subscribe(EVENTS.CHAT_TYPING, callback)
+
+export const subscribeToReadReceipts = (callback) =>
+  subscribe(EVENTS.CHAT_READ, callback)
+
+// Tell the other participant we started or stopped typing
+export const sendTyping = (conversationId, typing) => {
+  if (socket.connected) {
+    socket.emit(EVENTS.CHAT_TYPING, { conversationId, typing })
+  }
+}
+
+export const subscribeToNotifications = (callback) =>
+  subscribe(EVENTS.NOTIFICATION_CREATED, callback)
+
+export const subscribeToAppointmentUpdates = (callback) =>
+  subscribe(EVENTS.APPOINTMENT_UPDATED, callback)
+
+// Only calls back for the given doctor's schedule
+export const subscribeToAvailability = (doctorMedicalId, callback) =>
+  subscribe(EVENTS.AVAILABILITY_UPDATED, (update) => {
+    if (update.doctorMedicalId === doctorMedicalId) callback(update)
+  })
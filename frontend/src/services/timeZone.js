@@ -0,0 +1,85 @@
+// Appointments come from the server as instants (preferredAt, scheduledAt)
+// and are shown in the user's own time zone. Doctors' schedules are
+// wall-clock times in their clinic's zone.
+
+export const browserTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+
+// IANA zones to choose from, e.g. on the profile page. The current choice is
+// kept in the list even if this browser only knows it by another name.
+export const timeZoneOptions = (current = browserTimeZone()) => {
+  const zones =
+    typeof Intl.supportedValuesOf === 'function'
+      ? Intl.supportedValuesOf('timeZone')
+      : []
+  return zones.includes(current) ? zones : [current, ...zones]
+}
+
+// The zone a signed-in user reads times in
+export const userTimeZone = (userData) =>
+  userData?.timeZone || browserTimeZone()
+
+const formatters = new Map()
+
+const formatWith = (instant, timeZone, options) => {
+  const key = `${timeZone} ${JSON.stringify(options)}`
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.DateTimeFormat('en-GB', { timeZone, ...options })
+    )
+  }
+  return formatters.get(key).format(new Date(instant))
+}
+
+// e.g. "05/01/2099"
+export const formatDate = (instant, timeZone) =>
+  formatWith(instant, timeZone, {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+  })
+
+// e.g. "09:00 GMT+1"
+export const formatTime = (instant, timeZone) =>
+  formatWith(instant, timeZone, {
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZoneName: 'short',
+  })
+
+export const formatDateTime = (instant, timeZone) =>
+  `${formatDate(instant, timeZone)} at ${formatTime(instant, timeZone)}`
+
+// "HH:mm" of an instant in a zone, to compare with schedule times
+const wallTime = (instant, timeZone) =>
+  formatWith(instant, timeZone, {
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  })
+
+// When an appointment starts: the scheduled slot once set, else the
+// preferred one. Appointments from before instants were stored fall back to
+// their date and time as UTC.
+export const appointmentStart = (appointment) => {
+  if (appointment.scheduledAt) return new Date(appointment.scheduledAt)
+  if (appointment.scheduledDate && appointment.scheduledTime) {
+    return new Date(
+      `${appointment.scheduledDate.split('T')[0]}T${appointment.scheduledTime}:00Z`
+    )
+  }
+  if (appointment.preferredAt) return new Date(appointment.preferredAt)
+  return new Date(
+    `${appointment.preferredDate.split('T')[0]}T${appointment.preferredTime}:00Z`
+  )
+}
+
+// A slot from a doctor's schedule, given in the clinic's time, with the
+// user's own time alongside when that is different
+export const slotLabel = (time, startsAt, timeZone) => {
+  if (!startsAt) return time
+  const local = wallTime(startsAt, timeZone)
+  return local === time ? time : `${time} (${local} your time)`
+}